@@ -0,0 +1,107 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from '../logger.mjs';
+import { formatCommandArguments } from '../dockerfile.mjs';
+import { renderProjectTemplate } from '../templates.mjs';
+import { walkProject } from '../walker.mjs';
+
+// Go version used when go.mod has no go directive
+const DEFAULT_GO_VERSION = '1.22';
+
+// The binary is static (CGO_ENABLED=0), so the runtime stage needs no libc
+const RUNTIME_IMAGE = 'gcr.io/distroless/static-debian12:nonroot';
+
+// Directories that hold no main package of the application
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules', 'vendor', 'testdata'];
+
+// How deep below the root main packages are looked for (cmd/<name> is two levels down)
+const MAX_PACKAGE_DEPTH = 4;
+
+// Function to parse go.mod: the module path and the Go version of the go directive
+function parseGoMod(goModContent) {
+    return {
+        module: goModContent.match(/^module\s+"?([^\s"]+)"?/m)?.[1] || null,
+        go: goModContent.match(/^go\s+(\d+\.\d+(?:\.\d+)?)\s*$/m)?.[1] || null
+    };
+}
+
+// Function to find the directories of the main packages: those with a non-test .go file that
+// declares `package main` and `func main()`. Resolves with paths relative to the project, "."
+// for the root.
+async function findMainPackages(projectPath) {
+    const files = (await walkProject(projectPath, { skipDirectories: SKIPPED_DIRECTORIES, maxDepth: MAX_PACKAGE_DEPTH }))
+        .filter(file => file.endsWith('.go') && !file.endsWith('_test.go'));
+
+    const directories = new Set();
+    for (const file of files) {
+        const content = await fs.readFile(file, 'utf-8');
+        if (/^package\s+main\b/m.test(content) && /^func\s+main\s*\(\s*\)/m.test(content)) {
+            directories.add(path.relative(projectPath, path.dirname(file)) || '.');
+        }
+    }
+    return [...directories];
+}
+
+// Function to pick the main package to build when there are several: the root package, then
+// cmd/<last element of the module path>, then cmd/server and cmd/api, then the first by name
+function pickMainPackage(directories, module) {
+    const preferred = ['.', module ? `cmd/${module.split('/').pop()}` : null, 'cmd/server', 'cmd/api'];
+    for (const directory of preferred) {
+        if (directory && directories.includes(directory)) return directory;
+    }
+    return [...directories].sort()[0];
+}
+
+// Function to analyze go.mod and the sources of a Go project: the Go version of the go directive
+// and the main package the image builds
+async function analyzeGoProject(projectPath) {
+    const goModPath = path.join(projectPath, 'go.mod');
+    const goMod = (await fs.pathExists(goModPath)) ? parseGoMod(await fs.readFile(goModPath, 'utf-8')) : { module: null, go: null };
+
+    const mainPackages = await findMainPackages(projectPath);
+    if (mainPackages.length === 0) {
+        throw new Error(`No main package found in ${projectPath}. The image builds a binary, so the project needs a package main with a func main(), at the root or under cmd/<name>.`);
+    }
+    const mainPackage = pickMainPackage(mainPackages, goMod.module);
+    if (mainPackages.length > 1) {
+        await log(`Found ${mainPackages.length} main packages (${mainPackages.join(', ')}), building ${mainPackage}. Eject the go template (\`dockerizer templates eject go\`) to build another one.`);
+    }
+
+    const analysis = {
+        goVersion: goMod.go || DEFAULT_GO_VERSION,
+        goVersionSource: goMod.go ? 'go.mod' : 'default',
+        module: goMod.module,
+        mainPackage
+    };
+
+    await log(`Go analysis: Go ${analysis.goVersion} from ${analysis.goVersionSource}, module: ${analysis.module || 'none'}, main package: ${analysis.mainPackage}`);
+    return analysis;
+}
+
+// Function to derive the variables of the go.Dockerfile template from the analysis. The builder
+// stage compiles a static binary of the main package on the golang image of the go directive, and
+// the distroless runtime stage only has that binary.
+function goTemplateVariables(analysis, { port = 8080, command = null } = {}) {
+    return {
+        builderImage: `golang:${analysis.goVersion}`,
+        baseImage: RUNTIME_IMAGE,
+        port,
+        startCommand: formatCommandArguments(command || ['/app']),
+        // go build needs ./ to read a directory as a package path rather than an import path
+        buildPackage: analysis.mainPackage === '.' ? '.' : `./${analysis.mainPackage.split(path.sep).join('/')}`
+    };
+}
+
+// Function to render the multi-stage Dockerfile of a Go project from its template
+async function generateGoDockerfile(analysis, { port = 8080, command = null, projectPath = process.cwd() } = {}) {
+    return renderProjectTemplate('go', projectPath, goTemplateVariables(analysis, { port, command }));
+}
+
+export {
+    analyzeGoProject,
+    generateGoDockerfile,
+    goTemplateVariables,
+    parseGoMod,
+    findMainPackages,
+    DEFAULT_GO_VERSION
+};
@@ -0,0 +1,310 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import xml2js from 'xml2js';
+import { log } from '../logger.mjs';
+import { formatCommandArguments } from '../dockerfile.mjs';
+import { renderProjectTemplate } from '../templates.mjs';
+
+// Java version used when neither the Maven nor the Gradle build pins one
+const DEFAULT_JAVA_VERSION = '21';
+
+// Build files of each build tool, the wrapper that runs it and the image that has it installed.
+// `dependencies` downloads the dependencies into a cacheable layer, `package` builds the archive.
+const BUILD_TOOLS = {
+    maven: {
+        buildFiles: ['pom.xml'],
+        wrapper: { script: 'mvnw', directory: '.mvn' },
+        command: 'mvn',
+        builderImage: (javaVersion) => `maven:3.9-eclipse-temurin-${javaVersion}`,
+        dependencies: (command) => `${command} -B dependency:go-offline`,
+        package: (command) => `${command} -B package -DskipTests`,
+        outputDirectory: 'target'
+    },
+    gradle: {
+        buildFiles: ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts', 'gradle.properties'],
+        wrapper: { script: 'gradlew', directory: 'gradle' },
+        command: 'gradle',
+        builderImage: (javaVersion) => `gradle:jdk${javaVersion}`,
+        dependencies: (command) => `${command} dependencies --no-daemon`,
+        // bootJar builds only the executable JAR, not the "-plain" one next to it
+        package: (command, springBoot) => `${command} ${springBoot ? 'bootJar' : 'jar'} --no-daemon`,
+        outputDirectory: 'build/libs'
+    }
+};
+
+// Maven plugins and Gradle plugins that make `java -jar` run the application with its dependencies
+const EXECUTABLE_JAR_PLUGINS = {
+    maven: ['spring-boot-maven-plugin', 'maven-shade-plugin', 'maven-assembly-plugin'],
+    gradle: ['org.springframework.boot', 'com.github.johnrengelman.shadow', 'com.gradleup.shadow']
+};
+
+// Function to read a file if it exists, resolving with null otherwise
+async function readOptionalFile(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+// Function to turn a Java version as builds write it ("1.8", "17", "VERSION_17") into the major version
+function normalizeJavaVersion(value) {
+    const match = String(value ?? '').trim().match(/^(?:VERSION_)?(?:1[._](\d+)|(\d+))/);
+    return match ? match[1] || match[2] : null;
+}
+
+// Function to replace ${...} references in a pom.xml value with the project's coordinates and properties.
+// References that cannot be resolved (set by a profile or on the command line) are left as they are.
+function interpolateMavenValue(value, pom) {
+    return String(value ?? '').replace(/\$\{([\w.-]+)\}/g, (reference, key) => {
+        const known = {
+            'project.artifactId': pom.artifactId,
+            'project.version': pom.version,
+            'project.groupId': pom.groupId,
+            'project.name': pom.name,
+            artifactId: pom.artifactId,
+            version: pom.version
+        };
+        return known[key] ?? pom.properties[key] ?? reference;
+    });
+}
+
+// Function to parse pom.xml for Java projects: the coordinates, packaging and finalName of the
+// archive, the properties and the plugins of the build
+async function parsePomXml(pomFilePath) {
+    await log(`Starting to parse pom.xml at: ${pomFilePath}`);
+    const pomXml = await fs.readFile(pomFilePath, 'utf-8');
+    const parser = new xml2js.Parser();
+
+    let result;
+    try {
+        result = await parser.parseStringPromise(pomXml);
+    } catch (err) {
+        await log('Error parsing pom.xml: ' + err);
+        return null;
+    }
+
+    const project = result.project || {};
+    const text = (node) => (typeof node?.[0] === 'string' ? node[0].trim() : node?.[0]?._?.trim()) || null;
+
+    const properties = {};
+    for (const [key, value] of Object.entries(project.properties?.[0] || {})) {
+        if (key !== '$') properties[key] = text(value);
+    }
+
+    const plugins = (project.build?.[0]?.plugins?.[0]?.plugin || []).map(plugin => ({
+        groupId: text(plugin.groupId),
+        artifactId: text(plugin.artifactId),
+        release: text(plugin.configuration?.[0]?.release),
+        source: text(plugin.configuration?.[0]?.source)
+    }));
+
+    const dependencies = (project.dependencies?.[0]?.dependency || []).map(dep => ({
+        groupId: text(dep.groupId),
+        artifactId: text(dep.artifactId),
+        version: text(dep.version)
+    }));
+
+    const pom = {
+        groupId: text(project.groupId) || text(project.parent?.[0]?.groupId),
+        artifactId: text(project.artifactId),
+        // A module without a version of its own has the version of its parent
+        version: text(project.version) || text(project.parent?.[0]?.version),
+        name: text(project.name),
+        packaging: text(project.packaging) || 'jar',
+        finalName: text(project.build?.[0]?.finalName),
+        parent: text(project.parent?.[0]?.artifactId),
+        modules: (project.modules?.[0]?.module || []).map(module => text([module])),
+        properties,
+        plugins,
+        dependencies
+    };
+    pom.version = interpolateMavenValue(pom.version, pom);
+
+    await log(`Parsed pom.xml: ${pom.artifactId}:${pom.version} (${pom.packaging}), ${dependencies.length} dependencies, plugins: ${plugins.map(plugin => plugin.artifactId).join(', ') || 'none'}`);
+    return pom;
+}
+
+// Function to analyze a Maven build: the archive it packages and the Java version it compiles for
+async function analyzeMavenBuild(projectPath) {
+    const pom = await parsePomXml(path.join(projectPath, 'pom.xml'));
+    if (!pom) {
+        throw new Error(`Could not parse ${path.join(projectPath, 'pom.xml')}. Fix the XML or write the Dockerfile yourself.`);
+    }
+    if (pom.packaging === 'pom') {
+        throw new Error(`${path.join(projectPath, 'pom.xml')} is an aggregator (packaging "pom"${pom.modules.length > 0 ? ` with modules ${pom.modules.join(', ')}` : ''}). Generate the Dockerfile in the module that packages the application.`);
+    }
+
+    const compilerPlugin = pom.plugins.find(plugin => plugin.artifactId === 'maven-compiler-plugin');
+    const versionSources = [
+        ['maven.compiler.release', pom.properties['maven.compiler.release']],
+        ['maven-compiler-plugin release', compilerPlugin?.release],
+        // Set by the Spring Boot parent for maven.compiler.release
+        ['java.version', pom.properties['java.version']],
+        ['maven.compiler.source', pom.properties['maven.compiler.source']],
+        ['maven-compiler-plugin source', compilerPlugin?.source]
+    ];
+    const javaVersion = versionSources
+        .map(([source, value]) => ({ source, version: normalizeJavaVersion(interpolateMavenValue(value, pom)) }))
+        .find(candidate => candidate.version);
+
+    const archiveName = interpolateMavenValue(pom.finalName || `${pom.artifactId}-${pom.version}`, pom);
+    if (archiveName.includes('${')) {
+        await log(`Warning: the archive name ${archiveName} of pom.xml references properties that are not set in pom.xml, so the generated Dockerfile may not find the archive.`);
+    }
+
+    return {
+        name: pom.artifactId,
+        version: pom.version,
+        packaging: pom.packaging,
+        archiveFile: `${archiveName}.${pom.packaging === 'war' ? 'war' : 'jar'}`,
+        javaVersion,
+        springBoot: pom.parent === 'spring-boot-starter-parent' || pom.plugins.some(plugin => plugin.artifactId === 'spring-boot-maven-plugin'),
+        executableJar: pom.plugins.some(plugin => EXECUTABLE_JAR_PLUGINS.maven.includes(plugin.artifactId))
+    };
+}
+
+// Function to find a string assigned in a Gradle build script, in Groovy (name = 'value') or
+// Kotlin (name = "value", name.set("value")) syntax
+function gradleAssignment(script, name) {
+    const match = (script || '').match(new RegExp(`\\b${name.replace('.', '\\.')}\\s*(?:=|\\.set\\()\\s*["']([^"'$]+)["']`));
+    return match ? match[1] : null;
+}
+
+// Function to analyze a Gradle build: the JAR it builds and the Java version of its toolchain
+async function analyzeGradleBuild(projectPath) {
+    const buildFile = (await fs.pathExists(path.join(projectPath, 'build.gradle.kts'))) ? 'build.gradle.kts' : 'build.gradle';
+    const script = await readOptionalFile(path.join(projectPath, buildFile)) || '';
+    const settings = await readOptionalFile(path.join(projectPath, 'settings.gradle.kts'))
+        ?? await readOptionalFile(path.join(projectPath, 'settings.gradle')) ?? '';
+    const properties = await readOptionalFile(path.join(projectPath, 'gradle.properties')) || '';
+
+    // The JAR is named after the project, which is the directory unless settings.gradle names it
+    const name = gradleAssignment(script, 'archivesBaseName') || gradleAssignment(script, 'archivesName')
+        || gradleAssignment(settings, 'rootProject.name') || path.basename(path.resolve(projectPath));
+    const version = gradleAssignment(script, 'version') || properties.match(/^\s*version\s*[=:]\s*(\S+)/m)?.[1] || null;
+
+    const plugins = [
+        ...script.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']/g),
+        ...script.matchAll(/apply\s+plugin\s*:\s*["']([\w.-]+)["']/g)
+    ].map(match => match[1]);
+    const springBoot = plugins.includes('org.springframework.boot');
+
+    const versionPatterns = [
+        ['toolchain', /JavaLanguageVersion\.of\(\s*["']?(\d+)/],
+        ['jvmToolchain', /jvmToolchain\(\s*(\d+)/],
+        ['sourceCompatibility', /sourceCompatibility\s*=\s*(?:JavaVersion\.)?["']?(VERSION_[\d_]+|[\d.]+)/],
+        ['targetCompatibility', /targetCompatibility\s*=\s*(?:JavaVersion\.)?["']?(VERSION_[\d_]+|[\d.]+)/]
+    ];
+    const javaVersion = versionPatterns
+        .map(([source, pattern]) => ({ source, version: normalizeJavaVersion(script.match(pattern)?.[1]) }))
+        .find(candidate => candidate.version);
+
+    // Gradle leaves out the version when the project has none ("unspecified")
+    const archiveFile = gradleAssignment(script, 'archiveFileName') || `${name}${version && version !== 'unspecified' ? `-${version}` : ''}.jar`;
+
+    return {
+        name,
+        version,
+        packaging: 'jar',
+        buildFile,
+        archiveFile,
+        javaVersion,
+        springBoot,
+        executableJar: plugins.some(plugin => EXECUTABLE_JAR_PLUGINS.gradle.includes(plugin))
+    };
+}
+
+// Function to read server.port from a Spring Boot application.properties or application.yml
+async function readSpringServerPort(projectPath) {
+    const resourcesPath = path.join(projectPath, 'src/main/resources');
+
+    const propertiesPath = path.join(resourcesPath, 'application.properties');
+    if (await fs.pathExists(propertiesPath)) {
+        const match = (await fs.readFile(propertiesPath, 'utf-8')).match(/^\s*server\.port\s*[=:]\s*(?:\$\{PORT:)?(\d{2,5})/m);
+        if (match) return Number(match[1]);
+    }
+
+    for (const fileName of ['application.yml', 'application.yaml']) {
+        const ymlPath = path.join(resourcesPath, fileName);
+        if (!(await fs.pathExists(ymlPath))) continue;
+        try {
+            for (const document of yaml.loadAll(await fs.readFile(ymlPath, 'utf-8'))) {
+                const port = String(document?.server?.port ?? '').match(/(\d{2,5})\}?$/);
+                if (port) return Number(port[1]);
+            }
+        } catch (err) {
+            await log(`Could not parse ${ymlPath}: ${err.message}`);
+        }
+    }
+
+    return null;
+}
+
+// Function to analyze pom.xml or build.gradle(.kts), the build wrapper and the Spring Boot config
+// of a Java project. Maven wins when a project has both.
+async function analyzeJavaProject(projectPath) {
+    const buildTool = (await fs.pathExists(path.join(projectPath, 'pom.xml'))) ? 'maven' : 'gradle';
+    const build = buildTool === 'maven' ? await analyzeMavenBuild(projectPath) : await analyzeGradleBuild(projectPath);
+    const tool = BUILD_TOOLS[buildTool];
+
+    const wrapper = await fs.pathExists(path.join(projectPath, tool.wrapper.script))
+        && await fs.pathExists(path.join(projectPath, tool.wrapper.directory));
+
+    const buildFiles = [];
+    for (const file of tool.buildFiles) {
+        if (await fs.pathExists(path.join(projectPath, file))) buildFiles.push(file);
+    }
+
+    const analysis = {
+        buildTool,
+        ...build,
+        buildFiles,
+        wrapper,
+        javaVersion: build.javaVersion?.version || DEFAULT_JAVA_VERSION,
+        javaVersionSource: build.javaVersion?.source || 'default',
+        artifactPath: `${tool.outputDirectory}/${build.archiveFile}`,
+        serverPort: await readSpringServerPort(projectPath)
+    };
+
+    if (!analysis.springBoot && !analysis.executableJar) {
+        await log(`Warning: ${analysis.artifactPath} is not built by Spring Boot or a shade plugin, so \`java -jar\` only runs it when its manifest has a Main-Class and it bundles its dependencies.`);
+    }
+    await log(`Java analysis: ${buildTool}${wrapper ? ` (${tool.wrapper.script})` : ''}, ${analysis.artifactPath}, Java ${analysis.javaVersion} from ${analysis.javaVersionSource}, Spring Boot: ${analysis.springBoot ? 'yes' : 'no'}${analysis.serverPort ? `, server.port ${analysis.serverPort}` : ''}`);
+    return analysis;
+}
+
+// Function to derive the variables of the java.Dockerfile template from the analysis. The builder
+// stage runs Maven or Gradle (the project's wrapper when it has one) on a JDK, and the runtime
+// stage only has the JRE and the archive, run by an unprivileged user.
+function javaTemplateVariables(analysis, { port = 8080, command = null } = {}) {
+    const tool = BUILD_TOOLS[analysis.buildTool];
+    const buildCommand = analysis.wrapper ? `./${tool.wrapper.script}` : tool.command;
+    const archiveFile = path.posix.basename(analysis.artifactPath);
+
+    return {
+        builderImage: analysis.wrapper ? `eclipse-temurin:${analysis.javaVersion}-jdk` : tool.builderImage(analysis.javaVersion),
+        baseImage: `eclipse-temurin:${analysis.javaVersion}-jre`,
+        workdir: '/app',
+        port,
+        startCommand: formatCommandArguments(command || ['java', '-jar', archiveFile]),
+        buildTool: analysis.buildTool === 'maven' ? 'Maven' : 'Gradle',
+        manifestFiles: [...analysis.buildFiles, ...(analysis.wrapper ? [tool.wrapper.script] : [])].join(' '),
+        manifestDirectoryCopies: analysis.wrapper ? `COPY ${tool.wrapper.directory} ./${tool.wrapper.directory}` : '',
+        dependencyCommand: tool.dependencies(buildCommand),
+        buildCommand: tool.package(buildCommand, analysis.springBoot),
+        artifactPath: analysis.artifactPath,
+        archiveFile
+    };
+}
+
+// Function to render the multi-stage Dockerfile of a Java project from its template
+async function generateJavaDockerfile(analysis, { port = 8080, command = null, projectPath = process.cwd() } = {}) {
+    return renderProjectTemplate('java', projectPath, javaTemplateVariables(analysis, { port, command }));
+}
+
+export {
+    analyzeJavaProject,
+    generateJavaDockerfile,
+    javaTemplateVariables,
+    parsePomXml,
+    readSpringServerPort,
+    DEFAULT_JAVA_VERSION
+};
@@ -0,0 +1,250 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from '../logger.mjs';
+import { formatCommandArguments } from '../dockerfile.mjs';
+import { renderProjectTemplate } from '../templates.mjs';
+
+// Node.js major version used when neither .nvmrc nor engines.node pins one
+const DEFAULT_NODE_VERSION = '22';
+
+// Install, prune and run commands for each package manager. `install` installs everything
+// for the build, `installProduction` only runtime dependencies, and `prune` drops the dev
+// dependencies again after a build.
+const PACKAGE_MANAGERS = {
+    npm: {
+        lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+        install: 'npm ci',
+        installProduction: 'npm ci --omit=dev',
+        installWithoutLockfile: 'npm install',
+        installProductionWithoutLockfile: 'npm install --omit=dev',
+        prune: 'npm prune --omit=dev',
+        run: (script) => `npm run ${script}`,
+        // npm cannot build a workspace's dependencies first, so every workspace is built
+        runInWorkspace: (script) => `npm run ${script} --workspaces --if-present`,
+        start: ['npm', 'start']
+    },
+    yarn: {
+        lockfiles: ['yarn.lock'],
+        install: 'yarn install --frozen-lockfile',
+        installProduction: 'yarn install --frozen-lockfile --production',
+        prune: 'yarn install --frozen-lockfile --production --ignore-scripts --prefer-offline',
+        run: (script) => `yarn run ${script}`,
+        runInWorkspace: (script, packageName) => `yarn workspace ${packageName} run ${script}`,
+        start: ['yarn', 'start']
+    },
+    yarnBerry: {
+        lockfiles: ['yarn.lock'],
+        extraFiles: ['.yarnrc.yml', '.yarn/releases', '.yarn/plugins'],
+        install: 'yarn install --immutable',
+        installProduction: 'yarn workspaces focus --all --production',
+        prune: 'yarn workspaces focus --all --production',
+        run: (script) => `yarn run ${script}`,
+        runInWorkspace: (script, packageName) => `yarn workspaces foreach -Rt --from ${packageName} run ${script}`,
+        start: ['yarn', 'start']
+    },
+    pnpm: {
+        lockfiles: ['pnpm-lock.yaml'],
+        install: 'pnpm install --frozen-lockfile',
+        installProduction: 'pnpm install --frozen-lockfile --prod',
+        prune: 'pnpm prune --prod',
+        run: (script) => `pnpm run ${script}`,
+        runInWorkspace: (script, packageName) => `pnpm --filter "${packageName}..." run ${script}`,
+        start: ['pnpm', 'start']
+    }
+};
+
+// Function to read a file if it exists, resolving with null otherwise
+async function readOptionalFile(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+// Function to detect the package manager from the lockfile (and packageManager field for Yarn 2+)
+async function detectPackageManager(projectPath, packageJsonData) {
+    const declared = packageJsonData.packageManager || '';
+
+    if (await fs.pathExists(path.join(projectPath, 'pnpm-lock.yaml'))) {
+        return { name: 'pnpm', lockfile: 'pnpm-lock.yaml' };
+    }
+
+    if (await fs.pathExists(path.join(projectPath, 'yarn.lock'))) {
+        const isBerry = /^yarn@[2-9]/.test(declared) || await fs.pathExists(path.join(projectPath, '.yarnrc.yml'));
+        return { name: isBerry ? 'yarnBerry' : 'yarn', lockfile: 'yarn.lock' };
+    }
+
+    for (const lockfile of PACKAGE_MANAGERS.npm.lockfiles) {
+        if (await fs.pathExists(path.join(projectPath, lockfile))) {
+            return { name: 'npm', lockfile };
+        }
+    }
+
+    return { name: 'npm', lockfile: null };
+}
+
+// Function to pick a Node.js version from an engines.node range. The last alternative of
+// "a || b" is used, and open ranges (">=18") resolve to the default version within bounds.
+function nodeVersionFromEngines(range) {
+    const alternatives = range.split('||').map(alternative => alternative.trim()).filter(Boolean);
+    const alternative = alternatives[alternatives.length - 1];
+    if (!alternative) return null;
+
+    const lower = alternative.match(/>(=)?\s*v?(\d+)/);
+    const upper = alternative.match(/<(=)?\s*v?(\d+)/);
+
+    if (lower || upper) {
+        const minimum = lower ? Number(lower[2]) + (lower[1] ? 0 : 1) : 0;
+        const maximum = upper ? Number(upper[2]) - (upper[1] ? 0 : 1) : Infinity;
+        const preferred = Number(DEFAULT_NODE_VERSION);
+        return String(Math.max(minimum, Math.min(preferred, maximum)));
+    }
+
+    const major = alternative.match(/(\d+)/);
+    return major ? major[1] : null;
+}
+
+// Function to resolve the Node.js version from .nvmrc, then engines.node, then the default
+function resolveNodeVersion(nvmrcContent, packageJsonData) {
+    if (nvmrcContent) {
+        const version = nvmrcContent.trim().replace(/^v/, '');
+        // Aliases such as "lts/*" or "node" cannot be mapped to an image tag
+        if (/^\d+(\.\d+){0,2}$/.test(version)) {
+            return { version, source: '.nvmrc' };
+        }
+    }
+
+    const enginesNode = packageJsonData.engines?.node;
+    if (enginesNode) {
+        const version = nodeVersionFromEngines(enginesNode);
+        if (version) {
+            return { version, source: 'engines.node' };
+        }
+    }
+
+    return { version: DEFAULT_NODE_VERSION, source: 'default' };
+}
+
+// Function to derive the start command. A plain "node <file>" start script is run directly,
+// so node is PID 1 and receives signals; anything else goes through the package manager.
+function resolveStartCommand(packageJsonData, packageManager, hasIndexJs) {
+    const startScript = packageJsonData.scripts?.start;
+    if (startScript) {
+        const nodeCommand = startScript.trim().match(/^node\s+([^\s&|;]+)$/);
+        return nodeCommand ? ['node', nodeCommand[1]] : PACKAGE_MANAGERS[packageManager].start;
+    }
+
+    if (packageJsonData.main) {
+        return ['node', packageJsonData.main];
+    }
+
+    return hasIndexJs ? ['node', 'index.js'] : PACKAGE_MANAGERS[packageManager].start;
+}
+
+// Function to analyze package.json, the lockfile, .nvmrc and index.js for Node.js projects.
+// For a workspace package, pass `workspaceRoot`: the lockfile, package manager and
+// .nvmrc are then taken from the workspace root unless the package has its own.
+async function analyzeNodeProject(projectPath, { workspaceRoot = null } = {}) {
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    const indexJsPath = path.join(projectPath, 'index.js');
+
+    let packageJsonData = {};
+    const packageJson = await readOptionalFile(packageJsonPath);
+    if (packageJson) {
+        packageJsonData = JSON.parse(packageJson);
+    } else {
+        await log('No package.json found.');
+    }
+
+    const indexJsContent = await readOptionalFile(indexJsPath);
+    if (indexJsContent === null) {
+        await log('No index.js found.');
+    }
+
+    const managerRoot = workspaceRoot || projectPath;
+    const rootPackageJsonData = workspaceRoot
+        ? JSON.parse(await readOptionalFile(path.join(workspaceRoot, 'package.json')) || '{}')
+        : packageJsonData;
+
+    const packageManager = await detectPackageManager(managerRoot, rootPackageJsonData);
+    const nvmrc = await readOptionalFile(path.join(projectPath, '.nvmrc'))
+        ?? (workspaceRoot ? await readOptionalFile(path.join(workspaceRoot, '.nvmrc')) : null);
+    const nodeVersion = resolveNodeVersion(nvmrc, { ...packageJsonData, engines: packageJsonData.engines || rootPackageJsonData.engines });
+
+    const extraFiles = [];
+    for (const file of PACKAGE_MANAGERS[packageManager.name].extraFiles || []) {
+        if (await fs.pathExists(path.join(managerRoot, file))) extraFiles.push(file);
+    }
+    if (packageManager.name === 'pnpm' && await fs.pathExists(path.join(managerRoot, 'pnpm-workspace.yaml'))) {
+        extraFiles.push('pnpm-workspace.yaml');
+    }
+
+    const analysis = {
+        packageJsonData,
+        indexJsContent: indexJsContent || '',
+        packageManager: packageManager.name,
+        lockfile: packageManager.lockfile,
+        extraFiles,
+        nodeVersion: nodeVersion.version,
+        nodeVersionSource: nodeVersion.source,
+        hasBuildScript: Boolean(packageJsonData.scripts?.build),
+        startCommand: resolveStartCommand(packageJsonData, packageManager.name, indexJsContent !== null)
+    };
+
+    await log(`Node.js analysis: ${packageManager.name}${packageManager.lockfile ? ` (${packageManager.lockfile})` : ' (no lockfile)'}, Node ${analysis.nodeVersion} from ${analysis.nodeVersionSource}, build script: ${analysis.hasBuildScript ? 'yes' : 'no'}`);
+    return analysis;
+}
+
+// Function to derive the variables of the nodejs.Dockerfile template from the analysis. The builder
+// stage installs dependencies (all of them when there is a build script, to prune them afterwards)
+// and the slim runtime stage copies the result and runs as the unprivileged "node" user.
+// With `workspace` the whole workspace is installed from its root and the service's
+// directory (`workspace.relativePath`) becomes the working directory of the runtime stage.
+function nodeTemplateVariables(analysis, { port = 3000, command = null, workspace = null } = {}) {
+    const manager = PACKAGE_MANAGERS[analysis.packageManager];
+    const hasLockfile = Boolean(analysis.lockfile);
+
+    let installCommand;
+    if (analysis.hasBuildScript) {
+        installCommand = hasLockfile ? manager.install : manager.installWithoutLockfile || manager.install;
+    } else {
+        installCommand = hasLockfile ? manager.installProduction : manager.installProductionWithoutLockfile || manager.installProduction;
+    }
+
+    const manifestFiles = ['package.json', analysis.lockfile, ...analysis.extraFiles.filter(file => !file.includes('/'))].filter(Boolean);
+    const manifestDirectories = analysis.extraFiles.filter(file => file.includes('/'));
+
+    // Every workspace package's manifest is needed to install the workspace
+    const manifestCopies = manifestDirectories.map(directory => `COPY ${directory} ./${directory}`);
+    for (const packageDir of workspace?.packageDirs || []) {
+        manifestCopies.push(`COPY ${packageDir}/package.json ./${packageDir}/`);
+    }
+
+    const packageName = analysis.packageJsonData.name || workspace?.relativePath;
+
+    // A start command such as "pnpm start" needs the package manager in the runtime stage too
+    const startCommand = command || analysis.startCommand;
+    const startProgram = Array.isArray(startCommand) ? startCommand[0] : String(startCommand).trim().split(/\s+/)[0];
+    const runtimePackageManager = analysis.packageManager !== 'npm' && ['pnpm', 'yarn'].includes(startProgram) ? startProgram : '';
+
+    return {
+        baseImage: `node:${analysis.nodeVersion}-slim`,
+        workdir: '/app',
+        port,
+        startCommand: formatCommandArguments(startCommand),
+        packageManager: analysis.packageManager,
+        corepack: analysis.packageManager !== 'npm',
+        runtimePackageManager,
+        manifestFiles: manifestFiles.join(' '),
+        manifestDirectoryCopies: manifestCopies.join('\n'),
+        installCommand,
+        hasBuildScript: analysis.hasBuildScript,
+        buildCommand: workspace ? manager.runInWorkspace('build', packageName) : manager.run('build'),
+        pruneCommand: manager.prune,
+        serviceDir: workspace?.relativePath || ''
+    };
+}
+
+// Function to render the multi-stage Dockerfile of a Node.js project from its template
+async function generateNodeDockerfile(analysis, { port = 3000, command = null, workspace = null, projectPath = process.cwd() } = {}) {
+    return renderProjectTemplate('nodejs', projectPath, nodeTemplateVariables(analysis, { port, command, workspace }));
+}
+
+export { analyzeNodeProject, generateNodeDockerfile, nodeTemplateVariables, resolveNodeVersion, DEFAULT_NODE_VERSION };
@@ -0,0 +1,329 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from '../logger.mjs';
+import { formatCommandArguments } from '../dockerfile.mjs';
+import { readProjectDependencies } from '../dependencies.mjs';
+import { renderProjectTemplate } from '../templates.mjs';
+import { walkProject } from '../walker.mjs';
+
+// Python version used when neither .python-version, requires-python nor runtime.txt pins one
+const DEFAULT_PYTHON_VERSION = '3.12';
+
+// Where the dependencies are installed in the builder stage and copied from by the runtime stage
+const VIRTUAL_ENV = '/opt/venv';
+
+// How each dependency manager installs the main (non-development) dependencies into the virtual
+// environment of VIRTUAL_ENV. `tool` installs the manager itself, `add` installs more packages.
+const PACKAGE_MANAGERS = {
+    uv: {
+        tool: 'pip install --no-cache-dir uv',
+        install: (lockfile) => `UV_PROJECT_ENVIRONMENT=${VIRTUAL_ENV} uv sync${lockfile ? ' --frozen' : ''} --no-dev --no-install-project`,
+        // uv sync removes pip from the environment, so packages are added with uv as well
+        add: (packages) => `uv pip install ${packages.join(' ')}`
+    },
+    poetry: {
+        tool: 'pip install --no-cache-dir poetry',
+        // Poetry installs into the active virtual environment of VIRTUAL_ENV
+        install: () => 'poetry install --only main --no-root --no-interaction',
+        add: (packages) => `pip install --no-cache-dir ${packages.join(' ')}`
+    },
+    pipenv: {
+        tool: 'pip install --no-cache-dir pipenv',
+        install: (lockfile) => `${lockfile ? '' : 'pipenv lock && '}pipenv requirements > /tmp/requirements.txt && pip install --no-cache-dir -r /tmp/requirements.txt`,
+        add: (packages) => `pip install --no-cache-dir ${packages.join(' ')}`
+    },
+    pip: {
+        tool: null,
+        install: (lockfile, manifest) => manifest === 'requirements.txt' ? 'pip install --no-cache-dir -r requirements.txt' : 'pip install --no-cache-dir .',
+        add: (packages) => `pip install --no-cache-dir ${packages.join(' ')}`
+    }
+};
+
+// Files checked for the application object of Flask and FastAPI, most conventional first
+const APP_CANDIDATES = ['app.py', 'main.py', 'wsgi.py', 'asgi.py', 'run.py', 'server.py', 'application.py', 'src/app.py', 'src/main.py'];
+
+// Files run with `python` when the project uses none of the recognized frameworks
+const SCRIPT_CANDIDATES = ['app.py', 'main.py', 'run.py', 'server.py'];
+
+// How many Python files are read at most when looking for the application object
+const MAX_APP_SOURCES = 100;
+
+// Function to read a file if it exists, resolving with null otherwise
+async function readOptionalFile(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+// Function to read a string value of a TOML table, e.g. python_version in [requires] of a Pipfile
+function tomlValue(content, tableName, key) {
+    const lines = (content || '').split('\n');
+    const start = lines.findIndex(line => line.trim() === `[${tableName}]`);
+    if (start === -1) return null;
+
+    for (const line of lines.slice(start + 1)) {
+        if (/^\s*\[/.test(line)) break;
+        const match = line.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']+)["']`));
+        if (match) return match[1];
+    }
+    return null;
+}
+
+// Function to detect the dependency manager: uv.lock for uv, poetry.lock or [tool.poetry] for
+// Poetry, a Pipfile for Pipenv, and else pip with requirements.txt or the pyproject.toml project
+async function detectPackageManager(projectPath, pyproject) {
+    const exists = (file) => fs.pathExists(path.join(projectPath, file));
+
+    if (await exists('uv.lock')) {
+        return { name: 'uv', lockfile: 'uv.lock', manifest: 'pyproject.toml' };
+    }
+    if (await exists('poetry.lock') || /^\[tool\.poetry\]/m.test(pyproject || '')) {
+        return { name: 'poetry', lockfile: (await exists('poetry.lock')) ? 'poetry.lock' : null, manifest: 'pyproject.toml' };
+    }
+    if (await exists('Pipfile')) {
+        return { name: 'pipenv', lockfile: (await exists('Pipfile.lock')) ? 'Pipfile.lock' : null, manifest: 'Pipfile' };
+    }
+    if (await exists('requirements.txt')) {
+        return { name: 'pip', lockfile: null, manifest: 'requirements.txt' };
+    }
+    return { name: 'pip', lockfile: null, manifest: pyproject ? 'pyproject.toml' : null };
+}
+
+// Function to pick a Python version ("3.12") from a version specifier such as ">=3.10,<3.13",
+// "~=3.11" or Poetry's "^3.11". Open ranges resolve to the default version within bounds.
+function pythonVersionFromSpecifier(specifier) {
+    const defaultMinor = Number(DEFAULT_PYTHON_VERSION.split('.')[1]);
+    let minimum = 0;
+    let maximum = Infinity;
+
+    for (const clause of specifier.split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = clause.match(/^(>=|>|<=|<|==|~=|\^|~)?\s*3(?:\.(\d+|\*))?/);
+        if (!match) continue;
+
+        const operator = match[1] || '==';
+        const minor = match[2] === undefined || match[2] === '*' ? null : Number(match[2]);
+        if (minor === null) continue;
+
+        if (operator === '==' || operator === '~') {
+            return `3.${minor}`;
+        }
+        if (operator === '>=' || operator === '~=' || operator === '^') minimum = Math.max(minimum, minor);
+        if (operator === '>') minimum = Math.max(minimum, minor + (/^>\s*3\.\d+$/.test(clause) ? 1 : 0));
+        if (operator === '<') maximum = Math.min(maximum, /^<\s*3\.\d+$/.test(clause) ? minor - 1 : minor);
+        if (operator === '<=') maximum = Math.min(maximum, minor);
+    }
+
+    if (minimum === 0 && maximum === Infinity) return null;
+    return `3.${Math.max(minimum, Math.min(defaultMinor, maximum))}`;
+}
+
+// Function to resolve the Python version from .python-version, then requires-python (or the
+// python requirement of Poetry and Pipenv), then runtime.txt, then the default
+async function resolvePythonVersion(projectPath, pyproject) {
+    const pythonVersionFile = await readOptionalFile(path.join(projectPath, '.python-version'));
+    const pinned = pythonVersionFile?.trim().match(/^(?:python-?)?(3\.\d+)/);
+    if (pinned) {
+        return { version: pinned[1], source: '.python-version' };
+    }
+
+    const pipfile = await readOptionalFile(path.join(projectPath, 'Pipfile'));
+    const specifiers = [
+        ['requires-python', pyproject?.match(/^requires-python\s*=\s*["']([^"']+)["']/m)?.[1]],
+        ['tool.poetry.dependencies.python', tomlValue(pyproject, 'tool.poetry.dependencies', 'python')],
+        ['Pipfile python_version', tomlValue(pipfile, 'requires', 'python_version')]
+    ];
+    for (const [source, specifier] of specifiers) {
+        const version = specifier ? pythonVersionFromSpecifier(specifier) : null;
+        if (version) {
+            return { version, source };
+        }
+    }
+
+    const runtimeTxt = await readOptionalFile(path.join(projectPath, 'runtime.txt'));
+    const runtimeVersion = runtimeTxt?.trim().match(/^python-(3\.\d+)/);
+    if (runtimeVersion) {
+        return { version: runtimeVersion[1], source: 'runtime.txt' };
+    }
+
+    return { version: DEFAULT_PYTHON_VERSION, source: 'default' };
+}
+
+// Function to turn the path of a Python file into its module ("src/app/main.py" -> "app.main"
+// run from "src"), since applications with a src layout are started from that directory
+function moduleOfFile(relativePath) {
+    const parts = relativePath.replace(/\\/g, '/').replace(/\.py$/, '').replace(/\/__init__$/, '').split('/');
+    const appDir = parts[0] === 'src' && parts.length > 1 ? parts.shift() : null;
+    return { module: parts.join('.'), appDir };
+}
+
+// Function to find the WSGI application of a Django project from the settings module manage.py sets,
+// and whether its settings define STATIC_ROOT for collectstatic
+async function findDjangoApplication(projectPath) {
+    const manageScript = await readOptionalFile(path.join(projectPath, 'manage.py'));
+    const settingsModule = manageScript?.match(/DJANGO_SETTINGS_MODULE['"]\s*,\s*['"]([\w.]+)['"]/)?.[1];
+    if (!settingsModule) {
+        return null;
+    }
+
+    const projectPackage = settingsModule.split('.')[0];
+    const settingsPath = path.join(projectPath, ...settingsModule.split('.'));
+    const settingsFiles = [`${settingsPath}.py`, path.join(settingsPath, '__init__.py'), path.join(path.dirname(settingsPath), 'base.py')];
+    let staticRoot = false;
+    for (const file of settingsFiles) {
+        if (/^\s*STATIC_ROOT\s*=/m.test(await readOptionalFile(file) || '')) staticRoot = true;
+    }
+
+    return {
+        settingsModule,
+        wsgi: `${projectPackage}.wsgi:application`,
+        asgi: (await fs.pathExists(path.join(projectPath, projectPackage, 'asgi.py'))) ? `${projectPackage}.asgi:application` : null,
+        staticRoot
+    };
+}
+
+// Function to find the application object of a Flask or FastAPI project: `app = Flask(__name__)`,
+// `app = FastAPI()` or a Flask `create_app()` factory, in the conventional files first
+async function findApplicationObject(projectPath, constructor) {
+    const files = [
+        ...APP_CANDIDATES.map(candidate => path.join(projectPath, candidate)),
+        ...(await walkProject(projectPath, { maxDepth: 4 })).filter(file => file.endsWith('.py')).slice(0, MAX_APP_SOURCES)
+    ];
+
+    let factory = null;
+    for (const file of new Set(files)) {
+        const content = await readOptionalFile(file);
+        if (!content) continue;
+
+        const assignment = content.match(new RegExp(`^(\\w+)\\s*(?::\\s*\\w+\\s*)?=\\s*${constructor}\\(`, 'm'));
+        if (assignment) {
+            return { ...moduleOfFile(path.relative(projectPath, file)), object: assignment[1], source: path.relative(projectPath, file) };
+        }
+        if (!factory && constructor === 'Flask' && /^def create_app\(/m.test(content)) {
+            factory = { ...moduleOfFile(path.relative(projectPath, file)), object: 'create_app()', source: path.relative(projectPath, file) };
+        }
+    }
+    return factory;
+}
+
+// Function to recognize the web framework of the project and the server that runs it in production:
+// gunicorn for Django (WSGI) and Flask, uvicorn for FastAPI (ASGI)
+async function detectFramework(projectPath, dependencies) {
+    if (dependencies.includes('django') || await fs.pathExists(path.join(projectPath, 'manage.py'))) {
+        const django = await findDjangoApplication(projectPath);
+        if (django) {
+            return { framework: 'django', server: 'gunicorn', target: django.wsgi, appDir: null, source: 'manage.py', django };
+        }
+        await log('Django project without a DJANGO_SETTINGS_MODULE in manage.py, so its WSGI application is unknown.');
+    }
+
+    for (const [framework, constructor, server] of [['fastapi', 'FastAPI', 'uvicorn'], ['flask', 'Flask', 'gunicorn']]) {
+        if (!dependencies.includes(framework)) continue;
+
+        const application = await findApplicationObject(projectPath, constructor);
+        if (application) {
+            return { framework, server, target: `${application.module}:${application.object}`, appDir: application.appDir, source: application.source, django: null };
+        }
+        await log(`${constructor} is a dependency, but no ${constructor}() application object was found.`);
+    }
+
+    return null;
+}
+
+// Function to analyze the dependency manager, Python version, framework and application module
+// of a Python project
+async function analyzePythonProject(projectPath) {
+    const pyproject = await readOptionalFile(path.join(projectPath, 'pyproject.toml'));
+    const packageManager = await detectPackageManager(projectPath, pyproject);
+    const pythonVersion = await resolvePythonVersion(projectPath, pyproject);
+    const dependencies = await readProjectDependencies(projectPath, 'python');
+    const framework = await detectFramework(projectPath, dependencies);
+
+    let script = null;
+    for (const candidate of SCRIPT_CANDIDATES) {
+        if (await fs.pathExists(path.join(projectPath, candidate))) {
+            script = candidate;
+            break;
+        }
+    }
+
+    const analysis = {
+        packageManager: packageManager.name,
+        lockfile: packageManager.lockfile,
+        manifest: packageManager.manifest,
+        pythonVersion: pythonVersion.version,
+        pythonVersionSource: pythonVersion.source,
+        framework: framework?.framework || null,
+        server: framework?.server || null,
+        // gunicorn and uvicorn have to be installed to run the application
+        serverInstalled: framework ? dependencies.includes(framework.server) : false,
+        appTarget: framework?.target || null,
+        appDir: framework?.appDir || null,
+        appSource: framework?.source || null,
+        collectStatic: Boolean(framework?.django?.staticRoot),
+        script: script || 'app.py'
+    };
+
+    if (analysis.framework === 'django' && !analysis.collectStatic) {
+        await log('Django settings without STATIC_ROOT, so the static files are not collected in the image.');
+    }
+    await log(`Python analysis: ${analysis.packageManager}${analysis.lockfile ? ` (${analysis.lockfile})` : ''}, Python ${analysis.pythonVersion} from ${analysis.pythonVersionSource}, framework: ${analysis.framework ? `${analysis.framework} (${analysis.appTarget} in ${analysis.appSource}, served by ${analysis.server})` : 'none'}`);
+    return analysis;
+}
+
+// Function to derive the production command: gunicorn or uvicorn serving the application on the
+// port, or else `python <script>`
+function pythonStartCommand(analysis, port) {
+    if (analysis.server === 'gunicorn') {
+        return ['gunicorn', '--bind', `0.0.0.0:${port}`, ...(analysis.appDir ? ['--chdir', analysis.appDir] : []), analysis.appTarget];
+    }
+    if (analysis.server === 'uvicorn') {
+        return ['uvicorn', analysis.appTarget, '--host', '0.0.0.0', '--port', String(port), ...(analysis.appDir ? ['--app-dir', analysis.appDir] : [])];
+    }
+    return ['python', analysis.script];
+}
+
+// Function to derive the variables of the python.Dockerfile template from the analysis. The builder
+// stage installs the dependencies into a virtual environment with the project's dependency manager,
+// and the slim runtime stage copies the environment and the code and runs as an unprivileged user.
+function pythonTemplateVariables(analysis, { port = 5000, command = null } = {}) {
+    const manager = PACKAGE_MANAGERS[analysis.packageManager];
+
+    let installCommand = analysis.manifest ? manager.install(analysis.lockfile, analysis.manifest) : null;
+    if (analysis.server && !analysis.serverInstalled && !command) {
+        const addCommand = manager.add([analysis.server]);
+        installCommand = installCommand ? `${installCommand} && ${addCommand}` : addCommand;
+    }
+
+    // pip installs a pyproject.toml project with its code, so it needs all of it
+    const manifestFiles = analysis.packageManager === 'pip' && analysis.manifest === 'pyproject.toml'
+        ? ['.']
+        : [analysis.manifest, analysis.lockfile].filter(Boolean);
+
+    return {
+        baseImage: `python:${analysis.pythonVersion}-slim`,
+        workdir: '/app',
+        port,
+        startCommand: formatCommandArguments(command || pythonStartCommand(analysis, port)),
+        packageManager: analysis.packageManager,
+        toolInstallCommand: manager.tool,
+        virtualEnv: VIRTUAL_ENV,
+        manifestFiles: manifestFiles.join(' '),
+        installCommand,
+        // Settings that read the secret key from the environment fail to load without one,
+        // although collecting static files does not use it
+        collectStaticCommand: analysis.collectStatic
+            ? 'DJANGO_SECRET_KEY=collectstatic-placeholder SECRET_KEY=collectstatic-placeholder python manage.py collectstatic --noinput'
+            : null
+    };
+}
+
+// Function to render the multi-stage Dockerfile of a Python project from its template
+async function generatePythonDockerfile(analysis, { port = 5000, command = null, projectPath = process.cwd() } = {}) {
+    return renderProjectTemplate('python', projectPath, pythonTemplateVariables(analysis, { port, command }));
+}
+
+export {
+    analyzePythonProject,
+    generatePythonDockerfile,
+    pythonTemplateVariables,
+    pythonVersionFromSpecifier,
+    DEFAULT_PYTHON_VERSION
+};
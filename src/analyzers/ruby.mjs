@@ -0,0 +1,317 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from '../logger.mjs';
+import { formatCommandArguments } from '../dockerfile.mjs';
+import { renderProjectTemplate } from '../templates.mjs';
+
+// Ruby version used when neither the Gemfile, Gemfile.lock, .ruby-version nor .tool-versions pins one
+const DEFAULT_RUBY_VERSION = '3.3';
+
+// Groups of gems that are not installed in the image
+const EXCLUDED_GROUPS = ['development', 'test'];
+
+// Debian packages that gems with native extensions need: `build` to compile them in the builder
+// stage, `runtime` for the libraries they link against in the runtime stage
+const NATIVE_GEM_PACKAGES = {
+    pg: { build: ['libpq-dev'], runtime: ['libpq5'] },
+    mysql2: { build: ['default-libmysqlclient-dev'], runtime: ['libmariadb3'] }
+};
+
+// Packages every builder stage installs, since most bundles have at least one native extension
+const BUILD_PACKAGES = ['build-essential', 'git', 'pkg-config', 'libyaml-dev'];
+
+// Gems that compile assets with Node.js, which the Ruby image does not have
+const NODE_ASSET_GEMS = ['jsbundling-rails', 'cssbundling-rails', 'webpacker', 'shakapacker'];
+
+// Files run with `ruby` when the project is not a Rack application
+const SCRIPT_CANDIDATES = ['app.rb', 'main.rb', 'server.rb'];
+
+// Function to read a file if it exists, resolving with null otherwise
+async function readOptionalFile(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+// Function to drop a trailing # comment from a line of Ruby, leaving # inside strings alone
+function stripComment(line) {
+    let quote = null;
+    for (let index = 0; index < line.length; index++) {
+        const char = line[index];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#') {
+            return line.slice(0, index);
+        }
+    }
+    return line;
+}
+
+// Function to read the symbols of an option value: `:test`, `[:development, :test]`, `%i[mri windows]` or `"test"`
+function symbolList(value) {
+    return [...(value || '').replace(/^%[iIwW]/, '').matchAll(/:?["']?(\w+)["']?/g)].map(match => match[1]);
+}
+
+// Function to parse a Gemfile: every gem with its version requirements, groups and platforms (from
+// the gem's options and the `group` and `platforms` blocks around it), and the `ruby` directive
+async function parseGemfile(gemfileContent) {
+    await log('Starting to parse Gemfile...');
+    const gems = [];
+    let ruby = null;
+    // The blocks the current line is in, with the groups and platforms they apply
+    const blocks = [];
+
+    for (const rawLine of gemfileContent.split('\n')) {
+        const line = stripComment(rawLine).trim();
+        if (line === '') continue;
+
+        if (/^end\b/.test(line)) {
+            blocks.pop();
+            continue;
+        }
+
+        const block = line.match(/^(group|platforms?)\b\s*\(?(.*?)\)?\s+do\s*(\|.*\|)?$/);
+        if (block) {
+            blocks.push(block[1] === 'group' ? { groups: symbolList(block[2]) } : { platforms: symbolList(block[2]) });
+            continue;
+        }
+        // source, git, path and install_if blocks, and conditionals, end with `end` as well
+        if (/\bdo\s*(\|.*\|)?$/.test(line) || /^(if|unless|case|begin)\b/.test(line)) {
+            blocks.push({});
+            continue;
+        }
+
+        const rubyDirective = line.match(/^ruby\s*\(?\s*(?:["']([^"']+)["']|file:\s*["']([^"']+)["'])/);
+        if (rubyDirective) {
+            ruby = rubyDirective[1] ? { requirement: rubyDirective[1] } : { file: rubyDirective[2] };
+            continue;
+        }
+
+        const gem = line.match(/^gem\s*\(?\s*["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/);
+        if (!gem) continue;
+
+        const options = gem[3];
+        const optionValues = (name) => [...options.matchAll(new RegExp(`(?:\\b${name}s?:|:${name}s?\\s*=>)\\s*((?:%[iIwW])?\\[[^\\]]*\\]|:\\w+|["']\\w+["'])`, 'g'))]
+            .flatMap(match => symbolList(match[1]));
+
+        gems.push({
+            name: gem[1],
+            requirements: [...gem[2].matchAll(/["']([^"']*)["']/g)].map(match => match[1]),
+            groups: [...new Set([...blocks.flatMap(entry => entry.groups || []), ...optionValues('group')])],
+            platforms: [...new Set([...blocks.flatMap(entry => entry.platforms || []), ...optionValues('platform')])]
+        });
+    }
+
+    await log('Parsed dependencies from Gemfile: ' + JSON.stringify(gems.map(({ name, requirements, groups }) => ({ name, requirements, groups }))));
+    return { gems, ruby };
+}
+
+// Function to parse a Gemfile.lock: the locked version of every gem, the platforms the bundle is
+// locked for, the Ruby version and the Bundler version it was locked with (BUNDLED WITH)
+function parseGemfileLock(lockContent) {
+    const specs = {};
+    const platforms = [];
+    let ruby = null;
+    let bundler = null;
+    let section = null;
+
+    for (const line of lockContent.split('\n')) {
+        if (/^\S/.test(line)) {
+            section = line.trim();
+            continue;
+        }
+
+        if (['GEM', 'GIT', 'PATH'].includes(section)) {
+            // Gems are indented by 4 spaces, their own dependencies by 6
+            const spec = line.match(/^ {4}(\S+) \(([^)-]+)(?:-([^)]+))?\)$/);
+            if (spec && !specs[spec[1]]) specs[spec[1]] = spec[2];
+        } else if (section === 'PLATFORMS' && line.trim()) {
+            platforms.push(line.trim());
+        } else if (section === 'RUBY VERSION' && line.trim()) {
+            ruby = line.trim().match(/^ruby (\d+\.\d+(?:\.\d+)?)/)?.[1] || null;
+        } else if (section === 'BUNDLED WITH' && line.trim()) {
+            bundler = line.trim();
+        }
+    }
+
+    return { specs, platforms, ruby, bundler };
+}
+
+// Function to turn a version requirement ("3.2.2", "~> 3.2.0", ">= 3.1") into an image tag,
+// keeping an exact version and the minor version of a pessimistic one
+function rubyVersionFromRequirement(requirement) {
+    const match = String(requirement).trim().match(/^(~>|>=|>|=)?\s*(\d+)\.(\d+)(?:\.(\d+))?/);
+    if (!match) return null;
+
+    const [, operator, major, minor, patch] = match;
+    if (!operator || operator === '=') {
+        return patch !== undefined ? `${major}.${minor}.${patch}` : `${major}.${minor}`;
+    }
+    if (operator === '~>' && patch !== undefined) {
+        return `${major}.${minor}`;
+    }
+
+    // ">= 3.1" and "~> 3.1" (any 3.x from 3.1 on) allow the default version when it is new enough
+    const [defaultMajor, defaultMinor] = DEFAULT_RUBY_VERSION.split('.').map(Number);
+    const allowsDefault = operator === '~>'
+        ? defaultMajor === Number(major) && defaultMinor >= Number(minor)
+        : defaultMajor > Number(major) || (defaultMajor === Number(major) && defaultMinor >= Number(minor));
+    return allowsDefault ? DEFAULT_RUBY_VERSION : `${major}.${minor}`;
+}
+
+// Function to resolve the Ruby version from the `ruby` directive of the Gemfile, then the RUBY
+// VERSION of Gemfile.lock, then .ruby-version and .tool-versions, then the default
+async function resolveRubyVersion(projectPath, gemfile, lock) {
+    let directive = gemfile?.ruby?.requirement || null;
+    if (gemfile?.ruby?.file) {
+        directive = (await readOptionalFile(path.join(projectPath, gemfile.ruby.file)))?.trim().replace(/^ruby-/, '') || null;
+    }
+
+    const rubyVersionFile = (await readOptionalFile(path.join(projectPath, '.ruby-version')))?.trim().replace(/^ruby-/, '');
+    const toolVersions = (await readOptionalFile(path.join(projectPath, '.tool-versions')))?.match(/^ruby\s+(\S+)/m)?.[1];
+
+    const candidates = [['Gemfile ruby', directive], ['Gemfile.lock', lock?.ruby], ['.ruby-version', rubyVersionFile], ['.tool-versions', toolVersions]];
+    for (const [source, requirement] of candidates) {
+        const version = requirement ? rubyVersionFromRequirement(requirement) : null;
+        if (version) {
+            return { version, source };
+        }
+    }
+
+    return { version: DEFAULT_RUBY_VERSION, source: 'default' };
+}
+
+// Function to read the port from config/puma.rb: `port ENV.fetch("PORT") { 3000 }`, `port 3000`
+// or `bind "tcp://0.0.0.0:3000"`
+async function readPumaPort(projectPath) {
+    const pumaConfig = await readOptionalFile(path.join(projectPath, 'config/puma.rb'));
+    const match = (pumaConfig || '').match(/^\s*(?:port\s+(?:ENV\.fetch\(\s*["']PORT["']\s*(?:,\s*(\d{2,5})\s*)?\)\s*(?:\{\s*(\d{2,5})\s*\})?|(\d{2,5}))|bind\s+["']tcp:\/\/[^"':]*:(\d{2,5})["'])/m);
+    const port = match?.slice(1).find(Boolean);
+    return port ? Number(port) : null;
+}
+
+// Function to analyze the Gemfile, Gemfile.lock and config of a Ruby project: the Ruby and Bundler
+// versions, the framework (Rails, Hanami, Sinatra or plain Rack) and the server that runs it
+async function analyzeRubyProject(projectPath) {
+    const gemfileContent = await readOptionalFile(path.join(projectPath, 'Gemfile'));
+    const lockContent = await readOptionalFile(path.join(projectPath, 'Gemfile.lock'));
+    const gemfile = gemfileContent ? await parseGemfile(gemfileContent) : { gems: [], ruby: null };
+    const lock = lockContent ? parseGemfileLock(lockContent) : null;
+
+    // Gems of the development and test groups are not installed, and platform-specific gems only
+    // on their platforms (the image runs MRI on Linux). Without a Gemfile, the lock lists the gems.
+    const gems = gemfileContent
+        ? gemfile.gems
+            .filter(gem => gem.groups.length === 0 || gem.groups.some(group => !EXCLUDED_GROUPS.includes(group)))
+            .filter(gem => gem.platforms.length === 0 || gem.platforms.some(platform => /^(ruby|mri)/.test(platform)))
+            .map(gem => gem.name)
+        : Object.keys(lock?.specs || {});
+    const has = (name) => gems.includes(name);
+
+    let framework = null;
+    if (has('rails') || has('railties')) framework = 'rails';
+    else if (has('hanami')) framework = 'hanami';
+    else if (has('sinatra')) framework = 'sinatra';
+    else if (has('rack') || await fs.pathExists(path.join(projectPath, 'config.ru'))) framework = 'rack';
+
+    let script = null;
+    for (const candidate of SCRIPT_CANDIDATES) {
+        if (await fs.pathExists(path.join(projectPath, candidate))) {
+            script = candidate;
+            break;
+        }
+    }
+
+    const rubyVersion = await resolveRubyVersion(projectPath, gemfile, lock);
+    const nativePackages = Object.entries(NATIVE_GEM_PACKAGES).filter(([name]) => has(name)).map(([, packages]) => packages);
+
+    const analysis = {
+        rubyVersion: rubyVersion.version,
+        rubyVersionSource: rubyVersion.source,
+        bundlerVersion: lock?.bundler || null,
+        lockfile: Boolean(lock),
+        framework,
+        frameworkVersion: framework && lock ? lock.specs[framework === 'rails' ? 'railties' : framework] || null : null,
+        puma: has('puma'),
+        pumaConfig: await fs.pathExists(path.join(projectPath, 'config/puma.rb')),
+        rackup: await fs.pathExists(path.join(projectPath, 'config.ru')),
+        script: script || 'app.rb',
+        precompileAssets: framework === 'rails' && (has('sprockets-rails') || has('propshaft') || await fs.pathExists(path.join(projectPath, 'app/assets'))),
+        buildPackages: [...BUILD_PACKAGES, ...nativePackages.flatMap(packages => packages.build)],
+        runtimePackages: nativePackages.flatMap(packages => packages.runtime)
+    };
+
+    if (lock && !lock.platforms.some(platform => platform === 'ruby' || platform.includes('linux'))) {
+        await log(`Warning: Gemfile.lock is only locked for ${lock.platforms.join(', ')}, so bundle install fails in the Linux image. Run \`bundle lock --add-platform x86_64-linux aarch64-linux\` and commit Gemfile.lock.`);
+    }
+    const nodeAssetGems = NODE_ASSET_GEMS.filter(has);
+    if (analysis.precompileAssets && nodeAssetGems.length > 0) {
+        await log(`Warning: ${nodeAssetGems.join(', ')} build assets with Node.js, which the Ruby image does not have. Eject the ruby template and install Node.js in its builder stage.`);
+    }
+    await log(`Ruby analysis: Ruby ${analysis.rubyVersion} from ${analysis.rubyVersionSource}, Bundler ${analysis.bundlerVersion || 'of the image'}, framework: ${analysis.framework || 'none'}${analysis.frameworkVersion ? ` ${analysis.frameworkVersion}` : ''}, server: ${analysis.puma ? `puma${analysis.pumaConfig ? ' (config/puma.rb)' : ''}` : 'default'}`);
+    return analysis;
+}
+
+// Function to derive the production command: `rails server` for Rails, puma (or rackup) for other
+// Rack applications, and else `ruby <script>`, on the port
+function rubyStartCommand(analysis, port) {
+    if (analysis.framework === 'rails') {
+        return ['bundle', 'exec', 'rails', 'server', '-b', '0.0.0.0', '-p', String(port)];
+    }
+    if (analysis.rackup && analysis.puma) {
+        // A bind on the command line replaces the binds of config/puma.rb
+        return ['bundle', 'exec', 'puma', ...(analysis.pumaConfig ? ['-C', 'config/puma.rb'] : []), '-b', `tcp://0.0.0.0:${port}`];
+    }
+    if (analysis.rackup) {
+        return ['bundle', 'exec', 'rackup', '--host', '0.0.0.0', '--port', String(port)];
+    }
+    if (analysis.framework === 'sinatra') {
+        return ['bundle', 'exec', 'ruby', analysis.script, '-o', '0.0.0.0', '-p', String(port)];
+    }
+    return ['bundle', 'exec', 'ruby', analysis.script];
+}
+
+// Environment each framework reads to run in production
+const FRAMEWORK_ENVIRONMENTS = {
+    rails: 'RAILS_ENV=production RAILS_LOG_TO_STDOUT=1 RAILS_SERVE_STATIC_FILES=1',
+    hanami: 'HANAMI_ENV=production RACK_ENV=production',
+    sinatra: 'APP_ENV=production RACK_ENV=production'
+};
+
+// Function to derive the variables of the ruby.Dockerfile template from the analysis. The builder
+// stage compiles the gems (without the development and test groups) and precompiles the assets of
+// Rails, and the slim runtime stage copies the bundle and the application and runs as an
+// unprivileged user.
+function rubyTemplateVariables(analysis, { port = 3000, command = null } = {}) {
+    return {
+        baseImage: `ruby:${analysis.rubyVersion}-slim`,
+        workdir: '/app',
+        port,
+        startCommand: formatCommandArguments(command || rubyStartCommand(analysis, port)),
+        buildPackages: analysis.buildPackages.join(' '),
+        runtimePackages: analysis.runtimePackages.join(' '),
+        bundlerInstallCommand: analysis.bundlerVersion ? `gem install bundler -v ${analysis.bundlerVersion} --no-document` : null,
+        // frozen makes the install fail instead of changing a Gemfile.lock that is out of date
+        bundleConfigCommand: `bundle config set --local without '${EXCLUDED_GROUPS.join(' ')}'${analysis.lockfile ? ' && bundle config set --local frozen true' : ''}`,
+        manifestFiles: analysis.lockfile ? 'Gemfile Gemfile.lock' : 'Gemfile',
+        installCommand: 'bundle install --jobs 4 && rm -rf /usr/local/bundle/cache',
+        // Rails needs a secret key to boot, although precompiling does not use it
+        precompileCommand: analysis.precompileAssets ? 'RAILS_ENV=production SECRET_KEY_BASE=precompile-placeholder bundle exec rails assets:precompile' : null,
+        environment: FRAMEWORK_ENVIRONMENTS[analysis.framework] || 'RACK_ENV=production'
+    };
+}
+
+// Function to render the multi-stage Dockerfile of a Ruby project from its template
+async function generateRubyDockerfile(analysis, { port = 3000, command = null, projectPath = process.cwd() } = {}) {
+    return renderProjectTemplate('ruby', projectPath, rubyTemplateVariables(analysis, { port, command }));
+}
+
+export {
+    analyzeRubyProject,
+    generateRubyDockerfile,
+    rubyTemplateVariables,
+    parseGemfile,
+    parseGemfileLock,
+    readPumaPort,
+    DEFAULT_RUBY_VERSION
+};
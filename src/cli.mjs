@@ -1,20 +1,154 @@
-import { Command } from 'commander';
-import { scanProject, deployDocker, deployKubernetes, deployNginxConfig } from './scanner.mjs';
-import readline from 'readline';
-
-// Function to prompt user for input
-function promptUser(question) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
-
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            rl.close();
-            resolve(answer);
+import { Command, Option, Argument } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import ora from 'ora';
+import {
+    scanProject,
+    generateProjectDockerfile,
+    buildDockerImage,
+    getProjectStatus,
+    deployDocker,
+    deployCompose,
+    deployKubernetes,
+    deployNginxConfig,
+    rollbackDeployment
+} from './scanner.mjs';
+import { isDryRun, printDryRunPlan } from './plan.mjs';
+import { setLogToStderr } from './logger.mjs';
+import { createContext, promptUser, resolveRemote, DEPLOY_TARGETS } from './context.mjs';
+import { generateComposeFile } from './compose.mjs';
+import { generateKubernetesManifests, MANIFEST_FORMATS } from './kubernetes.mjs';
+import { serviceImageName } from './services.mjs';
+import { readState, listDeployments, describeDeployment } from './state.mjs';
+import { pushToRegistry, resolveRegistryImage } from './registry.mjs';
+import { describeContainer, findAppContainers, resolveContainerSettings, stopAppContainers, streamAppLogs } from './containers.mjs';
+import { lintDockerfileAtPath, failsLint, formatLintReport, SEVERITIES } from './lint.mjs';
+import { discoverEnvVariables, findMissingVariables, generateEnvExample, readEnvFile, ENV_EXAMPLE_FILE } from './env.mjs';
+import { listTemplates, resolveTemplate, templateFileName, templateVariables, ejectTemplate } from './templates.mjs';
+
+// Function to add the image options shared by every command that works with an image
+function withImageOptions(command) {
+    return command
+        .option('-n, --name <name>', 'name for the Docker image')
+        .option('-t, --tag <tag>', 'tag for the Docker image')
+        .option('-y, --yes', 'accept defaults for every value not given by flags or config');
+}
+
+// Function to add the dry-run options for commands that write files or run external tools
+function withDryRunOptions(command) {
+    return command
+        .option('--dry-run', 'print the planned commands and generated files instead of running anything')
+        .option('-o, --output-dir <dir>', 'with --dry-run, write generated files here instead of printing a diff');
+}
+
+// Function to add the options that override the inferred port and start command
+function withRuntimeOptions(command) {
+    return command
+        .option('-p, --port <port>', 'port the application listens on (overrides inference)')
+        .option('--command <command>', 'command that starts the application (overrides inference)');
+}
+
+// Function to collect a repeatable, comma-separated option into a list
+function collectList(value, previous = []) {
+    return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+// Function to add the option that narrows a monorepo down to some of its services
+function withServiceOptions(command) {
+    return command
+        .option('-s, --service <name>', 'only work on this service of a monorepo (repeatable, or comma-separated)', collectList);
+}
+
+// Function to add the remote host options used by the remote deploy target
+function withRemoteOptions(command) {
+    return command
+        .option('--remote-host <host>', 'remote Docker host for the remote deploy target: a host, ssh://user@host or tcp://host:2376')
+        .option('--remote-user <user>', 'username for SSH when the remote host is a bare host name')
+        .option('--docker-context <name>', 'Docker context of the remote Docker host, instead of --remote-host');
+}
+
+// Function to add the options of the container the local deploy target runs
+function withContainerOptions(command) {
+    return command
+        // Not --env-file: Node 20 reads that flag itself, even after the script name
+        .option('--container-env-file <file>', 'with the local and remote targets, pass the variables of this file to the container (default: .env, when it exists)')
+        .option('-v, --volume <spec>', 'with the local target, mount a host path or volume: <source>:<container path>[:ro] (repeatable)', (value, previous = []) => previous.concat(value))
+        .option('--restart <policy>', 'with the local and remote targets, the restart policy: no, always, unless-stopped or on-failure')
+        .option('--host-port <port>', 'with the local target, publish the app on this host port instead of its own');
+}
+
+// Function to add the options of the reverse proxy the nginx deploy target sets up
+function withNginxOptions(command) {
+    return command
+        .option('--server-name <name>', 'with the nginx target, a host name nginx serves the app on (repeatable, or comma-separated)', collectList)
+        .option('--upstream <host:port>', 'with the nginx target, where nginx reaches the app (defaults to where it was deployed)')
+        .option('--tls-cert <file>', 'with the nginx target, the TLS certificate (with --tls-key, serves HTTPS and redirects HTTP to it)')
+        .option('--tls-key <file>', 'with the nginx target, the key of the TLS certificate')
+        .option('--nginx-dir <dir>', 'with the nginx target, the nginx config directory (default: /etc/nginx)');
+}
+
+// Function to add the options that push the built image to a registry
+function withRegistryOptions(command) {
+    return command
+        .option('--registry <prefix>', 'registry (and namespace) to push the image to, e.g. registry.example.com/team or localhost:5000')
+        .option('--push', 'push the image to the registry after building it');
+}
+
+// Function to push the image of every selected service to the context's registry
+async function pushImages(context) {
+    for (const service of context.services) {
+        const image = serviceImageName(context.projectName, service);
+        const spinner = ora(`Pushing ${image}:${context.imageTag} to ${context.registry}...`).start();
+        try {
+            const { image: pushed, digest } = await pushToRegistry(service.path, image, context.imageTag, context.registry, { spinner });
+            spinner.succeed(`Pushed ${pushed}${digest ? ` (${digest})` : ''}.`);
+        } catch (err) {
+            spinner.fail(`Push failed: ${err.message}`);
+            throw err;
+        }
+    }
+}
+
+// Function to deploy the image of every selected service to the context's deploy target
+async function deploy(context) {
+    for (const service of context.services) {
+        await deployService(context, service);
+    }
+}
+
+// Function to deploy the image of one service to the context's deploy target
+async function deployService(context, service) {
+    const { imageTag, deployTarget } = context;
+    const { path: projectPath, runtime } = service;
+    const projectName = serviceImageName(context.projectName, service);
+    const variables = context.variables?.get(projectPath) || null;
+    // Clusters and remote hosts pull an image that is in a registry, pinned to its pushed digest
+    const image = context.registry && (deployTarget === 'k8s' || deployTarget === 'remote')
+        ? await resolveRegistryImage(projectPath, projectName, imageTag, context.registry)
+        : null;
+
+    if (deployTarget === 'local' && context.compose) {
+        await deployCompose(projectPath, projectName, imageTag, { runtime, contextDir: service.contextDir, dockerfile: service.dockerfile, container: context.container });
+    } else if (deployTarget === 'local') {
+        await deployDocker(projectPath, projectName, imageTag, null, null, { runtime, container: context.container, variables });
+    } else if (deployTarget === 'remote') {
+        await deployDocker(projectPath, projectName, imageTag, context.remote, null, { runtime, container: context.container, image, pull: Boolean(image), variables });
+    } else if (deployTarget === 'k8s') {
+        // Pass the projectPath to deployKubernetes
+        await deployKubernetes(projectName, projectPath, {
+            imageTag,
+            image,
+            runtime,
+            kubernetes: context.config.kubernetes,
+            partOf: service.root ? null : context.projectName,
+            variables
         });
-    });
+    } else if (deployTarget === 'nginx') {
+        await deployNginxConfig(projectName, projectPath, { runtime, nginx: context.nginx });
+    } else {
+        console.log('Invalid deployment option. Skipping deployment.');
+    }
 }
 
 const program = new Command();
@@ -22,50 +156,487 @@ const program = new Command();
 program
   .name('dockerizer')
   .description('CLI tool to create Dockerfiles for projects')
-  .version('1.0.0');
+  .version('1.0.0')
+  .hook('postAction', () => printDryRunPlan());
 
-program
-  .command('scan')
-  .description('Scan a project and generate a Dockerfile')
+withDryRunOptions(withRuntimeOptions(withServiceOptions(withRegistryOptions(withNginxOptions(withContainerOptions(withRemoteOptions(withImageOptions(program.command('scan')))))))))
+  .description('Scan a project, generate a Dockerfile, build the image and optionally deploy it')
   .argument('<projectPath>', 'Path to the project directory')
-  .action(async (projectPath) => {
-      // Prompt the user for the Docker image name and tag
-      const projectName = await promptUser('Enter the name for the Docker image: ');
-      const imageTag = await promptUser('Enter the tag for the Docker image: ');
+  .addOption(new Option('--deploy <target>', 'deploy the image after building').choices(DEPLOY_TARGETS))
+  .option('--no-deploy', 'skip deployment after building')
+  .option('--compose', 'with the local target, start the app and its backing services with Docker Compose')
+  .action(async (projectPath, options) => {
+      // Resolve everything that does not need a prompt before the build starts,
+      // so non-interactive runs fail fast instead of after a long build
+      const context = await createContext(projectPath, options, { image: true, deploy: true, runtime: true });
 
-      console.log(`User entered Docker image name: ${projectName}`);
-      console.log(`User entered Docker image tag: ${imageTag}`);
+      console.log(`Using Docker image name: ${context.projectName}`);
+      console.log(`Using Docker image tag: ${context.imageTag}`);
 
       // Pass the projectName and imageTag to scanProject and wait for it to complete
-      await scanProject(projectPath, projectName, imageTag);
+      const results = await scanProject(projectPath, context.projectName, context.imageTag, { services: context.services, lintIgnore: context.config.lint?.ignore });
+      // The deploy checks the env file against the variables the scan found in each service
+      context.variables = new Map(results.map(({ service, variables }) => [service.path, variables]));
 
       // Ensure the build is completely finished before asking for deployment
       console.log('Docker image build complete.');
 
-      // Prompt the user for deployment options
-      const deployOption = await promptUser('Do you want to deploy the image? (yes/no): ');
-
-      if (deployOption.toLowerCase() === 'yes') {
-          const deployType = await promptUser('Deploy locally, remotely, to Kubernetes, or with Nginx? (local/remote/k8s/nginx): ');
-
-          if (deployType === 'local') {
-              await deployDocker(projectPath, projectName, imageTag);
-          } else if (deployType === 'remote') {
-              const remoteHost = await promptUser('Enter the remote Docker host: ');
-              const remoteUser = await promptUser('Enter the username for the remote host: ');
-              const remotePassword = await promptUser('Enter the password for the remote host: ');
-              await deployDocker(projectPath, projectName, imageTag, remoteHost, remoteUser, remotePassword);
-          } else if (deployType === 'k8s') {
-              // Pass the projectPath to deployKubernetes
-              await deployKubernetes(projectName, projectPath);
-          } else if (deployType === 'nginx') {
-              await deployNginxConfig(projectName);
+      if (context.push) {
+          await pushImages(context);
+      }
+
+      // Prompt the user for deployment options when neither flags nor config decided it
+      if (context.deployTarget === undefined) {
+          const deployOption = await promptUser('Do you want to deploy the image? (yes/no): ');
+          context.deployTarget = deployOption.toLowerCase() === 'yes'
+              ? await promptUser('Deploy locally, remotely, to Kubernetes, or with Nginx? (local/remote/k8s/nginx): ')
+              : null;
+
+          if (context.deployTarget === 'remote') {
+              await resolveRemote(context);
+          }
+      }
+
+      if (context.deployTarget === null) {
+          console.log('Skipping deployment.');
+          return;
+      }
+
+      await deploy(context);
+  });
+
+withDryRunOptions(withRuntimeOptions(withServiceOptions(program.command('generate'))))
+  .description('Detect the project type and write its Dockerfile without building')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-f, --force', 'overwrite an existing Dockerfile')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { runtime: true });
+      for (const service of context.services) {
+          const { dockerfilePath } = await generateProjectDockerfile(service.path, {
+              force: options.force,
+              runtime: service.runtime,
+              workspace: service.workspace
+          });
+          if (!dockerfilePath) {
+              process.exitCode = 1;
+          }
+      }
+  });
+
+withDryRunOptions(withServiceOptions(withRegistryOptions(withImageOptions(program.command('build')))))
+  .description('Build the Docker image from the project\'s existing Dockerfile')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, services: true });
+      for (const service of context.services) {
+          const image = serviceImageName(context.projectName, service);
+          const spinner = ora(`Building Docker image ${image}:${context.imageTag}...`).start();
+          try {
+              await buildDockerImage(service.path, image, context.imageTag, spinner, {
+                  contextDir: service.contextDir,
+                  dockerfile: service.dockerfile
+              });
+              spinner.succeed(isDryRun() ? `Docker image '${image}:${context.imageTag}' would be built (dry run).` : `Docker image '${image}:${context.imageTag}' built successfully.`);
+          } catch (err) {
+              spinner.fail(`Docker build failed: ${err.message}`);
+              throw err;
+          }
+      }
+
+      if (context.push) {
+          await pushImages(context);
+      }
+  });
+
+withDryRunOptions(withServiceOptions(withImageOptions(program.command('push'))))
+  .description('Tag the built image with the registry prefix and push it with the credentials of the Docker config')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--registry <prefix>', 'registry (and namespace) to push the image to, e.g. registry.example.com/team or localhost:5000')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, services: true });
+      if (!context.registry) {
+          throw new Error('Nowhere to push the image: pass --registry <host/prefix> or set "registry" in dockerizer.config.yaml.');
+      }
+      await pushImages(context);
+  });
+
+withDryRunOptions(withRuntimeOptions(withServiceOptions(withRegistryOptions(withNginxOptions(withContainerOptions(withRemoteOptions(withImageOptions(program.command('deploy')))))))))
+  .description('Deploy an already built image')
+  .addArgument(new Argument('<target>', 'where to deploy').choices(DEPLOY_TARGETS))
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--compose', 'with the local target, start the app and its backing services with Docker Compose')
+  .action(async (target, projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, deployTarget: target, runtime: true });
+      if (context.push) {
+          await pushImages(context);
+      }
+      await deploy(context);
+  });
+
+withDryRunOptions(withRuntimeOptions(withServiceOptions(withImageOptions(program.command('compose')))))
+  .description('Write a docker-compose.yml with the app and the databases and caches it depends on')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-f, --force', 'overwrite an existing docker-compose.yml')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, runtime: true });
+      if (context.services.length > 1) {
+          throw new Error(`The project has several services (${context.services.map(service => service.name).join(', ')}). Select one with --service.`);
+      }
+
+      const [service] = context.services;
+      const { composePath, services } = await generateComposeFile(service.path, serviceImageName(context.projectName, service), context.imageTag, {
+          runtime: service.runtime,
+          force: options.force,
+          contextDir: service.contextDir,
+          dockerfile: service.dockerfile,
+          envFile: resolveContainerSettings(context.container).envFile
+      });
+
+      if (!services) {
+          console.log(chalk.yellow(`${composePath} already exists. Use --force to overwrite it.`));
+          return;
+      }
+      console.log(chalk.green(`✔ Compose file written to ${composePath}`));
+      console.log(`Backing services: ${services.length > 0 ? services.join(', ') : 'none detected'}`);
+  });
+
+withDryRunOptions(withRuntimeOptions(withServiceOptions(withImageOptions(program.command('k8s')))))
+  .description('Write the Kubernetes manifests, Helm chart or Kustomize overlays of each service into its k8s/ directory')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .addOption(new Option('--format <format>', 'output format (defaults to kubernetes.format in the config, else raw)').choices(MANIFEST_FORMATS))
+  .option('-f, --force', 'overwrite earlier output in the k8s/ directory')
+  .option('--registry <prefix>', 'reference the image pushed to this registry, by digest when its push is recorded')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, runtime: true });
+      const config = { ...context.config.kubernetes, ...(options.format ? { format: options.format } : {}) };
+      for (const service of context.services) {
+          const projectName = serviceImageName(context.projectName, service);
+          const { directory, format, files, generated } = await generateKubernetesManifests(service.path, projectName, context.imageTag, {
+              image: context.registry ? await resolveRegistryImage(service.path, projectName, context.imageTag, context.registry) : null,
+              runtime: service.runtime,
+              config,
+              partOf: service.root ? null : context.projectName,
+              force: options.force
+          });
+
+          if (!generated) {
+              console.log(chalk.yellow(`${directory} already holds ${format} output. Use --force to overwrite it.`));
+              continue;
+          }
+          console.log(chalk.green(`✔ Kubernetes ${format} output written to ${directory}`));
+          console.log(`Files: ${files.map(file => path.relative(directory, file)).join(', ')}`);
+      }
+  });
+
+withServiceOptions(withImageOptions(program.command('status')))
+  .description('Show the detected project type, Dockerfile, image and running containers')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { image: true, services: true });
+
+      for (const service of context.services) {
+          const status = await getProjectStatus(service.path, serviceImageName(context.projectName, service), context.imageTag, {
+              dockerfile: path.join(service.contextDir, service.dockerfile)
+          });
+
+          if (context.services.length > 1) {
+              console.log(chalk.bold(`\nService ${service.name} (${service.relativePath})`));
+          }
+          console.log(`Project type: ${status.projectType || chalk.yellow('unknown')}${status.projectType ? ` (confidence ${Math.round(status.confidence * 100)}%)` : ''}`);
+          console.log(`Dockerfile:   ${status.dockerfile || chalk.yellow('missing (run `dockerizer generate`)')}`);
+          console.log(`Image:        ${status.image} ${status.imageId ? chalk.green(`built ${status.imageCreated}`) : chalk.yellow('not built (run `dockerizer build`)')}`);
+
+          if (status.containers.length === 0) {
+              console.log('Containers:   none running');
           } else {
-              console.log('Invalid deployment option. Skipping deployment.');
+              console.log('Containers:');
+              for (const container of status.containers) {
+                  console.log(`  ${container.name} (${container.id}) ${container.status} ${container.ports}`);
+              }
           }
+      }
+  });
+
+withServiceOptions(program.command('history'))
+  .description('List the recorded deployments of the project, newest first')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .addOption(new Option('--target <target>', 'only list deployments to this target').choices(DEPLOY_TARGETS))
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { services: true });
+
+      for (const service of context.services) {
+          if (context.services.length > 1) {
+              console.log(chalk.bold(`\nService ${service.name} (${service.relativePath})`));
+          }
+
+          const deployments = listDeployments(await readState(service.path), { target: options.target });
+          if (deployments.length === 0) {
+              console.log('No deployments recorded.');
+              continue;
+          }
+
+          // The newest deployment of each app to each target is what runs there now
+          const seen = new Set();
+          for (const deployment of deployments) {
+              const key = `${deployment.target}/${deployment.name}`;
+              const marker = seen.has(key) ? '       ' : chalk.green('current');
+              seen.add(key);
+              console.log(`${String(deployment.revision).padStart(4)}  ${marker}  ${new Date(deployment.timestamp).toLocaleString()}  ${deployment.target.padEnd(6)}  ${(deployment.image || deployment.name).padEnd(28)}  ${describeDeployment(deployment)}`);
+          }
+      }
+  });
+
+withDryRunOptions(withServiceOptions(withRemoteOptions(program.command('rollback'))))
+  .description('Deploy the previous image again to the target it was deployed to')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--to <revision>', 'revision to roll back to (see `dockerizer history`)')
+  .addOption(new Option('--target <target>', 'target to roll back (defaults to the target deployed to last)').choices(DEPLOY_TARGETS))
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, options, { runtime: true });
+      if (context.services.length > 1) {
+          throw new Error(`The project has several services (${context.services.map(service => service.name).join(', ')}). Select one with --service.`);
+      }
+
+      // --remote-host and --docker-context roll a remote deploy back on that daemon instead of the recorded one
+      if (options.remoteHost || options.dockerContext) {
+          await resolveRemote(context);
+      }
+
+      const [service] = context.services;
+      await rollbackDeployment(service.path, {
+          to: options.to,
+          target: options.target,
+          runtime: service.runtime,
+          kubernetes: context.config.kubernetes,
+          container: context.container,
+          remote: context.config.remote,
+          endpoint: context.remote,
+          nginx: context.nginx
+      });
+  });
+
+withServiceOptions(program.command('ps'))
+  .description('List the containers the local deploy target started for the project')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-n, --name <name>', 'image name prefix (defaults to the directory name)')
+  .option('-a, --all', 'list the containers of every app deployed with dockerizer on this Docker host')
+  .action(async (projectPath, options) => {
+      // Listing never prompts: image names use the defaults for anything not configured
+      const context = await createContext(projectPath, { ...options, yes: true }, { image: true, services: true });
+      const names = options.all ? [null] : context.services.map(service => serviceImageName(context.projectName, service));
+
+      const containers = [];
+      for (const name of names) {
+          containers.push(...(await findAppContainers(name)).map(describeContainer));
+      }
+      if (containers.length === 0) {
+          console.log(options.all ? 'No containers deployed with dockerizer.' : `No containers of ${names.join(', ')}. Deploy with \`dockerizer deploy local\`.`);
+          return;
+      }
+
+      for (const container of containers) {
+          const status = container.status.padEnd(24);
+          console.log(`${container.name.padEnd(24)} ${container.id}  ${container.image.padEnd(28)} ${container.state === 'running' ? chalk.green(status) : chalk.yellow(status)} ${container.ports}${options.all && container.project ? chalk.dim(`  ${container.project}`) : ''}`);
+      }
+  });
+
+withServiceOptions(program.command('logs'))
+  .description('Print the output of the container the local deploy target started')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-n, --name <name>', 'image name prefix (defaults to the directory name)')
+  .option('-f, --follow', 'keep printing the output until the container stops or Ctrl+C')
+  .option('--tail <lines>', 'number of lines to show from the end of the output', '100')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, { ...options, yes: true }, { image: true, services: true });
+      if (context.services.length > 1) {
+          throw new Error(`The project has several services (${context.services.map(service => service.name).join(', ')}). Select one with --service.`);
+      }
+
+      await streamAppLogs(serviceImageName(context.projectName, context.services[0]), {
+          follow: Boolean(options.follow),
+          tail: options.tail === 'all' ? 'all' : Number(options.tail)
+      });
+  });
+
+withDryRunOptions(withServiceOptions(program.command('stop')))
+  .description('Stop the containers the local deploy target started for the project')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-n, --name <name>', 'image name prefix (defaults to the directory name)')
+  .option('--rm', 'remove the containers after stopping them')
+  .action(async (projectPath, options) => {
+      const context = await createContext(projectPath, { ...options, yes: true }, { image: true, services: true });
+      for (const service of context.services) {
+          const name = serviceImageName(context.projectName, service);
+          const stopped = await stopAppContainers(name, { remove: options.rm });
+          if (stopped.length > 0) {
+              console.log(chalk.green(`✔ ${options.rm ? 'Removed' : 'Stopped'} ${stopped.map(container => container.name).join(', ')}`));
+          } else if (!options.dryRun) {
+              console.log(`No containers of ${name} to stop.`);
+          }
+      }
+  });
+
+withServiceOptions(program.command('services'))
+  .description('List the deployable services found in the project')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('-n, --name <name>', 'image name prefix (defaults to the directory name)')
+  .action(async (projectPath, options) => {
+      // Listing never prompts: image names use the defaults for anything not configured
+      const context = await createContext(projectPath, { ...options, yes: true }, { image: true, services: true });
+      for (const service of context.services) {
+          const origin = service.workspace ? chalk.dim(` (workspace package, built from ${path.relative(process.cwd(), service.contextDir) || '.'})`) : '';
+          console.log(`${service.name.padEnd(20)} ${(service.type || 'unknown').padEnd(7)} ${service.relativePath.padEnd(24)} ${serviceImageName(context.projectName, service)}${origin}`);
+      }
+  });
+
+withDryRunOptions(withServiceOptions(program.command('env')))
+  .description('List the environment variables the application reads and write them to a .env.example')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--container-env-file <file>', 'env file the variables are checked against (default: .env)')
+  .option('-w, --write', `write the variables found to ${ENV_EXAMPLE_FILE}`)
+  .option('-f, --force', `overwrite an existing ${ENV_EXAMPLE_FILE}`)
+  .addOption(new Option('--format <format>', 'output format').choices(['human', 'json']).default('human'))
+  .action(async (projectPath, options) => {
+      if (options.format === 'json') {
+          setLogToStderr(true);
+      }
+
+      const context = await createContext(projectPath, options, { services: true });
+      const envFile = context.container.envFile ?? '.env';
+      const secretKeys = context.config.kubernetes?.env?.secretKeys || [];
+
+      const reports = [];
+      for (const service of context.services) {
+          const variables = await discoverEnvVariables(service.path, { secretKeys });
+          const values = envFile === false ? {} : await readEnvFile(path.resolve(service.path, envFile));
+          const missing = findMissingVariables(variables, values).map(variable => variable.name);
+          const written = options.write ? await generateEnvExample(service.path, { force: options.force, variables }) : null;
+          reports.push({
+              service: service.name,
+              envFile: envFile === false ? null : path.join(service.relativePath, envFile),
+              variables: variables.map(variable => ({ ...variable, set: Boolean(values[variable.name]) })),
+              missing,
+              example: path.join(service.path, ENV_EXAMPLE_FILE),
+              written: Boolean(written)
+          });
+      }
+
+      if (options.format === 'json') {
+          console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+          return;
+      }
+
+      for (const report of reports) {
+          if (reports.length > 1) {
+              console.log(chalk.bold(`\nService ${report.service}`));
+          }
+          if (report.variables.length === 0) {
+              console.log('No environment variables found in the source code.');
+              continue;
+          }
+
+          for (const variable of report.variables) {
+              const status = variable.set ? chalk.green('set'.padEnd(8)) : variable.required ? chalk.red('missing'.padEnd(8)) : chalk.dim('default'.padEnd(8));
+              const notes = [variable.required ? 'required' : null, variable.secret ? 'secret' : null].filter(Boolean).join(', ');
+              const defaultValue = variable.defaultValue !== null && !variable.secret ? ` = ${variable.defaultValue}` : '';
+              console.log(`${variable.name.padEnd(28)} ${status} ${notes.padEnd(18)} ${chalk.dim(variable.sources.join(', '))}${defaultValue}`);
+          }
+          if (report.missing.length > 0) {
+              console.log(chalk.yellow(`\n${report.missing.length} required variable(s) without a value${report.envFile ? ` in ${report.envFile}` : ''}: ${report.missing.join(', ')}`));
+          }
+          if (report.written) {
+              console.log(chalk.green(`✔ ${ENV_EXAMPLE_FILE} written to ${report.example}`));
+          } else if (options.write) {
+              console.log(chalk.yellow(`${report.example} already exists. Use --force to overwrite it.`));
+          }
+      }
+  });
+
+withServiceOptions(program.command('lint'))
+  .description('Check the project\'s Dockerfile for common problems')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--file <dockerfile>', 'Dockerfile to check, relative to the project (defaults to each service\'s Dockerfile)')
+  .addOption(new Option('--format <format>', 'output format').choices(['human', 'json']).default('human'))
+  .addOption(new Option('--fail-on <severity>', 'exit with code 1 when a problem of this severity or higher is found').choices([...SEVERITIES, 'none']).default('error'))
+  .option('--ignore <rules>', 'comma-separated rules to skip', collectList)
+  .action(async (projectPath, options) => {
+      if (options.format === 'json') {
+          setLogToStderr(true);
+      }
+
+      const context = await createContext(projectPath, options, { services: !options.file });
+      const ignore = [...(context.config.lint?.ignore || []), ...(options.ignore || [])];
+      const dockerfiles = options.file
+          ? [path.resolve(context.projectPath, options.file)]
+          : context.services.map(service => path.join(service.contextDir, service.dockerfile));
+
+      const reports = [];
+      for (const dockerfile of dockerfiles) {
+          reports.push(await lintDockerfileAtPath(dockerfile, { ignore }));
+      }
+
+      if (options.format === 'json') {
+          // One report per Dockerfile, in an array even when there is only one
+          console.log(JSON.stringify(reports, null, 2));
       } else {
-          console.log('Skipping deployment.');
+          console.log(reports.map(report => formatLintReport(report)).join('\n\n'));
+      }
+
+      if (reports.some(report => failsLint(report, options.failOn))) {
+          process.exitCode = 1;
+      }
+  });
+
+const templates = program
+  .command('templates')
+  .description('List, show and eject the Dockerfile and .dockerignore templates');
+
+templates
+  .command('list')
+  .description('List the templates and where each one is loaded from')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .action(async (projectPath) => {
+      for (const template of await listTemplates(projectPath)) {
+          const overrides = template.overrides.length > 0
+              ? chalk.dim(` (overrides ${template.overrides.map(override => override.scope).join(', ')})`)
+              : '';
+          console.log(`${template.name.padEnd(22)} ${template.scope.padEnd(8)} ${template.path}${overrides}`);
       }
   });
 
-program.parse(process.argv);
\ No newline at end of file
+templates
+  .command('show')
+  .description('Print the template that would be used, e.g. "python" or "nodejs.dockerignore"')
+  .argument('<name>', 'template name')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--variables', 'list the variables the template uses instead of its content')
+  .action(async (name, projectPath, options) => {
+      const template = await resolveTemplate(name, projectPath);
+      if (!template) {
+          throw new Error(`No template available: ${templateFileName(name)}`);
+      }
+
+      const content = await fs.readFile(template.path, 'utf-8');
+      if (options.variables) {
+          console.log(templateVariables(content, template.path).join('\n'));
+      } else {
+          console.log(content);
+      }
+  });
+
+templates
+  .command('eject')
+  .description('Copy a template into .dockerizer/templates of the project (or the user directory) to customize it')
+  .argument('<name>', 'template name')
+  .argument('[projectPath]', 'Path to the project directory', '.')
+  .option('--user', 'eject into the user-level template directory instead of the project')
+  .option('-f, --force', 'overwrite a template that was already ejected')
+  .action(async (name, projectPath, options) => {
+      const targetPath = await ejectTemplate(name, projectPath, { user: options.user, force: options.force });
+      console.log(chalk.green(`Ejected ${templateFileName(name)} to ${targetPath}`));
+  });
+
+program.parseAsync(process.argv).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,180 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from './logger.mjs';
+import { detectProjectType } from './detector.mjs';
+import { readProjectDependencies } from './dependencies.mjs';
+import { inferRuntime } from './runtime.mjs';
+import { writeArtifact } from './plan.mjs';
+
+// Compose file written next to the Dockerfile
+const COMPOSE_FILE_NAME = 'docker-compose.yml';
+
+// Credentials of the generated backing services. They only exist inside the local stack.
+const LOCAL_CREDENTIALS = { user: 'app', password: 'app', database: 'app' };
+
+// Backing services, the client libraries that reveal them per project type, and the
+// environment variables the application gets to reach them
+const BACKING_SERVICES = {
+    postgres: {
+        image: 'postgres:16-alpine',
+        dependencies: {
+            nodejs: ['pg', 'postgres', 'pg-promise', '@prisma/client'],
+            python: ['psycopg2', 'psycopg2-binary', 'psycopg', 'asyncpg'],
+            ruby: ['pg'],
+            go: ['github.com/lib/pq', 'github.com/jackc/pgx/v5', 'github.com/jackc/pgx/v4'],
+            java: ['org.postgresql:postgresql']
+        },
+        environment: {
+            POSTGRES_USER: LOCAL_CREDENTIALS.user,
+            POSTGRES_PASSWORD: LOCAL_CREDENTIALS.password,
+            POSTGRES_DB: LOCAL_CREDENTIALS.database
+        },
+        volume: '/var/lib/postgresql/data',
+        healthcheck: ['CMD-SHELL', `pg_isready -U ${LOCAL_CREDENTIALS.user} -d ${LOCAL_CREDENTIALS.database}`],
+        appEnvironment: (service) => ({
+            DATABASE_URL: `postgres://${LOCAL_CREDENTIALS.user}:${LOCAL_CREDENTIALS.password}@${service}:5432/${LOCAL_CREDENTIALS.database}`
+        })
+    },
+    redis: {
+        image: 'redis:7-alpine',
+        dependencies: {
+            nodejs: ['redis', 'ioredis', 'bull', 'bullmq'],
+            python: ['redis', 'rq'],
+            ruby: ['redis', 'sidekiq'],
+            go: ['github.com/redis/go-redis/v9', 'github.com/go-redis/redis/v8'],
+            java: ['spring-boot-starter-data-redis', 'jedis', 'lettuce-core']
+        },
+        environment: {},
+        volume: '/data',
+        healthcheck: ['CMD', 'redis-cli', 'ping'],
+        appEnvironment: (service) => ({
+            REDIS_URL: `redis://${service}:6379`
+        })
+    },
+    mongo: {
+        image: 'mongo:7',
+        dependencies: {
+            nodejs: ['mongodb', 'mongoose'],
+            python: ['pymongo', 'motor', 'mongoengine'],
+            ruby: ['mongoid', 'mongo'],
+            go: ['go.mongodb.org/mongo-driver', 'go.mongodb.org/mongo-driver/v2'],
+            java: ['spring-boot-starter-data-mongodb', 'mongodb-driver-sync']
+        },
+        environment: {},
+        volume: '/data/db',
+        healthcheck: ['CMD', 'mongosh', '--quiet', '--eval', 'db.adminCommand("ping")'],
+        appEnvironment: (service) => ({
+            MONGODB_URI: `mongodb://${service}:27017/${LOCAL_CREDENTIALS.database}`
+        })
+    }
+};
+
+// Function to turn an image name into a valid Compose service name
+function serviceName(projectName) {
+    const name = projectName.split('/').pop().toLowerCase().replace(/[^a-z0-9_-]/g, '-').replace(/^[^a-z0-9]+/, '') || 'app';
+    // Keep the application from clashing with a backing service of the same name
+    return BACKING_SERVICES[name] ? `${name}-app` : name;
+}
+
+// Function to infer the backing services a project needs from the client libraries it depends on
+async function inferBackingServices(projectPath, projectType) {
+    const dependencies = await readProjectDependencies(projectPath, projectType);
+
+    return Object.entries(BACKING_SERVICES)
+        .filter(([, service]) => (service.dependencies[projectType] || []).some(name => dependencies.includes(name)))
+        .map(([name]) => name);
+}
+
+// Function to build the Compose model of the application and its backing services. The app
+// service builds from the project, publishes the runtime port, waits for every backing
+// service to be healthy and receives their connection URLs, which win over the same variables
+// in its `envFile`. `build` is the Compose build section: the project directory, or the
+// context and Dockerfile of a workspace package.
+function buildComposeModel(projectName, imageTag, { port, services = [], build = '.', envFile = null }) {
+    const appService = serviceName(projectName);
+
+    const app = {
+        build,
+        image: `${projectName}:${imageTag}`,
+        ports: [`${port}:${port}`],
+        ...(envFile ? { env_file: [envFile] } : {}),
+        environment: { PORT: String(port) },
+        restart: 'unless-stopped'
+    };
+
+    const model = { services: { [appService]: app } };
+    const volumes = {};
+
+    for (const name of services) {
+        const service = BACKING_SERVICES[name];
+        const volumeName = `${name}-data`;
+
+        model.services[name] = {
+            image: service.image,
+            ...(Object.keys(service.environment).length > 0 ? { environment: { ...service.environment } } : {}),
+            volumes: [`${volumeName}:${service.volume}`],
+            healthcheck: {
+                test: service.healthcheck,
+                interval: '5s',
+                timeout: '5s',
+                retries: 10
+            },
+            restart: 'unless-stopped'
+        };
+        volumes[volumeName] = {};
+
+        Object.assign(app.environment, service.appEnvironment(name));
+        app.depends_on = { ...app.depends_on, [name]: { condition: 'service_healthy' } };
+    }
+
+    if (Object.keys(volumes).length > 0) {
+        model.volumes = volumes;
+    }
+
+    return model;
+}
+
+// Function to generate docker-compose.yml for the project, unless it has one (or `force` is set).
+// A workspace package is built from `contextDir`, the workspace root, with its `dockerfile`
+// (relative to that root), as discoverServices describes it. The app gets the variables of
+// `envFile` (`container.envFile`, relative to the project) when that file exists.
+// Resolves with the path of the Compose file and the backing services it contains.
+async function generateComposeFile(projectPath, projectName, imageTag, { runtime = null, force = false, contextDir = projectPath, dockerfile = 'Dockerfile', envFile = '.env' } = {}) {
+    const composePath = path.join(projectPath, COMPOSE_FILE_NAME);
+
+    if (!force && await fs.pathExists(composePath)) {
+        await log(`Existing ${COMPOSE_FILE_NAME} found, skipping generation.`);
+        return { composePath, services: null };
+    }
+
+    const { type } = await detectProjectType(projectPath);
+    runtime = runtime || await inferRuntime(projectPath, type);
+
+    const services = type ? await inferBackingServices(projectPath, type) : [];
+    await log(`Backing services inferred from the dependencies: ${services.length > 0 ? services.join(', ') : 'none'}`);
+
+    // Compose resolves the context from the file's directory and the Dockerfile from the context
+    const context = path.relative(projectPath, contextDir).split(path.sep).join('/');
+    const build = context === '' && dockerfile === 'Dockerfile' ? '.' : { context: context || '.', dockerfile };
+
+    const envPath = envFile ? path.resolve(projectPath, envFile) : null;
+    const hasEnvFile = envPath !== null && await fs.pathExists(envPath);
+    if (envFile && !hasEnvFile) {
+        await log(`${envPath} not found, so the app service gets no env_file.`);
+    }
+
+    const model = buildComposeModel(projectName, imageTag, {
+        port: runtime.port,
+        services,
+        build,
+        envFile: hasEnvFile ? path.relative(projectPath, envPath).split(path.sep).join('/') : null
+    });
+    const header = '# Generated by dockerizer. The credentials of the backing services are for local development only.\n';
+    await writeArtifact(composePath, header + yaml.dump(model, { lineWidth: -1, noRefs: true }));
+    await log(`${COMPOSE_FILE_NAME} generated at ${composePath}`);
+
+    return { composePath, services };
+}
+
+export { COMPOSE_FILE_NAME, BACKING_SERVICES, serviceName, inferBackingServices, buildComposeModel, generateComposeFile };
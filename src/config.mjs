@@ -0,0 +1,43 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from './logger.mjs';
+
+// Config file names looked up in the project root, in order of preference
+const CONFIG_FILE_NAMES = ['dockerizer.config.yaml', 'dockerizer.config.yml'];
+
+// Function to load the project configuration from dockerizer.config.yaml or the
+// "dockerizer" key in package.json. Returns an empty object when neither exists.
+async function loadProjectConfig(projectPath) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const configPath = path.join(projectPath, fileName);
+        if (!(await fs.pathExists(configPath))) continue;
+
+        let config;
+        try {
+            config = yaml.load(await fs.readFile(configPath, 'utf-8'));
+        } catch (err) {
+            throw new Error(`Invalid YAML in ${configPath}: ${err.message}`);
+        }
+
+        if (config !== undefined && config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+            throw new Error(`${configPath} must contain a mapping of options`);
+        }
+
+        await log(`Loaded project configuration from ${configPath}`);
+        return config || {};
+    }
+
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+        const packageJsonData = JSON.parse(await fs.readFile(packageJsonPath, 'utf-8'));
+        if (packageJsonData.dockerizer && typeof packageJsonData.dockerizer === 'object') {
+            await log(`Loaded project configuration from the "dockerizer" key in ${packageJsonPath}`);
+            return packageJsonData.dockerizer;
+        }
+    }
+
+    return {};
+}
+
+export { loadProjectConfig, CONFIG_FILE_NAMES };
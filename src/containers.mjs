@@ -0,0 +1,407 @@
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { log } from './logger.mjs';
+import { isDryRun, planCommand } from './plan.mjs';
+import { getDockerClient, removeContainer, renameContainer, runContainer, startContainer, stopContainer } from './engine.mjs';
+import { readEnvFile, warnMissingVariables } from './env.mjs';
+
+// Labels that tie a container to the app it runs and the project it was deployed from, so the
+// next deploy can replace it and `dockerizer ps`, `logs` and `stop` can find it
+const APP_LABEL = 'dockerizer.app';
+const PROJECT_LABEL = 'dockerizer.project';
+
+const RESTART_POLICY_PATTERN = /^(no|always|unless-stopped|on-failure(:\d+)?)$/;
+
+// Settings of locally deployed containers, overridden by the `container` section of the project
+// config and the command line flags
+const CONTAINER_DEFAULTS = {
+    envFile: '.env',       // passed to the container when it exists; false to pass none
+    volumes: [],
+    restart: 'unless-stopped',
+    hostPort: null,        // defaults to the port the app listens on
+    healthTimeout: 60      // seconds to wait for the container to become healthy; 0 to not wait
+};
+
+// How long a replaced container gets to shut down before it is killed, in seconds
+const STOP_TIMEOUT = 10;
+
+// How often the health of a new container is checked, in milliseconds
+const HEALTH_POLL_INTERVAL = 1000;
+
+// How many log lines are shown when a container does not become healthy
+const LOG_TAIL_LINES = 20;
+
+// Error raised when a container exits, restarts or fails its checks instead of becoming healthy.
+// It carries the container name, its state and the last lines of its output.
+class ContainerHealthError extends Error {
+    constructor(message, { container, state = null, logs = '' } = {}) {
+        super(message);
+        this.name = 'ContainerHealthError';
+        this.container = container;
+        this.state = state;
+        this.logs = logs;
+    }
+}
+
+// Function to build the error for an invalid value in the `container` config section
+function invalidSetting(key, value, expected) {
+    return new Error(`Invalid "container.${key}" value: ${JSON.stringify(value)}. Expected ${expected}.`);
+}
+
+// Function to merge the `container` section of the project config (and the flags that override
+// it) with the defaults and validate it
+function resolveContainerSettings(config = {}) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('The "container" section of the project config must be a mapping of options.');
+    }
+
+    const settings = {
+        ...CONTAINER_DEFAULTS,
+        ...config,
+        volumes: [].concat(config.volumes ?? []),
+        hostPort: config.hostPort === undefined || config.hostPort === null ? null : Number(config.hostPort),
+        healthTimeout: Number(config.healthTimeout ?? CONTAINER_DEFAULTS.healthTimeout)
+    };
+
+    if (settings.envFile !== false && typeof settings.envFile !== 'string') {
+        throw invalidSetting('envFile', settings.envFile, 'a path relative to the project, or false');
+    }
+    if (!settings.volumes.every(volume => typeof volume === 'string')) {
+        throw invalidSetting('volumes', settings.volumes, 'a list of <host path or volume>:<container path>[:ro] specs');
+    }
+    if (!RESTART_POLICY_PATTERN.test(settings.restart)) {
+        throw invalidSetting('restart', settings.restart, 'no, always, unless-stopped or on-failure[:<retries>]');
+    }
+    if (settings.hostPort !== null && (!Number.isInteger(settings.hostPort) || settings.hostPort < 1 || settings.hostPort > 65535)) {
+        throw invalidSetting('hostPort', config.hostPort, 'a port between 1 and 65535');
+    }
+    if (!Number.isInteger(settings.healthTimeout) || settings.healthTimeout < 0) {
+        throw invalidSetting('healthTimeout', config.healthTimeout, 'a number of seconds, or 0 to not wait');
+    }
+
+    return settings;
+}
+
+// Function to get the name of the container that runs an app locally
+function containerName(projectName) {
+    return projectName.replace(/[^a-zA-Z0-9_.-]/g, '-').replace(/^[^a-zA-Z0-9]+/, '') || 'app';
+}
+
+// Function to turn a volume spec into the bind Docker expects. Host paths (starting with ".", "/"
+// or "~") are relative to the project, as in docker-compose.yml; anything else names a volume.
+function resolveVolume(projectPath, spec) {
+    const [source, target, ...mode] = spec.split(':');
+    if (!source || !target?.startsWith('/')) {
+        throw new Error(`Invalid volume "${spec}": expected <host path or volume name>:<absolute container path>[:ro].`);
+    }
+
+    const hostPath = /^[.~/]/.test(source)
+        ? path.resolve(projectPath, source.replace(/^~(?=$|\/)/, os.homedir()))
+        : source;
+    return [hostPath, target, ...mode].join(':');
+}
+
+// Function to read the variables of the container's env file as KEY=value entries. The default
+// .env is optional; a file named in the config or with --container-env-file has to exist.
+// The required variables the application reads (`variables`, when already discovered) that the
+// file does not set are warned about.
+async function readContainerEnv(projectPath, envFile, { variables = null } = {}) {
+    if (envFile === false) return [];
+
+    const envPath = path.resolve(projectPath, envFile);
+    if (!(await fs.pathExists(envPath)) && envFile !== CONTAINER_DEFAULTS.envFile) {
+        throw new Error(`Env file not found: ${envPath}`);
+    }
+
+    const values = await readEnvFile(envPath);
+    if (Object.keys(values).length > 0) {
+        await log(`Passing ${Object.keys(values).length} variable(s) from ${envPath} to the container`);
+    }
+    await warnMissingVariables(projectPath, values, { envFile, variables });
+    return Object.entries(values).map(([key, value]) => `${key}=${value}`);
+}
+
+// Function to list the containers of an app, running or not, or of every app with `name` null
+async function findAppContainers(name, { client = null } = {}) {
+    const containers = await (client || getDockerClient()).listContainers({
+        all: true,
+        filters: { label: [name ? `${APP_LABEL}=${name}` : APP_LABEL] }
+    });
+    return containers.sort((a, b) => b.Created - a.Created);
+}
+
+// Function to describe a container as listed by the Docker API, for `dockerizer ps`
+function describeContainer(container) {
+    return {
+        id: container.Id.slice(0, 12),
+        name: container.Names.map(name => name.replace(/^\//, '')).join(', '),
+        app: container.Labels?.[APP_LABEL] || null,
+        project: container.Labels?.[PROJECT_LABEL] || null,
+        image: container.Image,
+        state: container.State,
+        status: container.Status,
+        ports: container.Ports.filter(port => port.PublicPort).map(port => `${port.PublicPort}->${port.PrivatePort}/${port.Type}`).join(', ')
+    };
+}
+
+// Function to split the multiplexed output of a container without a TTY into its frames, in
+// order. Each frame has an 8-byte header: the stream (1 stdout, 2 stderr) and the payload size.
+function demuxFrames(output) {
+    const buffer = Buffer.isBuffer(output) ? output : Buffer.from(String(output));
+    const frames = [];
+
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset + 4);
+        frames.push({ stream: buffer[offset] === 2 ? 'stderr' : 'stdout', text: buffer.subarray(offset + 8, offset + 8 + size).toString() });
+        offset += 8 + size;
+    }
+    return frames;
+}
+
+// Function to get the last lines a container wrote, stdout and stderr interleaved
+async function tailContainerLogs(container, { tail = LOG_TAIL_LINES } = {}) {
+    try {
+        const { Config } = await container.inspect();
+        const output = await container.logs({ stdout: true, stderr: true, tail });
+        return Config?.Tty ? String(output) : demuxFrames(output).map(frame => frame.text).join('');
+    } catch (err) {
+        return `(could not read the logs: ${err.message})`;
+    }
+}
+
+// Function to check whether the app answers HTTP on a published port. With a health endpoint the
+// answer has to be a success; otherwise any answer shows the app is up.
+function respondsOnPort(host, port, healthPath) {
+    return new Promise((resolve) => {
+        const request = http.get({ host, port, path: healthPath || '/', timeout: 2000 }, (response) => {
+            response.resume();
+            resolve(!healthPath || response.statusCode < 400);
+        });
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(false));
+    });
+}
+
+// Function to wait for a new container to become healthy: its HEALTHCHECK passes or, without one,
+// the app answers HTTP on the published port (on its health endpoint when it has one). A container
+// that exits or restarts fails right away. Rejects with a ContainerHealthError.
+async function waitForHealthy(id, { timeout = CONTAINER_DEFAULTS.healthTimeout, hostPort = null, healthPath = null, spinner = null } = {}) {
+    const docker = getDockerClient();
+    const container = docker.getContainer(id);
+    // The published port is on the Docker host, which is this machine unless DOCKER_HOST says otherwise
+    const host = docker.modem.host || '127.0.0.1';
+    const deadline = Date.now() + timeout * 1000;
+
+    for (;;) {
+        const { Name, State } = await container.inspect();
+        const name = Name.replace(/^\//, '');
+
+        if (State.Status === 'exited' || State.Status === 'dead' || State.RestartCount > 0) {
+            throw new ContainerHealthError(`Container ${name} exited with code ${State.ExitCode}${State.Error ? ` (${State.Error})` : ''} instead of becoming healthy.`, {
+                container: name,
+                state: State,
+                logs: await tailContainerLogs(container)
+            });
+        }
+
+        if (State.Health) {
+            if (State.Health.Status === 'healthy') {
+                await log(`Container ${name} passed its HEALTHCHECK.`);
+                return;
+            }
+            if (State.Health.Status === 'unhealthy') {
+                const lastCheck = State.Health.Log?.[State.Health.Log.length - 1];
+                throw new ContainerHealthError(`Container ${name} failed its HEALTHCHECK${lastCheck ? `: ${lastCheck.Output.trim()}` : ''}.`, {
+                    container: name,
+                    state: State,
+                    logs: await tailContainerLogs(container)
+                });
+            }
+        } else if (hostPort && await respondsOnPort(host, hostPort, healthPath)) {
+            await log(`Container ${name} answers on http://${host}:${hostPort}${healthPath || '/'}.`);
+            return;
+        }
+
+        if (Date.now() > deadline) {
+            throw new ContainerHealthError(`Container ${name} did not become healthy within ${timeout} seconds${State.Health ? '' : ` (no answer on http://${host}:${hostPort}${healthPath || '/'})`}. Raise "container.healthTimeout", or set it to 0 to not wait.`, {
+                container: name,
+                state: State,
+                logs: await tailContainerLogs(container)
+            });
+        }
+
+        if (spinner) {
+            spinner.text = `Waiting for ${name} to become healthy (${State.Health ? `HEALTHCHECK ${State.Health.Status}` : 'no answer yet'})...`;
+        }
+        await new Promise(resolve => setTimeout(resolve, HEALTH_POLL_INTERVAL));
+    }
+}
+
+// Function to run an app's image locally in a container with a fixed name and the app's labels.
+// The container of the app's previous deploy is stopped and set aside under "<name>-previous", so
+// the new one can take over the name and the port; it is removed once the new one is healthy, or
+// renamed back and started again when the new one fails. `container` is the `container` section
+// of the project config with the flags applied, and `variables` the ones the app reads if they
+// were discovered already. Resolves with the container ID and name and the published port once
+// the container is healthy.
+async function deployLocalContainer(projectPath, { name, image, port, container = {}, healthPath = null, variables = null, spinner = null }) {
+    const settings = resolveContainerSettings(container);
+    const localName = containerName(name);
+    const previousName = `${localName}-previous`;
+    const hostPort = settings.hostPort || port;
+    const labels = { [APP_LABEL]: name, [PROJECT_LABEL]: path.resolve(projectPath) };
+    const env = await readContainerEnv(projectPath, settings.envFile, { variables });
+    const volumes = settings.volumes.map(spec => resolveVolume(projectPath, spec));
+    let previous = null;
+
+    if (isDryRun()) {
+        planCommand(`docker stop -t ${STOP_TIMEOUT} $(docker ps -q --filter label=${APP_LABEL}=${name})`);
+        planCommand(`docker rename ${localName} ${previousName}`);
+    } else {
+        for (const candidate of await findAppContainers(name)) {
+            const candidateName = candidate.Names[0].replace(/^\//, '');
+            if (spinner) spinner.text = `Stopping the previous container of ${name}...`;
+            await stopContainer(candidate.Id, { timeout: STOP_TIMEOUT });
+
+            if (candidateName === localName && !previous) {
+                await log(`Replacing container ${candidateName} (${candidate.Id.slice(0, 12)}, ${candidate.Image}, ${candidate.State}); it is kept as ${previousName} until the new one is healthy`);
+                await renameContainer(candidate.Id, previousName);
+                previous = candidate;
+            } else {
+                // Left over from an earlier deploy, e.g. a previous container that was never cleaned up
+                await log(`Removing container ${candidateName} (${candidate.Id.slice(0, 12)}, ${candidate.Image}, ${candidate.State})`);
+                await removeContainer(candidate.Id);
+            }
+        }
+
+        // A container of the same name that dockerizer did not start is not ours to remove
+        const clash = await getDockerClient().getContainer(localName).inspect().catch(() => null);
+        if (clash) {
+            throw new Error(`A container named ${localName} that dockerizer did not start already exists. Remove it (docker rm -f ${localName}) to deploy ${name} locally.`);
+        }
+    }
+
+    let containerId = null;
+    try {
+        containerId = await runContainer({
+            image,
+            name: localName,
+            ports: [{ container: port, host: hostPort }],
+            env,
+            labels,
+            volumes,
+            restart: settings.restart
+        });
+
+        if (!isDryRun() && settings.healthTimeout > 0) {
+            if (spinner) spinner.text = `Waiting for ${localName} to become healthy...`;
+            await waitForHealthy(containerId, { timeout: settings.healthTimeout, hostPort, healthPath, spinner });
+        }
+    } catch (error) {
+        if (previous) {
+            try {
+                if (containerId) await removeContainer(containerId);
+                await restorePreviousContainer(previous, localName);
+                error.message += ` The previous container ${localName} (${previous.Image}) was put back.`;
+            } catch (restoreError) {
+                error.message += ` The previous container is stopped as ${previousName} and could not be put back: ${restoreError.message}`;
+            }
+        }
+        throw error;
+    }
+
+    if (isDryRun()) {
+        planCommand(`docker rm ${previousName}`);
+    } else if (previous) {
+        await removeContainer(previous.Id);
+        await log(`Removed the previous container ${previousName} (${previous.Id.slice(0, 12)})`);
+    }
+
+    return { containerId, name: localName, hostPort };
+}
+
+// Function to give the container set aside by deployLocalContainer its name back, and start it
+// again when it was running
+async function restorePreviousContainer(previous, localName) {
+    await renameContainer(previous.Id, localName);
+    if (previous.State === 'running') {
+        await startContainer(previous.Id);
+    }
+    await log(`Restored the previous container ${localName} (${previous.Id.slice(0, 12)}, ${previous.Image})`);
+}
+
+// Function to stop the containers of an app, and remove them with `remove`.
+// Resolves with the containers that were stopped.
+async function stopAppContainers(name, { remove = false } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker stop -t ${STOP_TIMEOUT} $(docker ps -q --filter label=${APP_LABEL}=${name})`);
+        if (remove) planCommand(`docker rm $(docker ps -aq --filter label=${APP_LABEL}=${name})`);
+        return [];
+    }
+
+    const containers = await findAppContainers(name);
+    for (const container of containers) {
+        await stopContainer(container.Id, { timeout: STOP_TIMEOUT });
+        if (remove) {
+            await removeContainer(container.Id);
+        }
+        await log(`${remove ? 'Removed' : 'Stopped'} container ${container.Names[0].replace(/^\//, '')} (${container.Id.slice(0, 12)})`);
+    }
+    return containers.map(describeContainer);
+}
+
+// Function to write the output of the latest container of an app to stdout and stderr, the last
+// `tail` lines of it and, with `follow`, what it writes from then on until it stops
+async function streamAppLogs(name, { follow = false, tail = 100, stdout = process.stdout, stderr = process.stderr } = {}) {
+    const [latest] = await findAppContainers(name);
+    if (!latest) {
+        throw new Error(`No container of ${name} found. Deploy it with \`dockerizer deploy local\`.`);
+    }
+
+    const docker = getDockerClient();
+    const container = docker.getContainer(latest.Id);
+    const { Config } = await container.inspect();
+    const output = await container.logs({ stdout: true, stderr: true, tail, follow });
+
+    if (!follow) {
+        if (Config?.Tty) {
+            stdout.write(String(output));
+            return;
+        }
+        for (const frame of demuxFrames(output)) {
+            (frame.stream === 'stderr' ? stderr : stdout).write(frame.text);
+        }
+        return;
+    }
+
+    if (Config?.Tty) {
+        output.pipe(stdout, { end: false });
+    } else {
+        docker.modem.demuxStream(output, stdout, stderr);
+    }
+    await new Promise((resolve, reject) => {
+        output.on('end', resolve);
+        output.on('error', reject);
+    });
+}
+
+export {
+    APP_LABEL,
+    PROJECT_LABEL,
+    CONTAINER_DEFAULTS,
+    ContainerHealthError,
+    resolveContainerSettings,
+    resolveVolume,
+    readContainerEnv,
+    containerName,
+    findAppContainers,
+    describeContainer,
+    demuxFrames,
+    waitForHealthy,
+    deployLocalContainer,
+    stopAppContainers,
+    streamAppLogs
+};
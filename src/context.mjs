@@ -0,0 +1,234 @@
+import path from 'path';
+import readline from 'readline';
+import { loadProjectConfig } from './config.mjs';
+import { configureDryRun } from './plan.mjs';
+import { inferRuntime } from './runtime.mjs';
+import { discoverServices, selectServices } from './services.mjs';
+
+const DEPLOY_TARGETS = ['local', 'remote', 'k8s', 'nginx'];
+
+// Function to prompt user for input
+function promptUser(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+// Prompts are only possible when a user is attached to stdin
+function isInteractive() {
+    return Boolean(process.stdin.isTTY);
+}
+
+// Function to resolve a single setting with the precedence flag > config > default (--yes) > prompt.
+// Without a TTY the prompt is not an option, so a missing value fails immediately.
+async function resolveSetting({ flagValue, configValue, defaultValue, useDefault, question, flag, configKey }) {
+    if (flagValue !== undefined) return flagValue;
+    if (configValue !== undefined && configValue !== null) return String(configValue);
+    if (useDefault && defaultValue !== undefined) return defaultValue;
+
+    if (!isInteractive()) {
+        throw new Error(`Missing value for ${flag}: pass ${flag} or set "${configKey}" in dockerizer.config.yaml (stdin is not a TTY, so dockerizer cannot prompt).`);
+    }
+
+    return promptUser(question);
+}
+
+// Function to decide whether and where to deploy. Returns the deploy target, null to skip,
+// or undefined when the user still has to be asked after the build.
+function resolveDeployTarget(options, config) {
+    if (options.deploy === false) return null;
+    if (options.deploy !== undefined) return options.deploy;
+
+    if (config.deploy === false) return null;
+    if (config.deploy !== undefined && config.deploy !== null) {
+        if (!DEPLOY_TARGETS.includes(config.deploy)) {
+            throw new Error(`Invalid "deploy" value in project config: ${config.deploy}. Expected one of ${DEPLOY_TARGETS.join(', ')} or false.`);
+        }
+        return config.deploy;
+    }
+
+    // --yes accepts the default, which is not to deploy
+    if (options.yes) return null;
+
+    if (!isInteractive()) {
+        throw new Error('Missing deployment decision: pass --deploy <target> or --no-deploy, or set "deploy" in dockerizer.config.yaml (stdin is not a TTY, so dockerizer cannot prompt).');
+    }
+
+    return undefined;
+}
+
+// Function to resolve the image name and tag for the context
+async function resolveImage(context) {
+    const { options, config, projectPath } = context;
+
+    context.projectName = await resolveSetting({
+        flagValue: options.name,
+        configValue: config.name,
+        defaultValue: path.basename(path.resolve(projectPath)).toLowerCase(),
+        useDefault: options.yes,
+        question: 'Enter the name for the Docker image: ',
+        flag: '--name',
+        configKey: 'name'
+    });
+    context.imageTag = await resolveSetting({
+        flagValue: options.tag,
+        configValue: config.tag,
+        defaultValue: 'latest',
+        useDefault: options.yes,
+        question: 'Enter the tag for the Docker image: ',
+        flag: '--tag',
+        configKey: 'tag'
+    });
+}
+
+// Function to resolve the remote Docker host settings for the context. A Docker context, or an
+// ssh:// or tcp:// URL as host, says how to reach the daemon; only a bare host needs a user.
+// `context.remote` is the endpoint deployDocker connects to, with the SSH key and TLS files of
+// the config.
+async function resolveRemote(context) {
+    const { options } = context;
+    const remoteConfig = context.config.remote || {};
+
+    context.remoteContext = options.dockerContext ?? remoteConfig.context ?? undefined;
+    if (!context.remoteContext) {
+        context.remoteHost = await resolveSetting({
+            flagValue: options.remoteHost,
+            configValue: remoteConfig.host,
+            question: 'Enter the remote Docker host (host, ssh://user@host or tcp://host:2376): ',
+            flag: '--remote-host',
+            configKey: 'remote.host'
+        });
+    }
+
+    const bareHost = context.remoteHost && !/^[a-z]+:\/\//.test(context.remoteHost) && !context.remoteHost.includes('@');
+    if (bareHost) {
+        context.remoteUser = await resolveSetting({
+            flagValue: options.remoteUser,
+            configValue: remoteConfig.user,
+            question: 'Enter the username for the remote host: ',
+            flag: '--remote-user',
+            configKey: 'remote.user'
+        });
+    }
+
+    context.remote = {
+        host: context.remoteHost,
+        user: context.remoteUser,
+        context: context.remoteContext,
+        identityFile: remoteConfig.identityFile,
+        tls: remoteConfig.tls
+    };
+}
+
+// Function to create the context shared by all commands: the project path, its config,
+// the command line options and whatever settings the command asked to resolve up front.
+// Pass `deployTarget` when the command names the target itself, or `deploy: true` to
+// resolve the deployment decision from the flags and config. `services: true` discovers the
+// services of the project, narrowed down by --service or the `service` config key, and
+// `runtime: true` also infers the port and start command of each of them, honoring the
+// --port/--command flags and port/command config keys.
+async function createContext(projectPath, options = {}, { image = false, deploy = false, deployTarget, runtime = false, services = false } = {}) {
+    const context = {
+        projectPath,
+        options,
+        config: await loadProjectConfig(projectPath),
+        projectName: undefined,
+        imageTag: undefined,
+        deployTarget,
+        remoteHost: undefined,
+        remoteUser: undefined,
+        remoteContext: undefined,
+        remote: null,
+        registry: null,
+        push: false,
+        container: {},
+        nginx: {},
+        services: [],
+        runtime: null
+    };
+
+    // The local target runs the Compose stack instead of a lone container with --compose
+    context.compose = Boolean(options.compose ?? context.config.compose);
+
+    // The flags of local containers override the `container` section of the config
+    const containerFlags = {
+        envFile: options.containerEnvFile,
+        volumes: options.volume,
+        restart: options.restart,
+        hostPort: options.hostPort
+    };
+    context.container = {
+        ...context.config.container,
+        ...Object.fromEntries(Object.entries(containerFlags).filter(([, value]) => value !== undefined))
+    };
+
+    // The flags of the nginx target override the `nginx` section of the config
+    const nginxConfig = context.config.nginx || {};
+    const nginxFlags = {
+        serverNames: options.serverName,
+        upstream: options.upstream,
+        configDir: options.nginxDir,
+        tls: options.tlsCert || options.tlsKey
+            ? { ...nginxConfig.tls, ...(options.tlsCert ? { certificate: options.tlsCert } : {}), ...(options.tlsKey ? { certificateKey: options.tlsKey } : {}) }
+            : undefined
+    };
+    context.nginx = {
+        ...nginxConfig,
+        ...Object.fromEntries(Object.entries(nginxFlags).filter(([, value]) => value !== undefined))
+    };
+
+    // Images are pushed to, and deployed from, the registry prefix of --registry or the config
+    context.registry = options.registry ?? context.config.registry ?? null;
+    context.push = Boolean(options.push ?? context.config.push);
+    if (context.push && !context.registry) {
+        throw new Error('Nowhere to push the image: pass --registry <host/prefix> or set "registry" in dockerizer.config.yaml.');
+    }
+
+    if (options.dryRun) {
+        configureDryRun({ outputDir: options.outputDir, baseDir: projectPath });
+    }
+
+    if (image) {
+        await resolveImage(context);
+    }
+
+    if (context.deployTarget === undefined && deploy) {
+        context.deployTarget = resolveDeployTarget(options, context.config);
+    }
+
+    if (context.deployTarget === 'remote') {
+        await resolveRemote(context);
+    }
+
+    if (services || runtime) {
+        const selected = options.service ?? [].concat(context.config.service ?? []);
+        context.services = selectServices(await discoverServices(projectPath), selected);
+    }
+
+    if (runtime) {
+        const overrides = {
+            port: options.port ?? context.config.port,
+            command: options.command ?? context.config.command
+        };
+        if (context.services.length > 1 && (overrides.port != null || overrides.command != null)) {
+            throw new Error('--port and --command apply to a single service. Select it with --service.');
+        }
+
+        for (const service of context.services) {
+            service.runtime = await inferRuntime(service.path, service.type, overrides, { workspaceRoot: service.workspace?.root });
+        }
+        context.runtime = context.services.length === 1 ? context.services[0].runtime : null;
+    }
+
+    return context;
+}
+
+export { createContext, promptUser, resolveRemote, DEPLOY_TARGETS };
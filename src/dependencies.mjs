@@ -0,0 +1,148 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './logger.mjs';
+import { parseGemfile } from './analyzers/ruby.mjs';
+
+// Gemfile groups whose gems the application loads in production
+const RUNTIME_GEM_GROUPS = ['default', 'production'];
+
+// Function to read a file if it exists, resolving with null otherwise
+async function readOptionalFile(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+// Function to normalize a Python distribution name (PEP 503): "Flask_SQLAlchemy" -> "flask-sqlalchemy"
+function normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// Function to get the lines of a TOML table, e.g. [packages] in a Pipfile
+function tomlTable(content, tableName) {
+    const lines = content.split('\n');
+    const start = lines.findIndex(line => line.trim() === `[${tableName}]`);
+    if (start === -1) return [];
+    const end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+    return lines.slice(start + 1, end === -1 ? lines.length : end);
+}
+
+// Function to read the dependencies of package.json
+async function readNodeDependencies(projectPath, { includeDev }) {
+    const packageJson = await readOptionalFile(path.join(projectPath, 'package.json'));
+    if (!packageJson) return [];
+
+    const { dependencies = {}, optionalDependencies = {}, devDependencies = {} } = JSON.parse(packageJson);
+    return Object.keys({ ...dependencies, ...optionalDependencies, ...(includeDev ? devDependencies : {}) });
+}
+
+// Function to read the requirements of requirements.txt, pyproject.toml and Pipfile
+async function readPythonDependencies(projectPath) {
+    const names = [];
+
+    const requirements = await readOptionalFile(path.join(projectPath, 'requirements.txt'));
+    for (const line of (requirements || '').split('\n')) {
+        const requirement = line.replace(/#.*$/, '').trim();
+        if (requirement === '' || requirement.startsWith('-')) continue;
+        names.push(requirement.split(/[\s<>=!~;[@]/)[0]);
+    }
+
+    const pyproject = await readOptionalFile(path.join(projectPath, 'pyproject.toml'));
+    if (pyproject) {
+        // PEP 621: dependencies = ["fastapi>=0.110", ...] in [project]
+        // The brackets of extras ("uvicorn[standard]") are inside the quotes
+        const projectDependencies = pyproject.match(/^dependencies\s*=\s*\[((?:[^\]"']|"[^"]*"|'[^']*')*)\]/m);
+        for (const match of (projectDependencies?.[1] || '').matchAll(/["']([^"']+)["']/g)) {
+            names.push(match[1].split(/[\s<>=!~;[@]/)[0]);
+        }
+        // Poetry: name = "^1.0" in [tool.poetry.dependencies]
+        for (const line of tomlTable(pyproject, 'tool.poetry.dependencies')) {
+            const key = line.match(/^\s*([A-Za-z0-9_.-]+)\s*=/);
+            if (key && key[1] !== 'python') names.push(key[1]);
+        }
+    }
+
+    const pipfile = await readOptionalFile(path.join(projectPath, 'Pipfile'));
+    for (const line of pipfile ? tomlTable(pipfile, 'packages') : []) {
+        const key = line.match(/^\s*["']?([A-Za-z0-9_.-]+)["']?\s*=/);
+        if (key) names.push(key[1]);
+    }
+
+    return names.filter(Boolean).map(normalizePythonName);
+}
+
+// Function to read the gems of a Gemfile. Only gems outside any group or in the production group
+// are kept, unless `includeDev` adds the rest (development, test, ...).
+async function readRubyDependencies(projectPath, { includeDev }) {
+    const gemfile = await readOptionalFile(path.join(projectPath, 'Gemfile'));
+    if (!gemfile) return [];
+
+    const { gems } = await parseGemfile(gemfile);
+    return gems
+        .filter(gem => includeDev || gem.groups.length === 0 || gem.groups.some(group => RUNTIME_GEM_GROUPS.includes(group)))
+        .map(gem => gem.name);
+}
+
+// Function to read the required modules of go.mod
+async function readGoDependencies(projectPath) {
+    const goMod = await readOptionalFile(path.join(projectPath, 'go.mod'));
+    if (!goMod) return [];
+
+    const names = [];
+    for (const block of goMod.matchAll(/^require\s*\(([\s\S]*?)\)/gm)) {
+        for (const line of block[1].split('\n')) {
+            const modulePath = line.replace(/\/\/.*$/, '').trim().split(/\s+/)[0];
+            if (modulePath) names.push(modulePath);
+        }
+    }
+    for (const match of goMod.matchAll(/^require\s+([^\s(]+)\s/gm)) {
+        names.push(match[1]);
+    }
+    return names;
+}
+
+// Function to read the dependencies of pom.xml or build.gradle
+async function readJavaDependencies(projectPath) {
+    const names = [];
+
+    // Maven: "groupId:artifactId" and the bare artifactId of every <dependency>
+    const pom = await readOptionalFile(path.join(projectPath, 'pom.xml'));
+    for (const match of (pom || '').matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+        const groupId = match[1].match(/<groupId>\s*([^<\s]+)\s*<\/groupId>/)?.[1];
+        const artifactId = match[1].match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)?.[1];
+        if (artifactId) names.push(artifactId, `${groupId}:${artifactId}`);
+    }
+
+    // Gradle: implementation 'group:artifact:version' and implementation("group:artifact")
+    for (const buildFile of ['build.gradle', 'build.gradle.kts']) {
+        const gradle = await readOptionalFile(path.join(projectPath, buildFile));
+        for (const match of (gradle || '').matchAll(/\b(?:implementation|api|runtimeOnly|compile)\s*\(?\s*["']([^:"']+):([^:"']+)/g)) {
+            names.push(match[2], `${match[1]}:${match[2]}`);
+        }
+    }
+
+    return names;
+}
+
+// Function to list the names of the dependencies a project declares in its manifests
+// (package.json, requirements.txt/pyproject.toml/Pipfile, Gemfile, go.mod, pom.xml/build.gradle).
+// Node.js development dependencies and the development and test gems of a Gemfile are only
+// included with `includeDev`.
+async function readProjectDependencies(projectPath, projectType, { includeDev = false } = {}) {
+    const readers = {
+        nodejs: () => readNodeDependencies(projectPath, { includeDev }),
+        python: () => readPythonDependencies(projectPath),
+        ruby: () => readRubyDependencies(projectPath, { includeDev }),
+        go: () => readGoDependencies(projectPath),
+        java: () => readJavaDependencies(projectPath)
+    };
+
+    if (!readers[projectType]) return [];
+
+    try {
+        return [...new Set(await readers[projectType]())];
+    } catch (err) {
+        await log(`Could not read the dependencies of ${projectPath}: ${err.message}`);
+        return [];
+    }
+}
+
+export { readProjectDependencies, normalizePythonName };
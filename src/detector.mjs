@@ -0,0 +1,131 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './logger.mjs';
+
+// Marker files for each supported project type. The weight expresses how strongly
+// a single file indicates the type: a manifest outweighs a lockfile, and a lockfile
+// outweighs a loose source file.
+const PROJECT_MARKERS = {
+    nodejs: [
+        { file: 'package.json', weight: 1.0 },
+        { file: 'package-lock.json', weight: 0.3 },
+        { file: 'yarn.lock', weight: 0.3 },
+        { file: 'pnpm-lock.yaml', weight: 0.3 },
+        { file: '.nvmrc', weight: 0.2 }
+    ],
+    python: [
+        { file: 'requirements.txt', weight: 1.0 },
+        { file: 'pyproject.toml', weight: 1.0 },
+        { file: 'setup.py', weight: 0.8 },
+        { file: 'Pipfile', weight: 0.8 },
+        { file: 'Pipfile.lock', weight: 0.3 },
+        { file: 'poetry.lock', weight: 0.3 },
+        { file: '.python-version', weight: 0.2 }
+    ],
+    java: [
+        { file: 'pom.xml', weight: 1.0 },
+        { file: 'build.gradle', weight: 1.0 },
+        { file: 'build.gradle.kts', weight: 1.0 },
+        { file: 'settings.gradle', weight: 0.3 },
+        { file: 'settings.gradle.kts', weight: 0.3 },
+        { file: 'mvnw', weight: 0.2 },
+        { file: 'gradlew', weight: 0.2 }
+    ],
+    ruby: [
+        { file: 'Gemfile', weight: 1.0 },
+        { file: 'Gemfile.lock', weight: 0.3 },
+        { file: 'config.ru', weight: 0.3 },
+        { file: '.ruby-version', weight: 0.2 }
+    ],
+    go: [
+        { file: 'go.mod', weight: 1.0 },
+        { file: 'go.sum', weight: 0.3 }
+    ]
+};
+
+// Source file extensions used as a tie-breaker when several manifests are present
+const SOURCE_EXTENSIONS = {
+    nodejs: ['.js', '.mjs', '.cjs', '.ts'],
+    python: ['.py'],
+    java: ['.java', '.kt'],
+    ruby: ['.rb'],
+    go: ['.go']
+};
+
+// Directories (relative to the project root) whose source files count towards the tie-breaker
+const SOURCE_DIRECTORIES = ['.', 'src', 'app', 'lib', 'cmd'];
+const SOURCE_FILE_WEIGHT = 0.05;
+const MAX_SOURCE_SCORE = 0.5;
+
+// Function to count source files per project type in the usual source directories
+async function countSourceFiles(projectPath) {
+    const counts = Object.fromEntries(Object.keys(SOURCE_EXTENSIONS).map(type => [type, 0]));
+
+    for (const directory of SOURCE_DIRECTORIES) {
+        const fullPath = path.join(projectPath, directory);
+        if (!(await fs.pathExists(fullPath))) continue;
+
+        const entries = await fs.readdir(fullPath, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+            const extension = path.extname(entry.name).toLowerCase();
+            for (const [type, extensions] of Object.entries(SOURCE_EXTENSIONS)) {
+                if (extensions.includes(extension)) counts[type]++;
+            }
+        }
+    }
+
+    return counts;
+}
+
+// Function to detect the project type from the marker files in the project root.
+// Returns the best candidate together with a confidence between 0 and 1 and the
+// evidence (files) that led to it; all other candidates are listed in ranked order.
+async function detectProjectType(projectPath) {
+    const sourceCounts = await countSourceFiles(projectPath);
+    const candidates = [];
+
+    for (const [type, markers] of Object.entries(PROJECT_MARKERS)) {
+        const evidence = [];
+        let score = 0;
+
+        for (const marker of markers) {
+            if (await fs.pathExists(path.join(projectPath, marker.file))) {
+                evidence.push(marker.file);
+                score += marker.weight;
+            }
+        }
+
+        // Source files alone never make a candidate, they only help rank real ones
+        if (evidence.length === 0) continue;
+
+        const sourceScore = Math.min(sourceCounts[type] * SOURCE_FILE_WEIGHT, MAX_SOURCE_SCORE);
+        if (sourceCounts[type] > 0) {
+            evidence.push(`${sourceCounts[type]} ${type} source file(s)`);
+        }
+
+        candidates.push({ type, score: score + sourceScore, evidence });
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+        await log(`No known project markers found in ${projectPath}`);
+        return { type: null, confidence: 0, evidence: [], candidates };
+    }
+
+    const totalScore = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+    for (const candidate of candidates) {
+        candidate.confidence = Math.round((candidate.score / totalScore) * 100) / 100;
+    }
+
+    const [best] = candidates;
+    await log(`Detected project type ${best.type} (confidence ${best.confidence}) from: ${best.evidence.join(', ')}`);
+    if (candidates.length > 1) {
+        await log(`Other candidates: ${candidates.slice(1).map(c => `${c.type} (${c.confidence})`).join(', ')}`);
+    }
+
+    return { type: best.type, confidence: best.confidence, evidence: best.evidence, candidates };
+}
+
+export { detectProjectType, PROJECT_MARKERS };
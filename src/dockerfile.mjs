@@ -0,0 +1,105 @@
+// Function to render an entrypoint as the arguments of a CMD instruction. Shell commands
+// (e.g. from a Procfile) keep the shell form so variables such as $PORT expand.
+function formatCommandArguments(entrypoint) {
+    if (typeof entrypoint === 'string') {
+        return entrypoint;
+    }
+    return `[${entrypoint.map(part => JSON.stringify(part)).join(', ')}]`;
+}
+
+// Function to render an entrypoint as a Dockerfile CMD instruction
+function formatDockerCommand(entrypoint) {
+    return `CMD ${formatCommandArguments(entrypoint)}`;
+}
+
+// Function to read the exec (JSON array) form of an instruction's arguments, or null for the shell form
+function parseExecForm(args) {
+    if (!args.startsWith('[')) return null;
+    try {
+        const parsed = JSON.parse(args);
+        return Array.isArray(parsed) && parsed.every(part => typeof part === 'string') ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+// Function to parse a Dockerfile into its instructions. Each instruction carries its keyword
+// (upper case), its arguments with line continuations joined, the exec form when the arguments
+// are a JSON array, and the lines it spans. Comments and blank lines are dropped; the
+// `# escape=` parser directive is honored.
+function parseDockerfile(content) {
+    const lines = content.split(/\r?\n/);
+
+    // Parser directives ("# escape=`") are only recognized before the first other line
+    let escapeChar = '\\';
+    for (const line of lines) {
+        const directive = line.trim().match(/^#\s*(\w+)\s*=\s*(\S+)/);
+        if (!directive) break;
+        if (directive[1].toLowerCase() === 'escape') escapeChar = directive[2][0];
+    }
+
+    const instructions = [];
+    let current = null;
+
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const trimmed = rawLine.trim();
+
+        // Comments are allowed between continuation lines and do not end the instruction
+        if (trimmed.startsWith('#') || (trimmed === '' && !current)) return;
+
+        const continues = trimmed.endsWith(escapeChar);
+        const text = continues ? trimmed.slice(0, -1).trim() : trimmed;
+
+        if (current) {
+            current.args = `${current.args} ${text}`.trim();
+            current.endLine = lineNumber;
+        } else {
+            const match = text.match(/^(\S+)\s*(.*)$/);
+            current = {
+                instruction: match[1].toUpperCase(),
+                args: match[2],
+                line: lineNumber,
+                endLine: lineNumber
+            };
+        }
+
+        if (!continues) {
+            current.execForm = parseExecForm(current.args);
+            instructions.push(current);
+            current = null;
+        }
+    });
+
+    if (current) {
+        current.execForm = parseExecForm(current.args);
+        instructions.push(current);
+    }
+
+    return instructions;
+}
+
+// Function to group parsed instructions into build stages, one per FROM. A stage records its
+// base image, its name (`FROM image AS name`) and its instructions.
+function splitStages(instructions) {
+    const stages = [];
+
+    for (const instruction of instructions) {
+        if (instruction.instruction === 'FROM') {
+            const parts = instruction.args.split(/\s+/).filter(part => !part.startsWith('--'));
+            const asIndex = parts.findIndex(part => part.toUpperCase() === 'AS');
+            stages.push({
+                from: instruction,
+                image: parts[0] || '',
+                name: asIndex >= 0 ? parts[asIndex + 1] || null : null,
+                instructions: []
+            });
+        } else if (stages.length > 0) {
+            stages[stages.length - 1].instructions.push(instruction);
+        }
+    }
+
+    return stages;
+}
+
+export { formatDockerCommand, formatCommandArguments, parseDockerfile, splitStages };
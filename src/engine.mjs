@@ -0,0 +1,269 @@
+import Docker from 'dockerode';
+import path from 'path';
+import { log } from './logger.mjs';
+import { isDryRun, planCommand } from './plan.mjs';
+import { walkProject } from './walker.mjs';
+
+// Number of output lines kept per build step for error reports
+const BUILD_OUTPUT_LINES = 50;
+
+// Docker reference grammar (https://github.com/distribution/reference): a lowercase path with
+// an optional registry host, and a tag of word characters, dots and dashes
+const IMAGE_NAME_PATTERN = /^(?:[a-zA-Z0-9.-]+(?::\d+)?\/)?[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*$/;
+const IMAGE_TAG_PATTERN = /^[\w][\w.-]{0,127}$/;
+
+// Error raised when the Docker daemon reports a failed build. It carries the step that failed
+// (e.g. "Step 4/9 : RUN npm ci") and the output that step produced.
+class DockerBuildError extends Error {
+    constructor(message, { step = null, output = [], code = null } = {}) {
+        super(message);
+        this.name = 'DockerBuildError';
+        this.step = step;
+        this.output = output;
+        this.code = code;
+    }
+}
+
+let dockerClient = null;
+
+// Function to get the shared Docker API client. Without explicit options dockerode follows
+// DOCKER_HOST, DOCKER_TLS_VERIFY and DOCKER_CERT_PATH, and falls back to /var/run/docker.sock.
+function getDockerClient() {
+    if (!dockerClient) {
+        dockerClient = new Docker();
+    }
+    return dockerClient;
+}
+
+// Function to replace the shared Docker API client, e.g. with one pointing at a test socket
+function setDockerClient(client) {
+    dockerClient = client;
+}
+
+// Function to validate an image name and tag before they reach the Docker API or a shell
+function validateImageReference(imageName, imageTag) {
+    if (!imageName || !IMAGE_NAME_PATTERN.test(imageName)) {
+        throw new Error(`Invalid Docker image name: "${imageName}". Use lowercase letters, digits and separators (. _ - /).`);
+    }
+    if (!imageTag || !IMAGE_TAG_PATTERN.test(imageTag)) {
+        throw new Error(`Invalid Docker image tag: "${imageTag}". Use up to 128 letters, digits, underscores, dots and dashes.`);
+    }
+    return `${imageName}:${imageTag}`;
+}
+
+// Function to list the files of the build context relative to its root, leaving out
+// what .dockerignore excludes so ignored directories are not even read
+async function listContextFiles(contextDir) {
+    const files = await walkProject(contextDir, {
+        ignoreFiles: ['.dockerignore'],
+        skipDirectories: [],
+        maxDepth: Infinity,
+        followSymlinks: false
+    });
+    return files.map(file => path.relative(contextDir, file).split(path.sep).join('/'));
+}
+
+// Function to wait for a JSON progress stream to end, passing every event to `onEvent`
+function followProgress(docker, stream, onEvent) {
+    return new Promise((resolve, reject) => {
+        docker.modem.followProgress(stream, (err, output) => (err ? reject(err) : resolve(output)), onEvent);
+    });
+}
+
+// Function to build an image by streaming the tarred context to the Docker API.
+// Progress is reported through `spinner` (an ora instance) when given. Resolves with the image ID.
+async function buildImage({ contextDir, dockerfile = 'Dockerfile', imageName, imageTag, spinner = null }) {
+    const reference = validateImageReference(imageName, imageTag);
+
+    if (isDryRun()) {
+        planCommand(`docker build -t ${reference} -f ${path.join(contextDir, dockerfile)} ${contextDir}`);
+        return null;
+    }
+
+    const docker = getDockerClient();
+    const src = await listContextFiles(contextDir);
+    await log(`Sending build context with ${src.length} file(s) from ${contextDir}`);
+
+    const stream = await docker.buildImage({ context: contextDir, src }, { t: reference, dockerfile });
+
+    let currentStep = null;
+    let stepOutput = [];
+    let buildError = null;
+    let imageId = null;
+
+    await followProgress(docker, stream, (event) => {
+        if (event.stream) {
+            for (const line of event.stream.split('\n')) {
+                if (line.trim() === '') continue;
+
+                // Classic builder output announces each instruction as "Step N/M : INSTRUCTION"
+                if (/^Step \d+\/\d+ : /.test(line)) {
+                    currentStep = line.trim();
+                    stepOutput = [];
+                    if (spinner) spinner.text = `Building ${reference}: ${currentStep}`;
+                } else {
+                    stepOutput.push(line);
+                    if (stepOutput.length > BUILD_OUTPUT_LINES) stepOutput.shift();
+                }
+            }
+        } else if (event.status && spinner) {
+            // Base image pulls report layer status instead of build output
+            spinner.text = `Building ${reference}: ${event.status}${event.progress ? ` ${event.progress}` : ''}`;
+        }
+
+        if (event.aux && event.aux.ID) {
+            imageId = event.aux.ID;
+        }
+
+        if (event.error) {
+            buildError = new DockerBuildError(event.errorDetail?.message || event.error, {
+                step: currentStep,
+                output: stepOutput.slice(),
+                code: event.errorDetail?.code ?? null
+            });
+        }
+    });
+
+    if (buildError) {
+        throw buildError;
+    }
+
+    if (!imageId) {
+        imageId = (await docker.getImage(reference).inspect()).Id;
+    }
+
+    return imageId;
+}
+
+// Function to create and start a container. `ports` maps container ports to host ports, `volumes`
+// are `docker run -v` specs with absolute host paths or volume names, and `restart` is a restart
+// policy such as "unless-stopped". `client` is the Docker API client to use, the shared one by
+// default. Resolves with the container ID.
+async function runContainer({ image, name = null, ports = [], env = [], labels = {}, volumes = [], restart = null, client = null }) {
+    if (isDryRun()) {
+        const portFlags = ports.map(({ container, host }) => `-p ${host}:${container}`).join(' ');
+        const envFlags = env.map(variable => `-e ${variable.split('=')[0]}`).join(' ');
+        const labelFlags = Object.entries(labels).map(([key, value]) => `--label ${key}=${value}`).join(' ');
+        const volumeFlags = volumes.map(volume => `-v ${volume}`).join(' ');
+        planCommand(['docker run -d', name ? `--name ${name}` : '', restart ? `--restart ${restart}` : '', labelFlags, portFlags, envFlags, volumeFlags, image].filter(Boolean).join(' '));
+        return null;
+    }
+
+    const docker = client || getDockerClient();
+    const exposedPorts = {};
+    const portBindings = {};
+    for (const { container, host } of ports) {
+        exposedPorts[`${container}/tcp`] = {};
+        portBindings[`${container}/tcp`] = [{ HostPort: String(host) }];
+    }
+
+    const createOptions = {
+        Image: image,
+        Env: env,
+        Labels: labels,
+        ExposedPorts: exposedPorts,
+        HostConfig: {
+            PortBindings: portBindings,
+            ...(volumes.length > 0 ? { Binds: volumes } : {}),
+            ...(restart ? { RestartPolicy: { Name: restart } } : {})
+        }
+    };
+    if (name) {
+        createOptions.name = name;
+    }
+
+    const container = await docker.createContainer(createOptions);
+    await container.start();
+
+    return container.id;
+}
+
+// Function to stop a container, giving it `timeout` seconds to exit before it is killed.
+// A container that is not running or no longer exists is ignored.
+async function stopContainer(id, { timeout = 10, client = null } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker stop -t ${timeout} ${id}`);
+        return;
+    }
+
+    try {
+        await (client || getDockerClient()).getContainer(id).stop({ t: timeout });
+    } catch (err) {
+        // 304: the container was not running
+        if (err.statusCode === 304 || err.statusCode === 404) return;
+        throw err;
+    }
+}
+
+// Function to stop and remove a container. A container that no longer exists is ignored.
+async function removeContainer(id, { client = null } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker rm -f ${id}`);
+        return;
+    }
+
+    try {
+        await (client || getDockerClient()).getContainer(id).remove({ force: true });
+    } catch (err) {
+        if (err.statusCode === 404) return;
+        throw err;
+    }
+}
+
+// Function to give a container another name
+async function renameContainer(id, name, { client = null } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker rename ${id} ${name}`);
+        return;
+    }
+
+    await (client || getDockerClient()).getContainer(id).rename({ name });
+}
+
+// Function to start a stopped container. A container that is already running is ignored.
+async function startContainer(id, { client = null } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker start ${id}`);
+        return;
+    }
+
+    try {
+        await (client || getDockerClient()).getContainer(id).start();
+    } catch (err) {
+        // 304: the container was already running
+        if (err.statusCode === 304) return;
+        throw err;
+    }
+}
+
+// Function to inspect an image, on the local daemon unless `client` says otherwise.
+// Resolves with null when the image does not exist.
+async function inspectImage(reference, { client = null } = {}) {
+    try {
+        return await (client || getDockerClient()).getImage(reference).inspect();
+    } catch (err) {
+        if (err.statusCode === 404) return null;
+        throw err;
+    }
+}
+
+// Function to list the running containers created from an image
+async function listContainersForImage(reference) {
+    return getDockerClient().listContainers({ filters: { ancestor: [reference] } });
+}
+
+export {
+    DockerBuildError,
+    getDockerClient,
+    setDockerClient,
+    validateImageReference,
+    followProgress,
+    buildImage,
+    runContainer,
+    stopContainer,
+    removeContainer,
+    renameContainer,
+    startContainer,
+    inspectImage,
+    listContainersForImage
+};
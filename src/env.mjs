@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { log } from './logger.mjs';
+import { writeArtifact } from './plan.mjs';
+import { walkProject } from './walker.mjs';
+import { SECRET_NAME_PATTERN } from './lint.mjs';
+
+// Where the variables found in the source code are documented for whoever deploys the app
+const ENV_EXAMPLE_FILE = '.env.example';
+
+// How many source files are read at most, and the largest one that is, when looking for variables
+const MAX_ENV_SOURCES = 500;
+const MAX_ENV_SOURCE_SIZE = 512 * 1024;
+
+// Tests set up variables of their own, which the deployed app does not read
+const TEST_SOURCE_PATTERN = /(^|\/)(test|tests|spec|__tests__)\/|\.(test|spec)\.[cm]?[jt]sx?$|_test\.(go|py)$|(^|\/)test_[^/]*\.py$/;
+
+// Variables the generated images or the container runtime set, so the app never needs them from .env
+const RUNTIME_VARIABLES = [
+    'PORT', 'HOME', 'PATH', 'HOSTNAME', 'PWD', 'USER', 'LANG', 'TZ',
+    'NODE_ENV', 'RAILS_ENV', 'RACK_ENV', 'APP_ENV', 'HANAMI_ENV', 'RAILS_LOG_TO_STDOUT', 'RAILS_SERVE_STATIC_FILES',
+    'VIRTUAL_ENV', 'PYTHONUNBUFFERED', 'PYTHONDONTWRITEBYTECODE'
+];
+
+// A fallback value in source code: a string or number literal, or an expression such as a constant
+const FALLBACK = String.raw`(?<fallback>'[^'\n]*'|"[^"\n]*"|\x60[^\x60\n]*\x60|[\w.$:]+)`;
+const NAME = String.raw`(?<name>[A-Za-z_][A-Za-z0-9_]*)`;
+
+// Patterns of the reads of a variable, per kind of source file. A read with a `fallback` group
+// that matched, or an `optional` one, does not need the variable to be set. The fallback of a
+// `literal` pattern is the value itself rather than source code.
+const ENV_PATTERNS = {
+    javascript: [
+        new RegExp(String.raw`process\.env(?:\.${NAME}|\[\s*(?<q>['"\x60])${NAME.replace('name', 'quoted')}\k<q>\s*\])(?:\s*(?:\|\||\?\?)\s*${FALLBACK})?`, 'g')
+    ],
+    python: [
+        new RegExp(String.raw`os\.environ\[\s*['"]${NAME}['"]\s*\]`, 'g'),
+        { pattern: new RegExp(String.raw`os\.(?:environ\.get|getenv)\(\s*['"]${NAME}['"]\s*(?:,\s*${FALLBACK})?\s*\)`, 'g'), optional: true }
+    ],
+    ruby: [
+        new RegExp(String.raw`ENV\[\s*['"]${NAME}['"]\s*\](?:\s*\|\|\s*${FALLBACK})?`, 'g'),
+        new RegExp(String.raw`ENV\.fetch\(\s*['"]${NAME}['"]\s*(?:,\s*${FALLBACK}\s*\)|\)(?:\s*\{\s*${FALLBACK.replace('fallback', 'block')}\s*\})?)`, 'g')
+    ],
+    java: [
+        new RegExp(String.raw`System\.getenv\(\s*"${NAME}"\s*\)`, 'g')
+    ],
+    // Spring resolves ${NAME:default} from the environment; lower-case names are properties
+    spring: [
+        { pattern: new RegExp(String.raw`\$\{(?<name>[A-Z_][A-Z0-9_]*)(?::(?<fallback>[^}\n]*))?\}`, 'g'), literal: true }
+    ],
+    go: [
+        new RegExp(String.raw`os\.Getenv\(\s*"${NAME}"\s*\)`, 'g'),
+        { pattern: new RegExp(String.raw`os\.LookupEnv\(\s*"${NAME}"\s*\)`, 'g'), optional: true }
+    ]
+};
+
+// Kinds of source file searched for variables, by extension. Java sources carry Spring
+// placeholders in @Value annotations, Ruby configs read ENV in ERB.
+const SOURCE_KINDS = {
+    '.js': ['javascript'],
+    '.mjs': ['javascript'],
+    '.cjs': ['javascript'],
+    '.jsx': ['javascript'],
+    '.ts': ['javascript'],
+    '.tsx': ['javascript'],
+    '.py': ['python'],
+    '.rb': ['ruby'],
+    '.rake': ['ruby'],
+    '.erb': ['ruby'],
+    '.ru': ['ruby'],
+    '.java': ['java', 'spring'],
+    '.kt': ['java', 'spring'],
+    '.go': ['go']
+};
+
+// Function to get the kinds of source a file is searched as: by extension, with the Spring
+// application properties and the ERB in Rails' YAML configs
+function sourceKinds(filePath) {
+    const fileName = path.basename(filePath);
+    if (/^(application|bootstrap)(-[\w-]+)?\.(properties|ya?ml)$/.test(fileName)) {
+        return ['spring'];
+    }
+    if (/\.ya?ml$/.test(fileName) && path.basename(path.dirname(filePath)) === 'config') {
+        return ['ruby'];
+    }
+    return SOURCE_KINDS[path.extname(fileName)] || [];
+}
+
+// Function to turn a fallback found in source code into its value: the text of a literal, an
+// empty value for null, nil and None, or null for an expression that is only known at runtime
+function fallbackValue(fallback) {
+    if (/^(['"\x60]).*\1$/s.test(fallback)) return fallback.slice(1, -1);
+    if (/^(null|nil|None|undefined)$/.test(fallback)) return '';
+    if (/^(-?\d[\d.]*|true|false|True|False)$/.test(fallback)) return fallback;
+    return null;
+}
+
+// Function to read the variables of a .env file: KEY=value lines, optionally with "export"
+// and quoted values. Comments and blank lines are skipped.
+async function readEnvFile(filePath) {
+    const variables = {};
+    if (!(await fs.pathExists(filePath))) return variables;
+
+    for (const line of (await fs.readFile(filePath, 'utf-8')).split('\n')) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+        if (!match) continue;
+
+        let value = match[2].trim();
+        if (/^"(?:[^"\\]|\\.)*"/.test(value)) {
+            value = value.match(/^"((?:[^"\\]|\\.)*)"/)[1].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+        } else if (/^'[^']*'/.test(value)) {
+            value = value.match(/^'([^']*)'/)[1];
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        variables[match[1]] = value;
+    }
+
+    return variables;
+}
+
+// Function to tell whether a variable belongs in the Secret rather than the ConfigMap: its name
+// looks like a credential, it is listed in `secretKeys`, or it is a URL with a password in it
+function isSecretVariable(key, value, secretKeys = []) {
+    return secretKeys.includes(key) || SECRET_NAME_PATTERN.test(key) || /^[a-z][a-z0-9+.-]*:\/\/[^/@\s]*:[^/@\s]*@/i.test(value || '');
+}
+
+// Function to find the environment variables the application reads: process.env in Node.js,
+// os.environ and os.getenv in Python, ENV in Ruby, System.getenv and Spring placeholders in Java
+// and os.Getenv in Go. Resolves with the variables sorted by name, each with the files and lines
+// that read it, the default found in the code, whether it is `required` (no read falls back to a
+// default) and whether it is a `secret`.
+async function discoverEnvVariables(projectPath, { secretKeys = [] } = {}) {
+    const files = (await walkProject(projectPath, { maxDepth: 6 }))
+        .filter(file => sourceKinds(file).length > 0 && !TEST_SOURCE_PATTERN.test(path.relative(projectPath, file).split(path.sep).join('/')))
+        .slice(0, MAX_ENV_SOURCES);
+
+    const variables = new Map();
+    for (const file of files) {
+        const stats = await fs.stat(file);
+        if (stats.size > MAX_ENV_SOURCE_SIZE) continue;
+
+        const content = await fs.readFile(file, 'utf-8');
+        for (const kind of sourceKinds(file)) {
+            for (const entry of ENV_PATTERNS[kind]) {
+                const { pattern, optional = false, literal = false } = entry instanceof RegExp ? { pattern: entry } : entry;
+                for (const match of content.matchAll(pattern)) {
+                    const name = match.groups.name || match.groups.quoted;
+                    if (RUNTIME_VARIABLES.includes(name)) continue;
+
+                    const fallback = match.groups.fallback ?? match.groups.block;
+                    const line = content.slice(0, match.index).split('\n').length;
+                    const variable = variables.get(name) || { name, sources: [], defaultValue: null, required: true };
+                    variable.sources.push(`${path.relative(projectPath, file)}:${line}`);
+                    if (fallback !== undefined || optional) {
+                        variable.required = false;
+                        if (fallback !== undefined) {
+                            variable.defaultValue ??= literal ? fallback.trim() : fallbackValue(fallback.trim());
+                        }
+                    }
+                    variables.set(name, variable);
+                }
+            }
+        }
+    }
+
+    return [...variables.values()]
+        .map(variable => ({ ...variable, secret: isSecretVariable(variable.name, variable.defaultValue, secretKeys) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Function to list the required variables that have no value in `values`, the variables of the
+// env file that is passed on
+function findMissingVariables(variables, values = {}) {
+    return variables.filter(variable => variable.required && !values[variable.name]);
+}
+
+// Function to warn about the required variables of the application that `values` (read from
+// `envFile`) does not set, before the app is started without them. `variables` are the ones
+// discovered earlier in the command, if any. Resolves with their names.
+async function warnMissingVariables(projectPath, values, { envFile = '.env', secretKeys = [], variables = null } = {}) {
+    variables = variables || await discoverEnvVariables(projectPath, { secretKeys });
+    const missing = findMissingVariables(variables, values);
+    if (missing.length > 0) {
+        const names = missing.map(variable => variable.name).join(', ');
+        await log(`Required variable(s) without a value in ${envFile}: ${names}`);
+        console.warn(chalk.yellow(`The app reads ${names} without a default, but ${envFile} does not set ${missing.length === 1 ? 'it' : 'them'}.`));
+    }
+    return missing.map(variable => variable.name);
+}
+
+// Function to render a .env.example for the variables found: each with where it is read, and
+// the default found in the code as its value. Secrets are left empty.
+function renderEnvExample(variables) {
+    const lines = [
+        '# Environment variables the application reads, found by dockerizer.',
+        '# Copy this file to .env and fill in the values; keep .env out of version control.'
+    ];
+    for (const variable of variables) {
+        const notes = [variable.required ? 'Required' : null, variable.secret ? 'Secret' : null].filter(Boolean);
+        lines.push('', `# ${notes.length > 0 ? `${notes.join(', ')}. ` : ''}Read in ${variable.sources.join(', ')}`);
+        lines.push(`${variable.name}=${variable.secret || variable.defaultValue === null ? '' : variable.defaultValue}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Function to write the .env.example of the project, unless it has one (or `force` is set) or
+// the application reads no variables. Resolves with its path, or null when it was not written.
+async function generateEnvExample(projectPath, { force = false, variables = null } = {}) {
+    const examplePath = path.join(projectPath, ENV_EXAMPLE_FILE);
+
+    if (!force && await fs.pathExists(examplePath)) {
+        await log(`Existing ${ENV_EXAMPLE_FILE} found, skipping generation.`);
+        return null;
+    }
+
+    variables = variables || await discoverEnvVariables(projectPath);
+    if (variables.length === 0) {
+        await log(`No environment variables found in the source code, skipping ${ENV_EXAMPLE_FILE}.`);
+        return null;
+    }
+
+    await writeArtifact(examplePath, renderEnvExample(variables));
+    await log(`${ENV_EXAMPLE_FILE} generated at ${examplePath} with ${variables.length} variable(s)`);
+    return examplePath;
+}
+
+export {
+    ENV_EXAMPLE_FILE,
+    readEnvFile,
+    isSecretVariable,
+    discoverEnvVariables,
+    findMissingVariables,
+    warnMissingVariables,
+    renderEnvExample,
+    generateEnvExample
+};
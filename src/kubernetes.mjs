@@ -0,0 +1,535 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from './logger.mjs';
+import { inferRuntime } from './runtime.mjs';
+import { writeArtifact } from './plan.mjs';
+import { isSecretVariable, readEnvFile, warnMissingVariables } from './env.mjs';
+import { parseImageReference } from './manifests.mjs';
+
+// Directory of the project the manifests are written to
+const K8S_DIRECTORY = 'k8s';
+
+// Output formats: plain manifests, a Helm chart, or a Kustomize base with overlays
+const MANIFEST_FORMATS = ['raw', 'helm', 'kustomize'];
+
+// Directories of the Helm chart and of the Kustomize base and overlays, inside k8s/
+const HELM_CHART_DIRECTORY = 'chart';
+const KUSTOMIZE_BASE_DIRECTORY = 'base';
+const KUSTOMIZE_OVERLAYS = ['dev', 'prod'];
+
+// Order in which manifests are applied, so namespaces and config exist before the workloads using them
+const KIND_ORDER = ['Namespace', 'ConfigMap', 'Secret', 'Deployment', 'Service', 'Ingress'];
+
+// Settings used for whatever the `kubernetes` section of the project config leaves out
+const KUBERNETES_DEFAULTS = {
+    namespace: null,
+    replicas: 1,
+    serviceType: 'NodePort',
+    servicePort: 80,
+    resources: {
+        requests: { cpu: '100m', memory: '128Mi' },
+        limits: { cpu: '500m', memory: '512Mi' }
+    },
+    probes: {
+        path: null,
+        initialDelaySeconds: 10,
+        periodSeconds: 10,
+        timeoutSeconds: 3,
+        failureThreshold: 3
+    },
+    env: {
+        file: '.env',
+        secretKeys: []
+    },
+    ingress: null,
+    format: 'raw',
+    overlay: 'dev',
+    rolloutTimeout: 300
+};
+
+const SERVICE_TYPES = ['ClusterIP', 'NodePort', 'LoadBalancer'];
+
+// Names and label values must be DNS-1123 labels of at most 63 characters
+const DNS_LABEL_PATTERN = /^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$/;
+
+// Function to build the error for an invalid value in the `kubernetes` config section
+function invalidSetting(key, value, expected) {
+    return new Error(`Invalid "kubernetes.${key}" value in project config: ${JSON.stringify(value)}. Expected ${expected}.`);
+}
+
+// Function to merge the `kubernetes` section of the project config with the defaults and validate it
+function resolveKubernetesSettings(config = {}) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('The "kubernetes" section of the project config must be a mapping of options.');
+    }
+
+    const settings = {
+        ...KUBERNETES_DEFAULTS,
+        ...config,
+        // false turns resources and probes off; a mapping is merged with the defaults
+        resources: config.resources === false || config.resources === null ? null : {
+            requests: { ...KUBERNETES_DEFAULTS.resources.requests, ...config.resources?.requests },
+            limits: { ...KUBERNETES_DEFAULTS.resources.limits, ...config.resources?.limits }
+        },
+        probes: config.probes === false || config.probes === null ? null : { ...KUBERNETES_DEFAULTS.probes, ...config.probes },
+        env: { ...KUBERNETES_DEFAULTS.env, ...config.env },
+        ingress: config.ingress ? { path: '/', className: null, tls: false, ...(config.ingress === true ? {} : config.ingress) } : null
+    };
+
+    if (settings.namespace !== null && (typeof settings.namespace !== 'string' || !DNS_LABEL_PATTERN.test(settings.namespace))) {
+        throw invalidSetting('namespace', settings.namespace, 'a lowercase DNS label such as "my-app"');
+    }
+    if (!Number.isInteger(settings.replicas) || settings.replicas < 0) {
+        throw invalidSetting('replicas', settings.replicas, 'a whole number of at least 0');
+    }
+    if (!SERVICE_TYPES.includes(settings.serviceType)) {
+        throw invalidSetting('serviceType', settings.serviceType, `one of ${SERVICE_TYPES.join(', ')}`);
+    }
+    if (!Number.isInteger(settings.servicePort) || settings.servicePort < 1 || settings.servicePort > 65535) {
+        throw invalidSetting('servicePort', settings.servicePort, 'a port between 1 and 65535');
+    }
+    if (!Array.isArray(settings.env.secretKeys)) {
+        throw invalidSetting('env.secretKeys', settings.env.secretKeys, 'a list of variable names');
+    }
+    if (!Number.isInteger(settings.rolloutTimeout) || settings.rolloutTimeout < 1) {
+        throw invalidSetting('rolloutTimeout', settings.rolloutTimeout, 'a number of seconds of at least 1');
+    }
+    if (!MANIFEST_FORMATS.includes(settings.format)) {
+        throw invalidSetting('format', settings.format, `one of ${MANIFEST_FORMATS.join(', ')}`);
+    }
+    if (!KUSTOMIZE_OVERLAYS.includes(settings.overlay)) {
+        throw invalidSetting('overlay', settings.overlay, `one of ${KUSTOMIZE_OVERLAYS.join(', ')}`);
+    }
+    if (settings.ingress?.tls && !settings.ingress.host) {
+        throw invalidSetting('ingress.tls', settings.ingress.tls, 'an ingress host to go with it (kubernetes.ingress.host)');
+    }
+
+    return settings;
+}
+
+// Function to turn an image name into a valid Kubernetes resource name
+function resourceName(projectName) {
+    return projectName.split('/').pop().toLowerCase().replace(/[^a-z0-9-]/g, '-').slice(0, 63).replace(/^-+|-+$/g, '') || 'app';
+}
+
+// Function to turn a value, such as the image tag, into a valid label value
+function labelValue(value) {
+    return String(value).replace(/[^A-Za-z0-9._-]/g, '-').slice(0, 63).replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, '');
+}
+
+// Function to build the probe that checks the application, over HTTP when it has a health endpoint
+function buildProbe(probes, healthPath) {
+    return {
+        ...(healthPath ? { httpGet: { path: healthPath, port: 'http' } } : { tcpSocket: { port: 'http' } }),
+        initialDelaySeconds: probes.initialDelaySeconds,
+        periodSeconds: probes.periodSeconds,
+        timeoutSeconds: probes.timeoutSeconds,
+        failureThreshold: probes.failureThreshold
+    };
+}
+
+// Function to split the variables of the env file into those of the ConfigMap and those of the
+// Secret: names that look like credentials, the `secretKeys` and URLs with a password in them
+function splitEnvVariables(env, settings) {
+    const config = {};
+    const secret = {};
+    for (const [key, value] of Object.entries(env)) {
+        (isSecretVariable(key, value, settings.env.secretKeys) ? secret : config)[key] = value;
+    }
+    return { config, secret };
+}
+
+// Function to get the name of the Secret that holds the credentials of the env file
+function envSecretName(projectName) {
+    return `${resourceName(projectName)}-secret`;
+}
+
+// Function to build the Secret with the credentials of the env file, with the Namespace it goes
+// in, for deployKubernetes to apply from memory. Returns no manifests when there are no credentials.
+function buildEnvSecret(projectName, env, settings = resolveKubernetesSettings()) {
+    const { secret } = splitEnvVariables(env, settings);
+    if (Object.keys(secret).length === 0) return [];
+
+    const namespace = settings.namespace && settings.namespace !== 'default' ? settings.namespace : null;
+    const name = resourceName(projectName);
+    const labels = { 'app.kubernetes.io/name': name, 'app.kubernetes.io/instance': name, 'app.kubernetes.io/managed-by': 'dockerizer' };
+    return [
+        ...(namespace ? [{ apiVersion: 'v1', kind: 'Namespace', metadata: { name: namespace, labels: { 'app.kubernetes.io/managed-by': 'dockerizer' } } }] : []),
+        {
+            apiVersion: 'v1',
+            kind: 'Secret',
+            metadata: { name: envSecretName(projectName), ...(namespace ? { namespace } : {}), labels },
+            type: 'Opaque',
+            stringData: secret
+        }
+    ];
+}
+
+// Function to build the manifests of the application as objects, in the order they are applied:
+// an optional Namespace, a ConfigMap for the variables of .env (the credentials among them go in
+// a Secret made at deploy time, see buildEnvSecret), the Deployment, its Service and an optional
+// Ingress. Every resource carries the app.kubernetes.io labels.
+// `image` is the reference the container runs when it is not `<projectName>:<imageTag>`, such as
+// the pushed image in a registry (`registry.example.com/app@sha256:...`).
+function buildKubernetesManifests(projectName, imageTag, { port, healthPath = null, settings = resolveKubernetesSettings(), env = {}, partOf = null, image = null }) {
+    const name = resourceName(projectName);
+    const namespace = settings.namespace && settings.namespace !== 'default' ? settings.namespace : null;
+
+    // The selector must not change between deployments, so it leaves out the version
+    const selectorLabels = {
+        'app.kubernetes.io/name': name,
+        'app.kubernetes.io/instance': name
+    };
+    const labels = {
+        ...selectorLabels,
+        ...(labelValue(imageTag) ? { 'app.kubernetes.io/version': labelValue(imageTag) } : {}),
+        ...(partOf ? { 'app.kubernetes.io/part-of': resourceName(partOf) } : {}),
+        'app.kubernetes.io/managed-by': 'dockerizer'
+    };
+    const metadata = (resource) => ({ name: resource, ...(namespace ? { namespace } : {}), labels });
+
+    const manifests = [];
+    if (namespace) {
+        manifests.push({
+            apiVersion: 'v1',
+            kind: 'Namespace',
+            metadata: { name: namespace, labels: { 'app.kubernetes.io/managed-by': 'dockerizer' } }
+        });
+    }
+
+    // The Secret is only referenced: deployKubernetes creates it from .env, so that no
+    // credential is written into the project
+    const { config: configData, secret: secretData } = splitEnvVariables(env, settings);
+    const envFrom = [];
+    if (Object.keys(configData).length > 0) {
+        manifests.push({ apiVersion: 'v1', kind: 'ConfigMap', metadata: metadata(`${name}-config`), data: configData });
+        envFrom.push({ configMapRef: { name: `${name}-config` } });
+    }
+    if (Object.keys(secretData).length > 0) {
+        envFrom.push({ secretRef: { name: envSecretName(projectName) } });
+    }
+
+    const probePath = settings.probes?.path || healthPath;
+    const container = {
+        name,
+        image: image || `${projectName}:${imageTag}`,
+        imagePullPolicy: 'IfNotPresent',
+        ports: [{ name: 'http', containerPort: port, protocol: 'TCP' }],
+        env: [{ name: 'PORT', value: String(port) }],
+        ...(envFrom.length > 0 ? { envFrom } : {}),
+        ...(settings.resources ? { resources: settings.resources } : {}),
+        ...(settings.probes ? {
+            readinessProbe: buildProbe(settings.probes, probePath),
+            livenessProbe: buildProbe(settings.probes, probePath)
+        } : {})
+    };
+
+    manifests.push({
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: metadata(name),
+        spec: {
+            replicas: settings.replicas,
+            selector: { matchLabels: selectorLabels },
+            template: {
+                metadata: { labels },
+                spec: { containers: [container] }
+            }
+        }
+    });
+
+    manifests.push({
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: metadata(name),
+        spec: {
+            type: settings.serviceType,
+            selector: selectorLabels,
+            ports: [{ name: 'http', port: settings.servicePort, targetPort: 'http', protocol: 'TCP' }]
+        }
+    });
+
+    const { ingress } = settings;
+    if (ingress) {
+        const tlsSecretName = typeof ingress.tls === 'object' && ingress.tls?.secretName ? ingress.tls.secretName : `${name}-tls`;
+        manifests.push({
+            apiVersion: 'networking.k8s.io/v1',
+            kind: 'Ingress',
+            metadata: { ...metadata(name), ...(ingress.annotations ? { annotations: ingress.annotations } : {}) },
+            spec: {
+                ...(ingress.className ? { ingressClassName: ingress.className } : {}),
+                ...(ingress.tls ? { tls: [{ hosts: [ingress.host], secretName: tlsSecretName }] } : {}),
+                rules: [{
+                    ...(ingress.host ? { host: ingress.host } : {}),
+                    http: {
+                        paths: [{
+                            path: ingress.path,
+                            pathType: 'Prefix',
+                            backend: { service: { name, port: { name: 'http' } } }
+                        }]
+                    }
+                }]
+            }
+        });
+    }
+
+    return manifests;
+}
+
+// Function to tell which format the manifests in a k8s/ directory have, or null when there are none
+async function detectManifestFormat(directory) {
+    if (await fs.pathExists(path.join(directory, HELM_CHART_DIRECTORY, 'Chart.yaml'))) return 'helm';
+    if (await fs.pathExists(path.join(directory, KUSTOMIZE_BASE_DIRECTORY, 'kustomization.yaml'))) return 'kustomize';
+    if ((await listManifestFiles(directory)).length > 0) return 'raw';
+    return null;
+}
+
+// Function to dump a manifest as YAML with the dockerizer header
+function dumpManifest(manifest) {
+    return '# Generated by dockerizer.\n' + yaml.dump(manifest, { lineWidth: -1, noRefs: true });
+}
+
+// Function to render the manifests as one file per resource
+function renderRawManifests(manifests) {
+    return manifests.map(manifest => ({
+        relativePath: `${manifest.kind.toLowerCase()}.yaml`,
+        content: dumpManifest(manifest)
+    }));
+}
+
+// Function to turn a manifest object into a Helm template. Values set to "{{ ... }}" are written
+// unquoted, and values set to "__TOYAML__<path>" become a toYaml block of that value.
+function helmTemplate(manifest) {
+    return yaml.dump(manifest, { lineWidth: -1, noRefs: true })
+        .replace(/^( *)([\w.-]+): __TOYAML__(\S+)$/gm, (match, indent, key, valuePath) =>
+            `${indent}${key}:\n${indent}  {{- toYaml ${valuePath} | nindent ${indent.length + 2} }}`)
+        .replace(/'(\{\{[^']*\}\})'/g, '$1');
+}
+
+// Function to render the manifests as a Helm chart whose values.yaml holds the image, tag (or
+// digest), port, replicas, service, resources, ingress host and the ConfigMap variables
+function renderHelmChart(manifests, projectName, imageTag, settings) {
+    const chartName = resourceName(projectName);
+    const byKind = Object.fromEntries(manifests.map(manifest => [manifest.kind, manifest]));
+    const container = byKind.Deployment.spec.template.spec.containers[0];
+    const { repository, digest } = parseImageReference(container.image);
+
+    const values = {
+        image: { repository, tag: imageTag, ...(digest ? { digest } : {}), pullPolicy: container.imagePullPolicy },
+        replicaCount: byKind.Deployment.spec.replicas,
+        port: container.ports[0].containerPort,
+        service: { type: byKind.Service.spec.type, port: byKind.Service.spec.ports[0].port },
+        ...(container.resources ? { resources: container.resources } : {}),
+        env: byKind.ConfigMap?.data || {},
+        ...(byKind.Ingress ? { ingress: { host: settings.ingress.host || '' } } : {})
+    };
+
+    const files = [
+        {
+            relativePath: 'Chart.yaml',
+            content: '# Generated by dockerizer.\n' + yaml.dump({
+                apiVersion: 'v2',
+                name: chartName,
+                description: `Helm chart for ${projectName}`,
+                type: 'application',
+                version: '0.1.0',
+                appVersion: String(imageTag)
+            }, { lineWidth: -1 })
+        },
+        {
+            relativePath: 'values.yaml',
+            content: '# Generated by dockerizer.\n' + yaml.dump(values, { lineWidth: -1, noRefs: true })
+        }
+    ];
+
+    // The release owns the instance and manager labels, Helm the namespace
+    const labels = (existing) => ({
+        ...existing,
+        'app.kubernetes.io/instance': '{{ .Release.Name }}',
+        ...(existing['app.kubernetes.io/version'] ? { 'app.kubernetes.io/version': '{{ .Values.image.tag | quote }}' } : {}),
+        'app.kubernetes.io/managed-by': '{{ .Release.Service }}',
+        'helm.sh/chart': '{{ .Chart.Name }}-{{ .Chart.Version }}'
+    });
+
+    for (const source of manifests.filter(manifest => manifest.kind !== 'Namespace')) {
+        const manifest = structuredClone(source);
+        delete manifest.metadata.namespace;
+        manifest.metadata.labels = labels(manifest.metadata.labels);
+
+        if (manifest.kind === 'ConfigMap') {
+            manifest.data = '__TOYAML__.Values.env';
+        } else if (manifest.kind === 'Deployment') {
+            const { spec } = manifest;
+            spec.replicas = '{{ .Values.replicaCount }}';
+            spec.selector.matchLabels['app.kubernetes.io/instance'] = '{{ .Release.Name }}';
+            spec.template.metadata.labels = labels(spec.template.metadata.labels);
+
+            const [chartContainer] = spec.template.spec.containers;
+            // A digest pins the exact image; the tag then only labels the release
+            chartContainer.image = '{{ .Values.image.repository }}{{ with .Values.image.digest }}@{{ . }}{{ else }}:{{ .Values.image.tag }}{{ end }}';
+            chartContainer.imagePullPolicy = '{{ .Values.image.pullPolicy }}';
+            chartContainer.ports[0].containerPort = '{{ .Values.port }}';
+            chartContainer.env = [{ name: 'PORT', value: '{{ .Values.port | quote }}' }];
+            if (chartContainer.resources) chartContainer.resources = '__TOYAML__.Values.resources';
+        } else if (manifest.kind === 'Service') {
+            manifest.spec.type = '{{ .Values.service.type }}';
+            manifest.spec.selector['app.kubernetes.io/instance'] = '{{ .Release.Name }}';
+            manifest.spec.ports[0].port = '{{ .Values.service.port }}';
+        } else if (manifest.kind === 'Ingress') {
+            for (const rule of manifest.spec.rules) {
+                if (rule.host) rule.host = '{{ .Values.ingress.host }}';
+            }
+            for (const tls of manifest.spec.tls || []) {
+                tls.hosts = ['{{ .Values.ingress.host }}'];
+            }
+        }
+
+        files.push({
+            relativePath: `templates/${manifest.kind.toLowerCase()}.yaml`,
+            content: '# Generated by dockerizer.\n' + helmTemplate(manifest)
+        });
+    }
+
+    return files.map(file => ({ ...file, relativePath: `${HELM_CHART_DIRECTORY}/${file.relativePath}` }));
+}
+
+// Function to render the manifests as a Kustomize base and one overlay per environment that
+// sets the image tag, or the digest of a pushed image
+function renderKustomization(manifests, projectName, imageTag, settings) {
+    const base = renderRawManifests(manifests);
+    const container = manifests.find(manifest => manifest.kind === 'Deployment').spec.template.spec.containers[0];
+    const { repository, digest } = parseImageReference(container.image);
+    const kustomization = (fields) => '# Generated by dockerizer.\n' + yaml.dump({
+        apiVersion: 'kustomize.config.k8s.io/v1beta1',
+        kind: 'Kustomization',
+        ...fields
+    }, { lineWidth: -1 });
+
+    return [
+        ...base.map(file => ({ ...file, relativePath: `${KUSTOMIZE_BASE_DIRECTORY}/${file.relativePath}` })),
+        {
+            relativePath: `${KUSTOMIZE_BASE_DIRECTORY}/kustomization.yaml`,
+            content: kustomization({ resources: base.map(file => file.relativePath) })
+        },
+        ...KUSTOMIZE_OVERLAYS.map(overlay => ({
+            relativePath: `overlays/${overlay}/kustomization.yaml`,
+            content: kustomization({
+                resources: [`../../${KUSTOMIZE_BASE_DIRECTORY}`],
+                images: [{ name: repository, ...(digest ? { digest } : { newTag: String(imageTag) }) }]
+            })
+        }))
+    ];
+}
+
+// Function to list the manifests in a directory, in the order they should be applied
+async function listManifestFiles(directory) {
+    if (!(await fs.pathExists(directory))) return [];
+
+    const files = [];
+    for (const fileName of (await fs.readdir(directory)).filter(name => /\.ya?ml$/.test(name))) {
+        const filePath = path.join(directory, fileName);
+        let kind = null;
+        try {
+            kind = yaml.loadAll(await fs.readFile(filePath, 'utf-8')).find(document => document?.kind)?.kind || null;
+        } catch (err) {
+            await log(`Could not parse ${filePath}: ${err.message}`);
+        }
+        // Kinds dockerizer does not know go last, in name order
+        const rank = KIND_ORDER.includes(kind) ? KIND_ORDER.indexOf(kind) : KIND_ORDER.length;
+        files.push({ filePath, rank });
+    }
+
+    return files
+        .sort((a, b) => a.rank - b.rank || a.filePath.localeCompare(b.filePath))
+        .map(file => file.filePath);
+}
+
+// Function to write the Kubernetes manifests of the project into its k8s/ directory, as plain
+// manifests, a Helm chart or a Kustomize base with overlays (the `format` setting). Output that is
+// already there is kept unless `force` is set. `config` is the `kubernetes` section of the project
+// config, and `image` the reference to run instead of `<projectName>:<imageTag>`. `variables` are the
+// variables the app reads, when the command discovered them already. Resolves with the format, the
+// files written and what `kubectl apply` or `helm` takes.
+async function generateKubernetesManifests(projectPath, projectName, imageTag, { runtime = null, config = {}, partOf = null, force = false, image = null, variables = null } = {}) {
+    const directory = path.join(projectPath, K8S_DIRECTORY);
+    const settings = resolveKubernetesSettings(config);
+    const { format } = settings;
+
+    const existing = await listGeneratedFiles(directory, format);
+    if (!force && existing.length > 0) {
+        await log(`Existing Kubernetes ${format} output found in ${directory}, skipping generation.`);
+        return { directory, format, files: existing, target: await resolveApplyTarget(directory, format, settings), generated: false };
+    }
+
+    runtime = runtime || await inferRuntime(projectPath);
+    const envPath = path.join(projectPath, settings.env.file);
+    const env = settings.env.file ? await readEnvFile(envPath) : {};
+    if (Object.keys(env).length > 0) {
+        await log(`Read ${Object.keys(env).length} variable(s) for the ConfigMap and Secret from ${envPath}`);
+    }
+    await warnMissingVariables(projectPath, env, { envFile: settings.env.file || '.env', secretKeys: settings.env.secretKeys, variables });
+
+    const manifests = buildKubernetesManifests(projectName, imageTag, {
+        port: runtime.port,
+        healthPath: runtime.healthPath,
+        settings,
+        env,
+        partOf,
+        image
+    });
+
+    const renderers = {
+        raw: () => renderRawManifests(manifests),
+        helm: () => renderHelmChart(manifests, projectName, imageTag, settings),
+        kustomize: () => renderKustomization(manifests, projectName, imageTag, settings)
+    };
+
+    const files = [];
+    for (const file of renderers[format]()) {
+        const filePath = path.join(directory, file.relativePath);
+        await writeArtifact(filePath, file.content);
+        files.push(filePath);
+    }
+
+    await log(`Generated Kubernetes ${format} output in ${directory}: ${manifests.map(manifest => manifest.kind).join(', ')}`);
+    return { directory, format, files, target: format === 'raw' ? files : applyTarget(directory, format, settings), generated: true };
+}
+
+// Function to list the files of earlier output in the given format
+async function listGeneratedFiles(directory, format) {
+    if (format === 'raw') return listManifestFiles(directory);
+
+    const marker = format === 'helm'
+        ? path.join(directory, HELM_CHART_DIRECTORY, 'Chart.yaml')
+        : path.join(directory, KUSTOMIZE_BASE_DIRECTORY, 'kustomization.yaml');
+    return (await fs.pathExists(marker)) ? [marker] : [];
+}
+
+// Function to get what is deployed for a format: the manifest files in order, the chart
+// directory, or the overlay directory of the configured environment
+async function resolveApplyTarget(directory, format, settings) {
+    return format === 'raw' ? listManifestFiles(directory) : applyTarget(directory, format, settings);
+}
+
+// Function to get the chart or overlay directory deployed for the Helm and Kustomize formats
+function applyTarget(directory, format, settings) {
+    if (format === 'helm') return path.join(directory, HELM_CHART_DIRECTORY);
+    if (format === 'kustomize') return path.join(directory, 'overlays', settings.overlay);
+    return null;
+}
+
+export {
+    K8S_DIRECTORY,
+    KUSTOMIZE_BASE_DIRECTORY,
+    KUBERNETES_DEFAULTS,
+    MANIFEST_FORMATS,
+    resolveKubernetesSettings,
+    resourceName,
+    buildEnvSecret,
+    buildKubernetesManifests,
+    detectManifestFormat,
+    listManifestFiles,
+    resolveApplyTarget,
+    generateKubernetesManifests
+};
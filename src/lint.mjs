@@ -0,0 +1,237 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { parseDockerfile, splitStages } from './dockerfile.mjs';
+
+// Severities from least to most severe; `--fail-on` picks the lowest one that fails the run
+const SEVERITIES = ['info', 'warning', 'error'];
+
+// Rules checked by the linter, with their default severity
+const LINT_RULES = {
+    'base-image-latest': { severity: 'warning', description: 'Base image uses the :latest tag' },
+    'base-image-unpinned': { severity: 'warning', description: 'Base image has no tag or digest' },
+    'runs-as-root': { severity: 'warning', description: 'Final stage runs as root' },
+    'missing-healthcheck': { severity: 'info', description: 'Final stage has no HEALTHCHECK' },
+    'add-remote-url': { severity: 'warning', description: 'ADD downloads a remote URL' },
+    'apt-get-no-cleanup': { severity: 'warning', description: 'apt-get install without removing the package lists' },
+    'copy-before-install': { severity: 'warning', description: 'The whole context is copied before dependencies are installed' },
+    'secret-in-env': { severity: 'error', description: 'ENV sets what looks like a secret' }
+};
+
+// Commands that install dependencies from a manifest, which should run before `COPY . .`
+const INSTALL_PATTERNS = [
+    /\bnpm\s+(ci|install|i)\b/,
+    /\byarn(\s+install)?\s*($|&&|;|\s--)/,
+    /\bpnpm\s+(install|i)\b/,
+    /\bpip3?\s+install\b.*\s-r\s/,
+    /\b(poetry|pipenv)\s+install\b/,
+    /\bbundle\s+install\b/,
+    /\bgo\s+mod\s+download\b/,
+    /\bcomposer\s+install\b/
+];
+
+// Variable names that usually hold credentials
+const SECRET_NAME_PATTERN = /(PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)/i;
+
+// Function to create a problem for `rule` at `instruction`
+function problem(rule, instruction, message) {
+    return {
+        rule,
+        severity: LINT_RULES[rule].severity,
+        line: instruction.line,
+        message
+    };
+}
+
+// Function to split the arguments of COPY/ADD into flags, sources and destination
+function splitCopyArguments(instruction) {
+    const parts = instruction.execForm || instruction.args.split(/\s+/).filter(Boolean);
+    const flags = parts.filter(part => part.startsWith('--'));
+    const paths = parts.filter(part => !part.startsWith('--'));
+    return { flags, sources: paths.slice(0, -1), destination: paths[paths.length - 1] };
+}
+
+// Function to get the shell command a RUN instruction executes
+function runCommandText(instruction) {
+    if (instruction.execForm) return instruction.execForm.join(' ');
+    // Drop the RUN flags (--mount, --network, ...) in front of the command
+    return instruction.args.replace(/^(--\S+\s+)*/, '');
+}
+
+// Function to parse the KEY=value pairs (or the legacy "KEY value" form) of an ENV instruction
+function parseEnvPairs(args) {
+    if (!/^[^\s=]+=/.test(args)) {
+        const [key, ...value] = args.split(/\s+/);
+        return [{ key, value: value.join(' ') }];
+    }
+
+    const pairs = [];
+    for (const match of args.matchAll(/([^\s=]+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)) {
+        pairs.push({ key: match[1], value: match[2].replace(/^(["'])(.*)\1$/, '$2') });
+    }
+    return pairs;
+}
+
+// Function to check that every base image is pinned to a tag other than latest, or a digest
+function checkBaseImages(stages) {
+    const problems = [];
+    const stageNames = new Set();
+
+    for (const stage of stages) {
+        const image = stage.image;
+        const isStageReference = stageNames.has(image.toLowerCase());
+        if (stage.name) stageNames.add(stage.name.toLowerCase());
+
+        // scratch, earlier stages and images chosen through ARG cannot be pinned here
+        if (isStageReference || image === 'scratch' || image.includes('$') || image.includes('@')) continue;
+
+        const tag = image.split('/').pop().split(':')[1];
+        if (tag === undefined) {
+            problems.push(problem('base-image-unpinned', stage.from, `Base image "${image}" has no tag, so it resolves to :latest. Pin a version (e.g. "${image}:<version>") or a digest.`));
+        } else if (tag === 'latest') {
+            problems.push(problem('base-image-latest', stage.from, `Base image "${image}" uses :latest, so builds are not reproducible. Pin a version or a digest.`));
+        }
+    }
+
+    return problems;
+}
+
+// Function to find the stage a stage builds on, when it starts FROM an earlier stage
+function parentStage(stages, stage) {
+    const index = stages.indexOf(stage);
+    return stages.slice(0, index).reverse().find(candidate => candidate.name && candidate.name.toLowerCase() === stage.image.toLowerCase()) || null;
+}
+
+// Function to check the user and health check of the stage that becomes the image
+function checkFinalStage(stages) {
+    const problems = [];
+    const finalStage = stages[stages.length - 1];
+    if (!finalStage) return problems;
+
+    // USER and HEALTHCHECK are inherited from earlier stages the final stage builds on
+    const lineage = [];
+    for (let stage = finalStage; stage; stage = parentStage(stages, stage)) {
+        lineage.unshift(stage);
+    }
+    const instructions = lineage.flatMap(stage => stage.instructions);
+
+    const userInstruction = instructions.filter(instruction => instruction.instruction === 'USER').pop();
+    const user = userInstruction ? userInstruction.args.split(':')[0].trim() : null;
+    const nonRootBase = /(^|[:-])nonroot$/.test(lineage[0].image);
+
+    if (userInstruction ? ['root', '0'].includes(user) : !nonRootBase) {
+        problems.push(problem('runs-as-root', userInstruction || finalStage.from,
+            userInstruction
+                ? `The final stage switches to ${user}. Run the application as an unprivileged user.`
+                : 'The final stage has no USER instruction, so the container runs as root. Add a USER for an unprivileged user.'));
+    }
+
+    if (!instructions.some(instruction => instruction.instruction === 'HEALTHCHECK')) {
+        problems.push(problem('missing-healthcheck', finalStage.from, 'The final stage has no HEALTHCHECK, so Docker cannot tell when the application is unhealthy.'));
+    }
+
+    return problems;
+}
+
+// Function to check the ADD, COPY, RUN and ENV instructions of every stage
+function checkInstructions(stages) {
+    const problems = [];
+
+    for (const stage of stages) {
+        let contextCopy = null;
+
+        for (const instruction of stage.instructions) {
+            if (instruction.instruction === 'ADD') {
+                const { flags, sources } = splitCopyArguments(instruction);
+                const url = sources.find(source => /^https?:\/\//i.test(source));
+                if (url && !flags.some(flag => flag.startsWith('--checksum'))) {
+                    problems.push(problem('add-remote-url', instruction, `ADD downloads ${url} without a checksum. Use ADD --checksum=sha256:... or download it in a RUN step and verify it.`));
+                }
+            }
+
+            if ((instruction.instruction === 'COPY' || instruction.instruction === 'ADD') && !contextCopy) {
+                const { flags, sources } = splitCopyArguments(instruction);
+                if (!flags.some(flag => flag.startsWith('--from')) && sources.some(source => ['.', './', '*'].includes(source))) {
+                    contextCopy = instruction;
+                }
+            }
+
+            if (instruction.instruction === 'RUN') {
+                const command = runCommandText(instruction);
+                const usesAptCache = /--mount=type=cache[^\s]*\/var\/(cache|lib)\/apt/.test(instruction.args);
+
+                if (/\bapt-get\s+(?:-\S+\s+)*install\b/.test(command) && !/\brm\s+(-\w+\s+)*\/var\/lib\/apt\/lists/.test(command) && !usesAptCache) {
+                    problems.push(problem('apt-get-no-cleanup', instruction, 'apt-get install leaves the package lists in the layer. Add "&& rm -rf /var/lib/apt/lists/*" to the same RUN.'));
+                }
+
+                if (contextCopy && INSTALL_PATTERNS.some(pattern => pattern.test(command))) {
+                    problems.push(problem('copy-before-install', contextCopy, `"${contextCopy.instruction} ${contextCopy.args}" comes before the dependency install on line ${instruction.line}, so any source change reinstalls every dependency. Copy the manifests and install first.`));
+                    contextCopy = null;
+                }
+            }
+
+            if (instruction.instruction === 'ENV') {
+                for (const { key, value } of parseEnvPairs(instruction.args)) {
+                    if (SECRET_NAME_PATTERN.test(key) && value !== '' && !/^\$\{?\w+\}?$/.test(value)) {
+                        problems.push(problem('secret-in-env', instruction, `ENV ${key} is baked into the image and visible in its history. Pass it at runtime instead.`));
+                    }
+                }
+            }
+        }
+    }
+
+    return problems;
+}
+
+// Function to lint Dockerfile content. Rules listed in `ignore` are skipped.
+// Returns the problems sorted by line and a count per severity.
+function lintDockerfile(content, { file = 'Dockerfile', ignore = [] } = {}) {
+    const stages = splitStages(parseDockerfile(content));
+
+    const problems = [
+        ...checkBaseImages(stages),
+        ...checkFinalStage(stages),
+        ...checkInstructions(stages)
+    ]
+        .filter(found => !ignore.includes(found.rule))
+        .sort((a, b) => a.line - b.line);
+
+    const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, problems.filter(found => found.severity === severity).length]));
+    return { file, problems, summary };
+}
+
+// Function to read and lint a Dockerfile on disk
+async function lintDockerfileAtPath(dockerfilePath, { ignore = [] } = {}) {
+    if (!(await fs.pathExists(dockerfilePath))) {
+        throw new Error(`No Dockerfile found at ${dockerfilePath}`);
+    }
+    return lintDockerfile(await fs.readFile(dockerfilePath, 'utf-8'), { file: dockerfilePath, ignore });
+}
+
+// Function to tell whether a report has a problem at or above `failOn` ("none" never fails)
+function failsLint(report, failOn = 'error') {
+    if (failOn === 'none') return false;
+    const threshold = SEVERITIES.indexOf(failOn);
+    return report.problems.some(found => SEVERITIES.indexOf(found.severity) >= threshold);
+}
+
+// Function to format a report for the terminal
+function formatLintReport(report) {
+    const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.blue };
+    const relativeFile = path.relative(process.cwd(), report.file) || report.file;
+
+    if (report.problems.length === 0) {
+        return chalk.green(`✔ ${relativeFile}: no problems found`);
+    }
+
+    const lines = [chalk.underline(relativeFile)];
+    for (const found of report.problems) {
+        lines.push(`  ${String(found.line).padStart(4)}  ${colors[found.severity](found.severity.padEnd(7))}  ${found.message}  ${chalk.dim(found.rule)}`);
+    }
+
+    const { error, warning, info } = report.summary;
+    lines.push('', `${report.problems.length} problem(s): ${error} error(s), ${warning} warning(s), ${info} info`);
+    return lines.join('\n');
+}
+
+export { LINT_RULES, SEVERITIES, SECRET_NAME_PATTERN, lintDockerfile, lintDockerfileAtPath, failsLint, formatLintReport };
@@ -0,0 +1,18 @@
+import fs from 'fs-extra';
+
+// Whether log messages are echoed to stderr instead of stdout
+let logToStderr = false;
+
+// Function to echo log messages to stderr, for commands that print machine-readable output
+// (e.g. `lint --format json`) on stdout
+function setLogToStderr(enabled) {
+    logToStderr = enabled;
+}
+
+// Log function to log to both console and file
+async function log(message) {
+    (logToStderr ? console.error : console.log)(message);
+    await fs.appendFile('scan_project_log.txt', `${new Date().toISOString()} - ${message}\n`);
+}
+
+export { log, setLogToStderr };
@@ -0,0 +1,221 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from './logger.mjs';
+import { walkProject } from './walker.mjs';
+import { writeArtifact } from './plan.mjs';
+
+// Where the pod spec of each workload kind lives
+const POD_SPEC_PATHS = {
+    Pod: ['spec'],
+    Deployment: ['spec', 'template', 'spec'],
+    StatefulSet: ['spec', 'template', 'spec'],
+    DaemonSet: ['spec', 'template', 'spec'],
+    ReplicaSet: ['spec', 'template', 'spec'],
+    Job: ['spec', 'template', 'spec'],
+    CronJob: ['spec', 'jobTemplate', 'spec', 'template', 'spec']
+};
+
+// A scalar "key: value" line, optionally starting a sequence item, with an optional comment
+const SCALAR_LINE_PATTERN = /^(\s*(?:-\s+)?[\w.-]+:\s*)(["']?)([^"'#\s]+)\2/;
+
+// Function to split an image reference into repository, tag and digest:
+// "registry:5000/team/app:1.2@sha256:..." -> registry:5000/team/app, 1.2, sha256:...
+function parseImageReference(reference) {
+    const [name, digest = null] = String(reference).split('@');
+    const tagSeparator = name.lastIndexOf(':');
+    const hasTag = tagSeparator > name.lastIndexOf('/');
+
+    return {
+        repository: hasTag ? name.slice(0, tagSeparator) : name,
+        tag: hasTag ? name.slice(tagSeparator + 1) : null,
+        digest
+    };
+}
+
+// Function to list the containers (and init containers) of a workload document
+function workloadContainers(document) {
+    const specPath = POD_SPEC_PATHS[document?.kind];
+    if (!specPath) return [];
+
+    const podSpec = specPath.reduce((node, key) => node?.[key], document);
+    return [...(podSpec?.initContainers || []), ...(podSpec?.containers || [])]
+        .filter(container => container?.name && typeof container.image === 'string');
+}
+
+// Function to find the mapping items of block sequences ("- name: app" and the keys below it at
+// the same indentation) between two lines, with the line and value of each scalar key
+function findSequenceItems(lines, start, end) {
+    const items = [];
+
+    for (let index = start; index < end; index++) {
+        const itemStart = lines[index].match(/^(\s*-\s+)[\w.-]+:/);
+        if (!itemStart) continue;
+
+        const keyColumn = itemStart[1].length;
+        const item = {};
+        const addKey = (lineIndex) => {
+            const key = lines[lineIndex].match(/^\s*(?:-\s+)?([\w.-]+):/)[1];
+            const scalar = lines[lineIndex].match(SCALAR_LINE_PATTERN);
+            if (scalar) item[key] = { line: lineIndex, value: scalar[3] };
+        };
+
+        addKey(index);
+        for (let next = index + 1; next < end; next++) {
+            const text = lines[next];
+            if (text.trim() === '' || text.trim().startsWith('#')) continue;
+
+            const indent = text.match(/^\s*/)[0].length;
+            if (indent < keyColumn) break;
+            if (indent === keyColumn && /^\s*[\w.-]+:/.test(text)) addKey(next);
+        }
+        items.push(item);
+    }
+
+    return items;
+}
+
+// Function to replace the scalar value on a line, keeping its quotes and any trailing comment
+function replaceScalar(line, value) {
+    return line.replace(SCALAR_LINE_PATTERN, (match, prefix, quote) => `${prefix}${quote}${value}${quote}`);
+}
+
+// Function to update the image references in the YAML content of one file. Containers of
+// workloads (Deployment, StatefulSet, DaemonSet, ReplicaSet, Job, CronJob, Pod) are updated
+// when their name is in `containerNames` or their image has the same repository as `image`;
+// the `images` of a Kustomization get the new tag, or digest when `image` has one. The content
+// is edited line by line, so comments, quoting and layout stay as they were. Returns the new
+// content and the changes.
+function updateImagesInContent(content, image, { containerNames = [] } = {}) {
+    const target = parseImageReference(image);
+    const lines = content.split('\n');
+    const changes = [];
+    const unresolved = [];
+
+    // Documents are separated by "---" lines
+    const boundaries = [-1, ...lines.flatMap((line, index) => (/^---(\s|$)/.test(line) ? [index] : [])), lines.length];
+
+    for (let documentIndex = 0; documentIndex < boundaries.length - 1; documentIndex++) {
+        const start = boundaries[documentIndex] + 1;
+        const end = boundaries[documentIndex + 1];
+
+        let document;
+        try {
+            document = yaml.load(lines.slice(start, end).join('\n'));
+        } catch {
+            // Templates (e.g. a Helm chart) are not YAML until they are rendered
+            continue;
+        }
+        if (!document || typeof document !== 'object') continue;
+
+        const items = findSequenceItems(lines, start, end);
+        const resource = `${document.kind}/${document.metadata?.name || '(unnamed)'}`;
+
+        if (document.kind === 'Kustomization') {
+            // A digest pins the image and a tag names it, so an entry switches between the two
+            const [key, value] = target.digest ? ['digest', target.digest] : ['newTag', target.tag];
+            for (const item of items) {
+                const field = item[key] || item.digest || item.newTag;
+                if (item.name?.value !== target.repository || !field || !value || field.value === value) continue;
+                changes.push({ resource, container: null, from: `${item.name.value}${field === item.digest ? '@' : ':'}${field.value}`, to: image });
+                lines[field.line] = replaceScalar(lines[field.line].replace(/\b(?:newTag|digest):/, `${key}:`), value);
+            }
+            continue;
+        }
+
+        for (const container of workloadContainers(document)) {
+            const matches = containerNames.includes(container.name) || parseImageReference(container.image).repository === target.repository;
+            if (!matches || container.image === image) continue;
+
+            const item = items.find(candidate => candidate.name?.value === container.name && candidate.image?.value === container.image);
+            if (item) {
+                lines[item.image.line] = replaceScalar(lines[item.image.line], image);
+                changes.push({ resource, container: container.name, from: container.image, to: image });
+            } else {
+                unresolved.push({ resource, container: container.name, image: container.image });
+            }
+        }
+    }
+
+    // Containers written in flow style ({name: app, image: app:1.0}) are updated when the old
+    // image appears exactly once in the file, so the edit cannot hit another container
+    let updated = lines.join('\n');
+    for (const { resource, container, image: oldImage } of unresolved) {
+        const escaped = oldImage.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(\\bimage:\\s*)(["']?)${escaped}\\2(?=[\\s,}]|$)`, 'g');
+        const occurrences = updated.match(pattern) || [];
+        if (occurrences.length === 1) {
+            updated = updated.replace(pattern, (match, prefix, quote) => `${prefix}${quote}${image}${quote}`);
+            changes.push({ resource, container, from: oldImage, to: image });
+        } else {
+            changes.push({ resource, container, from: oldImage, to: null });
+        }
+    }
+
+    return { content: updated, changes };
+}
+
+// Function to update the image of the app in the Kubernetes manifests under `paths` (files or
+// directories, the whole project by default), including the image tags of Kustomize overlays.
+// Files that do not change are left untouched. Resolves with the changes per file; a change
+// with `to: null` could not be made.
+async function updateManifestImages(projectPath, image, { containerNames = [], paths = [projectPath] } = {}) {
+    const files = [];
+    for (const target of paths) {
+        const stats = await fs.stat(target).catch(() => null);
+        if (stats?.isDirectory()) {
+            files.push(...await walkProject(target));
+        } else if (stats) {
+            files.push(target);
+        }
+    }
+    const results = [];
+
+    for (const file of new Set(files.filter(file => /\.ya?ml$/.test(file)))) {
+        const content = await fs.readFile(file, 'utf-8');
+        if (!/\b(image|newTag|digest):/.test(content)) continue;
+
+        const { content: updated, changes } = updateImagesInContent(content, image, { containerNames });
+        if (changes.length === 0) continue;
+
+        if (updated !== content) {
+            await writeArtifact(file, updated);
+        }
+        const relativePath = path.relative(projectPath, file);
+        for (const change of changes) {
+            await log(change.to
+                ? `Updated ${change.resource}${change.container ? ` container ${change.container}` : ''} in ${relativePath}: ${change.from} -> ${change.to}`
+                : `Could not update ${change.resource} container ${change.container} in ${relativePath}: its image ${change.from} could not be located unambiguously.`);
+        }
+        results.push({ file, changes });
+    }
+
+    if (results.length === 0) {
+        await log(`No manifests need their image updated to ${image}.`);
+    }
+    return results;
+}
+
+// Function to list the resources (kind, name and namespace) the manifest files declare.
+// Files that are not plain YAML, such as Helm templates, are skipped.
+async function listManifestResources(files, { namespace = null } = {}) {
+    const resources = [];
+
+    for (const file of files) {
+        let documents = [];
+        try {
+            documents = yaml.loadAll(await fs.readFile(file, 'utf-8'));
+        } catch (err) {
+            await log(`Could not read the resources of ${file}: ${err.message}`);
+        }
+
+        for (const document of documents) {
+            if (!document?.kind || !document.metadata?.name) continue;
+            resources.push({ kind: document.kind, name: document.metadata.name, namespace: document.metadata.namespace || namespace });
+        }
+    }
+
+    return resources;
+}
+
+export { parseImageReference, workloadContainers, updateImagesInContent, updateManifestImages, listManifestResources, POD_SPEC_PATHS };
@@ -0,0 +1,182 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './logger.mjs';
+import { runCommand } from './plan.mjs';
+import { renderProjectTemplate } from './templates.mjs';
+
+// Settings of the nginx reverse proxy, overridden by the `nginx` section of the project config
+// and the command line flags
+const NGINX_DEFAULTS = {
+    serverNames: ['localhost'],
+    upstream: null,            // host:port of the app; defaults to where it was deployed
+    tls: null,                 // { certificate, certificateKey }
+    redirectHttp: null,        // defaults to true with TLS
+    websockets: true,
+    clientMaxBodySize: '10m',
+    configDir: '/etc/nginx',
+    mainConfig: null,          // the nginx.conf to test and reload (nginx -c), nginx's own by default
+    sudo: null                 // defaults to true when the config directory is not writable
+};
+
+// Size suffixes nginx accepts for client_max_body_size
+const BODY_SIZE_PATTERN = /^\d+[kKmMgG]?$/;
+
+// Function to build the error for an invalid value in the `nginx` config section
+function invalidSetting(key, value, expected) {
+    return new Error(`Invalid "nginx.${key}" value: ${JSON.stringify(value)}. Expected ${expected}.`);
+}
+
+// Function to merge the `nginx` section of the project config (and the flags that override it)
+// with the defaults and validate it
+function resolveNginxSettings(config = {}) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('The "nginx" section of the project config must be a mapping of options.');
+    }
+
+    const settings = {
+        ...NGINX_DEFAULTS,
+        ...config,
+        serverNames: [].concat(config.serverNames ?? NGINX_DEFAULTS.serverNames),
+        clientMaxBodySize: String(config.clientMaxBodySize ?? NGINX_DEFAULTS.clientMaxBodySize)
+    };
+    settings.redirectHttp = settings.redirectHttp ?? Boolean(settings.tls);
+
+    if (settings.serverNames.length === 0 || !settings.serverNames.every(name => typeof name === 'string' && /^[^\s;{}]+$/.test(name))) {
+        throw invalidSetting('serverNames', config.serverNames, 'a list of host names such as example.com or *.example.com');
+    }
+    if (settings.upstream !== null) {
+        settings.upstream = parseUpstream(settings.upstream);
+    }
+    if (settings.tls !== null && (typeof settings.tls !== 'object' || !settings.tls.certificate || !settings.tls.certificateKey)) {
+        throw invalidSetting('tls', settings.tls, 'a mapping with the paths of the certificate and certificateKey');
+    }
+    if (settings.redirectHttp && !settings.tls) {
+        throw invalidSetting('redirectHttp', settings.redirectHttp, 'TLS to redirect to (nginx.tls)');
+    }
+    if (!BODY_SIZE_PATTERN.test(settings.clientMaxBodySize)) {
+        throw invalidSetting('clientMaxBodySize', config.clientMaxBodySize, 'a size such as 10m, 512k or 0 for no limit');
+    }
+
+    return settings;
+}
+
+// Function to parse the upstream of the proxy: "host:port", or a port on this machine
+function parseUpstream(value) {
+    const match = String(value).match(/^(?:(\[[0-9a-fA-F:]+\]|[\w.-]+):)?(\d+)$/);
+    const port = Number(match?.[2]);
+    if (!match || port < 1 || port > 65535) {
+        throw invalidSetting('upstream', value, 'host:port, such as 127.0.0.1:3000, or a port');
+    }
+    return { host: match[1] || '127.0.0.1', port };
+}
+
+// Function to render the nginx server blocks that proxy the app from the nginx.conf template.
+// `upstream` is the { host, port } the app is reached at.
+async function renderNginxConfig(projectName, projectPath, { upstream, settings = resolveNginxSettings() }) {
+    return renderProjectTemplate('nginx.conf', projectPath, {
+        name: projectName,
+        upstream: `${upstream.host}:${upstream.port}`,
+        serverNames: settings.serverNames.join(' '),
+        tls: Boolean(settings.tls),
+        certificate: settings.tls?.certificate ?? null,
+        certificateKey: settings.tls?.certificateKey ?? null,
+        redirectHttp: settings.redirectHttp,
+        websockets: settings.websockets,
+        // map variables are global to nginx, so each site gets its own
+        upgradeVariable: `dockerizer_${projectName.replace(/[^A-Za-z0-9]/g, '_')}_connection`,
+        clientMaxBodySize: settings.clientMaxBodySize
+    });
+}
+
+// Function to get the file name of the config of a site
+function nginxFileName(projectName) {
+    return `${projectName.replace(/[^A-Za-z0-9_.-]/g, '-')}.conf`;
+}
+
+// Function to find where the config of a site goes: sites-available, enabled by a link in
+// sites-enabled (Debian and Ubuntu), or else conf.d, which nginx includes as is
+async function nginxConfigPaths(projectName, settings) {
+    const configDir = path.resolve(settings.configDir);
+    const fileName = nginxFileName(projectName);
+
+    if (!(await fs.pathExists(path.join(configDir, 'sites-available'))) && await fs.pathExists(path.join(configDir, 'conf.d'))) {
+        return { configDir, configFile: path.join(configDir, 'conf.d', fileName), enabledLink: null };
+    }
+    return {
+        configDir,
+        configFile: path.join(configDir, 'sites-available', fileName),
+        enabledLink: path.join(configDir, 'sites-enabled', fileName)
+    };
+}
+
+// Function to tell whether a directory can be written without sudo
+async function isWritable(directory) {
+    try {
+        await fs.access(directory, fs.constants.W_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Function to install a generated site config and reload nginx without ever leaving a broken
+// config behind: the current config is backed up, the new one is copied and enabled, and
+// `nginx -t` has to accept it before nginx reloads. When it does not, the previous config (or
+// none) is restored and the error carries nginx's complaint.
+// Resolves with the installed config file and the link that enables it.
+async function installNginxConfig(generatedFile, projectName, settings = resolveNginxSettings()) {
+    const { configFile, enabledLink } = await nginxConfigPaths(projectName, settings);
+    const sudo = settings.sudo ?? !(await isWritable(path.dirname(configFile)));
+    const run = (command) => runCommand(`${sudo ? 'sudo ' : ''}${command}`);
+    const nginx = `nginx${settings.mainConfig ? ` -c "${path.resolve(settings.mainConfig)}"` : ''}`;
+
+    const hadConfig = await fs.pathExists(configFile);
+    const hadLink = enabledLink ? Boolean(await fs.lstat(enabledLink).catch(() => null)) : false;
+    const backupFile = `${configFile}.dockerizer-backup`;
+
+    if (hadConfig) {
+        await run(`cp "${configFile}" "${backupFile}"`);
+    }
+    await run(`cp "${generatedFile}" "${configFile}"`);
+    if (enabledLink) {
+        // -f so that deploying again (or rolling back) replaces the link of the earlier deploy
+        await run(`ln -sfn "${configFile}" "${enabledLink}"`);
+    }
+
+    try {
+        await run(`${nginx} -t`);
+    } catch (error) {
+        await log(`nginx rejected ${configFile}, restoring the previous configuration: ${error.stderr || error.message}`);
+        if (hadConfig) {
+            await run(`mv "${backupFile}" "${configFile}"`);
+        } else {
+            await run(`rm -f "${configFile}"`);
+        }
+        if (enabledLink && !hadLink) {
+            await run(`rm -f "${enabledLink}"`);
+        }
+        throw new Error(`nginx rejected the configuration of ${projectName}, so ${hadConfig ? 'the previous one was restored' : 'it was removed again'}:\n${(error.stderr || error.message).trim()}`);
+    }
+
+    try {
+        await run(`${nginx} -s reload`);
+    } catch (error) {
+        throw new Error(`${configFile} is valid, but nginx could not be reloaded (is it running?):\n${(error.stderr || error.message).trim()}`);
+    }
+    if (hadConfig) {
+        await run(`rm -f "${backupFile}"`);
+    }
+
+    await log(`Installed ${configFile}${enabledLink ? ` (enabled by ${enabledLink})` : ''} and reloaded nginx.`);
+    return { configFile, enabledLink };
+}
+
+export {
+    NGINX_DEFAULTS,
+    resolveNginxSettings,
+    parseUpstream,
+    renderNginxConfig,
+    nginxFileName,
+    nginxConfigPaths,
+    installNginxConfig
+};
@@ -0,0 +1,128 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import { log } from './logger.mjs';
+
+// Every external command and generated file goes through this module, so a dry run
+// can record them instead of touching Docker, kubectl, nginx or the project.
+const dryRunState = {
+    enabled: false,
+    outputDir: null,
+    baseDir: process.cwd(),
+    commands: [],
+    artifacts: []
+};
+
+// Function to switch on dry-run mode. Generated files are written below `outputDir`
+// (keeping their path relative to `baseDir`), or printed as a diff when no directory is given.
+function configureDryRun({ outputDir = null, baseDir = process.cwd() } = {}) {
+    dryRunState.enabled = true;
+    dryRunState.outputDir = outputDir ? path.resolve(outputDir) : null;
+    dryRunState.baseDir = path.resolve(baseDir);
+    dryRunState.commands = [];
+    dryRunState.artifacts = [];
+}
+
+function isDryRun() {
+    return dryRunState.enabled;
+}
+
+// Function to record a command in the dry-run plan instead of running it
+function planCommand(command) {
+    dryRunState.commands.push(command);
+    console.log(chalk.cyan(`[dry-run] ${command}`));
+}
+
+// Function to run a shell command and resolve with its output. With `stream` the
+// output is forwarded to the terminal while the command runs; `input` is written to its stdin,
+// which keeps it out of the command line and the dry-run plan.
+function runCommand(command, { stream = false, input = null } = {}) {
+    if (dryRunState.enabled) {
+        planCommand(command);
+        return Promise.resolve({ stdout: '', stderr: '' });
+    }
+
+    return new Promise((resolve, reject) => {
+        const child = exec(command, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.stdout = stdout;
+                error.stderr = stderr;
+                return reject(error);
+            }
+            resolve({ stdout, stderr });
+        });
+
+        if (stream) {
+            child.stdout.on('data', (data) => process.stdout.write(data));
+            child.stderr.on('data', (data) => process.stderr.write(data));
+        }
+        if (input !== null) {
+            child.stdin.end(input);
+        }
+    });
+}
+
+// Function to map a project file onto the dry-run output directory
+function dryRunPath(filePath) {
+    const relativePath = path.relative(dryRunState.baseDir, path.resolve(filePath));
+    const safePath = relativePath.startsWith('..') || path.isAbsolute(relativePath)
+        ? path.basename(filePath)
+        : relativePath;
+    return path.join(dryRunState.outputDir, safePath);
+}
+
+// Function to write a generated file, or redirect it when running dry
+async function writeArtifact(filePath, content) {
+    if (!dryRunState.enabled) {
+        await fs.outputFile(filePath, content);
+        return filePath;
+    }
+
+    dryRunState.artifacts.push(filePath);
+
+    if (dryRunState.outputDir) {
+        const outputPath = dryRunPath(filePath);
+        await fs.outputFile(outputPath, content);
+        await log(`[dry-run] Wrote ${filePath} to ${outputPath}`);
+        return outputPath;
+    }
+
+    const existingContent = (await fs.pathExists(filePath)) ? await fs.readFile(filePath, 'utf-8') : '';
+    const patch = createTwoFilesPatch(filePath, filePath, existingContent, content, existingContent ? 'current' : 'new file', 'generated');
+    console.log(colorizePatch(patch));
+    return filePath;
+}
+
+// Function to color a unified diff for the terminal
+function colorizePatch(patch) {
+    return patch.split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        return line;
+    }).join('\n');
+}
+
+// Function to print the commands and files collected during a dry run
+function printDryRunPlan() {
+    if (!dryRunState.enabled) return;
+
+    console.log(chalk.bold('\nDry run: nothing was executed.'));
+
+    console.log(chalk.bold('Files that would be written:'));
+    if (dryRunState.artifacts.length === 0) console.log('  (none)');
+    for (const artifact of dryRunState.artifacts) {
+        console.log(`  ${artifact}`);
+    }
+
+    console.log(chalk.bold('Commands that would run:'));
+    if (dryRunState.commands.length === 0) console.log('  (none)');
+    dryRunState.commands.forEach((command, index) => {
+        console.log(`  ${index + 1}. ${command}`);
+    });
+}
+
+export { configureDryRun, isDryRun, planCommand, runCommand, writeArtifact, printDryRunPlan };
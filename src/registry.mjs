@@ -0,0 +1,255 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { log } from './logger.mjs';
+import { isDryRun, planCommand } from './plan.mjs';
+import { followProgress, getDockerClient, validateImageReference } from './engine.mjs';
+import { parseImageReference } from './manifests.mjs';
+import { readState, recordPush } from './state.mjs';
+
+// Registry of image names without a registry host, and the key its credentials are stored under
+const DOCKER_HUB = 'docker.io';
+const DOCKER_HUB_AUTH_KEY = 'https://index.docker.io/v1/';
+
+// Function to get the repository of an image in a registry: the registry prefix
+// (e.g. "registry.example.com/team") followed by the image name
+function registryRepository(projectName, registry) {
+    const prefix = String(registry).replace(/^[a-z]+:\/\//, '').replace(/\/+$/, '');
+    return projectName.startsWith(`${prefix}/`) ? projectName : `${prefix}/${projectName}`;
+}
+
+// Function to get the registry host of a repository, following Docker's rule that the first path
+// component is a host when it has a dot or a port, or is "localhost"
+function registryHost(repository) {
+    const [first, ...rest] = repository.split('/');
+    if (rest.length > 0 && (first.includes('.') || first.includes(':') || first === 'localhost')) {
+        return first;
+    }
+    return DOCKER_HUB;
+}
+
+// Function to read the Docker CLI config (~/.docker/config.json, or the DOCKER_CONFIG directory)
+async function readDockerConfig() {
+    const configPath = path.join(process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker'), 'config.json');
+    if (!(await fs.pathExists(configPath))) return {};
+
+    try {
+        return await fs.readJson(configPath);
+    } catch (err) {
+        throw new Error(`Could not read the Docker config ${configPath}: ${err.message}`);
+    }
+}
+
+// Function to ask a Docker credential helper (docker-credential-<helper>) for the credentials of
+// a registry. Resolves with null when the helper has none for it.
+function runCredentialHelper(helper, serverAddress) {
+    const program = `docker-credential-${helper}`;
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(program, ['get'], { stdio: ['pipe', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => { stdout += data; });
+        child.stderr.on('data', (data) => { stderr += data; });
+
+        child.on('error', (err) => {
+            reject(new Error(err.code === 'ENOENT'
+                ? `The Docker config uses the credential helper "${helper}", but ${program} is not on the PATH.`
+                : `${program} failed: ${err.message}`));
+        });
+        child.on('close', (code) => {
+            if (code === 0) {
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch (err) {
+                    reject(new Error(`${program} printed invalid credentials: ${err.message}`));
+                }
+            } else if (/credentials not found/i.test(stdout + stderr)) {
+                resolve(null);
+            } else {
+                reject(new Error(`${program} failed for ${serverAddress}: ${(stderr || stdout).trim()}`));
+            }
+        });
+
+        child.stdin.end(serverAddress);
+    });
+}
+
+// Function to find the credentials of a registry the way the Docker CLI does: its credential
+// helper (credHelpers), else the credential store (credsStore), else the "auths" entry written
+// by `docker login`. Resolves with a Docker API auth config, or null to go anonymous.
+async function resolveRegistryAuth(host) {
+    const config = await readDockerConfig();
+    const serverAddress = host === DOCKER_HUB ? DOCKER_HUB_AUTH_KEY : host;
+
+    const helper = config.credHelpers?.[host] || config.credsStore;
+    if (helper) {
+        const credentials = await runCredentialHelper(helper, serverAddress);
+        if (credentials) {
+            await log(`Using credentials for ${host} from docker-credential-${helper}`);
+            // Helpers return identity tokens (e.g. from an OAuth login) under the user "<token>"
+            return credentials.Username === '<token>'
+                ? { identitytoken: credentials.Secret, serveraddress: serverAddress }
+                : { username: credentials.Username, password: credentials.Secret, serveraddress: serverAddress };
+        }
+    }
+
+    const entry = Object.entries(config.auths || {}).find(([key]) =>
+        key === serverAddress || key.replace(/^https?:\/\//, '').replace(/\/.*$/, '') === host)?.[1];
+    if (entry?.identitytoken) {
+        return { identitytoken: entry.identitytoken, serveraddress: serverAddress };
+    }
+    if (entry?.auth) {
+        const decoded = Buffer.from(entry.auth, 'base64').toString();
+        const separator = decoded.indexOf(':');
+        await log(`Using credentials for ${host} from the Docker config`);
+        return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1), serveraddress: serverAddress };
+    }
+
+    await log(`No credentials for ${host} in the Docker config, going anonymous.`);
+    return null;
+}
+
+// Function to explain a registry error, pointing at `docker login` when access was refused
+function registryError(action, reference, host, message) {
+    const denied = /unauthorized|authentication required|denied|forbidden/i.test(message);
+    const loginCommand = host === DOCKER_HUB ? 'docker login' : `docker login ${host}`;
+    return new Error(`${action} of ${reference} failed: ${message}${denied ? ` Log in with \`${loginCommand}\`.` : ''}`);
+}
+
+// Function to report the layer progress of a push or pull on the spinner
+function layerProgress(layers) {
+    const entries = Object.values(layers);
+    const done = entries.filter(layer => layer.done).length;
+    const current = entries.reduce((total, layer) => total + (layer.current || 0), 0);
+    const total = entries.reduce((sum, layer) => sum + (layer.total || 0), 0);
+    return `${done}/${entries.length} layers${total > 0 ? `, ${(current / 1048576).toFixed(1)}/${(total / 1048576).toFixed(1)} MB` : ''}`;
+}
+
+// Function to give a local image another name, e.g. the name it has in a registry
+async function tagImage(source, target) {
+    if (isDryRun()) {
+        planCommand(`docker tag ${source} ${target}`);
+        return;
+    }
+
+    const { repository, tag } = parseImageReference(target);
+    await getDockerClient().getImage(source).tag({ repo: repository, tag });
+}
+
+// Function to push an image to its registry with the credentials of the Docker config, showing
+// the progress of its layers on `spinner`. Resolves with the digest of the pushed manifest.
+async function pushImage(reference, { spinner = null } = {}) {
+    if (isDryRun()) {
+        planCommand(`docker push ${reference}`);
+        return null;
+    }
+
+    const host = registryHost(parseImageReference(reference).repository);
+    const authconfig = await resolveRegistryAuth(host);
+    const docker = getDockerClient();
+
+    const layers = {};
+    let digest = null;
+    let pushError = null;
+
+    // The daemon expects an X-Registry-Auth header even for anonymous pushes
+    const stream = await docker.getImage(reference).push({ authconfig: authconfig || {} });
+    await followProgress(docker, stream, (event) => {
+        if (event.id && event.progressDetail) {
+            layers[event.id] = { ...layers[event.id], ...event.progressDetail };
+        }
+        if (event.id && (event.status === 'Pushed' || event.status === 'Layer already exists')) {
+            layers[event.id] = { ...layers[event.id], done: true, current: layers[event.id]?.total || 0 };
+        }
+        if (spinner && Object.keys(layers).length > 0) {
+            spinner.text = `Pushing ${reference}: ${layerProgress(layers)}`;
+        }
+
+        // The last status line reads "<tag>: digest: sha256:... size: 1234"
+        digest = event.aux?.Digest || event.status?.match(/digest: (sha256:[a-f0-9]{64})/)?.[1] || digest;
+        if (event.error) {
+            pushError = event.errorDetail?.message || event.error;
+        }
+    });
+
+    if (pushError) {
+        throw registryError('Push', reference, host, pushError);
+    }
+
+    await log(`Pushed ${reference} to ${host}${digest ? ` (${digest})` : ''}.`);
+    return digest;
+}
+
+// Function to pull an image from its registry into the daemon of `client`, with the credentials
+// of the local Docker config as `docker -H <host> pull` would send them
+async function pullImage(reference, client, { spinner = null } = {}) {
+    const host = registryHost(parseImageReference(reference).repository);
+    const authconfig = await resolveRegistryAuth(host);
+
+    const layers = {};
+    let pullError = null;
+
+    const stream = await client.pull(reference, { authconfig: authconfig || {} });
+    await followProgress(client, stream, (event) => {
+        if (event.id && event.progressDetail) {
+            layers[event.id] = { ...layers[event.id], ...event.progressDetail };
+        }
+        if (event.id && (event.status === 'Pull complete' || event.status === 'Already exists')) {
+            layers[event.id] = { ...layers[event.id], done: true, current: layers[event.id]?.total || 0 };
+        }
+        if (spinner && Object.keys(layers).length > 0) {
+            spinner.text = `Pulling ${reference}: ${layerProgress(layers)}`;
+        }
+        if (event.error) {
+            pullError = event.errorDetail?.message || event.error;
+        }
+    });
+
+    if (pullError) {
+        throw registryError('Pull', reference, host, pullError);
+    }
+    await log(`Pulled ${reference} from ${host}.`);
+}
+
+// Function to push the image of a project to a registry: it is tagged with the registry prefix,
+// pushed, and the digest is recorded in the project's state so deployments can pin it.
+// Resolves with the registry image, its digest and the reference to deploy
+// (`<repository>@<digest>`, or the tagged image when the digest is unknown).
+async function pushToRegistry(projectPath, projectName, imageTag, registry, { spinner = null } = {}) {
+    const repository = registryRepository(projectName, registry);
+    const image = validateImageReference(repository, imageTag);
+
+    await tagImage(validateImageReference(projectName, imageTag), image);
+    const digest = await pushImage(image, { spinner });
+    await recordPush(projectPath, { image, repository, tag: imageTag, digest });
+
+    return { image, digest, reference: digest ? `${repository}@${digest}` : image };
+}
+
+// Function to find the reference to deploy for a project's image in a registry: pinned to the
+// digest of its latest recorded push, or the tagged image when it was pushed some other way
+async function resolveRegistryImage(projectPath, projectName, imageTag, registry) {
+    const repository = registryRepository(projectName, registry);
+    const image = validateImageReference(repository, imageTag);
+
+    const push = (await readState(projectPath)).pushes.filter(candidate => candidate.image === image).pop();
+    if (push?.digest) {
+        return `${repository}@${push.digest}`;
+    }
+
+    await log(`No push of ${image} is recorded, so it is deployed by tag rather than by digest.`);
+    return image;
+}
+
+export {
+    registryRepository,
+    registryHost,
+    resolveRegistryAuth,
+    tagImage,
+    pushImage,
+    pullImage,
+    pushToRegistry,
+    resolveRegistryImage
+};
@@ -0,0 +1,241 @@
+import Docker from 'dockerode';
+import fs from 'fs-extra';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { log } from './logger.mjs';
+import { isDryRun, planCommand } from './plan.mjs';
+import { followProgress, getDockerClient, inspectImage, removeContainer, runContainer } from './engine.mjs';
+import { pullImage } from './registry.mjs';
+import { APP_LABEL, containerName } from './containers.mjs';
+
+// Keys tried in order when neither an SSH agent nor remote.identityFile is available
+const DEFAULT_SSH_KEYS = ['id_ed25519', 'id_ecdsa', 'id_rsa'];
+
+// Function to expand a leading ~ to the home directory
+function expandHome(filePath) {
+    return filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// Function to read a Docker CLI context (created with `docker context create`): the endpoint of
+// its daemon and the TLS material stored with it
+async function readDockerContext(name) {
+    const configDir = process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker');
+    // The Docker CLI stores each context under the SHA-256 of its name
+    const id = crypto.createHash('sha256').update(name).digest('hex');
+    const metaPath = path.join(configDir, 'contexts/meta', id, 'meta.json');
+
+    if (!(await fs.pathExists(metaPath))) {
+        throw new Error(`Docker context "${name}" not found (no ${metaPath}). List the contexts with \`docker context ls\`.`);
+    }
+
+    const endpoint = (await fs.readJson(metaPath)).Endpoints?.docker;
+    if (!endpoint?.Host) {
+        throw new Error(`Docker context "${name}" has no Docker endpoint.`);
+    }
+
+    const tlsPath = path.join(configDir, 'contexts/tls', id, 'docker');
+    return {
+        host: endpoint.Host,
+        tls: (await fs.pathExists(tlsPath)) ? { certPath: tlsPath, verify: !endpoint.SkipTLSVerify } : null
+    };
+}
+
+// Function to read the TLS material of a tcp:// endpoint: `ca`, `cert` and `key` files, or a
+// `certPath` directory with ca.pem, cert.pem and key.pem as DOCKER_CERT_PATH has them
+async function readTlsFiles(tls) {
+    const files = tls.certPath
+        ? { ca: path.join(tls.certPath, 'ca.pem'), cert: path.join(tls.certPath, 'cert.pem'), key: path.join(tls.certPath, 'key.pem') }
+        : { ca: tls.ca, cert: tls.cert, key: tls.key };
+
+    const material = {};
+    for (const [name, file] of Object.entries(files)) {
+        if (!file) continue;
+        const filePath = path.resolve(expandHome(file));
+        if (!(await fs.pathExists(filePath))) {
+            throw new Error(`TLS ${name} file not found: ${filePath}`);
+        }
+        material[name] = await fs.readFile(filePath);
+    }
+    return material;
+}
+
+// Function to find how to authenticate over SSH: the agent of SSH_AUTH_SOCK, plus the key of
+// `identityFile`, or else the first default key in ~/.ssh when there is no agent
+async function sshCredentials(identityFile) {
+    const credentials = {};
+    if (process.env.SSH_AUTH_SOCK) {
+        credentials.agent = process.env.SSH_AUTH_SOCK;
+    }
+
+    const keyFiles = identityFile
+        ? [path.resolve(expandHome(identityFile))]
+        : credentials.agent ? [] : DEFAULT_SSH_KEYS.map(key => path.join(os.homedir(), '.ssh', key));
+    for (const keyFile of keyFiles) {
+        if (await fs.pathExists(keyFile)) {
+            credentials.privateKey = await fs.readFile(keyFile);
+            break;
+        }
+        if (identityFile) {
+            throw new Error(`SSH identity file not found: ${keyFile}`);
+        }
+    }
+
+    if (!credentials.agent && !credentials.privateKey) {
+        throw new Error('No SSH agent (SSH_AUTH_SOCK) and no SSH key found. Start ssh-agent or set "remote.identityFile" in dockerizer.config.yaml.');
+    }
+    return credentials;
+}
+
+// Function to resolve where a remote Docker daemon is and how to reach it. `remote` is a host,
+// an ssh:// or tcp:// URL, or an endpoint `{ host, user, context, identityFile, tls }` where
+// `context` names a Docker CLI context. A bare host is reached over SSH as `user`.
+// Resolves with the URL, the docker CLI flags that reach the same daemon (for dry runs) and the
+// dockerode options. SSH uses the agent or a key; passwords are never asked for.
+async function resolveDockerEndpoint(remote, user = null) {
+    const endpoint = typeof remote === 'string' ? { host: remote, user } : { user, ...remote };
+    let { host, tls = null } = endpoint;
+
+    if (endpoint.context) {
+        ({ host, tls } = { ...(await readDockerContext(endpoint.context)), ...(tls ? { tls } : {}) });
+    }
+    if (!host) {
+        throw new Error('No remote Docker host: set --remote-host, "remote.host", or a Docker context with --docker-context or "remote.context".');
+    }
+
+    if (!/^[a-z]+:\/\//.test(host)) {
+        host = `ssh://${endpoint.user && !host.includes('@') ? `${endpoint.user}@` : ''}${host}`;
+    }
+    const url = new URL(host);
+    const flags = endpoint.context ? `--context ${endpoint.context}` : `-H ${host}`;
+
+    if (url.protocol === 'ssh:') {
+        const username = decodeURIComponent(url.username) || endpoint.user || os.userInfo().username;
+        const address = `ssh://${username}@${url.hostname}${url.port ? `:${url.port}` : ''}`;
+        return {
+            url: address,
+            flags: endpoint.context ? flags : `-H ${address}`,
+            // Credentials are only needed to connect, which a dry run does not do
+            options: isDryRun() ? null : {
+                protocol: 'ssh',
+                host: url.hostname,
+                port: Number(url.port) || 22,
+                username,
+                sshOptions: await sshCredentials(endpoint.identityFile)
+            }
+        };
+    }
+
+    if (url.protocol === 'tcp:' || url.protocol === 'http:' || url.protocol === 'https:') {
+        const material = tls ? await readTlsFiles(tls) : {};
+        const secure = Boolean(tls) || url.protocol === 'https:';
+        if (!secure) {
+            await log(`Warning: ${host} is reached over plain TCP, without TLS. Anyone on the network can use this Docker daemon.`);
+        }
+        return {
+            url: host,
+            flags,
+            options: {
+                protocol: secure ? 'https' : 'http',
+                host: url.hostname,
+                port: Number(url.port) || (secure ? 2376 : 2375),
+                ...material,
+                // verify: false mirrors the SkipTLSVerify of a Docker context
+                ...(tls?.verify === false ? { agent: new https.Agent({ ...material, rejectUnauthorized: false }) } : {})
+            }
+        };
+    }
+
+    if (url.protocol === 'unix:') {
+        return { url: host, flags, options: { socketPath: url.pathname } };
+    }
+
+    throw new Error(`Unsupported Docker host: ${host}. Use ssh://user@host, tcp://host:2376 or a Docker context.`);
+}
+
+// Function to copy a local image to another Docker daemon without a registry: the image is
+// saved, gzip-compressed and streamed into the daemon's image load. Nothing is sent when the
+// daemon already has the same image. Resolves with whether the image was transferred.
+async function transferImage(image, endpoint, client, { spinner = null } = {}) {
+    const localImage = await inspectImage(image);
+    if (!localImage) {
+        throw new Error(`Image ${image} does not exist locally. Build it before deploying it to ${endpoint.url}.`);
+    }
+
+    const remoteImage = await inspectImage(image, { client });
+    if (remoteImage?.Id === localImage.Id) {
+        await log(`${endpoint.url} already has ${image} (${localImage.Id}), skipping the transfer.`);
+        return false;
+    }
+
+    await log(`Transferring ${image} (${localImage.Id}, ${(localImage.Size / 1048576).toFixed(1)} MB uncompressed) to ${endpoint.url}`);
+    const source = await getDockerClient().getImage(image).get();
+    const compressed = zlib.createGzip();
+    let sentBytes = 0;
+
+    source.on('data', (chunk) => {
+        sentBytes += chunk.length;
+        if (spinner) spinner.text = `Transferring ${image} to ${endpoint.url}: ${(sentBytes / 1048576).toFixed(1)} MB`;
+    });
+    source.on('error', (err) => compressed.destroy(err));
+    source.pipe(compressed);
+
+    let loadError = null;
+    const response = await client.loadImage(compressed);
+    await followProgress(client, response, (event) => {
+        if (event.error) loadError = new Error(event.errorDetail?.message || event.error);
+        if (event.stream) log(event.stream.trim());
+    });
+    if (loadError) {
+        throw loadError;
+    }
+
+    await log(`Transferred ${image} to ${endpoint.url}.`);
+    return true;
+}
+
+// Function to run an app's image on a remote Docker daemon: the image is pulled from its registry
+// with `pull`, or else transferred when the daemon does not have it; the container the previous
+// deploy of the app left there is removed, and a new one is started under the app's container
+// name with its label, the KEY=value entries of `env` and the `restart` policy.
+// Resolves with the endpoint and container ID.
+async function deployRemoteContainer(remote, user, { name, image, ports = [], env = [], restart = null, pull = false, spinner = null }) {
+    const endpoint = await resolveDockerEndpoint(remote, user);
+    const labels = { [APP_LABEL]: name };
+    const remoteName = containerName(name);
+
+    if (isDryRun()) {
+        const portFlags = ports.map(({ container, host }) => ` -p ${host}:${container}`).join('');
+        const envFlags = env.map(variable => ` -e ${variable.split('=')[0]}`).join('');
+        planCommand(pull ? `docker ${endpoint.flags} pull ${image}` : `docker save ${image} | gzip | docker ${endpoint.flags} load`);
+        planCommand(`docker ${endpoint.flags} rm -f $(docker ${endpoint.flags} ps -aq --filter label=${APP_LABEL}=${name})`);
+        planCommand(`docker ${endpoint.flags} run -d --name ${remoteName}${restart ? ` --restart ${restart}` : ''} --label ${APP_LABEL}=${name}${portFlags}${envFlags} ${image}`);
+        return { endpoint, containerId: null };
+    }
+
+    const client = new Docker(endpoint.options);
+    try {
+        await client.ping();
+    } catch (err) {
+        throw new Error(`Cannot reach the Docker daemon at ${endpoint.url}: ${err.message}`);
+    }
+
+    if (pull) {
+        await pullImage(image, client, { spinner });
+    } else {
+        await transferImage(image, endpoint, client, { spinner });
+    }
+
+    const previous = await client.listContainers({ all: true, filters: { label: [`${APP_LABEL}=${name}`] } });
+    for (const container of previous) {
+        await log(`Removing container ${container.Id.slice(0, 12)} (${container.Image}, ${container.State}) of the previous deploy on ${endpoint.url}`);
+        await removeContainer(container.Id, { client });
+    }
+
+    const containerId = await runContainer({ image, name: remoteName, ports, env, labels, restart, client });
+    return { endpoint, containerId };
+}
+
+export { readDockerContext, sshCredentials, resolveDockerEndpoint, transferImage, deployRemoteContainer };
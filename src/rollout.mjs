@@ -0,0 +1,273 @@
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import { log } from './logger.mjs';
+import { runCommand } from './plan.mjs';
+
+// Container waiting reasons that do not resolve by waiting longer
+const FAILURE_REASONS = [
+    'CrashLoopBackOff',
+    'ImagePullBackOff',
+    'ErrImagePull',
+    'InvalidImageName',
+    'CreateContainerConfigError',
+    'CreateContainerError',
+    'RunContainerError'
+];
+
+// How often the rollout is checked, in milliseconds
+const POLL_INTERVAL = 3000;
+
+// How many events and log lines are shown when a rollout fails
+const EVENT_LIMIT = 10;
+const LOG_TAIL_LINES = 20;
+
+class RolloutError extends Error {
+    constructor(message, { deployment, pod = null, container = null, reason = null, events = [], logs = '' } = {}) {
+        super(message);
+        this.name = 'RolloutError';
+        this.deployment = deployment;
+        this.pod = pod;
+        this.container = container;
+        this.reason = reason;
+        this.events = events;
+        this.logs = logs;
+    }
+}
+
+// Function to turn matchLabels into a label selector for kubectl -l
+function labelSelector(matchLabels) {
+    return Object.entries(matchLabels || {}).map(([key, value]) => `${key}=${value}`).join(',');
+}
+
+// Function to get the -n flag for a namespace, or nothing for the current context's namespace
+function namespaceFlag(namespace) {
+    return namespace ? ` -n ${namespace}` : '';
+}
+
+// Function to run a kubectl query and parse its JSON output
+async function kubectlJson(args) {
+    const { stdout } = await runCommand(`kubectl ${args} -o json`);
+    return JSON.parse(stdout);
+}
+
+// Function to find the Deployments in manifest files, with the namespace and label selector
+// the rollout is tracked by. Files that cannot be read are skipped.
+async function findDeployments(files, { namespace = null } = {}) {
+    const deployments = [];
+
+    for (const file of files) {
+        let documents = [];
+        try {
+            documents = yaml.loadAll(await fs.readFile(file, 'utf-8'));
+        } catch (err) {
+            await log(`Could not read ${file} for rollout tracking: ${err.message}`);
+        }
+
+        for (const document of documents) {
+            if (document?.kind !== 'Deployment' || !document.metadata?.name) continue;
+            deployments.push({
+                name: document.metadata.name,
+                namespace: document.metadata.namespace || namespace,
+                selector: labelSelector(document.spec?.selector?.matchLabels)
+            });
+        }
+    }
+
+    return deployments;
+}
+
+// Function to tell whether a Deployment finished rolling out, the way `kubectl rollout status`
+// does: the controller saw the latest spec and every replica is updated and available
+function rolloutComplete(deployment) {
+    const desired = deployment.spec?.replicas ?? 1;
+    const status = deployment.status || {};
+
+    return (status.observedGeneration ?? 0) >= (deployment.metadata?.generation ?? 0)
+        && (status.updatedReplicas ?? 0) === desired
+        && (status.replicas ?? 0) === desired
+        && (status.availableReplicas ?? 0) === desired;
+}
+
+// Function to tell whether a pod is Ready, i.e. every container passed its readiness probe
+function podReady(pod) {
+    return (pod.status?.conditions || []).some(condition => condition.type === 'Ready' && condition.status === 'True');
+}
+
+// Function to list the pods of the Deployment's current revision. Pods of older ReplicaSets
+// that are being replaced do not decide the outcome of this rollout.
+async function currentPods(deployment, selector) {
+    const namespace = deployment.metadata.namespace;
+    const pods = (await kubectlJson(`get pods${namespaceFlag(namespace)} -l "${selector}"`)).items || [];
+
+    const revision = deployment.metadata.annotations?.['deployment.kubernetes.io/revision'];
+    if (!revision) return pods;
+
+    const replicaSets = (await kubectlJson(`get replicasets${namespaceFlag(namespace)} -l "${selector}"`)).items || [];
+    const current = replicaSets.find(replicaSet =>
+        replicaSet.metadata.annotations?.['deployment.kubernetes.io/revision'] === revision
+        && (replicaSet.metadata.ownerReferences || []).some(owner => owner.kind === 'Deployment' && owner.name === deployment.metadata.name));
+    const hash = current?.metadata.labels?.['pod-template-hash'];
+
+    return hash ? pods.filter(pod => pod.metadata.labels?.['pod-template-hash'] === hash) : pods;
+}
+
+// Function to find a container that is stuck in a state waiting will not fix
+function findFailingContainer(pods) {
+    for (const pod of pods) {
+        if (pod.metadata.deletionTimestamp) continue;
+        const statuses = [...(pod.status?.initContainerStatuses || []), ...(pod.status?.containerStatuses || [])];
+        for (const status of statuses) {
+            const waiting = status.state?.waiting;
+            if (waiting && FAILURE_REASONS.includes(waiting.reason)) {
+                return { pod, container: status.name, reason: waiting.reason, message: waiting.message || '', restarted: status.restartCount > 0 };
+            }
+        }
+    }
+    return null;
+}
+
+// Function to fetch the latest events of a pod, oldest first
+async function podEvents(namespace, podName) {
+    try {
+        const events = (await kubectlJson(`get events${namespaceFlag(namespace)} --field-selector involvedObject.name=${podName}`)).items || [];
+        const time = (event) => new Date(event.lastTimestamp || event.eventTime || event.firstTimestamp || 0).getTime();
+        return events
+            .sort((a, b) => time(a) - time(b))
+            .slice(-EVENT_LIMIT)
+            .map(event => `${event.type || 'Normal'} ${event.reason}: ${event.message}`);
+    } catch (error) {
+        await log(`Could not get the events of pod ${podName}: ${error.stderr || error.message}`);
+        return [];
+    }
+}
+
+// Function to fetch the last log lines of a container. For a crashing container the logs of
+// the previous, crashed run say why.
+async function containerLogs(namespace, podName, container, { previous = false } = {}) {
+    try {
+        const { stdout } = await runCommand(`kubectl logs ${podName}${namespaceFlag(namespace)} -c ${container} --tail=${LOG_TAIL_LINES}${previous ? ' --previous' : ''}`);
+        return stdout.trim();
+    } catch (error) {
+        await log(`Could not get the logs of ${podName}/${container}: ${error.stderr || error.message}`);
+        return '';
+    }
+}
+
+// Function to build the error for a failed rollout, with the events and logs of the pod at fault
+async function rolloutFailure(deployment, message, { pod = null, container = null, reason = null, previous = false } = {}) {
+    const namespace = deployment.metadata.namespace;
+    const podName = pod?.metadata.name || null;
+    container = container || pod?.spec?.containers?.[0]?.name || null;
+
+    return new RolloutError(message, {
+        deployment: deployment.metadata.name,
+        pod: podName,
+        container,
+        reason,
+        events: podName ? await podEvents(namespace, podName) : [],
+        logs: podName && container ? await containerLogs(namespace, podName, container, { previous }) : ''
+    });
+}
+
+// Function to wait until each Deployment has rolled out. Only the pods matching the Deployment's
+// label selector are looked at. A container in CrashLoopBackOff, ImagePullBackOff or a similar
+// state fails the rollout right away; otherwise it fails after `timeout` seconds.
+async function waitForRollout(deployments, { timeout = 300, interval = POLL_INTERVAL, spinner = null } = {}) {
+    for (const { name, namespace, selector } of deployments) {
+        const startTime = Date.now();
+        await log(`Waiting for deployment ${name} (${selector}) to roll out...`);
+
+        while (true) {
+            const deployment = await kubectlJson(`get deployment ${name}${namespaceFlag(namespace)}`);
+            deployment.metadata.namespace = deployment.metadata.namespace || namespace;
+            const pods = await currentPods(deployment, selector || labelSelector(deployment.spec?.selector?.matchLabels));
+
+            const failing = findFailingContainer(pods);
+            if (failing) {
+                throw await rolloutFailure(deployment,
+                    `Deployment ${name} failed: container ${failing.container} of pod ${failing.pod.metadata.name} is in ${failing.reason}${failing.message ? ` (${failing.message})` : ''}`,
+                    { ...failing, previous: failing.reason === 'CrashLoopBackOff' && failing.restarted });
+            }
+
+            const progressing = (deployment.status?.conditions || []).find(condition => condition.type === 'Progressing');
+            if (progressing?.reason === 'ProgressDeadlineExceeded') {
+                throw await rolloutFailure(deployment, `Deployment ${name} exceeded its progress deadline: ${progressing.message}`,
+                    { pod: pods.find(pod => !podReady(pod)) });
+            }
+
+            const desired = deployment.spec?.replicas ?? 1;
+            const ready = pods.filter(podReady).length;
+            if (rolloutComplete(deployment)) {
+                await log(`Deployment ${name} rolled out: ${ready}/${desired} pod(s) ready.`);
+                if (spinner) spinner.succeed(`Deployment ${name} rolled out (${ready}/${desired} pods ready).`);
+                break;
+            }
+
+            if ((Date.now() - startTime) / 1000 >= timeout) {
+                throw await rolloutFailure(deployment, `Deployment ${name} did not roll out within ${timeout} seconds (${ready}/${desired} pods ready).`,
+                    { pod: pods.find(pod => !podReady(pod)) });
+            }
+
+            if (spinner) spinner.text = `Waiting for deployment ${name}: ${ready}/${desired} pods ready...`;
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+}
+
+// Function to format the events and logs of a failed rollout for the terminal
+function formatRolloutFailure(error) {
+    const lines = [chalk.red(error.message)];
+
+    if (error.events.length > 0) {
+        lines.push('', chalk.bold(`Recent events of pod ${error.pod}:`), ...error.events.map(event => `  ${event}`));
+    }
+    if (error.logs) {
+        lines.push('', chalk.bold(`Last log lines of ${error.pod}/${error.container}:`), ...error.logs.split('\n').map(line => `  ${line}`));
+    }
+
+    return lines.join('\n');
+}
+
+// Function to summarize the pods of the rolled out Deployments and the node ports of the
+// Services that select them
+async function getRolloutSummary(deployments) {
+    const pods = [];
+    const nodePorts = [];
+
+    for (const { name, namespace, selector } of deployments) {
+        for (const pod of (await kubectlJson(`get pods${namespaceFlag(namespace)} -l "${selector}"`)).items || []) {
+            const statuses = pod.status?.containerStatuses || [];
+            pods.push({
+                name: pod.metadata.name,
+                deployment: name,
+                phase: pod.status?.phase || 'Unknown',
+                ready: `${statuses.filter(status => status.ready).length}/${statuses.length || pod.spec?.containers?.length || 0}`,
+                restarts: statuses.reduce((total, status) => total + (status.restartCount || 0), 0)
+            });
+        }
+
+        // A Service belongs to the app when every label it selects on is one of the app's labels
+        const labels = Object.fromEntries(selector.split(',').filter(Boolean).map(pair => pair.split('=')));
+        for (const service of (await kubectlJson(`get services${namespaceFlag(namespace)}`)).items || []) {
+            const serviceSelector = Object.entries(service.spec?.selector || {});
+            if (serviceSelector.length === 0 || !serviceSelector.every(([key, value]) => labels[key] === value)) continue;
+            for (const port of service.spec.ports || []) {
+                if (port.nodePort) nodePorts.push({ service: service.metadata.name, port: port.port, nodePort: port.nodePort });
+            }
+        }
+    }
+
+    return { pods, nodePorts };
+}
+
+export {
+    RolloutError,
+    FAILURE_REASONS,
+    labelSelector,
+    findDeployments,
+    rolloutComplete,
+    waitForRollout,
+    formatRolloutFailure,
+    getRolloutSummary
+};
@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './logger.mjs';
+import { detectProjectType } from './detector.mjs';
+import { analyzeNodeProject } from './analyzers/nodejs.mjs';
+import { readSpringServerPort } from './analyzers/java.mjs';
+import { readPumaPort } from './analyzers/ruby.mjs';
+import { readProjectDependencies } from './dependencies.mjs';
+import { walkProject } from './walker.mjs';
+
+// Port each project type listens on when nothing in the project says otherwise
+const DEFAULT_PORTS = {
+    nodejs: 3000,
+    python: 5000,
+    java: 8080,
+    ruby: 3000,
+    go: 8080
+};
+
+// Default ports of frameworks that do not need a listen call in the application code
+const FRAMEWORK_PORTS = {
+    nodejs: [
+        { dependency: 'next', port: 3000 },
+        { dependency: 'nuxt', port: 3000 },
+        { dependency: '@nestjs/core', port: 3000 },
+        { dependency: '@remix-run/serve', port: 3000 },
+        { dependency: 'astro', port: 4321 }
+    ],
+    python: [
+        { dependency: 'django', port: 8000 },
+        { dependency: 'fastapi', port: 8000 },
+        { dependency: 'flask', port: 5000 }
+    ],
+    ruby: [
+        { dependency: 'rails', port: 3000 },
+        { dependency: 'hanami', port: 2300 },
+        { dependency: 'sinatra', port: 4567 }
+    ]
+};
+
+// Source files checked for listen calls and PORT defaults, per project type
+const CANDIDATE_SOURCES = {
+    nodejs: ['index.js', 'server.js', 'app.js', 'main.js', 'bin/www', 'src/index.js', 'src/server.js', 'src/app.js', 'src/main.js', 'src/index.ts', 'src/server.ts', 'src/app.ts', 'src/main.ts'],
+    python: ['app.py', 'main.py', 'run.py', 'server.py', 'wsgi.py', 'asgi.py', 'src/app.py', 'src/main.py'],
+    java: [],
+    ruby: ['config/puma.rb', 'app.rb', 'config.ru'],
+    go: ['main.go', 'server.go', 'cmd/server/main.go', 'cmd/api/main.go']
+};
+
+// Patterns that reveal a port in source code, most specific first
+const PORT_PATTERNS = [
+    // JavaScript: .listen(8080), .listen({ port: 8080 }), process.env.PORT || 8080
+    /\.listen\(\s*(\d{2,5})\b/,
+    /\.listen\(\s*\{[^}]*\bport\s*:\s*(?:Number\()?(?:process\.env\.PORT\s*(?:\|\||\?\?)\s*)?['"]?(\d{2,5})/,
+    /process\.env\.PORT\s*(?:\|\||\?\?)\s*['"]?(\d{2,5})/,
+    /\b(?:const|let|var)\s+PORT\s*=\s*['"]?(\d{2,5})\b/,
+    // Python: app.run(port=5001), uvicorn.run(app, port=8001), os.environ.get("PORT", 8000)
+    /\b(?:app|uvicorn|web)\.run\([^)]*\bport\s*=\s*(\d{2,5})/,
+    /os\.environ\.get\(\s*['"]PORT['"]\s*,\s*['"]?(\d{2,5})/,
+    // Ruby: port ENV.fetch("PORT") { 3000 }, set :port, 4567
+    /\bport\s+ENV\.fetch\(\s*['"]PORT['"]\s*\)\s*\{\s*(\d{2,5})\s*\}/,
+    /\bset\s+:port\s*,\s*(\d{2,5})/,
+    // Go: http.ListenAndServe(":8080", ...), r.Run(":8080")
+    /(?:ListenAndServe|\.Run|\.Start)\(\s*"[^":]*:(\d{2,5})"/,
+    // Command lines: --port 8080, -p 8080, --bind 0.0.0.0:8080
+    /(?:--port[= ]|\s-p\s+|--bind[= ]\S*:)(\d{2,5})\b/
+];
+
+// Health endpoints recognized in route definitions, most conventional first
+const HEALTH_PATHS = ['/healthz', '/health', '/api/health', '/healthcheck', '/health-check', '/api/healthz', '/livez', '/readyz', '/ping'];
+
+// Source file extensions searched for health routes, per project type
+const SOURCE_EXTENSIONS = {
+    nodejs: ['.js', '.mjs', '.cjs', '.ts', '.mts'],
+    python: ['.py'],
+    java: ['.java', '.kt'],
+    ruby: ['.rb'],
+    go: ['.go']
+};
+
+// How many source files are read at most when looking for a health route
+const MAX_HEALTH_SOURCES = 200;
+
+// Function to find a port in a piece of source code or a command line
+function findPort(content) {
+    for (const pattern of PORT_PATTERNS) {
+        const match = content.match(pattern);
+        if (match) return Number(match[1]);
+    }
+    return null;
+}
+
+// Function to read the web process of a Procfile (Heroku style), if there is one
+async function readProcfile(projectPath) {
+    const procfilePath = path.join(projectPath, 'Procfile');
+    if (!(await fs.pathExists(procfilePath))) return null;
+
+    const content = await fs.readFile(procfilePath, 'utf-8');
+    const webLine = content.split('\n').find(line => /^web\s*:/.test(line.trim()));
+    return webLine ? webLine.trim().replace(/^web\s*:\s*/, '') : null;
+}
+
+// Function to find the health endpoint the application serves: Spring Boot Actuator, the Rails
+// health route, or a route such as "/healthz" declared in the source code
+async function findHealthPath(projectPath, type) {
+    if (type === 'java') {
+        const dependencies = await readProjectDependencies(projectPath, type);
+        if (dependencies.includes('spring-boot-starter-actuator')) {
+            return { path: '/actuator/health', source: 'spring-boot-starter-actuator' };
+        }
+    }
+
+    const routesPath = path.join(projectPath, 'config/routes.rb');
+    if (type === 'ruby' && await fs.pathExists(routesPath)) {
+        const route = (await fs.readFile(routesPath, 'utf-8')).match(/get\s+['"]\/?([\w/-]+)['"]\s*=>\s*['"]rails\/health#show['"]/);
+        if (route) return { path: `/${route[1]}`, source: 'config/routes.rb' };
+    }
+
+    const extensions = SOURCE_EXTENSIONS[type] || [];
+    const files = (await walkProject(projectPath, { maxDepth: 5 }))
+        .filter(file => extensions.includes(path.extname(file)))
+        .slice(0, MAX_HEALTH_SOURCES);
+
+    let best = null;
+    for (const file of files) {
+        const content = await fs.readFile(file, 'utf-8');
+        for (const match of content.matchAll(/['"`](\/[\w/-]+?)\/?['"`]/g)) {
+            const rank = HEALTH_PATHS.indexOf(match[1]);
+            if (rank !== -1 && (!best || rank < best.rank)) {
+                best = { rank, path: match[1], source: path.relative(projectPath, file) };
+            }
+        }
+    }
+
+    return best ? { path: best.path, source: best.source } : null;
+}
+
+// Function to normalize a command override: a string stays a shell command, an array an exec command
+function normalizeCommand(command) {
+    if (Array.isArray(command)) return command.map(String);
+    return typeof command === 'string' && command.trim() !== '' ? command.trim() : null;
+}
+
+// Function to infer the port the application listens on and the command that starts it.
+// Every generator and deployer consumes this one model, so the Dockerfile, docker run,
+// Kubernetes and nginx agree. `overrides.port` and `overrides.command` win over inference.
+// The health endpoint found in the project, if any, is part of the model for the probes.
+// `workspaceRoot` is the root of the workspace a Node.js service belongs to, if any.
+async function inferRuntime(projectPath, projectType = null, overrides = {}, { workspaceRoot = null } = {}) {
+    const type = projectType || (await detectProjectType(projectPath)).type;
+    const nodeAnalysis = type === 'nodejs' ? await analyzeNodeProject(projectPath, { workspaceRoot }) : null;
+
+    const runtime = {
+        port: null,
+        portSource: null,
+        entrypoint: null,
+        entrypointSource: null,
+        healthPath: null,
+        healthPathSource: null
+    };
+
+    // Entrypoint: override, then Procfile, then package.json for Node.js
+    const procfileCommand = await readProcfile(projectPath);
+    const commandOverride = normalizeCommand(overrides.command);
+    if (commandOverride) {
+        runtime.entrypoint = commandOverride;
+        runtime.entrypointSource = 'override';
+    } else if (procfileCommand) {
+        runtime.entrypoint = procfileCommand;
+        runtime.entrypointSource = 'Procfile';
+    } else if (nodeAnalysis) {
+        runtime.entrypoint = nodeAnalysis.startCommand;
+        runtime.entrypointSource = 'package.json';
+    }
+
+    // Port: override, then the start command, then the source code, then framework and type defaults
+    if (overrides.port !== undefined && overrides.port !== null && overrides.port !== '') {
+        const port = Number(overrides.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid port override: ${overrides.port}`);
+        }
+        runtime.port = port;
+        runtime.portSource = 'override';
+    }
+
+    const commandLines = [
+        [typeof runtime.entrypoint === 'string' ? runtime.entrypoint : (runtime.entrypoint || []).join(' '), runtime.entrypointSource],
+        [nodeAnalysis?.packageJsonData.scripts?.start || '', 'package.json scripts.start']
+    ];
+    for (const [commandLine, source] of commandLines) {
+        if (runtime.port) break;
+        const port = findPort(` ${commandLine}`);
+        if (port) {
+            runtime.port = port;
+            runtime.portSource = source;
+        }
+    }
+
+    if (!runtime.port && type === 'java') {
+        const springPort = await readSpringServerPort(projectPath);
+        if (springPort) {
+            runtime.port = springPort;
+            runtime.portSource = 'server.port';
+        }
+    }
+
+    if (!runtime.port && type === 'ruby') {
+        const pumaPort = await readPumaPort(projectPath);
+        if (pumaPort) {
+            runtime.port = pumaPort;
+            runtime.portSource = 'config/puma.rb';
+        }
+    }
+
+    if (!runtime.port) {
+        // The file the start command runs is the most likely place for the listen call
+        const entryFile = Array.isArray(runtime.entrypoint) && runtime.entrypoint[0] === 'node' ? runtime.entrypoint[1] : null;
+        const candidates = [entryFile, nodeAnalysis?.packageJsonData.main, ...(CANDIDATE_SOURCES[type] || [])].filter(Boolean);
+
+        for (const candidate of new Set(candidates)) {
+            const candidatePath = path.join(projectPath, candidate);
+            if (!(await fs.pathExists(candidatePath)) || !(await fs.stat(candidatePath)).isFile()) continue;
+
+            const port = findPort(await fs.readFile(candidatePath, 'utf-8'));
+            if (port) {
+                runtime.port = port;
+                runtime.portSource = candidate;
+                break;
+            }
+        }
+    }
+
+    if (!runtime.port) {
+        const dependencies = await readProjectDependencies(projectPath, type, { includeDev: true });
+        const framework = (FRAMEWORK_PORTS[type] || []).find(candidate => dependencies.includes(candidate.dependency));
+        if (framework) {
+            runtime.port = framework.port;
+            runtime.portSource = `${framework.dependency} default`;
+        }
+    }
+
+    if (!runtime.port) {
+        runtime.port = DEFAULT_PORTS[type] || 8080;
+        runtime.portSource = 'default';
+    }
+
+    const health = await findHealthPath(projectPath, type);
+    if (health) {
+        runtime.healthPath = health.path;
+        runtime.healthPathSource = health.source;
+    }
+
+    await log(`Runtime model: port ${runtime.port} (${runtime.portSource}), entrypoint ${JSON.stringify(runtime.entrypoint)}${runtime.entrypointSource ? ` (${runtime.entrypointSource})` : ''}, health endpoint ${runtime.healthPath ? `${runtime.healthPath} (${runtime.healthPathSource})` : 'none'}`);
+    return runtime;
+}
+
+export { inferRuntime, findPort, findHealthPath, DEFAULT_PORTS };
@@ -1,109 +1,53 @@
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import fs from 'fs-extra';
 import path from 'path';
 import ora from 'ora';
-import xml2js from 'xml2js'; // For parsing pom.xml
-import { exec } from 'child_process';
+import yaml from 'js-yaml';
 import chalk from 'chalk'; // For colorful terminal output
-import yaml from 'js-yaml'; // For working with YAML files
-
-// Setup __dirname for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Log function to log to both console and file
-async function log(message) {
-    console.log(message);
-    await fs.appendFile('scan_project_log.txt', `${new Date().toISOString()} - ${message}\n`);
-}
-
-// Function to parse pom.xml for Java projects
-async function parsePomXml(pomFilePath) {
-    await log(`Starting to parse pom.xml at: ${pomFilePath}`); // Logging
-    const pomXml = await fs.readFile(pomFilePath, 'utf-8');
-    const parser = new xml2js.Parser();
-
-    parser.parseString(pomXml, (err, result) => {
-        if (err) {
-            log('Error parsing pom.xml: ' + err);
-            return;
-        }
-
-        const dependencies = result.project.dependencies[0].dependency.map(dep => ({
-            groupId: dep.groupId[0],
-            artifactId: dep.artifactId[0],
-            version: dep.version[0]
-        }));
-
-        log('Parsed dependencies from pom.xml: ' + JSON.stringify(dependencies));
-    });
-}
-
-// Function to parse Gemfile for Ruby projects
-function parseGemfile(gemfileContent) {
-    log('Starting to parse Gemfile...'); // Logging
-    const dependencies = gemfileContent.split('\n').filter(line => line.startsWith('gem')).map(line => {
-        const parts = line.split(/[',]/);
-        return {
-            name: parts[1].trim(),
-            version: parts[2].trim()
-        };
-    });
-
-    log('Parsed dependencies from Gemfile: ' + JSON.stringify(dependencies));
-}
-
-// Updated function to find a file with case-insensitive search
-async function findFileRecursively(directory, fileName) {
-    const files = await fs.readdir(directory);
-    const lowerFileName = fileName.toLowerCase();
-
-    for (const file of files) {
-        const fullPath = path.join(directory, file);
-        const stat = await fs.stat(fullPath);
-
-        if (stat.isDirectory()) {
-            const foundPath = await findFileRecursively(fullPath, fileName);
-            if (foundPath) return foundPath;
-        } else if (file.toLowerCase() === lowerFileName) {
-            return fullPath;
-        }
-    }
-    return null;
-}
-
-// Function to analyze package.json and index.js for Node.js projects
-async function analyzeNodeProject(projectPath) {
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    const indexJsPath = path.join(projectPath, 'index.js');
-    
-    let packageJsonData = {};
-    let indexJsContent = '';
-
-    // Read package.json if it exists
-    if (await fs.pathExists(packageJsonPath)) {
-        const packageJson = await fs.readFile(packageJsonPath, 'utf-8');
-        packageJsonData = JSON.parse(packageJson);
-    } else {
-        await log('No package.json found.');
-    }
-
-    // Read index.js if it exists
-    if (await fs.pathExists(indexJsPath)) {
-        indexJsContent = await fs.readFile(indexJsPath, 'utf-8');
-    } else {
-        await log('No index.js found.');
-    }
-
-    return { packageJsonData, indexJsContent };
-}
+import { log } from './logger.mjs';
+import { detectProjectType } from './detector.mjs';
+import { isDryRun, runCommand, writeArtifact } from './plan.mjs';
+import { walkProject } from './walker.mjs';
+import { analyzeNodeProject, generateNodeDockerfile } from './analyzers/nodejs.mjs';
+import { analyzeJavaProject, generateJavaDockerfile } from './analyzers/java.mjs';
+import { analyzePythonProject, generatePythonDockerfile } from './analyzers/python.mjs';
+import { analyzeRubyProject, generateRubyDockerfile } from './analyzers/ruby.mjs';
+import { analyzeGoProject, generateGoDockerfile } from './analyzers/go.mjs';
+import { inferRuntime } from './runtime.mjs';
+import { resolveTemplate } from './templates.mjs';
+import { lintDockerfileAtPath, formatLintReport } from './lint.mjs';
+import { generateComposeFile, serviceName } from './compose.mjs';
+import { discoverServices, serviceImageName } from './services.mjs';
+import {
+    K8S_DIRECTORY,
+    KUSTOMIZE_BASE_DIRECTORY,
+    buildEnvSecret,
+    detectManifestFormat,
+    listManifestFiles,
+    generateKubernetesManifests,
+    resolveApplyTarget,
+    resolveKubernetesSettings,
+    resourceName
+} from './kubernetes.mjs';
+import { listManifestResources, parseImageReference, updateManifestImages } from './manifests.mjs';
+import { deployRemoteContainer } from './remote.mjs';
+import { ContainerHealthError, deployLocalContainer, readContainerEnv, resolveContainerSettings } from './containers.mjs';
+import { discoverEnvVariables, generateEnvExample, readEnvFile } from './env.mjs';
+import { findRollbackTarget, latestDeployment, listDeployments, readState, recordDeployment } from './state.mjs';
+import { installNginxConfig, nginxFileName, renderNginxConfig, resolveNginxSettings } from './nginx.mjs';
+import { RolloutError, findDeployments, formatRolloutFailure, getRolloutSummary, labelSelector, waitForRollout } from './rollout.mjs';
+import {
+    DockerBuildError,
+    validateImageReference,
+    buildImage,
+    inspectImage,
+    listContainersForImage
+} from './engine.mjs';
 
 // Function to generate or modify Dockerfile based on project analysis
-async function generateDockerfile(projectType, projectPath) {
+async function generateDockerfile(projectType, projectPath, { force = false, runtime = null, workspace = null } = {}) {
     const existingDockerfilePath = path.join(projectPath, 'Dockerfile');
 
-    if (await fs.pathExists(existingDockerfilePath)) {
+    if (!force && await fs.pathExists(existingDockerfilePath)) {
         await log('Existing Dockerfile found, skipping generation.');
         return existingDockerfilePath;
     }
@@ -112,36 +56,39 @@ async function generateDockerfile(projectType, projectPath) {
 
     let dockerfileContent = '';
     try {
+        runtime = runtime || await inferRuntime(projectPath, projectType, {}, { workspaceRoot: workspace?.root });
+
         if (projectType === 'nodejs') {
             await log('Analyzing Node.js project...');
-            const { packageJsonData, indexJsContent } = await analyzeNodeProject(projectPath);
-
-            // Load the Node.js Dockerfile template
-            const templatePath = path.join(__dirname, '../templates/nodejs.Dockerfile');
-            dockerfileContent = await fs.readFile(templatePath, 'utf-8');
-
-            // Modify Dockerfile based on package.json contents
-            if (packageJsonData.dependencies) {
-                await log(`Dependencies found: ${JSON.stringify(packageJsonData.dependencies)}`);
-                if (packageJsonData.dependencies['express']) {
-                    dockerfileContent = dockerfileContent.replace('EXPOSE 3000', 'EXPOSE 8000');
-                    dockerfileContent = dockerfileContent.replace('CMD ["npm", "start"]', 'CMD ["node", "index.js"]');
-                }
-            }
+            const analysis = await analyzeNodeProject(projectPath, { workspaceRoot: workspace?.root });
+            dockerfileContent = await generateNodeDockerfile(analysis, { port: runtime.port, command: runtime.entrypoint, workspace, projectPath });
 
-            // Modify Dockerfile based on index.js contents
-            if (indexJsContent.includes('app.listen(8000)')) {
-                await log('Port 8000 detected in index.js.');
-                dockerfileContent = dockerfileContent.replace('EXPOSE 3000', 'EXPOSE 8000');
-            }
+        } else if (projectType === 'java') {
+            await log('Analyzing Java project...');
+            const analysis = await analyzeJavaProject(projectPath);
+            dockerfileContent = await generateJavaDockerfile(analysis, { port: runtime.port, command: runtime.entrypoint, projectPath });
+
+        } else if (projectType === 'python') {
+            await log('Analyzing Python project...');
+            const analysis = await analyzePythonProject(projectPath);
+            dockerfileContent = await generatePythonDockerfile(analysis, { port: runtime.port, command: runtime.entrypoint, projectPath });
+
+        } else if (projectType === 'ruby') {
+            await log('Analyzing Ruby project...');
+            const analysis = await analyzeRubyProject(projectPath);
+            dockerfileContent = await generateRubyDockerfile(analysis, { port: runtime.port, command: runtime.entrypoint, projectPath });
+
+        } else if (projectType === 'go') {
+            await log('Analyzing Go project...');
+            const analysis = await analyzeGoProject(projectPath);
+            dockerfileContent = await generateGoDockerfile(analysis, { port: runtime.port, command: runtime.entrypoint, projectPath });
 
         } else {
-            const templatePath = path.join(__dirname, `../templates/${projectType}.Dockerfile`);
-            dockerfileContent = await fs.readFile(templatePath, 'utf-8');
+            throw new Error(`No Dockerfile template available for project type: ${projectType}`);
         }
 
         await log('Writing the customized Dockerfile...');
-        await fs.writeFile(existingDockerfilePath, dockerfileContent.trim());
+        await writeArtifact(existingDockerfilePath, `${dockerfileContent.trim()}\n`);
         await log(`Dockerfile generated at ${existingDockerfilePath}`);
     } catch (err) {
         await log(`Failed to generate Dockerfile: ${err.message}`);
@@ -151,28 +98,30 @@ async function generateDockerfile(projectType, projectPath) {
     return existingDockerfilePath;
 }
 
-// Function to scan the entire directory and list all files and folders
-async function scanEntireDirectory(directory) {
-    if (!directory || typeof directory !== 'string') {
-        throw new Error(`Invalid directory path: ${directory}`);
-    }
-
-    let allFiles = [];
-    const files = await fs.readdir(directory);
+// Function to generate a .dockerignore suited to the project type, unless the project has one
+async function generateDockerignore(projectType, projectPath) {
+    const dockerignorePath = path.join(projectPath, '.dockerignore');
 
-    for (const file of files) {
-        const fullPath = path.join(directory, file);
-        const stat = await fs.stat(fullPath);
+    if (await fs.pathExists(dockerignorePath)) {
+        await log('Existing .dockerignore found, skipping generation.');
+        return dockerignorePath;
+    }
 
-        if (stat.isDirectory()) {
-            const subFiles = await scanEntireDirectory(fullPath);
-            allFiles = allFiles.concat(subFiles);
-        } else {
-            allFiles.push(fullPath);
-        }
+    const template = await resolveTemplate(`${projectType}.dockerignore`, projectPath);
+    if (!template) {
+        await log(`No .dockerignore template available for project type: ${projectType}`);
+        return null;
     }
 
-    return allFiles;
+    await writeArtifact(dockerignorePath, await fs.readFile(template.path, 'utf-8'));
+    await log(`.dockerignore generated at ${dockerignorePath}`);
+    return dockerignorePath;
+}
+
+// Function to scan the entire directory and list all files, skipping .git, node_modules
+// and whatever .gitignore or .dockerignore exclude
+async function scanEntireDirectory(directory) {
+    return walkProject(directory);
 }
 
 // Function to scan for all YAML files and classify them as service or deployment
@@ -200,65 +149,134 @@ async function scanYAMLFiles(directory) {
 }
 
 // Function to build Docker image based on the Dockerfile
-async function buildDockerImage(projectPath, projectName, imageTag) {
+// The Dockerfile is `dockerfile` relative to `contextDir`, which defaults to the project itself.
+async function buildDockerImage(projectPath, projectName, imageTag, spinner = null, { contextDir = projectPath, dockerfile = 'Dockerfile' } = {}) {
     await log(`Starting Docker image build for project: ${projectName} with tag: ${imageTag}`); 
 
     try {
-        const dockerfilePath = await findFileRecursively(projectPath, 'Dockerfile');
-        if (!dockerfilePath) {
-            throw new Error('Dockerfile not found in project directory');
+        // A dry run may not have written the Dockerfile yet, so it is not required to exist then
+        const dockerfilePath = path.join(contextDir, dockerfile);
+        if (!isDryRun() && !(await fs.pathExists(dockerfilePath))) {
+            throw new Error(`Dockerfile not found at ${dockerfilePath}`);
         }
 
-        const buildContext = path.dirname(dockerfilePath);
         await log(`Using Dockerfile located at: ${dockerfilePath}`);
-        await log(`Using build context: ${buildContext}`);
-
-        const buildCommand = `docker build -t ${projectName}:${imageTag} ${buildContext}`;
-
-        await new Promise((resolve, reject) => {
-            const buildProcess = exec(buildCommand);
-
-            buildProcess.stdout.on('data', (data) => {
-                process.stdout.write(data);
-            });
-
-            buildProcess.stderr.on('data', (data) => {
-                process.stderr.write(data);
-            });
-
-            buildProcess.on('exit', (code) => {
-                if (code === 0) {
-                    log(`Docker image '${projectName}:${imageTag}' built successfully.`);
-                    resolve();
-                } else {
-                    log(`Docker build failed with exit code ${code}.`);
-                    reject(new Error(`Docker build failed with exit code ${code}`));
-                }
-            });
+        await log(`Using build context: ${contextDir}`);
+
+        const imageId = await buildImage({
+            contextDir,
+            dockerfile,
+            imageName: projectName,
+            imageTag,
+            spinner
         });
+        // Nothing was built in a dry run, only planned
+        await log(isDryRun()
+            ? `Docker image '${projectName}:${imageTag}' would be built (dry run).`
+            : `Docker image '${projectName}:${imageTag}' built successfully${imageId ? ` (${imageId})` : ''}.`);
+        return imageId;
 
     } catch (err) {
+        if (err instanceof DockerBuildError) {
+            await log(`Docker build failed at ${err.step || 'an unknown step'}: ${err.message}`);
+            if (err.output.length > 0) {
+                await log(`Output of the failing step:\n${err.output.join('\n')}`);
+            }
+        }
         await log(`Failed to build Docker image for ${projectName}:${imageTag}: ${err.message}`);
         throw err;
     }
 }
 
-// Function to deploy Docker image to local or remote Docker environment
-async function deployDocker(projectPath, projectName, imageTag, remote = null, user = null, password = null) {
+// Function to look up the ID and registry digest of a local image for the deployment history.
+// The history is a record, so a Docker daemon that cannot be asked does not fail the deploy.
+// An image deployed by digest has that digest, whether or not the local daemon has the image.
+// A dry run records nothing, so the daemon is not asked then.
+async function describeImage(image) {
+    const { digest } = parseImageReference(image);
+    if (isDryRun()) {
+        return { imageId: null, digest };
+    }
     try {
-        const command = remote
-            ? `ssh ${user}@${remote} "docker run -d -p 8000:8000 ${projectName}:${imageTag}"`
-            : `docker run -d -p 8000:8000 ${projectName}:${imageTag}`;
-
-        await log(`Deploying with command: ${command}`);
+        const imageInfo = await inspectImage(image);
+        return {
+            imageId: imageInfo?.Id || null,
+            digest: digest || imageInfo?.RepoDigests?.[0]?.split('@')[1] || null
+        };
+    } catch (err) {
+        await log(`Could not inspect ${image} for the deployment history: ${err.message}`);
+        return { imageId: null, digest };
+    }
+}
 
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                log(`Error deploying Docker image: ${stderr}`);
+// Function to deploy Docker image to local or remote Docker environment. Locally the image replaces
+// the app's previous container, with the env file, volumes, restart policy and host port of
+// `container` (the `container` config section), and the deploy waits for it to become healthy.
+// `remote` is a host, an ssh:// or tcp:// URL, or an endpoint object with a Docker context (see
+// resolveDockerEndpoint); the image is transferred to it and replaces the container of the app's
+// previous deploy there, with the variables of the env file and the restart policy of
+// `container`. With `image` (a registry reference) and `pull`, the remote host pulls the image
+// from its registry instead. The env file is checked against `variables`, those the scan found,
+// or else against a new search of the sources. The deployment is recorded in the project's state
+// file; `rollbackOf` marks it as a rollback to that revision.
+async function deployDocker(projectPath, projectName, imageTag, remote = null, user = null, { runtime = null, container = {}, image: imageReference = null, pull = false, variables = null, rollbackOf = null } = {}) {
+    try {
+        const image = imageReference || validateImageReference(projectName, imageTag);
+        const { port, healthPath = null } = runtime || await inferRuntime(projectPath);
+        let containerId;
+        let endpoint = null;
+        let local = null;
+
+        if (remote) {
+            const spinner = ora(`Deploying ${image} to the remote Docker host...`).start();
+            try {
+                const settings = resolveContainerSettings(container);
+                ({ endpoint, containerId } = await deployRemoteContainer(remote, user, {
+                    name: projectName,
+                    image,
+                    ports: [{ container: port, host: port }],
+                    env: await readContainerEnv(projectPath, settings.envFile, { variables }),
+                    restart: settings.restart,
+                    pull,
+                    spinner
+                }));
+                spinner.succeed(`Deployed ${image} to ${endpoint.url}${containerId ? ` (container ${containerId.slice(0, 12)})` : ''}.`);
+                await log(`Docker image deployed successfully to ${endpoint.url}.${containerId ? ` Container: ${containerId}` : ''}`);
+            } catch (error) {
+                spinner.fail(`Remote deploy failed: ${error.message}`);
+                throw error;
+            }
+        } else {
+            const spinner = ora(`Starting ${image}...`).start();
+            try {
+                local = await deployLocalContainer(projectPath, { name: projectName, image, port, container, healthPath, variables, spinner });
+                containerId = local.containerId;
+                spinner.succeed(`${local.name} is running ${image}${containerId ? ` (container ${containerId.slice(0, 12)})` : ''} on http://localhost:${local.hostPort}.`);
+                await log(`Docker image deployed successfully.${containerId ? ` Container: ${containerId}` : ''}`);
+            } catch (error) {
+                spinner.fail(`Local deploy failed: ${error.message}`);
+                if (error instanceof ContainerHealthError && error.logs) {
+                    console.error(chalk.dim(`Last output of ${error.container}:\n${error.logs.trimEnd()}`));
+                }
                 throw error;
-            } else {
-                log(`Docker image deployed successfully. Output: ${stdout}`);
             }
+        }
+
+        await recordDeployment(projectPath, {
+            target: remote ? 'remote' : 'local',
+            name: projectName,
+            image,
+            tag: imageTag,
+            ...(await describeImage(image)),
+            pulled: Boolean(remote && pull),
+            host: endpoint?.url || null,
+            // How to reach the daemon again on rollback; credentials are not recorded
+            remote: endpoint ? { host: endpoint.url, context: remote.context || null } : null,
+            containerId,
+            container: local?.name || null,
+            port,
+            hostPort: local?.hostPort || null,
+            rollbackOf
         });
     } catch (err) {
         await log(`Failed to deploy Docker image: ${err.message}`);
@@ -266,358 +284,286 @@ async function deployDocker(projectPath, projectName, imageTag, remote = null, u
     }
 }
 
-// Function to generate Kubernetes YAML files
-async function generateKubernetesYAML(projectName, imageTag) {
-    const deploymentYAML = `
-apiVersion: apps/v1
-kind: Deployment
-metadata:
-  name: ${projectName}-deployment
-spec:
-  replicas: 1
-  selector:
-    matchLabels:
-      app: ${projectName}
-  template:
-    metadata:
-      labels:
-        app: ${projectName}
-    spec:
-      containers:
-      - name: ${projectName}
-        image: ${projectName}:${imageTag}
-        ports:
-        - containerPort: 80
-`;
-
-    const serviceYAML = `
-apiVersion: v1
-kind: Service
-metadata:
-  name: ${projectName}-service
-spec:
-  selector:
-    app: ${projectName}
-  type: NodePort
-  ports:
-  - protocol: TCP
-    port: 80
-    targetPort: 80
-`;
-
-    await fs.writeFile(path.join(process.cwd(), `${projectName}-deployment.yaml`), deploymentYAML.trim());
-    await fs.writeFile(path.join(process.cwd(), `${projectName}-service.yaml`), serviceYAML.trim());
-
-    await log('Generated Kubernetes YAML files for Deployment and Service.');
-}
-
-// Function to update the image in web-deployment.yaml based on the project name and tag
-async function updateWebDeploymentImage(projectPath, projectName, imageTag) {
-    const webDeploymentPath = path.join(projectPath, 'web-deployment.yaml');
-
+// Function to bring up the application together with its backing services with Docker Compose.
+// docker-compose.yml is generated first when the project has none, building the image from
+// `contextDir` with `dockerfile` (the workspace root of a workspace package) and passing the app
+// the env file of `container`, like a local deploy does.
+async function deployCompose(projectPath, projectName, imageTag, { runtime = null, contextDir = projectPath, dockerfile = 'Dockerfile', container = {} } = {}) {
     try {
-        // Read the YAML file
-        const fileContents = await fs.readFile(webDeploymentPath, 'utf-8');
-        const deploymentYaml = yaml.load(fileContents);
-
-        // Get the container(s) from the deployment
-        const containers = deploymentYaml.spec.template.spec.containers;
-
-        // Loop through containers and update the image for each one
-        for (let container of containers) {
-            const oldImage = container.image;  // Capture the old image
-            const newImage = `${projectName}:${imageTag}`;  // Construct the new image
-
-            container.image = newImage;  // Update the image
-            container.imagePullPolicy = 'IfNotPresent';  // Set the image pull policy to use local images if available
-
-            await log(`Updated image from ${oldImage} to ${newImage} in web-deployment.yaml`);
+        validateImageReference(projectName, imageTag);
+        const { envFile } = resolveContainerSettings(container);
+        const { composePath, services } = await generateComposeFile(projectPath, projectName, imageTag, { runtime, contextDir, dockerfile, envFile });
+        if (services) {
+            console.log(chalk.green(`Generated ${composePath}${services.length > 0 ? ` with ${services.join(', ')}` : ''}`));
         }
 
-        // Convert back to YAML and save the updated file
-        const updatedYaml = yaml.dump(deploymentYaml);
-        await fs.writeFile(webDeploymentPath, updatedYaml, 'utf-8');
-
-        await log(`Updated web-deployment.yaml with new image: ${projectName}:${imageTag}`);
-    } catch (error) {
-        await log(`Error updating web-deployment.yaml: ${error.message}`);
-        throw error;
-    }
-}
-
-// Function to wait for pods to become ready
-async function waitForPodsReady(namespace = 'default', timeout = 300) {
-    const spinner = ora('Waiting for pods to become ready...').start();
-    const startTime = Date.now();
-    let allPodsReady = false;
+        const command = `docker compose -f "${composePath}" -p ${serviceName(projectName)} up -d`;
+        await log(`Deploying with command: ${command}`);
 
-    while ((Date.now() - startTime) / 1000 < timeout) {
         try {
-            const podsOutput = await new Promise((resolve, reject) => {
-                exec(`kubectl get pods -n ${namespace}`, (error, stdout, stderr) => {
-                    if (error) {
-                        reject(stderr);
-                    } else {
-                        resolve(stdout);
-                    }
-                });
-            });
-
-            const lines = podsOutput.split('\n');
-            allPodsReady = true;
-
-            for (const line of lines.slice(1)) { // Skip the header line
-                if (line.trim() === '') continue;
-                const columns = line.split(/\s+/);
-                const podName = columns[0];
-                const podStatus = columns[2];
-                if (podStatus !== 'Running') {
-                    allPodsReady = false;
-                    spinner.text = `Waiting for pod ${podName} to be running (current status: ${podStatus})...`;
-                    break;
-                }
-            }
-
-            if (allPodsReady) {
-                spinner.succeed('All pods are running.');
-                return;
-            }
-
+            const { stdout } = await runCommand(command, { stream: true });
+            await log(`Compose stack started successfully. Output: ${stdout}`);
         } catch (error) {
-            spinner.fail('Error while checking pod status.');
-            await log(`Error while waiting for pods: ${error}`);
-            throw new Error(error);
+            await log(`Error starting the Compose stack: ${error.stderr}`);
+            throw error;
         }
+    } catch (err) {
+        await log(`Failed to deploy with Docker Compose: ${err.message}`);
+        throw err;
+    }
+}
 
-        // Wait for a few seconds before checking again
-        await new Promise(resolve => setTimeout(resolve, 5000));
+// Function to get the kubectl context deployments go to, so the history knows the cluster
+async function currentKubeContext() {
+    try {
+        const { stdout } = await runCommand('kubectl config current-context');
+        return stdout.trim() || null;
+    } catch (error) {
+        await log(`Could not determine the current kubectl context: ${error.stderr || error.message}`);
+        return null;
     }
+}
 
-    spinner.fail(`Pods did not become ready within ${timeout} seconds.`);
-    throw new Error('Timeout waiting for pods to become ready.');
+// Function to create or update the Secret with the credentials of the project's env file, which
+// the generated Deployment references. The Secret is piped to kubectl, so its values end up
+// neither in the project nor on a command line. Resolves with its name, or null when the env
+// file holds no credentials.
+async function applyEnvSecret(projectPath, projectName, settings) {
+    const env = settings.env.file ? await readEnvFile(path.join(projectPath, settings.env.file)) : {};
+    const manifests = buildEnvSecret(projectName, env, settings);
+    if (manifests.length === 0) return null;
+
+    const secret = manifests[manifests.length - 1];
+    await log(`Applying Secret ${secret.metadata.name} with ${Object.keys(secret.stringData).join(', ')} from ${settings.env.file}`);
+    await runCommand('kubectl apply -f -', { input: manifests.map(manifest => yaml.dump(manifest, { lineWidth: -1 })).join('---\n') });
+    return secret.metadata.name;
 }
 
-// Function to deploy Docker image to Kubernetes
-async function deployKubernetes(projectName, projectPath) {
+// Function to deploy Docker image to Kubernetes. `kubernetes` is the `kubernetes` section of the
+// project config, used to generate the manifests when the project has none. `image` is the
+// reference the cluster pulls, e.g. a registry image pinned to its digest; it defaults to
+// <projectName>:<imageTag>. `variables` go on to the manifest generator. The deployment is
+// recorded in the project's state file; `rollbackOf` marks it as a rollback to that revision.
+async function deployKubernetes(projectName, projectPath, { imageTag = 'latest', image: imageReference = null, runtime = null, kubernetes = {}, partOf = null, variables = null, rollbackOf = null } = {}) {
     const spinner = ora('Deploying to Kubernetes...').start();
 
     try {
         if (!projectPath || typeof projectPath !== 'string') {
             throw new Error('projectPath is undefined or invalid.');
         }
-
-        // Update the web-deployment.yaml image tag before applying it
-        await updateWebDeploymentImage(projectPath, projectName, 'latest');
+        const image = imageReference || validateImageReference(projectName, imageTag);
+        const { repository, tag, digest } = parseImageReference(image);
+        const settings = resolveKubernetesSettings(kubernetes);
+        const { namespace } = settings;
 
         await log(`Starting deployment to Kubernetes for project: ${projectName} at path: ${projectPath}`);
-        const { serviceYAMLs, deploymentYAMLs } = await scanYAMLFiles(projectPath);
-
-        // Log the scanned YAMLs for debugging purposes
-        await log(`Service YAMLs found: ${JSON.stringify(serviceYAMLs)}`);
-        await log(`Deployment YAMLs found: ${JSON.stringify(deploymentYAMLs)}`);
-
-        // Generate Kubernetes YAML files if none are found
-        if (serviceYAMLs.length === 0 && deploymentYAMLs.length === 0) {
-            await log('No Kubernetes YAML files found. Generating default YAML files...');
-            await generateKubernetesYAML(projectName, 'latest');
-            serviceYAMLs.push(path.join(process.cwd(), `${projectName}-service.yaml`));
-            deploymentYAMLs.push(path.join(process.cwd(), `${projectName}-deployment.yaml`));
-        }
 
-        // Apply Deployment YAMLs first
-        for (const deploymentYAML of deploymentYAMLs) {
-            if (!deploymentYAML || typeof deploymentYAML !== 'string') {
-                await log('Deployment YAML is undefined or empty. Skipping...');
-                continue;
-            }
+        // Output in k8s/ (generated earlier or edited since) comes first, then any
+        // deployment and service YAMLs found elsewhere in the project
+        const k8sDirectory = path.join(projectPath, K8S_DIRECTORY);
+        let format = await detectManifestFormat(k8sDirectory);
+        let target = format ? await resolveApplyTarget(k8sDirectory, format, settings) : null;
 
-            const deploymentFilePath = path.resolve(deploymentYAML);
-            await log(`Applying deployment YAML: ${deploymentFilePath}`);
+        if (!format) {
+            const { serviceYAMLs, deploymentYAMLs } = await scanYAMLFiles(projectPath);
 
-            const fileExists = await fs.pathExists(deploymentFilePath);
-            if (!fileExists) {
-                await log(`Deployment YAML file does not exist: ${deploymentFilePath}`);
-                continue;
+            // Log the scanned YAMLs for debugging purposes
+            await log(`Service YAMLs found: ${JSON.stringify(serviceYAMLs)}`);
+            await log(`Deployment YAMLs found: ${JSON.stringify(deploymentYAMLs)}`);
+
+            // Deployments are applied before the services that expose them
+            if (serviceYAMLs.length > 0 || deploymentYAMLs.length > 0) {
+                format = 'raw';
+                target = [...deploymentYAMLs, ...serviceYAMLs];
             }
+        }
 
-            spinner.text = `Applying deployment YAML: ${deploymentFilePath}`;
-            // Execute the kubectl apply command
-            await new Promise((resolve, reject) => {
-                exec(`kubectl apply -f "${deploymentFilePath}"`, async (error, stdout, stderr) => {
-                    if (error) {
-                        await log(`Error applying deployment YAML file ${deploymentFilePath}: ${stderr}`);
-                        spinner.fail(`Failed to apply deployment: ${stderr}`);
-                        return reject(error);
-                    }
-                    await log(`Deployment YAML applied successfully: ${deploymentFilePath}`);
-                    await log(`Deployment applied: ${stdout}`);
-                    spinner.succeed(`Deployment applied: ${deploymentFilePath}`);
-                    resolve();
-                });
-            });
+        // Generate the manifests, chart or Kustomize overlays into k8s/ if none are found
+        if (!format) {
+            await log(`No Kubernetes YAML files found. Generating ${settings.format} output...`);
+            ({ format, target } = await generateKubernetesManifests(projectPath, projectName, imageTag, { runtime, config: kubernetes, partOf, image: imageReference, variables }));
         }
 
-        // Apply Service YAMLs afterwards
-        for (const serviceYAML of serviceYAMLs) {
-            if (!serviceYAML || typeof serviceYAML !== 'string') {
-                await log('Service YAML is undefined or empty. Skipping...');
+        // Point the app's containers at the image that was just built, in what is applied only:
+        // the other overlays of a Kustomize base keep the images of their own environments
+        await updateManifestImages(projectPath, image, { containerNames: [resourceName(projectName)], paths: [].concat(target) });
+
+        // Plain manifests are applied one by one, a chart is installed or upgraded with Helm
+        // and an overlay is applied with kubectl's built-in Kustomize. The digest is always set,
+        // so a deploy by tag clears the digest of an earlier one.
+        const steps = format === 'raw'
+            ? target.map(manifest => ({ filePath: path.resolve(manifest), command: `kubectl apply -f "${path.resolve(manifest)}"` }))
+            : [{
+                filePath: path.resolve(target),
+                command: format === 'helm'
+                    ? `helm upgrade --install ${resourceName(projectName)} "${path.resolve(target)}" --set image.repository=${repository} --set image.tag=${tag || imageTag} --set image.digest=${digest || ''}${namespace ? ` --namespace ${namespace} --create-namespace` : ''}`
+                    : `kubectl apply -k "${path.resolve(target)}"`
+            }];
+
+        // The credentials of .env go straight into the cluster, before the pods that need them
+        await applyEnvSecret(projectPath, projectName, settings);
+
+        for (const { filePath, command } of steps) {
+            await log(`Applying ${format} output: ${filePath}`);
+
+            // A dry run does not write generated files, so they are only required to exist otherwise
+            if (!isDryRun() && !(await fs.pathExists(filePath))) {
+                if (format !== 'raw') {
+                    throw new Error(`${format === 'helm' ? 'Helm chart' : 'Kustomize overlay'} not found at ${filePath}`);
+                }
+                await log(`Manifest file does not exist: ${filePath}`);
                 continue;
             }
 
-            const serviceFilePath = path.resolve(serviceYAML);
-            await log(`Applying service YAML: ${serviceFilePath}`);
-
-            const fileExists = await fs.pathExists(serviceFilePath);
-            if (!fileExists) {
-                await log(`Service YAML file does not exist: ${serviceFilePath}`);
-                continue;
+            spinner.text = `Applying ${filePath}`;
+            // Execute the kubectl apply or helm command
+            try {
+                const { stdout } = await runCommand(command);
+                await log(`Applied successfully: ${filePath}`);
+                await log(`Applied: ${stdout}`);
+                spinner.succeed(`Applied: ${filePath}`);
+            } catch (error) {
+                await log(`Error applying ${filePath}: ${error.stderr}`);
+                spinner.fail(`Failed to apply ${filePath}: ${error.stderr}`);
+                throw error;
             }
+        }
 
-            spinner.text = `Applying service YAML: ${serviceFilePath}`;
-            // Execute the kubectl apply command
-            await new Promise((resolve, reject) => {
-                exec(`kubectl apply -f "${serviceFilePath}"`, async (error, stdout, stderr) => {
-                    if (error) {
-                        await log(`Error applying service YAML file ${serviceFilePath}: ${stderr}`);
-                        spinner.fail(`Failed to apply service: ${stderr}`);
-                        return reject(error);
-                    }
-                    await log(`Service YAML applied successfully: ${serviceFilePath}`);
-                    await log(`Service applied: ${stdout}`);
-                    spinner.succeed(`Service applied: ${serviceFilePath}`);
-                    resolve();
-                });
-            });
+        // Nothing was applied in a dry run, so there is nothing to wait for or inspect
+        if (isDryRun()) {
+            spinner.succeed('Kubernetes deployment planned (dry run).');
+            return;
         }
 
-        // Wait for pods to become ready
-        await waitForPodsReady();
+        // Track the rollout of the app's Deployments through their label selectors, so other
+        // workloads in the namespace neither block nor fake the result
+        const manifestFiles = format === 'raw'
+            ? target
+            : format === 'kustomize' ? await listManifestFiles(path.join(k8sDirectory, KUSTOMIZE_BASE_DIRECTORY)) : [];
+        let deployments = await findDeployments(manifestFiles, { namespace });
+        if (deployments.length === 0) {
+            // A Helm release carries the labels of the generated manifests, with the release as instance
+            const name = resourceName(projectName);
+            deployments = [{ name, namespace, selector: labelSelector({ 'app.kubernetes.io/name': name, 'app.kubernetes.io/instance': name }) }];
+        }
 
-        // After deployments and services are applied, check the status of pods and services
-        await log('Checking the status of pods and services...');
+        spinner.start('Waiting for the rollout...');
+        await waitForRollout(deployments, { timeout: settings.rolloutTimeout, spinner });
 
-        // Get pods status
-        await new Promise((resolve, reject) => {
-            exec('kubectl get pods', async (error, stdout, stderr) => {
-                if (error) {
-                    await log(`Error getting pods: ${stderr}`);
-                    console.error(chalk.red('Error getting pods status.'));
-                    return reject(error);
-                }
-                await log(`Pods status:\n${stdout}`);
-                console.log(chalk.green('Pods status:'));
-                console.log(stdout);
-
-                // Optionally parse the stdout to check if the pods are running
-                const lines = stdout.split('\n');
-                let allPodsRunning = true;
-                for (const line of lines.slice(1)) { // Skip the header line
-                    if (line.trim() === '') continue;
-                    const columns = line.split(/\s+/);
-                    const podName = columns[0];
-                    const podStatus = columns[2];
-                    if (podStatus !== 'Running') {
-                        allPodsRunning = false;
-                        console.warn(chalk.yellow(`Pod ${podName} is in status ${podStatus}`));
-                        await log(`Pod ${podName} is in status ${podStatus}`);
-                    }
-                }
-                if (!allPodsRunning) {
-                    console.warn(chalk.yellow('Warning: Not all pods are running.'));
-                }
-                resolve();
-            });
-        });
+        const { pods, nodePorts } = await getRolloutSummary(deployments);
+        console.log(chalk.green('Pods:'));
+        for (const pod of pods) {
+            await log(`  ${pod.name.padEnd(48)} ${pod.ready.padEnd(6)} ${pod.phase.padEnd(10)} restarts: ${pod.restarts}`);
+        }
 
-        // Get services status
-        await new Promise((resolve, reject) => {
-            exec('kubectl get services', async (error, stdout, stderr) => {
-                if (error) {
-                    await log(`Error getting services: ${stderr}`);
-                    console.error(chalk.red('Error getting services status.'));
-                    return reject(error);
-                }
-                await log(`Services status:\n${stdout}`);
-                console.log(chalk.green('Services status:'));
-                console.log(stdout);
-
-                // Parse the stdout to find the port
-                const lines = stdout.split('\n');
-                let servicePort = null;
-                for (const line of lines.slice(1)) { // Skip the header line
-                    if (line.trim() === '') continue;
-                    const columns = line.split(/\s+/);
-                    const serviceName = columns[0];
-                    if (serviceName === `${projectName}-service` || serviceName === 'web-service') {
-                        const portInfo = columns[4]; // PORT(S) column
-                        // portInfo might be like '80:32441/TCP'
-                        const portMatch = portInfo.match(/:(\d+)\//);
-                        if (portMatch) {
-                            servicePort = portMatch[1];
-                        }
-                    }
-                }
-                if (servicePort) {
-                    await log(`Service is exposed on port: ${servicePort}`);
-                    console.log(chalk.green(`Your application is available at http://localhost:${servicePort}`));
-                } else {
-                    await log('Could not determine the service port.');
-                    console.warn(chalk.yellow('Could not determine the service port.'));
-                }
-                resolve();
-            });
+        if (nodePorts.length > 0) {
+            for (const { service, nodePort } of nodePorts) {
+                await log(`Service ${service} is exposed on port: ${nodePort}`);
+                console.log(chalk.green(`Your application is available at http://localhost:${nodePort}`));
+            }
+        } else {
+            await log('Could not determine the service port.');
+            console.warn(chalk.yellow('Could not determine the service port.'));
+        }
+
+        await recordDeployment(projectPath, {
+            target: 'k8s',
+            name: projectName,
+            image,
+            tag: imageTag,
+            ...(await describeImage(image)),
+            context: await currentKubeContext(),
+            namespace,
+            format,
+            release: format === 'helm' ? resourceName(projectName) : null,
+            nodePort: nodePorts[0]?.nodePort ?? null,
+            resources: format === 'helm'
+                ? deployments.map(({ name, namespace: deploymentNamespace }) => ({ kind: 'Deployment', name, namespace: deploymentNamespace }))
+                : await listManifestResources(manifestFiles, { namespace }),
+            configFiles: steps.map(step => path.relative(projectPath, step.filePath)),
+            partOf,
+            rollbackOf
         });
 
     } catch (err) {
+        if (err instanceof RolloutError) {
+            spinner.fail(`Rollout of ${err.deployment} failed.`);
+            await log(formatRolloutFailure(err));
+        }
         await log(`Failed to deploy on Kubernetes: ${err.stack}`);
         throw err;
     }
 }
 
-// Function to generate Nginx configuration file
-async function generateNginxConfig(projectName) {
-    const nginxConfig = `
-server {
-    listen 80;
-    server_name localhost;
-
-    location / {
-        proxy_pass http://localhost:4000;
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $scheme;
-    }
+// Where generated nginx configs are written in the project before they are installed
+const NGINX_DIRECTORY = '.dockerizer/nginx';
+
+// Function to generate the nginx config that proxies the app at `upstream` ({ host, port }), with
+// the server names, TLS and limits of `nginx` (the `nginx` config section). The file is written to
+// .dockerizer/nginx/ in the project. Resolves with its path.
+async function generateNginxConfig(projectName, projectPath = process.cwd(), { upstream, nginx = {} } = {}) {
+    const settings = resolveNginxSettings(nginx);
+    const filePath = path.join(projectPath, NGINX_DIRECTORY, nginxFileName(projectName));
+
+    await writeArtifact(filePath, await renderNginxConfig(projectName, projectPath, { upstream, settings }));
+    await log(`Generated Nginx configuration file ${filePath}.`);
+    return filePath;
 }
-`;
 
-    await fs.writeFile(`${projectName}.conf`, nginxConfig.trim());
-    await log('Generated Nginx configuration file.');
+// Function to find where nginx reaches the app: the `upstream` setting, else where the app was
+// deployed last (the host port of its local container, its remote Docker host or the NodePort of
+// its Kubernetes Service), else the port the app listens on at this machine
+async function resolveNginxUpstream(projectPath, projectName, port, settings) {
+    if (settings.upstream) {
+        return settings.upstream;
+    }
+
+    const deployment = listDeployments(await readState(projectPath))
+        .find(candidate => candidate.name === projectName && ['local', 'remote', 'k8s'].includes(candidate.target));
+    let upstream = { host: '127.0.0.1', port };
+
+    if (deployment?.target === 'local') {
+        upstream = { host: '127.0.0.1', port: deployment.hostPort || deployment.port };
+    } else if (deployment?.target === 'remote' && deployment.host && new URL(deployment.host).hostname) {
+        upstream = { host: new URL(deployment.host).hostname, port: deployment.port };
+    } else if (deployment?.target === 'k8s' && deployment.nodePort) {
+        upstream = { host: '127.0.0.1', port: deployment.nodePort };
+    }
+
+    await log(`Proxying to ${upstream.host}:${upstream.port}${deployment ? `, where revision ${deployment.revision} deployed ${projectName} (${deployment.target})` : ''}.`);
+    return upstream;
 }
 
-// Function to deploy Nginx configuration
-async function deployNginxConfig(projectName) {
+// Function to deploy Nginx configuration: the config that proxies the app is generated, installed
+// in the config directory of `nginx` (the `nginx` config section) and checked with `nginx -t`
+// before nginx reloads; a config nginx rejects is rolled back. The deployment is recorded in the
+// project's state file; `rollbackOf` marks it as a rollback to that revision.
+async function deployNginxConfig(projectName, projectPath = process.cwd(), { runtime = null, nginx = {}, rollbackOf = null } = {}) {
     try {
-        await exec(`sudo cp ${projectName}.conf /etc/nginx/sites-available/`, (error, stdout, stderr) => {
-            if (error) {
-                log(`Error copying Nginx config: ${stderr}`);
-                throw error;
-            } else {
-                log(`Nginx config copied: ${stdout}`);
-                exec(`sudo ln -s /etc/nginx/sites-available/${projectName}.conf /etc/nginx/sites-enabled/`, (err, out, errout) => {
-                    if (err) {
-                        log(`Error creating symlink for Nginx config: ${errout}`);
-                        throw err;
-                    }
-                    exec('sudo nginx -s reload', (reloadErr, reloadOut, reloadErrOut) => {
-                        if (reloadErr) {
-                            log(`Error reloading Nginx: ${reloadErrOut}`);
-                            throw reloadErr;
-                        }
-                        log('Nginx configuration applied and server reloaded.');
-                    });
-                });
-            }
+        const settings = resolveNginxSettings(nginx);
+        const { port } = runtime || await inferRuntime(projectPath);
+        const upstream = await resolveNginxUpstream(projectPath, projectName, port, settings);
+
+        const generatedFile = await generateNginxConfig(projectName, projectPath, { upstream, nginx });
+        const { configFile } = await installNginxConfig(generatedFile, projectName, settings);
+        await log('Nginx configuration applied and server reloaded.');
+
+        await recordDeployment(projectPath, {
+            target: 'nginx',
+            name: projectName,
+            image: null,
+            configFiles: [configFile],
+            port,
+            // What the config proxied, so a rollback generates the same config again
+            proxy: {
+                upstream: `${upstream.host}:${upstream.port}`,
+                serverNames: settings.serverNames,
+                tls: settings.tls,
+                redirectHttp: settings.redirectHttp,
+                websockets: settings.websockets,
+                clientMaxBodySize: settings.clientMaxBodySize
+            },
+            rollbackOf
         });
     } catch (err) {
         await log(`Failed to deploy Nginx configuration: ${err.message}`);
@@ -625,8 +571,162 @@ async function deployNginxConfig(projectName) {
     }
 }
 
-// Main function to scan the project directory
-async function scanProject(projectPath, projectName, imageTag) {
+// Function to roll a deployment back: the deployment of revision `to`, or else the one before the
+// current deployment (to `target`, or to the target deployed to last), is deployed again to the
+// same target with the same image and port. The rollback is recorded as a new revision.
+// `runtime` and `kubernetes` are used when Kubernetes manifests have to be generated again,
+// `container` (the `container` config) for the env file of a container and the volumes of a local one,
+// `remote` (the `remote` config) for the SSH key or TLS files of a remote Docker host, and `nginx`
+// (the `nginx` config) for the nginx config directory. A remote rollback goes to the host the
+// revision was deployed to, unless `endpoint` (resolved from --remote-host or --docker-context)
+// names another one.
+async function rollbackDeployment(projectPath, { to = null, target = null, runtime = null, kubernetes = {}, container = {}, remote = {}, endpoint = null, nginx = {} } = {}) {
+    const { current, previous } = findRollbackTarget(await readState(projectPath), { to, target });
+    // Images deployed from a registry are recorded by digest, so the tag is recorded beside them
+    const tag = previous.tag ?? (previous.image ? parseImageReference(previous.image).tag : null) ?? 'latest';
+
+    console.log(chalk.bold(`Rolling back ${previous.name} on ${previous.target}${current ? ` from revision ${current.revision}${current.image ? ` (${current.image})` : ''}` : ''} to revision ${previous.revision}${previous.image ? ` (${previous.image})` : ''}`));
+    await log(`Rolling back to revision ${previous.revision}: ${JSON.stringify(previous)}`);
+
+    // A tag that was built again since points to another image than the one deployed back then
+    if (previous.target === 'local' || previous.target === 'k8s') {
+        const { imageId } = await describeImage(previous.image);
+        if (previous.target === 'local' && !imageId && !isDryRun()) {
+            throw new Error(`Image ${previous.image} of revision ${previous.revision} is no longer available locally.`);
+        }
+        if (imageId && previous.imageId && imageId !== previous.imageId) {
+            console.warn(chalk.yellow(`${previous.image} has been rebuilt since revision ${previous.revision}, so the rollback deploys the image it points to now. Use a new tag for every build to roll back to the exact image.`));
+        }
+    }
+
+    const options = { runtime: previous.port ? { ...runtime, port: previous.port } : runtime, rollbackOf: previous.revision };
+
+    if (previous.target === 'local') {
+        // The local deploy replaces the app's current container, and publishes the same host port
+        const hostPort = previous.hostPort ?? container?.hostPort;
+        await deployDocker(projectPath, previous.name, tag, null, null, { ...options, container: { ...container, hostPort } });
+    } else if (previous.target === 'remote') {
+        // The remote deploy replaces the app's current container itself. The SSH key and TLS
+        // files come from the config, as they are not recorded, and so does the env file. An image
+        // that was pulled from a registry is pulled again, by the digest recorded.
+        const remoteEndpoint = endpoint || { ...remote, ...(previous.remote || { host: previous.host }) };
+        await deployDocker(projectPath, previous.name, tag, remoteEndpoint, null, { ...options, container, image: previous.image, pull: Boolean(previous.pulled) });
+    } else if (previous.target === 'k8s') {
+        const context = isDryRun() ? null : await currentKubeContext();
+        if (previous.context && context && context !== previous.context) {
+            throw new Error(`Revision ${previous.revision} was deployed to kubectl context ${previous.context}, but the current context is ${context}. Switch with \`kubectl config use-context ${previous.context}\` to roll it back.`);
+        }
+        await deployKubernetes(previous.name, projectPath, { ...options, imageTag: tag, image: previous.image, kubernetes, partOf: previous.partOf ?? null });
+    } else if (previous.target === 'nginx') {
+        await deployNginxConfig(previous.name, projectPath, { ...options, nginx: { ...nginx, ...previous.proxy } });
+    } else {
+        throw new Error(`Revision ${previous.revision} was deployed to an unknown target: ${previous.target}`);
+    }
+
+    if (isDryRun()) {
+        return null;
+    }
+
+    const rollback = latestDeployment(await readState(projectPath), previous.target, previous.name);
+    console.log(chalk.green(`✔ Rolled back ${previous.name} on ${previous.target} to revision ${previous.revision} (now revision ${rollback.revision}).`));
+    return rollback;
+}
+
+// Human readable names for the detected project types
+const PROJECT_TYPE_LABELS = {
+    nodejs: 'Node.js',
+    python: 'Python',
+    java: 'Java',
+    ruby: 'Ruby',
+    go: 'Go'
+};
+
+// Function to detect the project type and generate its Dockerfile.
+// An existing Dockerfile is kept unless `force` is set. Resolves with the detection, the Dockerfile
+// and the variables the app reads, which later steps of the command take instead of searching again.
+async function generateProjectDockerfile(projectPath, { force = false, runtime = null, workspace = null } = {}) {
+    const spinner = ora(`Detecting project type at ${projectPath}...`).start();
+
+    try {
+        const stats = await fs.stat(projectPath);
+        if (!stats.isDirectory()) {
+            throw new Error(`${projectPath} is not a directory`);
+        }
+
+        const detection = await detectProjectType(projectPath);
+        if (!detection.type) {
+            spinner.fail('Unable to determine the project type');
+            await log('Failed to determine project type. No known configuration files found.');
+            return { detection, dockerfilePath: null, variables: null };
+        }
+
+        const label = PROJECT_TYPE_LABELS[detection.type];
+        await log(`${label} project detected.`);
+        spinner.succeed(`Detected a ${label} project (confidence ${Math.round(detection.confidence * 100)}%, based on ${detection.evidence.join(', ')})`);
+
+        // Keep the build context small even when the project brings its own Dockerfile.
+        // Workspace packages are built from the workspace root, so that is where it belongs.
+        await generateDockerignore(detection.type, workspace?.root || projectPath);
+
+        // Document the variables the app reads for whoever writes its .env
+        const variables = await discoverEnvVariables(projectPath);
+        await generateEnvExample(projectPath, { variables });
+
+        const dockerfilePath = path.join(projectPath, 'Dockerfile');
+        if (!force && await fs.pathExists(dockerfilePath)) {
+            spinner.succeed('Using existing Dockerfile.');
+            return { detection, dockerfilePath, variables };
+        }
+
+        spinner.start(`Generating Dockerfile for ${label} project...`);
+        await generateDockerfile(detection.type, projectPath, { force, runtime, workspace });
+        spinner.succeed(`Dockerfile generated for ${label} project.`);
+
+        return { detection, dockerfilePath, variables };
+    } catch (err) {
+        spinner.fail(`Error generating Dockerfile: ${err.message}`);
+        throw err;
+    }
+}
+
+// Function to report the state of a project: its type, Dockerfile, local image and running containers
+async function getProjectStatus(projectPath, projectName, imageTag, { dockerfile = path.join(projectPath, 'Dockerfile') } = {}) {
+    const detection = await detectProjectType(projectPath);
+    const dockerfilePath = dockerfile;
+    const image = validateImageReference(projectName, imageTag);
+
+    const status = {
+        projectType: detection.type,
+        confidence: detection.confidence,
+        dockerfile: (await fs.pathExists(dockerfilePath)) ? dockerfilePath : null,
+        image,
+        imageId: null,
+        imageCreated: null,
+        containers: []
+    };
+
+    const imageInfo = await inspectImage(image);
+    if (!imageInfo) {
+        await log(`Image ${image} not found locally.`);
+        return status;
+    }
+
+    status.imageId = imageInfo.Id;
+    status.imageCreated = imageInfo.Created;
+    status.containers = (await listContainersForImage(image)).map(container => ({
+        id: container.Id.slice(0, 12),
+        name: container.Names.map(name => name.replace(/^\//, '')).join(', '),
+        status: container.Status,
+        ports: container.Ports.filter(port => port.PublicPort).map(port => `${port.PublicPort}->${port.PrivatePort}/${port.Type}`).join(', ')
+    }));
+
+    return status;
+}
+
+// Main function to scan the project directory. A Dockerfile is generated and linted for each
+// service (from discoverServices) and its image built; a monorepo builds one image per service.
+// Resolves with the detection, image and variables of every service.
+async function scanProject(projectPath, projectName, imageTag, { services = null, runtime = null, lintIgnore = [] } = {}) {
     await log(`Received projectName: ${projectName}, imageTag: ${imageTag}`);
     const spinner = ora('Starting the project scan...').start();
 
@@ -637,56 +737,53 @@ async function scanProject(projectPath, projectName, imageTag) {
         if (!stats.isDirectory()) {
             spinner.fail(`Error: ${projectPath} is not a directory`);
             await log(`Provided path is not a directory: ${projectPath}`);
-            return;
+            return [];
         }
 
-        // Initialize the boolean flags
-        let dockerFileFound = false;
-        let packageJsonFound = false;
-
         // Scan the entire directory first
         const allFiles = await scanEntireDirectory(projectPath);
         for (const file of allFiles) {
-            if (typeof file !== 'string') {
-                continue;
-            }
-            if (file.toLowerCase().endsWith('dockerfile')) {
-                dockerFileFound = true;
+            if (path.basename(file).toLowerCase() === 'dockerfile') {
                 console.log(chalk.green(`✔ Found Dockerfile: ${file}`));
                 await log(`Found Dockerfile: ${file}`);
-            } else if (file.endsWith('package.json')) {
-                packageJsonFound = true;
-                console.log(chalk.green(`✔ Found package.json: ${file}`));
-                await log(`Found package.json: ${file}`);
-            } else {
-                console.log(`Found file: ${file}`);
-                await log(`Found file: ${file}`);
             }
         }
+        await log(`Scanned ${allFiles.length} files in ${projectPath}`);
+
+        services = services || await discoverServices(projectPath);
+        spinner.succeed(`Scanned project at ${projectPath}${services.length > 1 ? ` (${services.length} services: ${services.map(service => service.name).join(', ')})` : ''}`);
 
-        spinner.text = `Scanning project at ${projectPath}...`;
+        const results = [];
+        for (const service of services) {
+            const image = serviceImageName(projectName, service);
+            if (services.length > 1) {
+                console.log(chalk.bold(`\nService ${service.name} (${service.relativePath})`));
+            }
 
-        if (packageJsonFound) {
-            await log('Node.js project detected.');
-            spinner.succeed('Detected a Node.js project');
+            const { detection, dockerfilePath, variables } = await generateProjectDockerfile(service.path, {
+                runtime: service.runtime || runtime,
+                workspace: service.workspace
+            });
+            if (!dockerfilePath) {
+                results.push({ service, detection, image: null, variables });
+                continue;
+            }
 
-            if (!dockerFileFound) {
-                spinner.start('Generating Dockerfile for Node.js project...');
-                await generateDockerfile('nodejs', projectPath);
-                spinner.succeed('Dockerfile generated for Node.js project.');
-            } else {
-                spinner.succeed('Using existing Dockerfile.');
+            // Report problems in the Dockerfile before building it; they do not stop the scan
+            if (await fs.pathExists(dockerfilePath)) {
+                const report = await lintDockerfileAtPath(dockerfilePath, { ignore: lintIgnore });
+                console.log(formatLintReport(report));
+                await log(`Lint: ${report.summary.error} error(s), ${report.summary.warning} warning(s), ${report.summary.info} info in ${dockerfilePath}`);
             }
 
-            spinner.start('Building Docker image...');
-            await buildDockerImage(projectPath, projectName, imageTag);
-            spinner.succeed(`Docker image '${projectName}:${imageTag}' built successfully.`);
-        } else {
-            spinner.fail('Unable to determine the project type');
-            await log('Failed to determine project type. No known configuration files found.');
+            spinner.start(`Building Docker image ${image}:${imageTag}...`);
+            await buildDockerImage(service.path, image, imageTag, spinner, { contextDir: service.contextDir, dockerfile: service.dockerfile });
+            spinner.succeed(isDryRun() ? `Docker image '${image}:${imageTag}' would be built (dry run).` : `Docker image '${image}:${imageTag}' built successfully.`);
+            results.push({ service, detection, image, variables });
         }
 
-        spinner.succeed('Project scan and Docker image creation completed.');
+        spinner.succeed(isDryRun() ? 'Project scan completed (dry run: no image was built).' : 'Project scan and Docker image creation completed.');
+        return results;
     } catch (err) {
         await log('Error scanning project or building Docker image: ' + err.message);
         spinner.fail('Error scanning project or building Docker image');
@@ -694,4 +791,17 @@ async function scanProject(projectPath, projectName, imageTag) {
     }
 }
 
-export { scanProject, deployDocker, deployKubernetes, deployNginxConfig };
\ No newline at end of file
+export {
+    scanProject,
+    generateDockerfile,
+    generateDockerignore,
+    generateNginxConfig,
+    generateProjectDockerfile,
+    buildDockerImage,
+    getProjectStatus,
+    deployDocker,
+    deployCompose,
+    deployKubernetes,
+    deployNginxConfig,
+    rollbackDeployment
+};
@@ -0,0 +1,208 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { log } from './logger.mjs';
+import { detectProjectType } from './detector.mjs';
+import { walkProject } from './walker.mjs';
+
+// Files that make a directory a deployable service of its own
+const SERVICE_MANIFESTS = ['package.json', 'requirements.txt', 'pyproject.toml', 'Pipfile', 'Gemfile', 'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'Dockerfile'];
+
+// How deep below the repository root service directories are looked for
+const SERVICE_SEARCH_DEPTH = 3;
+
+// Directories that hold tests, examples or docs rather than services
+const NON_SERVICE_DIRECTORIES = ['test', 'tests', '__tests__', 'fixtures', 'examples', 'example', 'docs', 'vendor'];
+
+// Function to list the subdirectories of `dir` (relative to the root), recursively with `recursive`
+async function subdirectories(rootPath, dir, { recursive = false, depth = 0 } = {}) {
+    const entries = await fs.readdir(path.join(rootPath, dir), { withFileTypes: true }).catch(() => []);
+    const found = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        found.push(relativePath);
+        if (recursive && depth < SERVICE_SEARCH_DEPTH) {
+            found.push(...await subdirectories(rootPath, relativePath, { recursive, depth: depth + 1 }));
+        }
+    }
+    return found;
+}
+
+// Function to expand a workspace pattern such as "packages/*" or "services/**" into directories
+async function expandWorkspacePattern(rootPath, pattern) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    let dirs = [''];
+
+    for (const segment of segments) {
+        const next = [];
+        for (const dir of dirs) {
+            if (segment === '**') {
+                next.push(dir, ...await subdirectories(rootPath, dir, { recursive: true }));
+            } else if (segment.includes('*')) {
+                const matcher = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+                for (const subdirectory of await subdirectories(rootPath, dir)) {
+                    if (matcher.test(path.posix.basename(subdirectory))) next.push(subdirectory);
+                }
+            } else {
+                const candidate = dir ? `${dir}/${segment}` : segment;
+                if ((await fs.stat(path.join(rootPath, candidate)).catch(() => null))?.isDirectory()) next.push(candidate);
+            }
+        }
+        dirs = next;
+    }
+
+    return dirs.filter(Boolean);
+}
+
+// Function to read the workspace patterns of npm/Yarn (package.json "workspaces") or
+// pnpm (pnpm-workspace.yaml). Resolves with null when the root is not a workspace root.
+async function readWorkspacePatterns(rootPath) {
+    const pnpmWorkspacePath = path.join(rootPath, 'pnpm-workspace.yaml');
+    if (await fs.pathExists(pnpmWorkspacePath)) {
+        const config = yaml.load(await fs.readFile(pnpmWorkspacePath, 'utf-8')) || {};
+        return Array.isArray(config.packages) ? config.packages : [];
+    }
+
+    const packageJsonPath = path.join(rootPath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+        const { workspaces } = JSON.parse(await fs.readFile(packageJsonPath, 'utf-8'));
+        if (Array.isArray(workspaces)) return workspaces;
+        if (Array.isArray(workspaces?.packages)) return workspaces.packages;
+    }
+
+    return null;
+}
+
+// Function to list the package directories of a workspace, relative to its root
+async function listWorkspacePackages(rootPath, patterns) {
+    const included = new Set();
+    const excluded = new Set();
+
+    for (const pattern of patterns) {
+        const negated = pattern.startsWith('!');
+        for (const dir of await expandWorkspacePattern(rootPath, negated ? pattern.slice(1) : pattern)) {
+            (negated ? excluded : included).add(dir);
+        }
+    }
+
+    const packages = [];
+    for (const dir of [...included].sort()) {
+        if (!excluded.has(dir) && await fs.pathExists(path.join(rootPath, dir, 'package.json'))) packages.push(dir);
+    }
+    return packages;
+}
+
+// Function to tell whether `dir` is `parent` or lies below it (both relative to the root)
+function isWithin(dir, parent) {
+    return dir === parent || dir.startsWith(`${parent}/`);
+}
+
+// Function to create the service entry for a directory. Workspace packages are built from the
+// workspace root, so shared workspace dependencies are part of the build context.
+function createService(rootPath, relativePath, type, { workspaceRoot = null, workspacePackages = [], packageName = null } = {}) {
+    const servicePath = path.join(rootPath, relativePath);
+    const contextDir = workspaceRoot || servicePath;
+
+    return {
+        name: path.basename(relativePath ? servicePath : path.resolve(rootPath)),
+        packageName,
+        path: servicePath,
+        relativePath: relativePath || '.',
+        type,
+        root: relativePath === '',
+        contextDir,
+        dockerfile: path.relative(contextDir, path.join(servicePath, 'Dockerfile')).split(path.sep).join('/'),
+        workspace: workspaceRoot ? { root: workspaceRoot, relativePath, packageDirs: workspacePackages } : null
+    };
+}
+
+// Function to discover the deployable services of a repository. A plain project is one service.
+// In a monorepo (a workspace root, or a root without a manifest of its own) every workspace
+// package with a start script or Dockerfile and every subdirectory with its own manifest is one.
+async function discoverServices(rootPath) {
+    const patterns = await readWorkspacePatterns(rootPath);
+    const rootManifests = [];
+    for (const manifest of SERVICE_MANIFESTS) {
+        if (await fs.pathExists(path.join(rootPath, manifest))) rootManifests.push(manifest);
+    }
+
+    if (!patterns && rootManifests.length > 0) {
+        const { type } = await detectProjectType(rootPath);
+        return [createService(rootPath, '', type)];
+    }
+
+    const services = [];
+    const workspacePackages = patterns ? await listWorkspacePackages(rootPath, patterns) : [];
+
+    for (const dir of workspacePackages) {
+        const packageJson = JSON.parse(await fs.readFile(path.join(rootPath, dir, 'package.json'), 'utf-8'));
+        const deployable = Boolean(packageJson.scripts?.start) || await fs.pathExists(path.join(rootPath, dir, 'Dockerfile'));
+        if (!deployable) {
+            await log(`Workspace package ${dir} has no start script or Dockerfile, treating it as a library.`);
+            continue;
+        }
+        services.push(createService(rootPath, dir, 'nodejs', {
+            workspaceRoot: rootPath,
+            workspacePackages,
+            packageName: packageJson.name || null
+        }));
+    }
+
+    // Other directories with a manifest of their own, e.g. a Python worker next to the workspace
+    const files = await walkProject(rootPath, { maxDepth: SERVICE_SEARCH_DEPTH });
+    const manifestDirs = [...new Set(files
+        .filter(file => SERVICE_MANIFESTS.includes(path.basename(file)))
+        .map(file => path.relative(rootPath, path.dirname(file)).split(path.sep).join('/')))]
+        .filter(dir => dir !== '' && !dir.split('/').some(part => NON_SERVICE_DIRECTORIES.includes(part)))
+        .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+    for (const dir of manifestDirs) {
+        if (workspacePackages.some(packageDir => isWithin(dir, packageDir))) continue;
+        if (services.some(service => isWithin(dir, service.relativePath))) continue;
+
+        const { type } = await detectProjectType(path.join(rootPath, dir));
+        if (type) services.push(createService(rootPath, dir, type));
+    }
+
+    // Services that share a directory name are told apart by their path
+    for (const service of services) {
+        if (services.filter(other => other.name === service.name).length > 1) {
+            service.name = service.relativePath.replace(/\//g, '-');
+        }
+    }
+
+    if (services.length === 0) {
+        const { type } = await detectProjectType(rootPath);
+        return [createService(rootPath, '', type)];
+    }
+
+    await log(`Discovered ${services.length} service(s): ${services.map(service => `${service.name} (${service.type}, ${service.relativePath})`).join(', ')}`);
+    return services;
+}
+
+// Function to pick the services named with --service. Every name must exist.
+function selectServices(services, names = []) {
+    if (!names || names.length === 0) return services;
+
+    const selected = [];
+    for (const name of names) {
+        const service = services.find(candidate => candidate.name === name || candidate.packageName === name || candidate.relativePath === name);
+        if (!service) {
+            throw new Error(`Unknown service "${name}". Available services: ${services.map(candidate => candidate.name).join(', ')}`);
+        }
+        if (!selected.includes(service)) selected.push(service);
+    }
+    return selected;
+}
+
+// Function to derive the image name of a service. A single-service project keeps the project's
+// image name, services of a monorepo get "<name>-<service>".
+function serviceImageName(projectName, service) {
+    if (service.root) return projectName;
+    const suffix = service.name.toLowerCase().replace(/[^a-z0-9._-]/g, '-').replace(/^[^a-z0-9]+/, '');
+    return `${projectName}-${suffix}`;
+}
+
+export { discoverServices, selectServices, serviceImageName, readWorkspacePatterns, listWorkspacePackages };
@@ -0,0 +1,167 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { log } from './logger.mjs';
+import { isDryRun } from './plan.mjs';
+
+// Where the deployment history of a project is kept, relative to the project
+const STATE_FILE = '.dockerizer/state.json';
+
+// How many deployments (and pushes) the history keeps; the oldest are dropped first
+const MAX_HISTORY = 100;
+
+// Function to get the path of the state file of a project
+function statePath(projectPath) {
+    return path.join(projectPath, STATE_FILE);
+}
+
+// Function to read the state of a project. A project that was never deployed has an empty history.
+async function readState(projectPath) {
+    const filePath = statePath(projectPath);
+    if (!(await fs.pathExists(filePath))) {
+        return { deployments: [], pushes: [] };
+    }
+
+    let state;
+    try {
+        state = await fs.readJson(filePath);
+    } catch (err) {
+        throw new Error(`Could not read the deployment state in ${filePath}: ${err.message}`);
+    }
+    if (!state || !Array.isArray(state.deployments)) {
+        throw new Error(`${filePath} is not a dockerizer state file: it has no "deployments" list.`);
+    }
+    return { ...state, pushes: state.pushes || [] };
+}
+
+// Function to record a successful deployment in the state file with the next revision number and
+// the current time. Nothing is deployed in a dry run, so nothing is recorded then.
+// Resolves with the record, or null in a dry run.
+async function recordDeployment(projectPath, deployment) {
+    if (isDryRun()) {
+        return null;
+    }
+
+    const state = await readState(projectPath);
+    const last = state.deployments[state.deployments.length - 1];
+    const record = {
+        revision: (last?.revision || 0) + 1,
+        timestamp: new Date().toISOString(),
+        ...deployment
+    };
+
+    state.deployments = [...state.deployments, record].slice(-MAX_HISTORY);
+    await fs.outputJson(statePath(projectPath), state, { spaces: 2 });
+    await log(`Recorded deployment revision ${record.revision} (${record.target}${record.image ? `, ${record.image}` : ''}) in ${statePath(projectPath)}`);
+    return record;
+}
+
+// Function to record an image pushed to a registry with the digest the registry returned, so
+// later deployments can reference the image by digest. Nothing is pushed in a dry run.
+async function recordPush(projectPath, push) {
+    if (isDryRun()) {
+        return null;
+    }
+
+    const state = await readState(projectPath);
+    const record = { timestamp: new Date().toISOString(), ...push };
+    state.pushes = [...state.pushes, record].slice(-MAX_HISTORY);
+    await fs.outputJson(statePath(projectPath), state, { spaces: 2 });
+    await log(`Recorded the push of ${record.image}${record.digest ? ` (${record.digest})` : ''} in ${statePath(projectPath)}`);
+    return record;
+}
+
+// Function to list the recorded deployments, newest first, optionally only those to one target
+function listDeployments(state, { target = null } = {}) {
+    return state.deployments.filter(deployment => !target || deployment.target === target).reverse();
+}
+
+// Function to find the latest deployment of an app to a target
+function latestDeployment(state, target, name) {
+    return listDeployments(state, { target }).find(deployment => deployment.name === name) || null;
+}
+
+// Function to tell what a deployment ran, so deployments of the same version can be told apart
+// from real changes: the image (and the image it pointed to), the port and what nginx proxied
+function deployedVersion(deployment) {
+    return JSON.stringify([deployment.image, deployment.imageId || null, deployment.port || null, deployment.proxy || null]);
+}
+
+// Function to find what a rollback returns to. With `to` that is the given revision; otherwise the
+// current deployment is the latest one (to `target`, when given) and the rollback returns to the
+// latest earlier deployment of the same app and target that ran something else. As with
+// `kubectl rollout undo`, rolling back twice returns to the version rolled back from.
+// Resolves with the current deployment of the target and the deployment to return to.
+function findRollbackTarget(state, { to = null, target = null } = {}) {
+    if (state.deployments.length === 0) {
+        throw new Error('No deployments are recorded for this project, so there is nothing to roll back.');
+    }
+
+    if (to !== null && to !== undefined) {
+        const revision = Number(to);
+        if (!Number.isInteger(revision) || revision < 1) {
+            throw new Error(`Invalid revision: ${to}. Run \`dockerizer history\` to list the recorded revisions.`);
+        }
+
+        const previous = state.deployments.find(deployment => deployment.revision === revision);
+        if (!previous) {
+            throw new Error(`Revision ${revision} is not recorded. Run \`dockerizer history\` to list the recorded revisions.`);
+        }
+        if (target && previous.target !== target) {
+            throw new Error(`Revision ${revision} was deployed to ${previous.target}, not to ${target}.`);
+        }
+        return { current: latestDeployment(state, previous.target, previous.name), previous };
+    }
+
+    const current = listDeployments(state, { target })[0];
+    if (!current) {
+        throw new Error(`No deployments to ${target} are recorded for this project, so there is nothing to roll back.`);
+    }
+
+    const previous = listDeployments(state, { target: current.target }).find(deployment =>
+        deployment.revision < current.revision
+        && deployment.name === current.name
+        && deployedVersion(deployment) !== deployedVersion(current));
+    if (!previous) {
+        throw new Error(`Revision ${current.revision} is the only version of ${current.name} deployed to ${current.target}, so there is nothing to roll back to.`);
+    }
+    return { current, previous };
+}
+
+// Function to describe where a deployment went, for the history
+function describeDeployment(deployment) {
+    const details = [];
+
+    if (deployment.target === 'local' || deployment.target === 'remote') {
+        if (deployment.host) details.push(`on ${deployment.host}`);
+        if (deployment.containerId) details.push(`container ${deployment.container || deployment.containerId.slice(0, 12)}`);
+        if (deployment.port) details.push(`port ${deployment.hostPort && deployment.hostPort !== deployment.port ? `${deployment.hostPort}->${deployment.port}` : deployment.port}`);
+    } else if (deployment.target === 'k8s') {
+        details.push(deployment.format);
+        if (deployment.resources?.length > 0) {
+            details.push(deployment.resources.map(resource => `${resource.kind}/${resource.name}`).join(', '));
+        }
+        if (deployment.namespace) details.push(`namespace ${deployment.namespace}`);
+        if (deployment.context) details.push(`context ${deployment.context}`);
+    } else if (deployment.target === 'nginx') {
+        details.push(deployment.proxy
+            ? `${(deployment.configFiles || []).join(', ')}: ${deployment.proxy.serverNames.join(' ')} -> ${deployment.proxy.upstream}${deployment.proxy.tls ? ' (TLS)' : ''}`
+            : `${(deployment.configFiles || []).join(', ')} -> port ${deployment.port}`);
+    }
+
+    if (deployment.rollbackOf) {
+        details.push(chalk.yellow(`rollback to revision ${deployment.rollbackOf}`));
+    }
+    return details.join(', ');
+}
+
+export {
+    STATE_FILE,
+    readState,
+    recordDeployment,
+    recordPush,
+    listDeployments,
+    latestDeployment,
+    findRollbackTarget,
+    describeDeployment
+};
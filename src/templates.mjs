@@ -0,0 +1,242 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Templates bundled with dockerizer
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '../templates');
+
+// Template directory inside a project, relative to its root
+const PROJECT_TEMPLATES_DIR = '.dockerizer/templates';
+
+// Placeholders ({{ port }}) and block tags ({{#if lockfile}} ... {{else}} ... {{/if}}, {{#unless ...}})
+const TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([A-Za-z_][\w]*)?\s*\}\}/g;
+
+// Error raised for a template that cannot be parsed or uses a variable that is not provided.
+// It names the template file and the line, so edits to a template fail loudly.
+class TemplateError extends Error {
+    constructor(message, { template = null, line = null } = {}) {
+        super(`${template ? `${template}${line ? `:${line}` : ''}: ` : ''}${message}`);
+        this.name = 'TemplateError';
+        this.template = template;
+        this.line = line;
+    }
+}
+
+// Function to get the user-level template directory. DOCKERIZER_TEMPLATES_DIR wins,
+// otherwise it lives under $XDG_CONFIG_HOME (~/.config by default).
+function userTemplatesDir() {
+    if (process.env.DOCKERIZER_TEMPLATES_DIR) {
+        return path.resolve(process.env.DOCKERIZER_TEMPLATES_DIR);
+    }
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'dockerizer/templates');
+}
+
+// Function to list the template directories in lookup order: project, user, bundled
+function templateSearchPath(projectPath = process.cwd()) {
+    return [
+        { scope: 'project', dir: path.resolve(projectPath, PROJECT_TEMPLATES_DIR) },
+        { scope: 'user', dir: userTemplatesDir() },
+        { scope: 'bundled', dir: BUNDLED_TEMPLATES_DIR }
+    ];
+}
+
+// Function to turn a short name such as "python" into the template file name
+function templateFileName(name) {
+    return /\.(Dockerfile|dockerignore|conf)$/.test(name) ? name : `${name}.Dockerfile`;
+}
+
+// Function to find the template that wins for `name`. Resolves with null when no directory has it.
+async function resolveTemplate(name, projectPath = process.cwd()) {
+    const fileName = templateFileName(name);
+    if (fileName.includes('/') || fileName.includes('\\')) {
+        throw new TemplateError(`Invalid template name: ${name}`);
+    }
+
+    for (const { scope, dir } of templateSearchPath(projectPath)) {
+        const templatePath = path.join(dir, fileName);
+        if (await fs.pathExists(templatePath)) {
+            return { name: fileName, scope, path: templatePath };
+        }
+    }
+    return null;
+}
+
+// Function to list every template with the file that wins and the ones it overrides
+async function listTemplates(projectPath = process.cwd()) {
+    const templates = new Map();
+
+    for (const { scope, dir } of templateSearchPath(projectPath)) {
+        if (!(await fs.pathExists(dir))) continue;
+
+        for (const fileName of (await fs.readdir(dir)).sort()) {
+            if (!/\.(Dockerfile|dockerignore|conf)$/.test(fileName)) continue;
+
+            const entry = { scope, path: path.join(dir, fileName) };
+            if (templates.has(fileName)) {
+                templates.get(fileName).overrides.push(entry);
+            } else {
+                templates.set(fileName, { name: fileName, ...entry, overrides: [] });
+            }
+        }
+    }
+
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Function to get the line number of an offset in the template source
+function lineAt(source, offset) {
+    return source.slice(0, offset).split('\n').length;
+}
+
+// Function to parse a template into a tree of text, variable and conditional nodes
+function parseTemplate(source, templateName = null) {
+    const root = { children: [] };
+    const stack = [{ node: root, target: root.children }];
+
+    let position = 0;
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, keyword, name] = match;
+        const line = lineAt(source, match.index);
+        const current = stack[stack.length - 1];
+
+        // A block tag alone on its line takes the whole line with it, so conditionals
+        // leave no blank lines behind
+        let textEnd = match.index;
+        let tagEnd = match.index + tag.length;
+        if (keyword) {
+            const before = source.slice(source.lastIndexOf('\n', match.index - 1) + 1, match.index);
+            const after = source.slice(tagEnd).match(/^[ \t]*(\r?\n|$)/);
+            if (match.index >= position && /^[ \t]*$/.test(before) && after) {
+                textEnd = match.index - before.length;
+                tagEnd += after[0].length;
+            }
+        }
+
+        if (textEnd > position) {
+            current.target.push({ type: 'text', value: source.slice(position, textEnd) });
+        }
+        position = tagEnd;
+
+        if (!keyword) {
+            if (!name) throw new TemplateError(`Empty placeholder ${tag}`, { template: templateName, line });
+            current.target.push({ type: 'variable', name, line });
+        } else if (keyword === '#if' || keyword === '#unless') {
+            if (!name) throw new TemplateError(`${tag} needs a variable name`, { template: templateName, line });
+            const block = { type: 'conditional', name, negate: keyword === '#unless', line, consequent: [], alternate: [], keyword };
+            current.target.push(block);
+            stack.push({ node: block, target: block.consequent });
+        } else if (keyword === 'else') {
+            if (stack.length === 1 || current.target === current.node.alternate) {
+                throw new TemplateError('{{else}} without a matching {{#if}}', { template: templateName, line });
+            }
+            current.target = current.node.alternate;
+        } else {
+            if (stack.length === 1 || `/${current.node.keyword.slice(1)}` !== keyword) {
+                throw new TemplateError(`Unexpected ${tag}`, { template: templateName, line });
+            }
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1].node;
+        throw new TemplateError(`{{${open.keyword} ${open.name}}} is never closed`, { template: templateName, line: open.line });
+    }
+
+    if (position < source.length) {
+        stack[0].target.push({ type: 'text', value: source.slice(position) });
+    }
+    return root.children;
+}
+
+// Function to read a variable, failing for names the generator does not provide
+function lookupVariable(variables, name, templateName, line) {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        throw new TemplateError(`Unknown variable "${name}". Available: ${Object.keys(variables).sort().join(', ')}`, { template: templateName, line });
+    }
+    return variables[name];
+}
+
+// Function to render parsed nodes, picking the branch of each conditional by its variable
+function renderNodes(nodes, variables, templateName) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        const value = lookupVariable(variables, node.name, templateName, node.line);
+        if (node.type === 'variable') {
+            return value === null || value === undefined ? '' : String(value);
+        }
+
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return renderNodes(truthy !== node.negate ? node.consequent : node.alternate, variables, templateName);
+    }).join('');
+}
+
+// Function to render template source with `variables`. `templateName` is only used in errors.
+function renderTemplate(source, variables, templateName = null) {
+    return renderNodes(parseTemplate(source, templateName), variables, templateName);
+}
+
+// Function to list the variables a template uses, in order of first use
+function templateVariables(source, templateName = null) {
+    const names = new Set();
+    const collect = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') continue;
+            names.add(node.name);
+            if (node.type === 'conditional') {
+                collect(node.consequent);
+                collect(node.alternate);
+            }
+        }
+    };
+    collect(parseTemplate(source, templateName));
+    return [...names];
+}
+
+// Function to resolve a template through the search path and render it
+async function renderProjectTemplate(name, projectPath, variables) {
+    const template = await resolveTemplate(name, projectPath);
+    if (!template) {
+        throw new TemplateError(`No template available: ${templateFileName(name)}`);
+    }
+    return renderTemplate(await fs.readFile(template.path, 'utf-8'), variables, template.path);
+}
+
+// Function to copy the template that currently wins for `name` into the project's template
+// directory (or the user-level one), so it can be edited there. Resolves with the new path.
+async function ejectTemplate(name, projectPath = process.cwd(), { user = false, force = false } = {}) {
+    const template = await resolveTemplate(name, projectPath);
+    if (!template) {
+        throw new TemplateError(`No template available: ${templateFileName(name)}`);
+    }
+
+    const targetDir = user ? userTemplatesDir() : path.resolve(projectPath, PROJECT_TEMPLATES_DIR);
+    const targetPath = path.join(targetDir, template.name);
+    if (!force && await fs.pathExists(targetPath)) {
+        throw new TemplateError(`${targetPath} already exists. Use --force to overwrite it.`);
+    }
+
+    await fs.ensureDir(targetDir);
+    await fs.copy(template.path, targetPath, { overwrite: true });
+    return targetPath;
+}
+
+export {
+    TemplateError,
+    BUNDLED_TEMPLATES_DIR,
+    PROJECT_TEMPLATES_DIR,
+    userTemplatesDir,
+    templateSearchPath,
+    templateFileName,
+    resolveTemplate,
+    listTemplates,
+    renderTemplate,
+    renderProjectTemplate,
+    templateVariables,
+    ejectTemplate
+};
@@ -0,0 +1,96 @@
+import fs from 'fs-extra';
+import path from 'path';
+import ignore from 'ignore';
+import dockerignore from '@balena/dockerignore';
+
+// Directories that are never worth walking when analyzing a project
+const DEFAULT_SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+const DEFAULT_MAX_DEPTH = 8;
+
+// Function to build a matcher from the ignore files in the project root.
+// .gitignore uses gitignore semantics, .dockerignore uses Docker's (root-anchored) semantics.
+async function loadIgnoreRules(rootDir, ignoreFiles) {
+    const matchers = [];
+
+    for (const fileName of ignoreFiles) {
+        const filePath = path.join(rootDir, fileName);
+        if (!(await fs.pathExists(filePath))) continue;
+
+        const content = await fs.readFile(filePath, 'utf-8');
+        if (fileName === '.dockerignore') {
+            const matcher = dockerignore({ ignorecase: false }).add(content);
+            // An exception such as "!dist/app.js" can re-include a file below an ignored
+            // directory, so directories may only be pruned when there are no exceptions
+            const hasExceptions = content.split('\n').some(line => line.trim().startsWith('!'));
+            matchers.push({
+                ignoresFile: (relativePath) => matcher.ignores(relativePath),
+                ignoresDirectory: (relativePath) => !hasExceptions && matcher.ignores(relativePath)
+            });
+        } else {
+            const matcher = ignore().add(content);
+            matchers.push({
+                ignoresFile: (relativePath) => matcher.ignores(relativePath),
+                ignoresDirectory: (relativePath) => matcher.ignores(`${relativePath}/`)
+            });
+        }
+    }
+
+    return {
+        ignoresFile: (relativePath) => matchers.some(matcher => matcher.ignoresFile(relativePath)),
+        ignoresDirectory: (relativePath) => matchers.some(matcher => matcher.ignoresDirectory(relativePath))
+    };
+}
+
+// Function to walk a project and return the absolute paths of its files.
+// Honors the patterns of `ignoreFiles` in the root, never enters `skipDirectories`,
+// stops at `maxDepth` levels below the root and follows each symlinked directory only once.
+// Without `followSymlinks` a symlink is returned as a file, the way `docker build` sends it.
+async function walkProject(rootDir, {
+    ignoreFiles = ['.gitignore', '.dockerignore'],
+    skipDirectories = DEFAULT_SKIPPED_DIRECTORIES,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    followSymlinks = true
+} = {}) {
+    if (!rootDir || typeof rootDir !== 'string') {
+        throw new Error(`Invalid directory path: ${rootDir}`);
+    }
+
+    const rules = await loadIgnoreRules(rootDir, ignoreFiles);
+    const visitedDirectories = new Set([await fs.realpath(rootDir)]);
+    const files = [];
+
+    async function walk(directory, depth) {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+
+            let isDirectory = entry.isDirectory();
+            if (entry.isSymbolicLink() && followSymlinks) {
+                // Broken links are skipped, links to directories are only followed once
+                const stat = await fs.stat(fullPath).catch(() => null);
+                if (!stat) continue;
+                isDirectory = stat.isDirectory();
+            }
+
+            if (isDirectory) {
+                if (skipDirectories.includes(entry.name) || rules.ignoresDirectory(relativePath)) continue;
+                if (depth >= maxDepth) continue;
+
+                const realPath = await fs.realpath(fullPath);
+                if (visitedDirectories.has(realPath)) continue;
+                visitedDirectories.add(realPath);
+
+                await walk(fullPath, depth + 1);
+            } else if (!rules.ignoresFile(relativePath)) {
+                files.push(fullPath);
+            }
+        }
+    }
+
+    await walk(rootDir, 0);
+    return files;
+}
+
+export { walkProject, DEFAULT_SKIPPED_DIRECTORIES };
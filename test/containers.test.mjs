@@ -0,0 +1,178 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { setDockerClient } from '../src/engine.mjs';
+import {
+    CONTAINER_DEFAULTS,
+    ContainerHealthError,
+    demuxFrames,
+    deployLocalContainer,
+    resolveContainerSettings,
+    resolveVolume,
+    waitForHealthy
+} from '../src/containers.mjs';
+import { enterTempDirectory, writeProject } from './helpers.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+// What the fake daemon knows: the state of each container by ID or name, and the app's containers
+let containers;
+let appContainers;
+let docker;
+
+// Function to build the State of an inspected container
+function state(Status, extra = {}) {
+    return { Status, ExitCode: 0, Error: '', RestartCount: 0, ...extra };
+}
+
+// Function to list the requests made for single containers, as "METHOD path" with the name query
+function containerCalls() {
+    return docker.requests
+        .filter(request => request.path.startsWith('/containers/') && request.path !== '/containers/json')
+        .map(request => `${request.method} ${request.path}${request.query.name ? `?name=${request.query.name}` : ''}`);
+}
+
+before(async () => {
+    await enterTempDirectory();
+    docker = await startFakeDocker({
+        'GET /containers/json': () => ({ status: 200, body: appContainers }),
+        'GET /containers/:id/json': (request) => {
+            const id = request.path.split('/')[2];
+            return containers[id]
+                ? { status: 200, body: { Name: `/${id}`, Config: { Tty: true }, State: containers[id] } }
+                : { status: 404, body: { message: `No such container: ${id}` } };
+        },
+        'GET /containers/:id/logs': () => ({ status: 200, body: 'Listening on 3000\nError: connect ECONNREFUSED\n' }),
+        'POST /containers/create': () => ({ status: 201, body: { Id: 'new', Warnings: [] } }),
+        'POST /containers/:id/start': () => ({ status: 204 }),
+        'POST /containers/:id/stop': () => ({ status: 204 }),
+        'POST /containers/:id/rename': () => ({ status: 204 }),
+        'DELETE /containers/:id': () => ({ status: 204 })
+    });
+    setDockerClient(docker.client);
+});
+
+beforeEach(() => {
+    containers = {};
+    appContainers = [];
+    docker.requests.length = 0;
+});
+
+after(async () => {
+    await docker.close();
+});
+
+test('resolveContainerSettings applies the defaults and validates every setting', () => {
+    assert.deepEqual(resolveContainerSettings(), CONTAINER_DEFAULTS);
+    assert.deepEqual(resolveContainerSettings({ volumes: './data:/data', hostPort: '8080', healthTimeout: '0', restart: 'on-failure:3', envFile: false }), {
+        envFile: false,
+        volumes: ['./data:/data'],
+        restart: 'on-failure:3',
+        hostPort: 8080,
+        healthTimeout: 0
+    });
+
+    assert.throws(() => resolveContainerSettings([]), /must be a mapping of options/);
+    assert.throws(() => resolveContainerSettings({ envFile: true }), /Invalid "container.envFile" value: true/);
+    assert.throws(() => resolveContainerSettings({ volumes: [{ source: 'data' }] }), /Invalid "container.volumes"/);
+    assert.throws(() => resolveContainerSettings({ restart: 'sometimes' }), /Invalid "container.restart" value: "sometimes"/);
+    assert.throws(() => resolveContainerSettings({ hostPort: 70000 }), /Invalid "container.hostPort" value: 70000/);
+    assert.throws(() => resolveContainerSettings({ healthTimeout: -1 }), /Invalid "container.healthTimeout" value: -1/);
+});
+
+test('resolveVolume resolves host paths against the project and keeps volume names', () => {
+    assert.equal(resolveVolume('/srv/shop', './uploads:/app/uploads'), '/srv/shop/uploads:/app/uploads');
+    assert.equal(resolveVolume('/srv/shop', '../shared:/shared:ro'), '/srv/shared:/shared:ro');
+    assert.equal(resolveVolume('/srv/shop', '~/cache:/cache'), `${path.join(os.homedir(), 'cache')}:/cache`);
+    assert.equal(resolveVolume('/srv/shop', 'pgdata:/var/lib/postgresql/data'), 'pgdata:/var/lib/postgresql/data');
+    assert.throws(() => resolveVolume('/srv/shop', 'data:relative'), /Invalid volume "data:relative"/);
+    assert.throws(() => resolveVolume('/srv/shop', '/data'), /Invalid volume "\/data"/);
+});
+
+test('demuxFrames splits the stdout and stderr frames of a container without a TTY', () => {
+    const frame = (stream, text) => {
+        const header = Buffer.alloc(8);
+        header[0] = stream;
+        header.writeUInt32BE(Buffer.byteLength(text), 4);
+        return Buffer.concat([header, Buffer.from(text)]);
+    };
+
+    assert.deepEqual(demuxFrames(Buffer.concat([frame(1, 'listening\n'), frame(2, 'warning: ü\n'), frame(1, 'ready\n')])), [
+        { stream: 'stdout', text: 'listening\n' },
+        { stream: 'stderr', text: 'warning: ü\n' },
+        { stream: 'stdout', text: 'ready\n' }
+    ]);
+    // A frame cut off by the end of the output is dropped with its incomplete header
+    assert.deepEqual(demuxFrames(Buffer.concat([frame(1, 'done\n'), Buffer.from([2, 0, 0])])), [{ stream: 'stdout', text: 'done\n' }]);
+});
+
+test('waitForHealthy resolves once the HEALTHCHECK passes', async () => {
+    containers.web = state('running', { Health: { Status: 'healthy' } });
+    await waitForHealthy('web');
+});
+
+test('waitForHealthy fails when the container exits or restarts, with its last output', async () => {
+    containers.web = state('exited', { ExitCode: 1, Error: 'OOMKilled' });
+    await assert.rejects(waitForHealthy('web'), (error) => {
+        assert.ok(error instanceof ContainerHealthError);
+        assert.equal(error.message, 'Container web exited with code 1 (OOMKilled) instead of becoming healthy.');
+        assert.equal(error.container, 'web');
+        assert.equal(error.logs, 'Listening on 3000\nError: connect ECONNREFUSED\n');
+        return true;
+    });
+
+    containers.web = state('running', { RestartCount: 2, ExitCode: 137 });
+    await assert.rejects(waitForHealthy('web'), { name: 'ContainerHealthError', message: 'Container web exited with code 137 instead of becoming healthy.' });
+});
+
+test('waitForHealthy fails with the output of the last failed HEALTHCHECK', async () => {
+    containers.web = state('running', { Health: { Status: 'unhealthy', Log: [{ Output: 'curl: (7) refused\n' }, { Output: 'curl: (22) 503\n' }] } });
+    await assert.rejects(waitForHealthy('web'), { name: 'ContainerHealthError', message: 'Container web failed its HEALTHCHECK: curl: (22) 503.' });
+});
+
+test('waitForHealthy gives up after the timeout', async () => {
+    containers.web = state('running', { Health: { Status: 'starting' } });
+    await assert.rejects(waitForHealthy('web', { timeout: 0 }), {
+        name: 'ContainerHealthError',
+        message: 'Container web did not become healthy within 0 seconds. Raise "container.healthTimeout", or set it to 0 to not wait.'
+    });
+});
+
+test('deployLocalContainer removes the previous container only once the new one is healthy', async () => {
+    const projectPath = await writeProject({ 'server.js': '' });
+    appContainers = [{ Id: 'old', Names: ['/shop'], Image: 'shop:1.0.0', State: 'running', Created: 1 }];
+    containers.new = state('running', { Health: { Status: 'healthy' } });
+
+    const result = await deployLocalContainer(projectPath, { name: 'shop', image: 'shop:2.0.0', port: 3000, container: { envFile: false } });
+
+    assert.deepEqual(result, { containerId: 'new', name: 'shop', hostPort: 3000 });
+    assert.deepEqual(containerCalls(), [
+        'POST /containers/old/stop',
+        'POST /containers/old/rename?name=shop-previous',
+        'GET /containers/shop/json',
+        'POST /containers/create?name=shop',
+        'POST /containers/new/start',
+        'GET /containers/new/json',
+        'DELETE /containers/old'
+    ]);
+});
+
+test('deployLocalContainer puts the previous container back when the new one fails', async () => {
+    const projectPath = await writeProject({ 'server.js': '' });
+    appContainers = [{ Id: 'old', Names: ['/shop'], Image: 'shop:1.0.0', State: 'running', Created: 1 }];
+    containers.new = state('exited', { ExitCode: 1 });
+
+    await assert.rejects(deployLocalContainer(projectPath, { name: 'shop', image: 'shop:2.0.0', port: 3000, container: { envFile: false } }), {
+        name: 'ContainerHealthError',
+        message: 'Container new exited with code 1 instead of becoming healthy. The previous container shop (shop:1.0.0) was put back.'
+    });
+    assert.deepEqual(containerCalls().slice(5), [
+        'GET /containers/new/json',
+        // The logs are read after checking whether the container has a TTY
+        'GET /containers/new/json',
+        'GET /containers/new/logs',
+        'DELETE /containers/new',
+        'POST /containers/old/rename?name=shop',
+        'POST /containers/old/start'
+    ]);
+});
@@ -0,0 +1,76 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectProjectType } from '../src/detector.mjs';
+import { captureOutput, enterTempDirectory, writeProject } from './helpers.mjs';
+
+// One project per runtime, each with a manifest, a lockfile or version file and a source file
+const RUNTIME_PROJECTS = {
+    nodejs: {
+        files: { 'package.json': { name: 'shop' }, 'package-lock.json': {}, 'server.js': '' },
+        evidence: ['package.json', 'package-lock.json', '1 nodejs source file(s)']
+    },
+    python: {
+        files: { 'requirements.txt': 'flask\n', '.python-version': '3.12\n', 'app/main.py': '' },
+        evidence: ['requirements.txt', '.python-version', '1 python source file(s)']
+    },
+    java: {
+        files: { 'pom.xml': '<project/>\n', 'mvnw': '', 'src/main/java/App.java': '' },
+        evidence: ['pom.xml', 'mvnw']
+    },
+    ruby: {
+        files: { 'Gemfile': "gem 'sinatra'\n", 'Gemfile.lock': '', 'config.ru': '', 'app.rb': '' },
+        evidence: ['Gemfile', 'Gemfile.lock', 'config.ru', '1 ruby source file(s)']
+    },
+    go: {
+        files: { 'go.mod': 'module example.com/shop\n', 'go.sum': '', 'cmd/main.go': '' },
+        evidence: ['go.mod', 'go.sum', '1 go source file(s)']
+    }
+};
+
+// Function to detect the project type of `files` without printing the log
+async function detect(files) {
+    const projectPath = await writeProject(files);
+    return (await captureOutput(() => detectProjectType(projectPath))).result;
+}
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+for (const [type, { files, evidence }] of Object.entries(RUNTIME_PROJECTS)) {
+    test(`detects a ${type} project from its marker files`, async () => {
+        const detection = await detect(files);
+
+        assert.equal(detection.type, type);
+        assert.equal(detection.confidence, 1);
+        assert.deepEqual(detection.evidence, evidence);
+        assert.equal(detection.candidates.length, 1);
+    });
+}
+
+test('finds no type without marker files, however many source files there are', async () => {
+    assert.deepEqual(await detect({ 'main.py': '', 'util.py': '', 'README.md': '' }), { type: null, confidence: 0, evidence: [], candidates: [] });
+});
+
+test('ranks a manifest with its lockfile above a lone manifest', async () => {
+    // A Go service with a package.json for its frontend tooling
+    const detection = await detect({ 'go.mod': 'module example.com/shop\n', 'go.sum': '', 'package.json': { name: 'assets' } });
+
+    assert.equal(detection.type, 'go');
+    assert.deepEqual(detection.candidates.map(({ type, confidence }) => [type, confidence]), [['go', 0.57], ['nodejs', 0.43]]);
+});
+
+test('breaks a tie between manifests with the source files of each runtime', async () => {
+    const detection = await detect({
+        'package.json': { name: 'tools' },
+        'requirements.txt': 'django\n',
+        'manage.py': '',
+        'app/models.py': '',
+        'app/views.py': '',
+        'src/build.js': ''
+    });
+
+    assert.equal(detection.type, 'python');
+    assert.deepEqual(detection.evidence, ['requirements.txt', '3 python source file(s)']);
+    assert.deepEqual(detection.candidates.map(({ type }) => type), ['python', 'nodejs']);
+});
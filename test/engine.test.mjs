@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DockerBuildError,
+    buildImage,
+    inspectImage,
+    removeContainer,
+    runContainer,
+    setDockerClient,
+    stopContainer
+} from '../src/engine.mjs';
+import { captureOutput, enterTempDirectory, writeProject } from './helpers.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+let docker;
+// What the fake daemon answers to a build, set by each test
+let buildEvents = [];
+
+before(async () => {
+    await enterTempDirectory();
+    docker = await startFakeDocker({
+        'POST /build': () => ({ status: 200, events: buildEvents }),
+        'GET /images/:name/json': (request) => request.path.includes('missing')
+            ? { status: 404, body: { message: 'No such image' } }
+            : { status: 200, body: { Id: 'sha256:inspected' } },
+        'POST /containers/create': () => ({ status: 201, body: { Id: 'c0ffee', Warnings: [] } }),
+        'POST /containers/:id/start': () => ({ status: 204 }),
+        'POST /containers/:id/stop': (request) => ({ status: request.path.includes('stopped') ? 304 : request.path.includes('gone') ? 404 : 204 }),
+        'DELETE /containers/:id': (request) => request.path.includes('gone')
+            ? { status: 404, body: { message: 'No such container' } }
+            : request.path.includes('busy') ? { status: 500, body: { message: 'removal already in progress' } } : { status: 204 }
+    });
+    setDockerClient(docker.client);
+});
+
+after(async () => {
+    await docker.close();
+});
+
+test('buildImage streams the context without what .dockerignore excludes and resolves with the image ID', async () => {
+    const contextDir = await writeProject({
+        'Dockerfile': 'FROM node:22-slim\n',
+        '.dockerignore': 'node_modules\n.env\n',
+        'index.js': 'console.log(1);\n',
+        'src/app.js': 'module.exports = {};\n',
+        'node_modules/left-pad/index.js': '',
+        '.env': 'SECRET=1\n'
+    });
+    buildEvents = [
+        { stream: 'Step 1/1 : FROM node:22-slim\n' },
+        { aux: { ID: 'sha256:built' } },
+        { stream: 'Successfully tagged web:1.0.0\n' }
+    ];
+    docker.requests.length = 0;
+
+    const { result } = await captureOutput(() => buildImage({ contextDir, imageName: 'web', imageTag: '1.0.0' }));
+
+    assert.equal(result, 'sha256:built');
+    const [build] = docker.requests;
+    assert.equal(build.query.t, 'web:1.0.0');
+    assert.equal(build.query.dockerfile, 'Dockerfile');
+    assert.deepEqual(build.body.sort(), ['.dockerignore', 'Dockerfile', 'index.js', 'src/app.js']);
+});
+
+test('buildImage looks the image up when the daemon reports no ID', async () => {
+    const contextDir = await writeProject({ 'Dockerfile': 'FROM scratch\n' });
+    buildEvents = [{ stream: 'Step 1/1 : FROM scratch\n' }];
+
+    const { result } = await captureOutput(() => buildImage({ contextDir, imageName: 'web', imageTag: 'latest' }));
+
+    assert.equal(result, 'sha256:inspected');
+});
+
+test('buildImage rejects with the failing step and its output', async () => {
+    const contextDir = await writeProject({ 'Dockerfile': 'FROM node:22-slim\nRUN npm ci\n' });
+    buildEvents = [
+        { stream: 'Step 1/2 : FROM node:22-slim\n' },
+        { stream: 'Step 2/2 : RUN npm ci\n' },
+        { stream: 'npm ERR! missing package-lock.json\n' },
+        { errorDetail: { code: 1, message: "The command '/bin/sh -c npm ci' returned a non-zero code: 1" }, error: "The command '/bin/sh -c npm ci' returned a non-zero code: 1" }
+    ];
+
+    await assert.rejects(
+        captureOutput(() => buildImage({ contextDir, imageName: 'web', imageTag: 'latest' })),
+        (err) => {
+            assert.ok(err instanceof DockerBuildError);
+            assert.equal(err.step, 'Step 2/2 : RUN npm ci');
+            assert.deepEqual(err.output, ['npm ERR! missing package-lock.json']);
+            assert.equal(err.code, 1);
+            return true;
+        }
+    );
+});
+
+test('buildImage rejects an invalid image reference before calling the daemon', async () => {
+    docker.requests.length = 0;
+    await assert.rejects(buildImage({ contextDir: '.', imageName: 'Web App', imageTag: 'latest' }), /Invalid Docker image name/);
+    assert.equal(docker.requests.length, 0);
+});
+
+test('runContainer creates the container with its settings and starts it', async () => {
+    docker.requests.length = 0;
+
+    const id = await runContainer({
+        image: 'web:1.0.0',
+        name: 'web',
+        ports: [{ container: 3000, host: 8080 }],
+        env: ['DATABASE_URL=postgres://db/app'],
+        labels: { 'dockerizer.app': 'web' },
+        volumes: ['/srv/uploads:/app/uploads'],
+        restart: 'unless-stopped'
+    });
+
+    assert.equal(id, 'c0ffee');
+    const [create, start] = docker.requests;
+    assert.equal(create.query.name, 'web');
+    assert.deepEqual(create.body, {
+        Image: 'web:1.0.0',
+        Env: ['DATABASE_URL=postgres://db/app'],
+        Labels: { 'dockerizer.app': 'web' },
+        ExposedPorts: { '3000/tcp': {} },
+        HostConfig: {
+            PortBindings: { '3000/tcp': [{ HostPort: '8080' }] },
+            Binds: ['/srv/uploads:/app/uploads'],
+            RestartPolicy: { Name: 'unless-stopped' }
+        },
+        name: 'web'
+    });
+    assert.equal(start.method, 'POST');
+    assert.equal(start.path, '/containers/c0ffee/start');
+});
+
+test('stopContainer passes the timeout and ignores containers that are stopped or gone', async () => {
+    docker.requests.length = 0;
+
+    await stopContainer('running', { timeout: 5 });
+    await stopContainer('stopped');
+    await stopContainer('gone');
+
+    assert.deepEqual(docker.requests.map(request => [request.path, request.query.t]), [
+        ['/containers/running/stop', '5'],
+        ['/containers/stopped/stop', '10'],
+        ['/containers/gone/stop', '10']
+    ]);
+});
+
+test('removeContainer forces the removal, ignores a missing container and reports other errors', async () => {
+    docker.requests.length = 0;
+
+    await removeContainer('running');
+    await removeContainer('gone');
+    await assert.rejects(removeContainer('busy'), (err) => err.statusCode === 500);
+
+    assert.equal(docker.requests[0].method, 'DELETE');
+    assert.equal(docker.requests[0].query.force, 'true');
+});
+
+test('inspectImage resolves with null for an image the daemon does not have', async () => {
+    assert.equal(await inspectImage('missing:latest'), null);
+    assert.deepEqual(await inspectImage('web:1.0.0'), { Id: 'sha256:inspected' });
+});
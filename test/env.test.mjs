@@ -0,0 +1,206 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+    discoverEnvVariables,
+    findMissingVariables,
+    isSecretVariable,
+    readEnvFile,
+    renderEnvExample
+} from '../src/env.mjs';
+import { enterTempDirectory, writeProject } from './helpers.mjs';
+
+// Function to discover the variables of a project made of `files`, as name -> { required, defaultValue }
+async function discover(files, options) {
+    const variables = await discoverEnvVariables(await writeProject(files), options);
+    return Object.fromEntries(variables.map(({ name, required, defaultValue }) => [name, { required, defaultValue }]));
+}
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+test('finds the process.env reads of JavaScript and TypeScript with their fallbacks', async () => {
+    const variables = await discover({
+        'src/index.js': [
+            'const url = process.env.DATABASE_URL;',
+            "const level = process.env.LOG_LEVEL || 'info';",
+            'const workers = process.env["WORKERS"] ?? 4;',
+            'const region = process.env.REGION ?? null;',
+            'const bucket = process.env.BUCKET || config.bucket;',
+            ''
+        ].join('\n'),
+        'src/server.ts': 'const key: string = process.env[`API_KEY`]!;\n'
+    });
+
+    assert.deepEqual(variables, {
+        API_KEY: { required: true, defaultValue: null },
+        BUCKET: { required: false, defaultValue: null },
+        DATABASE_URL: { required: true, defaultValue: null },
+        LOG_LEVEL: { required: false, defaultValue: 'info' },
+        REGION: { required: false, defaultValue: '' },
+        WORKERS: { required: false, defaultValue: '4' }
+    });
+});
+
+test('finds os.environ and os.getenv in Python, where get and getenv are optional', async () => {
+    const variables = await discover({
+        'app.py': [
+            'import os',
+            "SECRET_KEY = os.environ['SECRET_KEY']",
+            "DEBUG = os.environ.get('DEBUG', 'False')",
+            'SENTRY_DSN = os.getenv("SENTRY_DSN")',
+            "WORKERS = os.getenv('WORKERS', 2)",
+            "CACHE = os.environ.get('CACHE', None)",
+            ''
+        ].join('\n')
+    });
+
+    assert.deepEqual(variables, {
+        CACHE: { required: false, defaultValue: '' },
+        DEBUG: { required: false, defaultValue: 'False' },
+        SECRET_KEY: { required: true, defaultValue: null },
+        SENTRY_DSN: { required: false, defaultValue: null },
+        WORKERS: { required: false, defaultValue: '2' }
+    });
+});
+
+test('finds ENV and ENV.fetch in Ruby sources and in the ERB of config YAML', async () => {
+    const variables = await discover({
+        'app.rb': [
+            "token = ENV['GITHUB_TOKEN']",
+            "host = ENV['HOST_NAME'] || 'localhost'",
+            "ENV.fetch('REDIS_URL')",
+            "ENV.fetch('MAX_THREADS', 5)",
+            "ENV.fetch('QUEUE') { 'default' }",
+            ''
+        ].join('\n'),
+        'config/database.yml': "production:\n  url: <%= ENV['DATABASE_URL'] %>\n",
+        'data/fixtures.yml': "url: <%= ENV['NOT_A_CONFIG'] %>\n"
+    });
+
+    assert.deepEqual(variables, {
+        DATABASE_URL: { required: true, defaultValue: null },
+        GITHUB_TOKEN: { required: true, defaultValue: null },
+        HOST_NAME: { required: false, defaultValue: 'localhost' },
+        MAX_THREADS: { required: false, defaultValue: '5' },
+        QUEUE: { required: false, defaultValue: 'default' },
+        REDIS_URL: { required: true, defaultValue: null }
+    });
+});
+
+test('finds System.getenv and Spring placeholders in Java, and os.Getenv and os.LookupEnv in Go', async () => {
+    assert.deepEqual(await discover({
+        'src/main/java/App.java': [
+            'String url = System.getenv("JDBC_URL");',
+            '@Value("${MAIL_HOST:smtp.example.com}") String mailHost;',
+            ''
+        ].join('\n'),
+        'src/main/resources/application.properties': 'server.port=${SERVER_PORT:8080}\nspring.datasource.password=${DB_PASSWORD}\nlogging.level=${logging.level:INFO}\n'
+    }), {
+        DB_PASSWORD: { required: true, defaultValue: null },
+        JDBC_URL: { required: true, defaultValue: null },
+        MAIL_HOST: { required: false, defaultValue: 'smtp.example.com' },
+        SERVER_PORT: { required: false, defaultValue: '8080' }
+    });
+
+    assert.deepEqual(await discover({
+        'main.go': 'addr := os.Getenv("LISTEN_ADDR")\nif v, ok := os.LookupEnv("FEATURE_FLAG"); ok {}\n'
+    }), {
+        FEATURE_FLAG: { required: false, defaultValue: null },
+        LISTEN_ADDR: { required: true, defaultValue: null }
+    });
+});
+
+test('a variable is required only when no read falls back, and keeps the first default found', async () => {
+    const projectPath = await writeProject({
+        'a.js': 'process.env.TIMEOUT;\n',
+        'b.js': "process.env.TIMEOUT || '30';\nprocess.env.TIMEOUT || '60';\n"
+    });
+
+    const [timeout] = await discoverEnvVariables(projectPath);
+
+    assert.equal(timeout.required, false);
+    assert.equal(timeout.defaultValue, '30');
+    assert.deepEqual(timeout.sources, ['a.js:1', 'b.js:1', 'b.js:2']);
+});
+
+test('leaves out tests and the variables the runtime sets', async () => {
+    const variables = await discover({
+        'index.js': 'process.env.PORT; process.env.NODE_ENV; process.env.HOME; process.env.APP_SECRET;\n',
+        'test/setup.js': 'process.env.TEST_DATABASE_URL;\n',
+        'src/api.test.ts': 'process.env.MOCK_TOKEN;\n',
+        '__tests__/unit.js': 'process.env.MOCK_HOST;\n',
+        'handlers_test.go': 'os.Getenv("GO_TEST_ONLY")\n',
+        'test_views.py': "os.environ['PY_TEST_ONLY']\n",
+        'spec/app_spec.rb': "ENV['SPEC_ONLY']\n"
+    });
+
+    assert.deepEqual(Object.keys(variables), ['APP_SECRET']);
+});
+
+test('marks credentials as secrets by name, by secretKeys and by a password in a URL', async () => {
+    assert.equal(isSecretVariable('DATABASE_PASSWORD', 'x'), true);
+    assert.equal(isSecretVariable('STRIPE_API_KEY', ''), true);
+    assert.equal(isSecretVariable('GITHUB_TOKEN', null), true);
+    assert.equal(isSecretVariable('LOG_LEVEL', 'debug'), false);
+    assert.equal(isSecretVariable('PUBLIC_ID', 'abc', ['PUBLIC_ID']), true);
+    assert.equal(isSecretVariable('DATABASE_URL', 'postgres://app:hunter2@db:5432/app'), true);
+    assert.equal(isSecretVariable('DATABASE_URL', 'postgres://db:5432/app'), false);
+
+    const variables = await discoverEnvVariables(await writeProject({ 'index.js': 'process.env.SESSION_SECRET; process.env.REGION; process.env.LICENSE;\n' }), { secretKeys: ['LICENSE'] });
+    assert.deepEqual(variables.map(variable => [variable.name, variable.secret]), [['LICENSE', true], ['REGION', false], ['SESSION_SECRET', true]]);
+});
+
+test('readEnvFile reads quoted values, export and comments', async () => {
+    const projectPath = await writeProject({
+        '.env': [
+            '# Local settings',
+            '',
+            'PLAIN=value # trailing comment',
+            'export EXPORTED=1',
+            'DOUBLE="two words # not a comment"',
+            'ESCAPED="line one\\nsay \\"hi\\""',
+            "SINGLE='raw \\n value'",
+            'EMPTY=',
+            '  SPACED = padded  ',
+            'HASH=abc#def',
+            'not a variable',
+            ''
+        ].join('\n')
+    });
+
+    assert.deepEqual(await readEnvFile(path.join(projectPath, '.env')), {
+        PLAIN: 'value',
+        EXPORTED: '1',
+        DOUBLE: 'two words # not a comment',
+        ESCAPED: 'line one\nsay "hi"',
+        SINGLE: 'raw \\n value',
+        EMPTY: '',
+        SPACED: 'padded',
+        HASH: 'abc#def'
+    });
+    assert.deepEqual(await readEnvFile(path.join(projectPath, 'missing.env')), {});
+});
+
+test('findMissingVariables and renderEnvExample use what discovery found', async () => {
+    const variables = await discoverEnvVariables(await writeProject({
+        'index.js': "process.env.DATABASE_URL; process.env.API_TOKEN; process.env.LOG_LEVEL || 'info';\n"
+    }));
+
+    assert.deepEqual(findMissingVariables(variables, { DATABASE_URL: 'postgres://db/app', API_TOKEN: '' }).map(variable => variable.name), ['API_TOKEN']);
+    assert.equal(renderEnvExample(variables), [
+        '# Environment variables the application reads, found by dockerizer.',
+        '# Copy this file to .env and fill in the values; keep .env out of version control.',
+        '',
+        '# Required, Secret. Read in index.js:1',
+        'API_TOKEN=',
+        '',
+        '# Required. Read in index.js:1',
+        'DATABASE_URL=',
+        '',
+        '# Read in index.js:1',
+        'LOG_LEVEL=info',
+        ''
+    ].join('\n'));
+});
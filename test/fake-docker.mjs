@@ -0,0 +1,90 @@
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import Docker from 'dockerode';
+import { makeTempDirectory } from './helpers.mjs';
+
+// Function to list the file names in a tar archive, the way the build context reaches the daemon
+function listTarEntries(buffer) {
+    const entries = [];
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        const name = header.subarray(0, 100).toString('utf-8').replace(/\0.*$/s, '');
+        if (!name) break;
+
+        const prefix = header.subarray(345, 500).toString('utf-8').replace(/\0.*$/s, '');
+        const size = parseInt(header.subarray(124, 136).toString('utf-8').replace(/\0.*$/s, '').trim() || '0', 8);
+        if (header[156] !== 53) { // '5' is a directory
+            entries.push(prefix ? `${prefix}/${name}` : name);
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+// Function to start a fake Docker daemon on a Unix socket. `routes` maps "METHOD /path" (with
+// :id for a path segment) to a handler that gets the request and resolves with
+// { status, body } or { status, events } for a JSON progress stream. Every request is recorded
+// in `requests` with its method, path, query, headers and body (the file names of a tar body).
+async function startFakeDocker(routes) {
+    const socketPath = path.join(await makeTempDirectory('dockerizer-docker-'), 'docker.sock');
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const raw = Buffer.concat(chunks);
+        // dockerode sends the build context as a gzipped tar
+        const isTar = /^application\/(x-)?tar/.test(req.headers['content-type'] || '');
+
+        const url = new URL(req.url, 'http://docker');
+        const urlPath = url.pathname.replace(/^\/v[\d.]+/, '');
+        const request = {
+            method: req.method,
+            path: urlPath,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body: null
+        };
+        requests.push(request);
+
+        let reply;
+        try {
+            if (isTar) {
+                request.body = listTarEntries(raw[0] === 0x1f && raw[1] === 0x8b ? zlib.gunzipSync(raw) : raw);
+            } else if (raw.length > 0) {
+                request.body = JSON.parse(raw.toString('utf-8'));
+            }
+
+            const key = Object.keys(routes).find(route => {
+                const [method, pattern] = route.split(' ');
+                const regex = new RegExp(`^${pattern.replace(/:\w+/g, '[^/]+')}$`);
+                return method === req.method && regex.test(urlPath);
+            });
+            reply = key ? await routes[key](request) : { status: 404, body: { message: `no route for ${req.method} ${urlPath}` } };
+        } catch (err) {
+            reply = { status: 500, body: { message: err.message } };
+        }
+
+        if (reply.events) {
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            for (const event of reply.events) res.write(`${JSON.stringify(event)}\r\n`);
+            res.end();
+        } else if (reply.body !== undefined) {
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+        } else {
+            res.writeHead(reply.status);
+            res.end();
+        }
+    });
+
+    await new Promise(resolve => server.listen(socketPath, resolve));
+    return {
+        client: new Docker({ socketPath }),
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+export { startFakeDocker };
@@ -0,0 +1,102 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { generateProjectDockerfile } from '../src/scanner.mjs';
+import { captureOutput, enterTempDirectory, matchSnapshot, writeProject } from './helpers.mjs';
+
+// Projects of every supported type, each generated from scratch and compared with its snapshots
+const PROJECTS = {
+    'nodejs-npm': {
+        'package.json': { name: 'api', version: '1.0.0', main: 'server.js', scripts: { start: 'node server.js' }, dependencies: { express: '^4.19.0' } },
+        'package-lock.json': { name: 'api', lockfileVersion: 3, packages: {} },
+        '.nvmrc': '20\n',
+        'server.js': "const express = require('express');\nconst app = express();\napp.get('/healthz', (req, res) => res.send('ok'));\napp.listen(process.env.PORT || 4000);\n"
+    },
+    'nodejs-pnpm': {
+        'package.json': { name: 'site', version: '1.0.0', scripts: { build: 'next build', start: 'next start' }, dependencies: { next: '^14.2.0' } },
+        'pnpm-lock.yaml': "lockfileVersion: '9.0'\n"
+    },
+    'python-flask': {
+        'requirements.txt': 'flask==3.0.3\n',
+        'app.py': "import os\nfrom flask import Flask\n\napp = Flask(__name__)\napp.config['SECRET_KEY'] = os.environ['SECRET_KEY']\n"
+    },
+    'python-django': {
+        'requirements.txt': 'django==5.0.6\ngunicorn==22.0.0\n',
+        'manage.py': "import os\nimport sys\n\nif __name__ == '__main__':\n    os.environ.setdefault('DJANGO_SETTINGS_MODULE', 'shop.settings')\n    from django.core.management import execute_from_command_line\n    execute_from_command_line(sys.argv)\n",
+        'shop/__init__.py': '',
+        'shop/settings.py': "import os\n\nSECRET_KEY = os.environ['DJANGO_SECRET_KEY']\nSTATIC_URL = 'static/'\nSTATIC_ROOT = 'staticfiles'\n",
+        'shop/wsgi.py': "from django.core.wsgi import get_wsgi_application\n\napplication = get_wsgi_application()\n"
+    },
+    'java-maven': {
+        'pom.xml': [
+            '<project>',
+            '  <modelVersion>4.0.0</modelVersion>',
+            '  <groupId>com.example</groupId>',
+            '  <artifactId>orders</artifactId>',
+            '  <version>1.2.0</version>',
+            '  <properties><java.version>17</java.version></properties>',
+            '  <dependencies><dependency><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-web</artifactId></dependency></dependencies>',
+            '</project>',
+            ''
+        ].join('\n'),
+        'src/main/resources/application.properties': 'server.port=${SERVER_PORT:8081}\n'
+    },
+    'ruby-sinatra': {
+        'Gemfile': "source 'https://rubygems.org'\n\nruby '3.2.4'\n\ngem 'sinatra'\ngem 'puma'\n",
+        'Gemfile.lock': 'GEM\n  remote: https://rubygems.org/\n  specs:\n    puma (6.4.2)\n    sinatra (4.0.0)\n\nPLATFORMS\n  x86_64-linux\n\nDEPENDENCIES\n  puma\n  sinatra\n\nBUNDLED WITH\n   2.5.9\n',
+        'config.ru': "require './app'\nrun Sinatra::Application\n",
+        'app.rb': "require 'sinatra'\nget('/') { ENV.fetch('GREETING', 'hello') }\n"
+    },
+    'go': {
+        'go.mod': 'module example.com/worker\n\ngo 1.23.4\n',
+        'cmd/worker/main.go': 'package main\n\nimport (\n\t"net/http"\n\t"os"\n)\n\nfunc main() {\n\thttp.ListenAndServe(":"+os.Getenv("PORT"), nil)\n}\n',
+        'internal/jobs/jobs.go': 'package jobs\n'
+    }
+};
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+for (const [name, files] of Object.entries(PROJECTS)) {
+    test(`generates the Dockerfile and .dockerignore of a ${name} project`, async () => {
+        const projectPath = await writeProject(files);
+
+        const { result } = await captureOutput(() => generateProjectDockerfile(projectPath));
+
+        assert.equal(result.dockerfilePath, path.join(projectPath, 'Dockerfile'));
+        await matchSnapshot(`${name}.Dockerfile`, await fs.readFile(result.dockerfilePath, 'utf-8'));
+        await matchSnapshot(`${name}.dockerignore`, await fs.readFile(path.join(projectPath, '.dockerignore'), 'utf-8'));
+    });
+}
+
+test('resolves with the variables the app reads for the later steps of the command', async () => {
+    const projectPath = await writeProject(PROJECTS['python-flask']);
+
+    const { result } = await captureOutput(() => generateProjectDockerfile(projectPath));
+
+    assert.deepEqual(result.variables.map(variable => [variable.name, variable.required]), [['SECRET_KEY', true]]);
+    assert.match(await fs.readFile(path.join(projectPath, '.env.example'), 'utf-8'), /^SECRET_KEY=$/m);
+});
+
+test('keeps an existing Dockerfile and .dockerignore', async () => {
+    const projectPath = await writeProject({
+        ...PROJECTS['nodejs-npm'],
+        'Dockerfile': 'FROM node:20\n',
+        '.dockerignore': 'node_modules\n'
+    });
+
+    await captureOutput(() => generateProjectDockerfile(projectPath));
+
+    assert.equal(await fs.readFile(path.join(projectPath, 'Dockerfile'), 'utf-8'), 'FROM node:20\n');
+    assert.equal(await fs.readFile(path.join(projectPath, '.dockerignore'), 'utf-8'), 'node_modules\n');
+});
+
+test('overwrites an existing Dockerfile with force', async () => {
+    const projectPath = await writeProject({ ...PROJECTS['nodejs-npm'], 'Dockerfile': 'FROM node:20\n' });
+
+    await captureOutput(() => generateProjectDockerfile(projectPath, { force: true }));
+
+    await matchSnapshot('nodejs-npm.Dockerfile', await fs.readFile(path.join(projectPath, 'Dockerfile'), 'utf-8'));
+});
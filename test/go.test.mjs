@@ -0,0 +1,50 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeGoProject, goTemplateVariables, parseGoMod } from '../src/analyzers/go.mjs';
+import { captureOutput, enterTempDirectory, writeProject } from './helpers.mjs';
+
+const MAIN = 'package main\n\nfunc main() {}\n';
+
+// Function to analyze a Go project of `files` without printing the log
+async function analyze(files) {
+    const projectPath = await writeProject(files);
+    return (await captureOutput(() => analyzeGoProject(projectPath))).result;
+}
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+test('parseGoMod reads the module path and the go directive', () => {
+    assert.deepEqual(parseGoMod('module github.com/team/shop\n\ngo 1.21.5\n\ntoolchain go1.22.3\n\nrequire github.com/lib/pq v1.10.9\n'), {
+        module: 'github.com/team/shop',
+        go: '1.21.5'
+    });
+    assert.deepEqual(parseGoMod('module shop\n'), { module: 'shop', go: null });
+});
+
+test('the Go version of the builder image comes from the go directive', async () => {
+    const analysis = await analyze({ 'go.mod': 'module example.com/shop\n\ngo 1.21\n', 'main.go': MAIN });
+
+    assert.deepEqual(analysis, { goVersion: '1.21', goVersionSource: 'go.mod', module: 'example.com/shop', mainPackage: '.' });
+    assert.equal(goTemplateVariables(analysis).builderImage, 'golang:1.21');
+    assert.equal((await analyze({ 'go.mod': 'module example.com/shop\n', 'main.go': MAIN })).goVersionSource, 'default');
+});
+
+test('builds the main package under cmd/, preferring the one named after the module', async () => {
+    const analysis = await analyze({
+        'go.mod': 'module example.com/shop\n\ngo 1.22\n',
+        'cmd/migrate/main.go': MAIN,
+        'cmd/shop/main.go': MAIN,
+        'cmd/shop/main_test.go': MAIN,
+        'internal/server/server.go': 'package server\n',
+        'vendor/example.com/tool/main.go': MAIN
+    });
+
+    assert.equal(analysis.mainPackage, 'cmd/shop');
+    assert.equal(goTemplateVariables(analysis).buildPackage, './cmd/shop');
+});
+
+test('fails without a main package', async () => {
+    await assert.rejects(analyze({ 'go.mod': 'module example.com/lib\n', 'lib.go': 'package lib\n' }), /No main package found in .*package main with a func main\(\)/);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SNAPSHOT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '__snapshots__');
+
+// Function to create an empty temporary directory, removed when the test process exits
+async function makeTempDirectory(prefix = 'dockerizer-test-') {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    process.on('exit', () => fs.removeSync(directory));
+    return directory;
+}
+
+// Function to run the test file from a temporary directory, so scan_project_log.txt and
+// anything else written to the working directory stays out of the repository
+async function enterTempDirectory() {
+    const directory = await makeTempDirectory();
+    process.chdir(directory);
+    return directory;
+}
+
+// Function to write a project from a map of relative paths to contents into a temporary directory
+async function writeProject(files) {
+    const projectPath = await makeTempDirectory('dockerizer-project-');
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(projectPath, relativePath);
+        await fs.outputFile(filePath, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+    }
+    return projectPath;
+}
+
+// Function to remove the terminal colors from captured output
+function stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+// Function to run `fn` with console.log, console.warn and console.error captured.
+// Resolves with the result of `fn` and the captured lines, without colors.
+async function captureOutput(fn) {
+    const lines = [];
+    const originals = { log: console.log, warn: console.warn, error: console.error };
+    for (const method of Object.keys(originals)) {
+        console[method] = (...args) => lines.push(stripAnsi(args.join(' ')));
+    }
+    try {
+        const result = await fn();
+        return { result, output: lines.join('\n') };
+    } finally {
+        Object.assign(console, originals);
+    }
+}
+
+// Function to compare `actual` with the snapshot stored under `name` in test/__snapshots__.
+// A missing snapshot is written, unless running in CI; UPDATE_SNAPSHOTS=1 rewrites them all.
+async function matchSnapshot(name, actual) {
+    const snapshotPath = path.join(SNAPSHOT_DIRECTORY, `${name}.snap`);
+    if (process.env.UPDATE_SNAPSHOTS === '1' || (!process.env.CI && !(await fs.pathExists(snapshotPath)))) {
+        await fs.outputFile(snapshotPath, actual);
+        return;
+    }
+
+    if (!(await fs.pathExists(snapshotPath))) {
+        assert.fail(`Snapshot ${name} is missing. Run the tests with UPDATE_SNAPSHOTS=1 to write it.`);
+    }
+    assert.equal(actual, await fs.readFile(snapshotPath, 'utf-8'), `Snapshot ${name} does not match. Run the tests with UPDATE_SNAPSHOTS=1 if the change is intended.`);
+}
+
+export { makeTempDirectory, enterTempDirectory, writeProject, stripAnsi, captureOutput, matchSnapshot };
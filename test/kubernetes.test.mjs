@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { generateKubernetesManifests } from '../src/kubernetes.mjs';
+import { deployKubernetes } from '../src/scanner.mjs';
+import { setDockerClient } from '../src/engine.mjs';
+import { captureOutput, enterTempDirectory, matchSnapshot, writeProject } from './helpers.mjs';
+import { installStubKubectl } from './stub-kubectl.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+// A Node.js app the manifests are generated for
+const PROJECT = {
+    'package.json': { name: 'shop', version: '1.0.0', scripts: { start: 'node server.js' } },
+    'server.js': "require('http').createServer().listen(process.env.PORT || 3000);\n"
+};
+
+// The project and config of the snapshots: a variable for the ConfigMap, a credential for the
+// Secret, a namespace and an ingress
+const SNAPSHOT_PROJECT = { ...PROJECT, '.env': 'LOG_LEVEL=debug\nDATABASE_PASSWORD=hunter2\n' };
+const SNAPSHOT_CONFIG = { namespace: 'shop', ingress: { host: 'shop.example.com' } };
+
+let kubectl;
+let docker;
+
+before(async () => {
+    await enterTempDirectory();
+    kubectl = await installStubKubectl();
+    docker = await startFakeDocker({
+        'GET /images/:name/json': () => ({ status: 404, body: { message: 'No such image' } })
+    });
+    setDockerClient(docker.client);
+});
+
+after(async () => {
+    await docker.close();
+});
+
+// Function to generate the manifests of the snapshot project in `format` and join the generated
+// files, each under a header with its path in the project
+async function generateForSnapshot(format) {
+    const projectPath = await writeProject(SNAPSHOT_PROJECT);
+    const { result } = await captureOutput(() => generateKubernetesManifests(projectPath, 'shop', '1.0.0', { config: { ...SNAPSHOT_CONFIG, format } }));
+
+    const sections = [];
+    for (const file of [...result.files].sort()) {
+        sections.push(`# ${path.relative(projectPath, file)}\n${await fs.readFile(file, 'utf-8')}`);
+    }
+    return sections.join('\n');
+}
+
+test('raw manifests match the snapshot', async () => {
+    await matchSnapshot('k8s-raw', await generateForSnapshot('raw'));
+});
+
+test('the Helm chart matches the snapshot', async () => {
+    await matchSnapshot('k8s-helm', await generateForSnapshot('helm'));
+});
+
+test('the Kustomize base and overlays match the snapshot', async () => {
+    await matchSnapshot('k8s-kustomize', await generateForSnapshot('kustomize'));
+});
+
+test('deploying a Kustomize overlay updates the tag of that overlay only', async () => {
+    const projectPath = await writeProject(PROJECT);
+    await captureOutput(() => generateKubernetesManifests(projectPath, 'shop', '1.0.0', { config: { format: 'kustomize' } }));
+    const overlay = (name) => fs.readFile(path.join(projectPath, 'k8s/overlays', name, 'kustomization.yaml'), 'utf-8');
+    const prodBefore = await overlay('prod');
+    const baseFile = path.join(projectPath, 'k8s/base/deployment.yaml');
+    const baseBefore = await fs.readFile(baseFile, 'utf-8');
+
+    kubectl.respond([
+        { match: 'apply -k', output: 'deployment.apps/shop configured\n' },
+        { match: 'get deployment shop', output: { metadata: { name: 'shop', generation: 1 }, spec: { replicas: 1 }, status: { observedGeneration: 1, replicas: 1, updatedReplicas: 1, availableReplicas: 1 } } },
+        { match: 'get pods', output: { items: [] } },
+        { match: 'get services', output: { items: [] } },
+        { match: 'config current-context', output: 'kind-test\n' }
+    ]);
+
+    await captureOutput(() => deployKubernetes('shop', projectPath, { imageTag: '2.0.0', kubernetes: { format: 'kustomize', overlay: 'dev' } }));
+
+    assert.match(await overlay('dev'), /newTag: 2\.0\.0/);
+    assert.equal(await overlay('prod'), prodBefore);
+    assert.equal(await fs.readFile(baseFile, 'utf-8'), baseBefore);
+    assert.ok(kubectl.calls().includes(`apply -k ${path.join(projectPath, 'k8s/overlays/dev')}`));
+});
+
+test('credentials of .env stay out of the generated files and are applied as a Secret on deploy', async () => {
+    const projectPath = await writeProject({
+        ...PROJECT,
+        '.env': 'LOG_LEVEL=debug\nDATABASE_PASSWORD=hunter2\n'
+    });
+
+    const { result } = await captureOutput(() => generateKubernetesManifests(projectPath, 'shop', '1.0.0'));
+
+    for (const file of result.files) {
+        assert.doesNotMatch(await fs.readFile(file, 'utf-8'), /hunter2|aHVudGVyMg==/, file);
+    }
+    const deployment = yaml.load(await fs.readFile(path.join(projectPath, 'k8s/deployment.yaml'), 'utf-8'));
+    assert.deepEqual(deployment.spec.template.spec.containers[0].envFrom, [
+        { configMapRef: { name: 'shop-config' } },
+        { secretRef: { name: 'shop-secret' } }
+    ]);
+
+    kubectl.respond([
+        { match: 'apply -f', output: '' },
+        { match: 'get deployment shop', output: { metadata: { name: 'shop', generation: 1 }, spec: { replicas: 1 }, status: { observedGeneration: 1, replicas: 1, updatedReplicas: 1, availableReplicas: 1 } } },
+        { match: 'get pods', output: { items: [] } },
+        { match: 'get services', output: { items: [] } },
+        { match: 'config current-context', output: 'kind-test\n' }
+    ]);
+
+    await captureOutput(() => deployKubernetes('shop', projectPath, { imageTag: '1.0.0' }));
+
+    const applies = kubectl.calls().filter(call => call.startsWith('apply'));
+    assert.equal(applies[0], 'apply -f -');
+    const [secret] = kubectl.inputs().map(input => yaml.load(input));
+    assert.deepEqual({ name: secret.metadata.name, stringData: secret.stringData }, { name: 'shop-secret', stringData: { DATABASE_PASSWORD: 'hunter2' } });
+});
@@ -0,0 +1,182 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LINT_RULES, SECRET_NAME_PATTERN, failsLint, lintDockerfile, lintDockerfileAtPath } from '../src/lint.mjs';
+import { enterTempDirectory, writeProject } from './helpers.mjs';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/cli.mjs');
+
+// A Dockerfile no rule complains about; the cases below change one part of it
+const CLEAN_DOCKERFILE = [
+    'FROM node:20-slim',
+    'WORKDIR /app',
+    'COPY package*.json ./',
+    'RUN npm ci',
+    'COPY . .',
+    'USER node',
+    'HEALTHCHECK CMD node healthcheck.js',
+    'CMD ["node", "server.js"]',
+    ''
+].join('\n');
+
+// Function to replace `line` of the clean Dockerfile with `replacement` (several lines allowed)
+function withLine(line, replacement) {
+    return CLEAN_DOCKERFILE.replace(`${line}\n`, `${replacement}\n`);
+}
+
+// One Dockerfile each rule reports and one close to it that the rule accepts
+const RULE_CASES = {
+    'base-image-latest': {
+        failing: withLine('FROM node:20-slim', 'FROM node:latest'),
+        passing: withLine('FROM node:20-slim', 'FROM node@sha256:0123456789abcdef')
+    },
+    'base-image-unpinned': {
+        failing: withLine('FROM node:20-slim', 'FROM registry.example.com:5000/node'),
+        passing: withLine('FROM node:20-slim', 'FROM registry.example.com:5000/node:20')
+    },
+    'runs-as-root': {
+        failing: withLine('USER node', 'USER root'),
+        passing: withLine('FROM node:20-slim', 'FROM gcr.io/distroless/nodejs20-debian12:nonroot').replace('USER node\n', '')
+    },
+    'missing-healthcheck': {
+        failing: withLine('HEALTHCHECK CMD node healthcheck.js', 'EXPOSE 3000'),
+        passing: CLEAN_DOCKERFILE
+    },
+    'add-remote-url': {
+        failing: withLine('WORKDIR /app', 'WORKDIR /app\nADD https://example.com/tool.tar.gz /opt/'),
+        passing: withLine('WORKDIR /app', 'WORKDIR /app\nADD --checksum=sha256:abc123 https://example.com/tool.tar.gz /opt/')
+    },
+    'apt-get-no-cleanup': {
+        failing: withLine('WORKDIR /app', 'WORKDIR /app\nRUN apt-get update && apt-get install -y --no-install-recommends curl'),
+        passing: withLine('WORKDIR /app', 'WORKDIR /app\nRUN apt-get update && apt-get install -y --no-install-recommends curl && rm -rf /var/lib/apt/lists/*')
+    },
+    'copy-before-install': {
+        failing: withLine('COPY package*.json ./', 'COPY . .').replace('RUN npm ci\nCOPY . .\n', 'RUN npm ci\n'),
+        passing: withLine('COPY package*.json ./', 'COPY --from=deps /app/node_modules ./node_modules')
+    },
+    'secret-in-env': {
+        failing: withLine('WORKDIR /app', 'WORKDIR /app\nENV NODE_ENV=production API_KEY="abc 123"'),
+        passing: withLine('WORKDIR /app', 'WORKDIR /app\nARG API_KEY\nENV NODE_ENV=production API_KEY=${API_KEY} PASSWORD_FILE=')
+    }
+};
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+test('the clean Dockerfile has no problems', () => {
+    assert.deepEqual(lintDockerfile(CLEAN_DOCKERFILE), {
+        file: 'Dockerfile',
+        problems: [],
+        summary: { info: 0, warning: 0, error: 0 }
+    });
+});
+
+test('every rule has a failing and a passing case', () => {
+    assert.deepEqual(Object.keys(RULE_CASES).sort(), Object.keys(LINT_RULES).sort());
+});
+
+for (const [rule, { failing, passing }] of Object.entries(RULE_CASES)) {
+    test(`${rule} reports the failing case at the rule's severity and accepts the passing one`, () => {
+        const { problems } = lintDockerfile(failing);
+        assert.deepEqual(problems.map(found => [found.rule, found.severity]), [[rule, LINT_RULES[rule].severity]]);
+        assert.deepEqual(lintDockerfile(passing).problems, []);
+    });
+}
+
+test('the final stage inherits USER and HEALTHCHECK from the stage it builds on', () => {
+    const inherited = [
+        'FROM node:20-slim AS base',
+        'USER node',
+        'HEALTHCHECK CMD node healthcheck.js',
+        'FROM base AS runtime',
+        'CMD ["node", "server.js"]',
+        ''
+    ].join('\n');
+    assert.deepEqual(lintDockerfile(inherited).problems, []);
+
+    const separate = inherited.replace('FROM base AS runtime', 'FROM node:20-slim AS runtime');
+    assert.deepEqual(lintDockerfile(separate).problems.map(found => [found.rule, found.line]), [['runs-as-root', 4], ['missing-healthcheck', 4]]);
+});
+
+test('problems are sorted by line and counted per severity, and ignored rules are left out', () => {
+    const dockerfile = [
+        'FROM node',
+        'ENV DB_PASSWORD=hunter2',
+        'COPY . .',
+        'RUN npm ci',
+        'CMD ["node", "server.js"]',
+        ''
+    ].join('\n');
+
+    const report = lintDockerfile(dockerfile, { file: 'web/Dockerfile' });
+    assert.deepEqual(report.problems.map(found => [found.line, found.rule]), [
+        [1, 'base-image-unpinned'],
+        [1, 'runs-as-root'],
+        [1, 'missing-healthcheck'],
+        [2, 'secret-in-env'],
+        [3, 'copy-before-install']
+    ]);
+    assert.deepEqual(report.summary, { info: 1, warning: 3, error: 1 });
+    assert.equal(report.file, 'web/Dockerfile');
+
+    const ignored = lintDockerfile(dockerfile, { ignore: ['secret-in-env', 'missing-healthcheck'] });
+    assert.deepEqual(ignored.problems.map(found => found.rule), ['base-image-unpinned', 'runs-as-root', 'copy-before-install']);
+    assert.deepEqual(ignored.summary, { info: 0, warning: 3, error: 0 });
+});
+
+test('failsLint fails at or above the --fail-on severity and never with none', () => {
+    const warningsOnly = lintDockerfile(RULE_CASES['base-image-latest'].failing);
+    const infoOnly = lintDockerfile(RULE_CASES['missing-healthcheck'].failing);
+    const withError = lintDockerfile(RULE_CASES['secret-in-env'].failing);
+
+    assert.equal(failsLint(warningsOnly), false);
+    assert.equal(failsLint(withError), true);
+    assert.equal(failsLint(warningsOnly, 'warning'), true);
+    assert.equal(failsLint(infoOnly, 'warning'), false);
+    assert.equal(failsLint(infoOnly, 'info'), true);
+    assert.equal(failsLint(withError, 'none'), false);
+    assert.equal(failsLint(lintDockerfile(CLEAN_DOCKERFILE), 'info'), false);
+});
+
+test('SECRET_NAME_PATTERN matches the usual credential names only', () => {
+    for (const name of ['DB_PASSWORD', 'passwd', 'JWT_SECRET', 'GITHUB_TOKEN', 'API_KEY', 'APIKEY', 'SSH_PRIVATE_KEY', 'AWS_ACCESS_KEY_ID', 'GOOGLE_CREDENTIALS']) {
+        assert.match(name, SECRET_NAME_PATTERN, name);
+    }
+    for (const name of ['NODE_ENV', 'PORT', 'DATABASE_HOST', 'KEYCLOAK_URL', 'LOG_LEVEL']) {
+        assert.doesNotMatch(name, SECRET_NAME_PATTERN, name);
+    }
+});
+
+test('lintDockerfileAtPath reports a missing Dockerfile', async () => {
+    const projectPath = await writeProject({ 'Dockerfile': CLEAN_DOCKERFILE });
+    assert.deepEqual((await lintDockerfileAtPath(path.join(projectPath, 'Dockerfile'))).problems, []);
+    await assert.rejects(lintDockerfileAtPath(path.join(projectPath, 'missing.Dockerfile')), /No Dockerfile found at .*missing\.Dockerfile/);
+});
+
+test('the lint command exits with 1 only for problems at or above --fail-on', async () => {
+    const projectPath = await writeProject({ 'Dockerfile': RULE_CASES['base-image-latest'].failing });
+
+    // Resolves with the exit code of `dockerizer lint` on the project with `args`
+    const lintExitCode = (...args) => promisify(execFile)(process.execPath, [CLI_PATH, 'lint', projectPath, '--file', 'Dockerfile', ...args], { cwd: process.cwd() })
+        .then(() => 0, error => error.code);
+
+    assert.equal(await lintExitCode(), 0);
+    assert.equal(await lintExitCode('--fail-on', 'warning'), 1);
+    assert.equal(await lintExitCode('--fail-on', 'warning', '--ignore', 'base-image-latest'), 0);
+    assert.equal(await lintExitCode('--fail-on', 'none'), 0);
+});
+
+test('lint --format json prints an array of reports for a single Dockerfile too', async () => {
+    const projectPath = await writeProject({ 'Dockerfile': RULE_CASES['base-image-latest'].failing });
+
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI_PATH, 'lint', projectPath, '--file', 'Dockerfile', '--format', 'json'], { cwd: process.cwd() });
+
+    const reports = JSON.parse(stdout);
+    assert.ok(Array.isArray(reports));
+    assert.equal(reports.length, 1);
+    assert.ok(reports[0].problems.some(problem => problem.rule === 'base-image-latest'));
+});
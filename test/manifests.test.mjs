@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImageReference, updateImagesInContent } from '../src/manifests.mjs';
+
+// Function to join manifest lines into file content
+function manifest(...lines) {
+    return `${lines.join('\n')}\n`;
+}
+
+test('parseImageReference splits registry ports, tags and digests', () => {
+    assert.deepEqual(parseImageReference('registry:5000/team/app:1.2@sha256:abc'), { repository: 'registry:5000/team/app', tag: '1.2', digest: 'sha256:abc' });
+    assert.deepEqual(parseImageReference('registry:5000/team/app'), { repository: 'registry:5000/team/app', tag: null, digest: null });
+    assert.deepEqual(parseImageReference('app:latest'), { repository: 'app', tag: 'latest', digest: null });
+});
+
+test('updates every document of a multi-document file and leaves other resources alone', () => {
+    const content = manifest(
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata:',
+        '  name: web',
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      containers:',
+        '        - name: web',
+        '          image: shop:1.0.0',
+        '---',
+        'apiVersion: v1',
+        'kind: Service',
+        'metadata:',
+        '  name: web',
+        '---',
+        'apiVersion: batch/v1',
+        'kind: Job',
+        'metadata:',
+        '  name: migrate',
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      containers:',
+        '        - name: migrate',
+        '          image: shop:1.0.0'
+    );
+
+    const { content: updated, changes } = updateImagesInContent(content, 'shop:2.0.0');
+
+    assert.equal(updated, content.replaceAll('shop:1.0.0', 'shop:2.0.0'));
+    assert.deepEqual(changes, [
+        { resource: 'Deployment/web', container: 'web', from: 'shop:1.0.0', to: 'shop:2.0.0' },
+        { resource: 'Job/migrate', container: 'migrate', from: 'shop:1.0.0', to: 'shop:2.0.0' }
+    ]);
+});
+
+test('finds the containers and init containers of CronJobs and StatefulSets', () => {
+    const content = manifest(
+        'kind: CronJob',
+        'metadata:',
+        '  name: report',
+        'spec:',
+        '  jobTemplate:',
+        '    spec:',
+        '      template:',
+        '        spec:',
+        '          containers:',
+        '          - name: report',
+        '            image: registry.example.com/shop:1.0.0',
+        '---',
+        'kind: StatefulSet',
+        'metadata:',
+        '  name: worker',
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      initContainers:',
+        '        - name: wait',
+        '          image: busybox:1.36',
+        '        - image: registry.example.com/shop:1.0.0',
+        '          name: setup',
+        '      containers:',
+        '        - name: worker',
+        '          image: registry.example.com/shop:1.0.0'
+    );
+
+    const { content: updated, changes } = updateImagesInContent(content, 'registry.example.com/shop:2.0.0');
+
+    assert.deepEqual(changes.map(change => [change.resource, change.container]), [
+        ['CronJob/report', 'report'],
+        ['StatefulSet/worker', 'setup'],
+        ['StatefulSet/worker', 'worker']
+    ]);
+    assert.match(updated, /image: busybox:1\.36/);
+    assert.doesNotMatch(updated, /shop:1\.0\.0/);
+});
+
+test('keeps quotes and the comments next to image:', () => {
+    const content = manifest(
+        'kind: Pod',
+        'metadata:',
+        '  name: web',
+        'spec:',
+        '  containers:',
+        '    # The app itself',
+        '    - name: web',
+        '      # Bumped by the deploy',
+        '      image: "shop:1.0.0" # pinned by CI',
+        '      ports:',
+        '        - containerPort: 3000'
+    );
+
+    const { content: updated } = updateImagesInContent(content, 'shop:2.0.0');
+
+    assert.equal(updated, content.replace('"shop:1.0.0" # pinned by CI', '"shop:2.0.0" # pinned by CI'));
+});
+
+test('updates flow-style containers when the old image appears once in the file', () => {
+    const content = manifest(
+        'kind: Deployment',
+        'metadata: {name: web}',
+        'spec:',
+        '  template:',
+        '    spec:',
+        "      containers: [{name: web, image: 'shop:1.0.0'}, {name: sidecar, image: envoy:1.30}]"
+    );
+
+    const { content: updated, changes } = updateImagesInContent(content, 'shop:2.0.0');
+
+    assert.equal(updated, content.replace("image: 'shop:1.0.0'", "image: 'shop:2.0.0'"));
+    assert.deepEqual(changes, [{ resource: 'Deployment/web', container: 'web', from: 'shop:1.0.0', to: 'shop:2.0.0' }]);
+});
+
+test('reports flow-style containers whose image appears several times instead of guessing', () => {
+    const content = manifest(
+        'kind: Pod',
+        'metadata: {name: web}',
+        'spec:',
+        '  containers: [{name: web, image: shop:1.0.0}]',
+        '# previous image: shop:1.0.0'
+    );
+
+    const { content: updated, changes } = updateImagesInContent(content, 'shop:2.0.0');
+
+    assert.equal(updated, content);
+    assert.deepEqual(changes, [{ resource: 'Pod/web', container: 'web', from: 'shop:1.0.0', to: null }]);
+});
+
+test('matches containers by name from containerNames or by repository, and leaves others alone', () => {
+    const content = manifest(
+        'kind: Deployment',
+        'metadata:',
+        '  name: web',
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      containers:',
+        '        - name: web',
+        '          image: docker.io/library/shop-old:0.9',
+        '        - name: proxy',
+        '          image: nginx:1.27',
+        '        - name: metrics',
+        '          image: shop-exporter:1.0.0'
+    );
+
+    const byName = updateImagesInContent(content, 'shop:2.0.0', { containerNames: ['web'] });
+    assert.deepEqual(byName.changes.map(change => [change.container, change.from]), [['web', 'docker.io/library/shop-old:0.9']]);
+    assert.match(byName.content, /image: nginx:1\.27/);
+    assert.match(byName.content, /image: shop-exporter:1\.0\.0/);
+
+    const unrelated = updateImagesInContent(content, 'shop:2.0.0', { containerNames: ['worker'] });
+    assert.equal(unrelated.content, content);
+    assert.deepEqual(unrelated.changes, []);
+});
+
+test('sets the tag or digest of the matching Kustomization image entry', () => {
+    const content = manifest(
+        'kind: Kustomization',
+        'resources:',
+        '  - ../../base',
+        'images:',
+        '  - name: shop',
+        '    newTag: "1.0.0" # set by dockerizer',
+        '  - name: redis',
+        '    newTag: "7"'
+    );
+
+    const tagged = updateImagesInContent(content, 'shop:2.0.0');
+    assert.equal(tagged.content, content.replace('"1.0.0"', '"2.0.0"'));
+    assert.deepEqual(tagged.changes, [{ resource: 'Kustomization/(unnamed)', container: null, from: 'shop:1.0.0', to: 'shop:2.0.0' }]);
+
+    const pinned = updateImagesInContent(content, 'shop@sha256:abc');
+    assert.match(pinned.content, /^ {4}digest: "sha256:abc" # set by dockerizer$/m);
+    assert.match(pinned.content, /newTag: "7"/);
+});
+
+test('skips Helm templates that are not YAML until rendered', () => {
+    const content = manifest(
+        'kind: Deployment',
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      containers:',
+        '        - name: {{ .Chart.Name }}',
+        '          image: "{{ .Values.image.repository }}:{{ .Values.image.tag }}"',
+        '          {{- with .Values.resources }}'
+    );
+
+    assert.deepEqual(updateImagesInContent(content, 'shop:2.0.0'), { content, changes: [] });
+});
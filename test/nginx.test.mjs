@@ -0,0 +1,137 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { installNginxConfig, resolveNginxSettings } from '../src/nginx.mjs';
+import { captureOutput, enterTempDirectory, makeTempDirectory, writeProject } from './helpers.mjs';
+
+// A stub nginx that records its arguments. `nginx -t` rejects the enabled configs that contain
+// a bogus directive, the way nginx reports an unknown one, and reloading fails while the
+// config directory holds a file named "stopped".
+const STUB_NGINX = `#!/bin/sh
+echo "$*" >> "$NGINX_STUB_DIR/calls"
+case "$*" in
+    *-t)
+        for file in "$NGINX_STUB_DIR"/sites-enabled/* "$NGINX_STUB_DIR"/conf.d/*; do
+            if [ -f "$file" ] && grep -q bogus_directive "$file"; then
+                echo "nginx: [emerg] unknown directive \\"bogus_directive\\" in $file:1" >&2
+                echo "nginx: configuration file $NGINX_STUB_DIR/nginx.conf test failed" >&2
+                exit 1
+            fi
+        done
+        echo "nginx: configuration file $NGINX_STUB_DIR/nginx.conf test is successful" >&2
+        ;;
+    *reload)
+        if [ -e "$NGINX_STUB_DIR/stopped" ]; then
+            echo 'nginx: [error] invalid PID number "" in "/run/nginx.pid"' >&2
+            exit 1
+        fi
+        ;;
+esac
+`;
+
+const GOOD_CONFIG = 'server {\n    listen 80;\n    server_name shop.example.com;\n}\n';
+const BAD_CONFIG = 'server {\n    bogus_directive on;\n}\n';
+
+// Function to set up an nginx config directory (Debian's layout unless `layout` says conf.d)
+// for the stub to check, with the generated config to install
+async function setUp({ layout = 'sites', files = {}, generated = GOOD_CONFIG } = {}) {
+    const configDir = await writeProject({ 'nginx.conf': 'events {}\n', ...files });
+    for (const directory of layout === 'sites' ? ['sites-available', 'sites-enabled'] : ['conf.d']) {
+        await fs.ensureDir(path.join(configDir, directory));
+    }
+    process.env.NGINX_STUB_DIR = configDir;
+
+    const generatedFile = path.join(await makeTempDirectory('dockerizer-site-'), 'nginx.conf');
+    await fs.writeFile(generatedFile, generated);
+
+    return {
+        configDir,
+        generatedFile,
+        settings: resolveNginxSettings({ configDir }),
+        calls: async () => (await fs.readFile(path.join(configDir, 'calls'), 'utf-8').catch(() => '')).trim().split('\n').filter(Boolean)
+    };
+}
+
+before(async () => {
+    await enterTempDirectory();
+    const binDirectory = await makeTempDirectory('dockerizer-nginx-');
+    await fs.writeFile(path.join(binDirectory, 'nginx'), STUB_NGINX, { mode: 0o755 });
+    process.env.PATH = `${binDirectory}${path.delimiter}${process.env.PATH}`;
+});
+
+test('installs the config in sites-available, enables it and reloads nginx once it passes nginx -t', async () => {
+    const { configDir, generatedFile, settings, calls } = await setUp();
+
+    const { result } = await captureOutput(() => installNginxConfig(generatedFile, 'shop', settings));
+
+    const configFile = path.join(configDir, 'sites-available/shop.conf');
+    assert.deepEqual(result, { configFile, enabledLink: path.join(configDir, 'sites-enabled/shop.conf') });
+    assert.equal(await fs.readFile(configFile, 'utf-8'), GOOD_CONFIG);
+    assert.equal(await fs.readlink(result.enabledLink), configFile);
+    assert.deepEqual(await calls(), ['-t', '-s reload']);
+});
+
+test('installs the config in conf.d when there is no sites-available', async () => {
+    const { configDir, generatedFile, settings } = await setUp({ layout: 'conf.d' });
+
+    const { result } = await captureOutput(() => installNginxConfig(generatedFile, 'shop', settings));
+
+    assert.deepEqual(result, { configFile: path.join(configDir, 'conf.d/shop.conf'), enabledLink: null });
+    assert.equal(await fs.readFile(result.configFile, 'utf-8'), GOOD_CONFIG);
+});
+
+test('replaces the previous config and removes its backup', async () => {
+    const { configDir, generatedFile, settings } = await setUp({ files: { 'sites-available/shop.conf': 'server { listen 8080; }\n' } });
+
+    await captureOutput(() => installNginxConfig(generatedFile, 'shop', settings));
+
+    assert.equal(await fs.readFile(path.join(configDir, 'sites-available/shop.conf'), 'utf-8'), GOOD_CONFIG);
+    assert.deepEqual(await fs.readdir(path.join(configDir, 'sites-available')), ['shop.conf']);
+});
+
+test('removes a new config that nginx -t rejects, with its link, and does not reload', async () => {
+    const { configDir, generatedFile, settings, calls } = await setUp({ generated: BAD_CONFIG });
+
+    await assert.rejects(captureOutput(() => installNginxConfig(generatedFile, 'shop', settings)), (err) => {
+        assert.match(err.message, /^nginx rejected the configuration of shop, so it was removed again:\n/);
+        assert.match(err.message, /unknown directive "bogus_directive"/);
+        return true;
+    });
+
+    assert.deepEqual(await fs.readdir(path.join(configDir, 'sites-available')), []);
+    assert.deepEqual(await fs.readdir(path.join(configDir, 'sites-enabled')), []);
+    assert.deepEqual(await calls(), ['-t']);
+});
+
+test('restores the previous config and keeps its link when nginx -t rejects the new one', async () => {
+    const previous = 'server { listen 8080; }\n';
+    const { configDir, generatedFile, settings } = await setUp({ files: { 'sites-available/shop.conf': previous }, generated: BAD_CONFIG });
+    const configFile = path.join(configDir, 'sites-available/shop.conf');
+    await fs.symlink(configFile, path.join(configDir, 'sites-enabled/shop.conf'));
+
+    await assert.rejects(captureOutput(() => installNginxConfig(generatedFile, 'shop', settings)), /so the previous one was restored/);
+
+    assert.equal(await fs.readFile(configFile, 'utf-8'), previous);
+    assert.deepEqual(await fs.readdir(path.join(configDir, 'sites-available')), ['shop.conf']);
+    assert.equal(await fs.readlink(path.join(configDir, 'sites-enabled/shop.conf')), configFile);
+});
+
+test('reports a valid config that nginx could not reload', async () => {
+    const { configDir, generatedFile, settings } = await setUp({ files: { 'stopped': '' } });
+
+    await assert.rejects(captureOutput(() => installNginxConfig(generatedFile, 'shop', settings)), (err) => {
+        assert.match(err.message, /sites-available\/shop\.conf is valid, but nginx could not be reloaded \(is it running\?\):\n.*invalid PID number/);
+        return true;
+    });
+    assert.equal(await fs.readFile(path.join(configDir, 'sites-available/shop.conf'), 'utf-8'), GOOD_CONFIG);
+});
+
+test('tests and reloads the main config given in the settings', async () => {
+    const { configDir, generatedFile, calls } = await setUp();
+    const mainConfig = path.join(configDir, 'nginx.conf');
+
+    await captureOutput(() => installNginxConfig(generatedFile, 'shop', resolveNginxSettings({ configDir, mainConfig })));
+
+    assert.deepEqual(await calls(), [`-c ${mainConfig} -t`, `-c ${mainConfig} -s reload`]);
+});
@@ -0,0 +1,58 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureDryRun, isDryRun, runCommand, writeArtifact, printDryRunPlan } from '../src/plan.mjs';
+import { captureOutput, enterTempDirectory, makeTempDirectory, matchSnapshot, stripAnsi, writeProject } from './helpers.mjs';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/cli.mjs');
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+test('a dry run records commands and prints generated files as diffs', async () => {
+    const projectPath = await writeProject({ 'Dockerfile': 'FROM node:20\nCMD ["node", "index.js"]\n' });
+    configureDryRun({ baseDir: projectPath });
+    assert.equal(isDryRun(), true);
+
+    const { output } = await captureOutput(async () => {
+        const { stdout } = await runCommand('kubectl apply -f k8s/deployment.yaml');
+        assert.equal(stdout, '');
+        await writeArtifact(path.join(projectPath, 'Dockerfile'), 'FROM node:22-slim\nCMD ["node", "index.js"]\n');
+        await writeArtifact(path.join(projectPath, '.dockerignore'), 'node_modules\n.env\n');
+        printDryRunPlan();
+    });
+
+    // Nothing is written to the project
+    assert.equal(await fs.readFile(path.join(projectPath, 'Dockerfile'), 'utf-8'), 'FROM node:20\nCMD ["node", "index.js"]\n');
+    assert.equal(await fs.pathExists(path.join(projectPath, '.dockerignore')), false);
+    await matchSnapshot('plan-diff', output.split(projectPath).join('<project>'));
+});
+
+test('a dry run with an output directory writes the generated files there', async () => {
+    const projectPath = await writeProject({ 'package.json': { name: 'app' } });
+    const outputDir = await makeTempDirectory();
+    configureDryRun({ outputDir, baseDir: projectPath });
+
+    const { result } = await captureOutput(() => writeArtifact(path.join(projectPath, 'k8s/service.yaml'), 'kind: Service\n'));
+
+    assert.equal(result, path.join(outputDir, 'k8s/service.yaml'));
+    assert.equal(await fs.readFile(result, 'utf-8'), 'kind: Service\n');
+    assert.equal(await fs.pathExists(path.join(projectPath, 'k8s')), false);
+});
+
+test('generate --dry-run previews the Dockerfile and .dockerignore without writing them', async () => {
+    const projectPath = await writeProject({
+        'package.json': { name: 'web', version: '1.0.0', scripts: { start: 'node server.js' }, dependencies: { express: '^4.19.0' } },
+        'server.js': "const express = require('express');\nexpress().listen(process.env.PORT || 8080);\n"
+    });
+
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI_PATH, 'generate', projectPath, '--dry-run'], { cwd: process.cwd() });
+
+    assert.deepEqual((await fs.readdir(projectPath)).sort(), ['package.json', 'server.js']);
+    await matchSnapshot('generate-dry-run', stripAnsi(stdout).split(projectPath).join('<project>'));
+});
@@ -0,0 +1,184 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { setDockerClient } from '../src/engine.mjs';
+import { readState } from '../src/state.mjs';
+import { pushImage, pushToRegistry, registryHost, registryRepository, resolveRegistryAuth } from '../src/registry.mjs';
+import { captureOutput, enterTempDirectory, makeTempDirectory, writeProject } from './helpers.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+const DIGEST = `sha256:${'ab'.repeat(32)}`;
+
+// A credential helper that answers `get` from the JSON map of server addresses to credentials in
+// CREDENTIAL_STUB_STORE, like docker-credential-<helper> does, and records the addresses asked for
+const HELPER_SCRIPT = `
+const fs = require('fs');
+const serverAddress = fs.readFileSync(0, 'utf-8').trim();
+const state = JSON.parse(fs.readFileSync(process.env.CREDENTIAL_STUB_STORE, 'utf-8'));
+state.asked.push(process.argv[1].split('-').pop() + ' ' + serverAddress);
+fs.writeFileSync(process.env.CREDENTIAL_STUB_STORE, JSON.stringify(state));
+
+const credentials = state.credentials[serverAddress];
+if (!credentials) {
+    process.stdout.write('credentials not found in native keychain');
+    process.exit(1);
+}
+process.stdout.write(JSON.stringify({ ServerURL: serverAddress, ...credentials }));
+`;
+
+let docker;
+let configDirectory;
+let storePath;
+
+// Function to write the Docker config the registry code reads, and the credentials the stub
+// helpers hand out
+async function useDockerConfig(config, credentials = {}) {
+    await fs.writeJson(path.join(configDirectory, 'config.json'), config);
+    await fs.writeJson(storePath, { credentials, asked: [] });
+}
+
+// Function to list the helper calls since the last useDockerConfig, as "<helper> <server address>"
+function helperCalls() {
+    return fs.readJsonSync(storePath).asked;
+}
+
+before(async () => {
+    await enterTempDirectory();
+    configDirectory = await makeTempDirectory('dockerizer-docker-config-');
+    process.env.DOCKER_CONFIG = configDirectory;
+
+    const binDirectory = await makeTempDirectory('dockerizer-credential-helpers-');
+    storePath = path.join(binDirectory, 'store.json');
+    process.env.CREDENTIAL_STUB_STORE = storePath;
+    for (const helper of ['desktop', 'ecr']) {
+        await fs.writeFile(path.join(binDirectory, `docker-credential-${helper}`), `#!${process.execPath}\n${HELPER_SCRIPT}`, { mode: 0o755 });
+    }
+    process.env.PATH = `${binDirectory}${path.delimiter}${process.env.PATH}`;
+
+    docker = await startFakeDocker({
+        'POST /images/:name/tag': () => ({ status: 201 }),
+        // Docker Hub refuses pushes to team/, the private registry accepts them
+        'POST /images/:repository/:name/push': (request) => (request.path.startsWith('/images/team/')
+            ? { status: 200, events: [{ errorDetail: { message: 'denied: requested access to the resource is denied' }, error: 'denied: requested access to the resource is denied' }] }
+            : {
+                status: 200,
+                events: [
+                    { status: 'The push refers to repository [registry.example.com/shop]' },
+                    { id: 'a1', status: 'Pushing', progressDetail: { current: 512, total: 1024 } },
+                    { id: 'a1', status: 'Pushed' },
+                    { status: `1.0.0: digest: ${DIGEST} size: 1570` }
+                ]
+            })
+    });
+    setDockerClient(docker.client);
+});
+
+beforeEach(async () => {
+    await useDockerConfig({});
+});
+
+after(async () => {
+    await docker.close();
+});
+
+test('registryHost takes the first component only when it names a host', () => {
+    assert.equal(registryHost('registry.example.com/team/shop'), 'registry.example.com');
+    assert.equal(registryHost('localhost/shop'), 'localhost');
+    assert.equal(registryHost('registry:5000/shop'), 'registry:5000');
+    assert.equal(registryHost('team/shop'), 'docker.io');
+    assert.equal(registryHost('shop'), 'docker.io');
+    assert.equal(registryHost('registry.example.com'), 'docker.io');
+});
+
+test('registryRepository prefixes the image name with the registry once', () => {
+    assert.equal(registryRepository('shop', 'https://registry.example.com/team/'), 'registry.example.com/team/shop');
+    assert.equal(registryRepository('registry.example.com/team/shop', 'registry.example.com/team'), 'registry.example.com/team/shop');
+});
+
+test('resolveRegistryAuth prefers the registry\'s credHelpers entry over credsStore and auths', async () => {
+    await useDockerConfig({
+        credHelpers: { '123.dkr.ecr.eu-west-1.amazonaws.com': 'ecr' },
+        credsStore: 'desktop',
+        auths: { '123.dkr.ecr.eu-west-1.amazonaws.com': { auth: Buffer.from('from:auths').toString('base64') } }
+    }, {
+        '123.dkr.ecr.eu-west-1.amazonaws.com': { Username: 'AWS', Secret: 'ecr-password' }
+    });
+
+    assert.deepEqual(await resolveRegistryAuth('123.dkr.ecr.eu-west-1.amazonaws.com'), {
+        username: 'AWS',
+        password: 'ecr-password',
+        serveraddress: '123.dkr.ecr.eu-west-1.amazonaws.com'
+    });
+    assert.deepEqual(helperCalls(), ['ecr 123.dkr.ecr.eu-west-1.amazonaws.com']);
+});
+
+test('resolveRegistryAuth asks the credsStore under the Docker Hub key and falls back to auths', async () => {
+    await useDockerConfig({
+        credsStore: 'desktop',
+        auths: { 'https://ghcr.io/v2/': { auth: Buffer.from('octocat:pa:ss').toString('base64') } }
+    }, {
+        'https://index.docker.io/v1/': { Username: 'hubuser', Secret: 'hub-password' }
+    });
+
+    assert.deepEqual(await resolveRegistryAuth('docker.io'), { username: 'hubuser', password: 'hub-password', serveraddress: 'https://index.docker.io/v1/' });
+    // The store has nothing for ghcr.io, so the "auths" entry written by docker login is used
+    assert.deepEqual(await resolveRegistryAuth('ghcr.io'), { username: 'octocat', password: 'pa:ss', serveraddress: 'ghcr.io' });
+    assert.deepEqual(helperCalls(), ['desktop https://index.docker.io/v1/', 'desktop ghcr.io']);
+});
+
+test('resolveRegistryAuth passes identity tokens on, from a helper\'s <token> user and from auths', async () => {
+    await useDockerConfig({
+        credHelpers: { 'registry.example.com': 'desktop' },
+        auths: { 'other.example.com': { identitytoken: 'refresh-token' } }
+    }, {
+        'registry.example.com': { Username: '<token>', Secret: 'oauth-token' }
+    });
+
+    assert.deepEqual(await resolveRegistryAuth('registry.example.com'), { identitytoken: 'oauth-token', serveraddress: 'registry.example.com' });
+    assert.deepEqual(await resolveRegistryAuth('other.example.com'), { identitytoken: 'refresh-token', serveraddress: 'other.example.com' });
+});
+
+test('resolveRegistryAuth goes anonymous without credentials and explains a missing helper', async () => {
+    assert.equal(await resolveRegistryAuth('registry.example.com'), null);
+
+    await useDockerConfig({ credsStore: 'osxkeychain' });
+    await assert.rejects(resolveRegistryAuth('registry.example.com'), /uses the credential helper "osxkeychain", but docker-credential-osxkeychain is not on the PATH/);
+});
+
+test('pushImage sends the credentials and resolves with the digest of the pushed manifest', async () => {
+    await useDockerConfig({ auths: { 'registry.example.com': { auth: Buffer.from('ci:secret').toString('base64') } } });
+
+    const digest = await pushImage('registry.example.com/shop:1.0.0');
+
+    assert.equal(digest, DIGEST);
+    const push = docker.requests.filter(request => request.path.endsWith('/push')).pop();
+    assert.equal(push.path, '/images/registry.example.com/shop:1.0.0/push');
+    assert.deepEqual(JSON.parse(Buffer.from(push.headers['x-registry-auth'], 'base64').toString()), {
+        username: 'ci',
+        password: 'secret',
+        serveraddress: 'registry.example.com'
+    });
+});
+
+test('pushImage points at docker login when the registry refuses the push', async () => {
+    await assert.rejects(pushImage('team/shop:1.0.0'), {
+        message: 'Push of team/shop:1.0.0 failed: denied: requested access to the resource is denied Log in with `docker login`.'
+    });
+});
+
+test('pushToRegistry tags and pushes the image and records its digest', async () => {
+    const projectPath = await writeProject({ 'package.json': { name: 'shop' } });
+
+    const { result } = await captureOutput(() => pushToRegistry(projectPath, 'shop', '1.0.0', 'registry.example.com'));
+
+    assert.deepEqual(result, {
+        image: 'registry.example.com/shop:1.0.0',
+        digest: DIGEST,
+        reference: `registry.example.com/shop@${DIGEST}`
+    });
+    const tag = docker.requests.find(request => request.path === '/images/shop:1.0.0/tag');
+    assert.deepEqual(tag.query, { repo: 'registry.example.com/shop', tag: '1.0.0' });
+    const [push] = (await readState(projectPath)).pushes;
+    assert.deepEqual({ image: push.image, digest: push.digest }, { image: 'registry.example.com/shop:1.0.0', digest: DIGEST });
+});
@@ -0,0 +1,159 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { setDockerClient } from '../src/engine.mjs';
+import { deployRemoteContainer, resolveDockerEndpoint, sshCredentials } from '../src/remote.mjs';
+import { enterTempDirectory, makeTempDirectory } from './helpers.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+let home;
+let docker;
+
+// Function to create a Docker CLI context the way `docker context create` stores it, with TLS
+// material when `tls` is set
+async function createDockerContext(name, host, { tls = false, skipTlsVerify = false } = {}) {
+    const id = crypto.createHash('sha256').update(name).digest('hex');
+    const configDir = process.env.DOCKER_CONFIG;
+    await fs.outputJson(path.join(configDir, 'contexts/meta', id, 'meta.json'), {
+        Name: name,
+        Endpoints: { docker: { Host: host, SkipTLSVerify: skipTlsVerify } }
+    });
+    if (tls) {
+        for (const file of ['ca.pem', 'cert.pem', 'key.pem']) {
+            await fs.outputFile(path.join(configDir, 'contexts/tls', id, 'docker', file), `${file} of ${name}`);
+        }
+    }
+}
+
+before(async () => {
+    await enterTempDirectory();
+    // os.homedir() follows HOME, so ~/.ssh and ~/.docker point into a temporary directory
+    home = await makeTempDirectory('dockerizer-home-');
+    process.env.HOME = home;
+    process.env.DOCKER_CONFIG = path.join(home, '.docker');
+
+    docker = await startFakeDocker({
+        'GET /_ping': () => ({ status: 200, body: 'OK' }),
+        'GET /images/:name/json': () => ({ status: 200, body: { Id: 'sha256:feed', Size: 1048576 } }),
+        'GET /containers/json': () => ({ status: 200, body: [{ Id: 'old0000000000000', Image: 'shop:1.0.0', State: 'running' }] }),
+        'DELETE /containers/:id': () => ({ status: 204 }),
+        'POST /containers/create': () => ({ status: 201, body: { Id: 'new0000000000000', Warnings: [] } }),
+        'POST /containers/:id/start': () => ({ status: 204 })
+    });
+    setDockerClient(docker.client);
+});
+
+beforeEach(async () => {
+    delete process.env.SSH_AUTH_SOCK;
+    await fs.remove(path.join(home, '.ssh'));
+});
+
+after(async () => {
+    await docker.close();
+});
+
+test('sshCredentials uses the agent, an identity file, or the first default key', async () => {
+    await assert.rejects(sshCredentials(), /No SSH agent \(SSH_AUTH_SOCK\) and no SSH key found/);
+
+    await fs.outputFile(path.join(home, '.ssh/id_rsa'), 'rsa key');
+    await fs.outputFile(path.join(home, '.ssh/id_ecdsa'), 'ecdsa key');
+    assert.deepEqual(await sshCredentials(), { privateKey: Buffer.from('ecdsa key') });
+
+    process.env.SSH_AUTH_SOCK = '/tmp/agent.sock';
+    // With an agent the default keys are left to it
+    assert.deepEqual(await sshCredentials(), { agent: '/tmp/agent.sock' });
+
+    await fs.outputFile(path.join(home, 'keys/deploy'), 'deploy key');
+    assert.deepEqual(await sshCredentials('~/keys/deploy'), { agent: '/tmp/agent.sock', privateKey: Buffer.from('deploy key') });
+    await assert.rejects(sshCredentials('~/keys/missing'), { message: `SSH identity file not found: ${path.join(home, 'keys/missing')}` });
+});
+
+test('resolveDockerEndpoint reaches a bare host over SSH as the given user', async () => {
+    process.env.SSH_AUTH_SOCK = '/tmp/agent.sock';
+
+    assert.deepEqual(await resolveDockerEndpoint('build.example.com', 'deploy'), {
+        url: 'ssh://deploy@build.example.com',
+        flags: '-H ssh://deploy@build.example.com',
+        options: { protocol: 'ssh', host: 'build.example.com', port: 22, username: 'deploy', sshOptions: { agent: '/tmp/agent.sock' } }
+    });
+});
+
+test('resolveDockerEndpoint keeps the user and port of an ssh:// URL over the user option', async () => {
+    process.env.SSH_AUTH_SOCK = '/tmp/agent.sock';
+
+    const endpoint = await resolveDockerEndpoint({ host: 'ssh://ops@build.example.com:2222' }, 'deploy');
+
+    assert.equal(endpoint.url, 'ssh://ops@build.example.com:2222');
+    assert.deepEqual({ username: endpoint.options.username, port: endpoint.options.port }, { username: 'ops', port: 2222 });
+});
+
+test('resolveDockerEndpoint connects to tcp:// with and without TLS', async () => {
+    assert.deepEqual(await resolveDockerEndpoint('tcp://10.0.0.5'), {
+        url: 'tcp://10.0.0.5',
+        flags: '-H tcp://10.0.0.5',
+        options: { protocol: 'http', host: '10.0.0.5', port: 2375 }
+    });
+
+    const certPath = await makeTempDirectory('dockerizer-certs-');
+    for (const file of ['ca.pem', 'cert.pem', 'key.pem']) {
+        await fs.outputFile(path.join(certPath, file), file);
+    }
+    const secure = await resolveDockerEndpoint({ host: 'tcp://10.0.0.5', tls: { certPath } });
+    assert.deepEqual(secure.options, {
+        protocol: 'https',
+        host: '10.0.0.5',
+        port: 2376,
+        ca: Buffer.from('ca.pem'),
+        cert: Buffer.from('cert.pem'),
+        key: Buffer.from('key.pem')
+    });
+
+    await assert.rejects(resolveDockerEndpoint({ host: 'tcp://10.0.0.5:2376', tls: { ca: '~/missing-ca.pem' } }), { message: `TLS ca file not found: ${path.join(home, 'missing-ca.pem')}` });
+});
+
+test('resolveDockerEndpoint finds a Docker context under the SHA-256 of its name', async () => {
+    await createDockerContext('production', 'tcp://prod.example.com:2376', { tls: true, skipTlsVerify: true });
+
+    const endpoint = await resolveDockerEndpoint({ context: 'production' });
+
+    assert.equal(endpoint.url, 'tcp://prod.example.com:2376');
+    assert.equal(endpoint.flags, '--context production');
+    assert.equal(endpoint.options.protocol, 'https');
+    assert.equal(endpoint.options.ca.toString(), 'ca.pem of production');
+    // SkipTLSVerify becomes an agent that accepts any certificate
+    assert.equal(endpoint.options.agent.options.rejectUnauthorized, false);
+
+    await assert.rejects(resolveDockerEndpoint({ context: 'staging' }), /Docker context "staging" not found/);
+});
+
+test('resolveDockerEndpoint rejects unsupported schemes and a missing host', async () => {
+    await assert.rejects(resolveDockerEndpoint('npipe:////./pipe/docker_engine'), {
+        message: 'Unsupported Docker host: npipe:////./pipe/docker_engine. Use ssh://user@host, tcp://host:2376 or a Docker context.'
+    });
+    await assert.rejects(resolveDockerEndpoint({}), /No remote Docker host/);
+});
+
+test('deployRemoteContainer replaces the previous container under the app\'s name and restart policy', async () => {
+    const socketPath = docker.client.modem.socketPath;
+
+    const { endpoint, containerId } = await deployRemoteContainer(`unix://${socketPath}`, null, {
+        name: '@shop/web',
+        image: 'shop:1.0.0',
+        ports: [{ container: 3000, host: 80 }],
+        env: ['LOG_LEVEL=info'],
+        restart: 'always'
+    });
+
+    assert.equal(endpoint.url, `unix://${socketPath}`);
+    assert.equal(containerId, 'new0000000000000');
+    assert.ok(docker.requests.some(request => request.method === 'DELETE' && request.path === '/containers/old0000000000000'));
+    assert.ok(!docker.requests.some(request => request.path === '/images/load'), 'the daemon already has the image');
+
+    const create = docker.requests.find(request => request.path === '/containers/create');
+    assert.equal(create.query.name, 'shop-web');
+    assert.deepEqual(create.body.HostConfig.RestartPolicy, { Name: 'always' });
+    assert.deepEqual(create.body.Labels, { 'dockerizer.app': '@shop/web' });
+    assert.deepEqual(create.body.Env, ['LOG_LEVEL=info']);
+});
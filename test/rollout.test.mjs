@@ -0,0 +1,196 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { RolloutError, findDeployments, formatRolloutFailure, waitForRollout } from '../src/rollout.mjs';
+import { captureOutput, enterTempDirectory, matchSnapshot, stripAnsi, writeProject } from './helpers.mjs';
+import { installStubKubectl } from './stub-kubectl.mjs';
+
+let kubectl;
+
+// Function to build the Deployment kubectl reports, at revision 2 unless a test changes it
+function deployment({ replicas = 1, updated = replicas, available = replicas, conditions = [] } = {}) {
+    return {
+        metadata: { name: 'web', namespace: 'shop', generation: 2, annotations: { 'deployment.kubernetes.io/revision': '2' } },
+        spec: { replicas, selector: { matchLabels: { app: 'web' } } },
+        status: { observedGeneration: 2, replicas, updatedReplicas: updated, availableReplicas: available, conditions }
+    };
+}
+
+// The ReplicaSets of revisions 1 and 2, whose pods carry the old and new template hashes
+const REPLICA_SETS = {
+    items: [1, 2].map(revision => ({
+        metadata: {
+            name: `web-rev${revision}`,
+            labels: { app: 'web', 'pod-template-hash': `rev${revision}` },
+            annotations: { 'deployment.kubernetes.io/revision': String(revision) },
+            ownerReferences: [{ kind: 'Deployment', name: 'web' }]
+        }
+    }))
+};
+
+// Function to build a pod of a revision, Ready or with its container in `state`
+function pod(name, { revision = 2, ready = false, state = { running: {} }, restartCount = 0 } = {}) {
+    return {
+        metadata: { name, labels: { app: 'web', 'pod-template-hash': `rev${revision}` } },
+        spec: { containers: [{ name: 'web' }] },
+        status: {
+            conditions: [{ type: 'Ready', status: ready ? 'True' : 'False' }],
+            containerStatuses: [{ name: 'web', ready, restartCount, state }]
+        }
+    };
+}
+
+// Function to script the stub for one rollout: the Deployment and pods reported on each poll,
+// and the events and logs of the pods
+function respond({ deployments, pods, events = [], logs = '' }) {
+    kubectl.respond([
+        { match: 'get deployment web', outputs: deployments },
+        { match: 'get pods', outputs: pods.map(items => ({ items })) },
+        { match: 'get replicasets', output: REPLICA_SETS },
+        { match: 'get events', output: { items: events } },
+        { match: 'logs ', output: logs }
+    ]);
+}
+
+const WEB = { name: 'web', namespace: 'shop', selector: 'app=web' };
+
+before(async () => {
+    await enterTempDirectory();
+    kubectl = await installStubKubectl();
+});
+
+test('findDeployments reads the name, namespace and selector of each Deployment', async () => {
+    const projectPath = await writeProject({
+        'k8s/deployment.yaml': [
+            'apiVersion: apps/v1',
+            'kind: Deployment',
+            'metadata:',
+            '  name: web',
+            'spec:',
+            '  selector:',
+            '    matchLabels:',
+            '      app: web',
+            '      tier: frontend',
+            '---',
+            'apiVersion: v1',
+            'kind: Service',
+            'metadata:',
+            '  name: web',
+            ''
+        ].join('\n')
+    });
+
+    const { result: deployments } = await captureOutput(() => findDeployments([`${projectPath}/k8s/deployment.yaml`, `${projectPath}/k8s/missing.yaml`], { namespace: 'shop' }));
+
+    assert.deepEqual(deployments, [{ name: 'web', namespace: 'shop', selector: 'app=web,tier=frontend' }]);
+});
+
+test('waitForRollout waits until every replica is updated and available', async () => {
+    respond({
+        deployments: [deployment({ replicas: 2, available: 0 }), deployment({ replicas: 2, available: 1 }), deployment({ replicas: 2 })],
+        pods: [
+            [pod('web-a'), pod('web-b')],
+            [pod('web-a', { ready: true }), pod('web-b')],
+            [pod('web-a', { ready: true }), pod('web-b', { ready: true })]
+        ]
+    });
+
+    await captureOutput(() => waitForRollout([WEB], { interval: 1 }));
+
+    const polls = kubectl.calls().filter(call => call.startsWith('get deployment'));
+    assert.deepEqual(polls, Array(3).fill('get deployment web -n shop -o json'));
+    assert.ok(kubectl.calls().includes('get pods -n shop -l app=web -o json'));
+});
+
+test('waitForRollout fails on a container in CrashLoopBackOff with its events and previous logs', async () => {
+    respond({
+        deployments: [deployment({ available: 0 })],
+        pods: [[pod('web-new', { state: { waiting: { reason: 'CrashLoopBackOff', message: 'back-off 10s restarting failed container' } }, restartCount: 3 })]],
+        events: [
+            { type: 'Warning', reason: 'BackOff', message: 'Back-off restarting failed container', lastTimestamp: '2024-05-01T10:00:30Z' },
+            { type: 'Normal', reason: 'Pulled', message: 'Container image "web:2" already present', lastTimestamp: '2024-05-01T10:00:00Z' }
+        ],
+        logs: 'Error: DATABASE_URL is not set\n    at main (/app/server.js:4:11)\n'
+    });
+
+    await assert.rejects(captureOutput(() => waitForRollout([WEB], { interval: 1 })), (err) => {
+        assert.ok(err instanceof RolloutError);
+        assert.equal(err.deployment, 'web');
+        assert.equal(err.pod, 'web-new');
+        assert.equal(err.container, 'web');
+        assert.equal(err.reason, 'CrashLoopBackOff');
+        assert.deepEqual(err.events, [
+            'Normal Pulled: Container image "web:2" already present',
+            'Warning BackOff: Back-off restarting failed container'
+        ]);
+        assert.equal(err.logs, 'Error: DATABASE_URL is not set\n    at main (/app/server.js:4:11)');
+        return true;
+    });
+    assert.ok(kubectl.calls().includes('logs web-new -n shop -c web --tail=20 --previous'));
+});
+
+test('waitForRollout fails on a container in ImagePullBackOff with the logs of the current run', async () => {
+    respond({
+        deployments: [deployment({ available: 0 })],
+        pods: [[pod('web-new', { state: { waiting: { reason: 'ImagePullBackOff', message: 'Back-off pulling image "web:2"' } } })]]
+    });
+
+    await assert.rejects(captureOutput(() => waitForRollout([WEB], { interval: 1 })), (err) => {
+        assert.equal(err.reason, 'ImagePullBackOff');
+        assert.equal(err.message, 'Deployment web failed: container web of pod web-new is in ImagePullBackOff (Back-off pulling image "web:2")');
+        return true;
+    });
+    assert.ok(kubectl.calls().includes('logs web-new -n shop -c web --tail=20'));
+});
+
+test('waitForRollout ignores the pods of older revisions', async () => {
+    const crashing = { waiting: { reason: 'CrashLoopBackOff' } };
+    respond({
+        deployments: [deployment({ available: 0 }), deployment()],
+        pods: [
+            [pod('web-old', { revision: 1, state: crashing, restartCount: 5 }), pod('web-new')],
+            [pod('web-old', { revision: 1, state: crashing, restartCount: 5 }), pod('web-new', { ready: true })]
+        ]
+    });
+
+    await captureOutput(() => waitForRollout([WEB], { interval: 1 }));
+});
+
+test('waitForRollout fails when the Deployment exceeds its progress deadline', async () => {
+    respond({
+        deployments: [deployment({ available: 0, conditions: [{ type: 'Progressing', status: 'False', reason: 'ProgressDeadlineExceeded', message: 'ReplicaSet "web-rev2" has timed out progressing.' }] })],
+        pods: [[pod('web-new')]]
+    });
+
+    await assert.rejects(captureOutput(() => waitForRollout([WEB], { interval: 1 })), (err) => {
+        assert.equal(err.message, 'Deployment web exceeded its progress deadline: ReplicaSet "web-rev2" has timed out progressing.');
+        assert.equal(err.pod, 'web-new');
+        return true;
+    });
+});
+
+test('waitForRollout fails with the number of Ready pods when it times out', async () => {
+    respond({
+        deployments: [deployment({ replicas: 2, available: 1 })],
+        pods: [[pod('web-a', { ready: true }), pod('web-b')]]
+    });
+
+    await assert.rejects(captureOutput(() => waitForRollout([WEB], { timeout: 0, interval: 1 })), (err) => {
+        assert.equal(err.message, 'Deployment web did not roll out within 0 seconds (1/2 pods ready).');
+        assert.equal(err.pod, 'web-b');
+        return true;
+    });
+});
+
+test('formatRolloutFailure reports the error with the events and logs of the pod', async () => {
+    const error = new RolloutError('Deployment web failed: container web of pod web-new is in CrashLoopBackOff', {
+        deployment: 'web',
+        pod: 'web-new',
+        container: 'web',
+        reason: 'CrashLoopBackOff',
+        events: ['Normal Pulled: Container image "web:2" already present', 'Warning BackOff: Back-off restarting failed container'],
+        logs: 'Error: DATABASE_URL is not set\n    at main (/app/server.js:4:11)'
+    });
+
+    await matchSnapshot('rollout-failure', stripAnsi(formatRolloutFailure(error)));
+    assert.equal(stripAnsi(formatRolloutFailure(new RolloutError('Deployment web failed', { deployment: 'web' }))), 'Deployment web failed');
+});
@@ -0,0 +1,170 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRubyProject, parseGemfile, parseGemfileLock } from '../src/analyzers/ruby.mjs';
+import { captureOutput, enterTempDirectory, writeProject } from './helpers.mjs';
+
+// A Gemfile.lock with a gem from git, a gem from a path, two platforms and the Ruby version
+const GEMFILE_LOCK = `GIT
+  remote: https://github.com/rails/rails.git
+  revision: 0123456789abcdef
+  branch: main
+  specs:
+    rails (7.2.0.alpha)
+      railties (= 7.2.0.alpha)
+
+PATH
+  remote: engines/billing
+  specs:
+    billing (0.1.0)
+      rails
+
+GEM
+  remote: https://rubygems.org/
+  specs:
+    nokogiri (1.16.2-x86_64-linux)
+      racc (~> 1.4)
+    pg (1.5.4)
+    puma (6.4.2)
+      nio4r (~> 2.0)
+    racc (1.7.3)
+
+PLATFORMS
+  arm64-darwin-23
+  x86_64-linux
+
+DEPENDENCIES
+  billing!
+  pg (~> 1.5)
+  puma (>= 5.0)
+  rails!
+
+RUBY VERSION
+   ruby 3.2.2p53
+
+BUNDLED WITH
+   2.5.6
+`;
+
+// Function to parse a Gemfile without printing the log, resolving with its gems by name
+async function parseGems(content) {
+    const { result } = await captureOutput(() => parseGemfile(content));
+    return { gems: Object.fromEntries(result.gems.map(({ name, ...gem }) => [name, gem])), ruby: result.ruby };
+}
+
+before(async () => {
+    await enterTempDirectory();
+});
+
+test('parseGemfile reads the groups of group blocks and of group: options', async () => {
+    const { gems } = await parseGems(`
+source 'https://rubygems.org'
+
+gem 'puma', '~> 6.0', '>= 6.4'
+gem 'sidekiq', group: :production
+gem "bootsnap", require: false, groups: [:default, :production]
+
+group :development, :test do
+  gem 'rspec-rails'
+  # gem 'pry' is commented out
+  gem 'debug', platforms: %i[mri windows], group: :tools
+end
+
+group(:test) do
+  gem 'capybara'
+end
+`);
+
+    assert.deepEqual(Object.keys(gems), ['puma', 'sidekiq', 'bootsnap', 'rspec-rails', 'debug', 'capybara']);
+    assert.deepEqual(gems.puma, { requirements: ['~> 6.0', '>= 6.4'], groups: [], platforms: [] });
+    assert.deepEqual(gems.sidekiq.groups, ['production']);
+    assert.deepEqual(gems.bootsnap.groups, ['default', 'production']);
+    assert.deepEqual(gems['rspec-rails'].groups, ['development', 'test']);
+    assert.deepEqual(gems.debug, { requirements: [], groups: ['development', 'test', 'tools'], platforms: ['mri', 'windows'] });
+    assert.deepEqual(gems.capybara.groups, ['test']);
+});
+
+test('parseGemfile reads the platforms of platforms blocks and of platform: options', async () => {
+    const { gems } = await parseGems(`
+platforms :jruby do
+  gem 'activerecord-jdbcpostgresql-adapter'
+end
+
+platform :mri, :windows do
+  group :development do
+    gem 'byebug'
+  end
+end
+
+gem 'tzinfo-data', platforms: [:mingw, :mswin, :x64_mingw, :jruby]
+gem 'pg', :platform => :ruby
+`);
+
+    assert.deepEqual(gems['activerecord-jdbcpostgresql-adapter'].platforms, ['jruby']);
+    assert.deepEqual(gems.byebug, { requirements: [], groups: ['development'], platforms: ['mri', 'windows'] });
+    assert.deepEqual(gems['tzinfo-data'].platforms, ['mingw', 'mswin', 'x64_mingw', 'jruby']);
+    assert.deepEqual(gems.pg.platforms, ['ruby']);
+});
+
+test('parseGemfile reads gems from git and path sources, inline and in blocks', async () => {
+    const { gems } = await parseGems(`
+gem 'rails', github: 'rails/rails', branch: 'main'
+gem 'billing', path: 'engines/billing'
+gem 'money', '~> 6.16', git: 'https://github.com/RubyMoney/money.git', tag: 'v6.16.0'
+
+git 'https://github.com/team/tools.git', branch: 'stable' do
+  gem 'tools-core'
+end
+
+path 'engines' do
+  gem 'admin'
+end
+
+source 'https://gems.example.com' do
+  gem 'private-gem', group: :production
+end
+
+gem 'rack'
+`);
+
+    assert.deepEqual(Object.keys(gems), ['rails', 'billing', 'money', 'tools-core', 'admin', 'private-gem', 'rack']);
+    // The repository and branch options are not version requirements
+    assert.deepEqual(gems.rails.requirements, []);
+    assert.deepEqual(gems.billing.requirements, []);
+    assert.deepEqual(gems.money.requirements, ['~> 6.16']);
+    // The end of each source block closes that block only
+    assert.deepEqual(gems['private-gem'].groups, ['production']);
+    assert.deepEqual(gems.rack, { requirements: [], groups: [], platforms: [] });
+});
+
+test('parseGemfile reads the ruby directive as a requirement or a file', async () => {
+    assert.deepEqual((await parseGems("ruby '~> 3.2.0'\ngem 'rack'\n")).ruby, { requirement: '~> 3.2.0' });
+    assert.deepEqual((await parseGems('ruby file: ".ruby-version"\n')).ruby, { file: '.ruby-version' });
+    assert.equal((await parseGems("gem 'rack'\n")).ruby, null);
+});
+
+test('parseGemfileLock reads the locked versions, platforms, Ruby version and Bundler version', () => {
+    assert.deepEqual(parseGemfileLock(GEMFILE_LOCK), {
+        // Dependencies of a gem, indented further, do not override its own entry
+        specs: { rails: '7.2.0.alpha', billing: '0.1.0', nokogiri: '1.16.2', pg: '1.5.4', puma: '6.4.2', racc: '1.7.3' },
+        platforms: ['arm64-darwin-23', 'x86_64-linux'],
+        ruby: '3.2.2',
+        bundler: '2.5.6'
+    });
+    assert.equal(parseGemfileLock('GEM\n  specs:\n    rack (3.0.9)\n').ruby, null);
+});
+
+test('the Ruby version of Gemfile.lock wins over .ruby-version and loses to the Gemfile', async () => {
+    const files = { 'Gemfile.lock': GEMFILE_LOCK, '.ruby-version': 'ruby-3.1.4\n', 'config.ru': '' };
+    const analyze = async (gemfile) => {
+        const projectPath = await writeProject({ ...files, 'Gemfile': gemfile });
+        return (await captureOutput(() => analyzeRubyProject(projectPath))).result;
+    };
+
+    const fromLock = await analyze("gem 'rails', github: 'rails/rails'\ngem 'puma'\n");
+    assert.deepEqual([fromLock.rubyVersion, fromLock.rubyVersionSource], ['3.2.2', 'Gemfile.lock']);
+    assert.equal(fromLock.bundlerVersion, '2.5.6');
+    assert.equal(fromLock.framework, 'rails');
+
+    const fromGemfile = await analyze("ruby '3.3.1'\ngem 'rack'\n");
+    assert.deepEqual([fromGemfile.rubyVersion, fromGemfile.rubyVersionSource], ['3.3.1', 'Gemfile ruby']);
+});
@@ -0,0 +1,153 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    STATE_FILE,
+    describeDeployment,
+    findRollbackTarget,
+    listDeployments,
+    readState,
+    recordDeployment,
+    recordPush
+} from '../src/state.mjs';
+import { enterTempDirectory, stripAnsi, writeProject } from './helpers.mjs';
+import { startFakeDocker } from './fake-docker.mjs';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/cli.mjs');
+
+// A Node.js app to roll back
+const PROJECT = {
+    'package.json': { name: 'shop', version: '1.0.0', scripts: { start: 'node server.js' } },
+    'server.js': "require('http').createServer().listen(3000);\n"
+};
+
+let docker;
+
+// Function to build a recorded deployment of the shop app
+function deployment(revision, target, image, extra = {}) {
+    return { revision, timestamp: `2026-01-0${revision}T12:00:00.000Z`, target, name: 'shop', image, port: 3000, ...extra };
+}
+
+// Function to write a project whose state file holds `deployments`
+async function projectWithHistory(deployments) {
+    return writeProject({ ...PROJECT, [STATE_FILE]: { deployments, pushes: [] } });
+}
+
+// Function to run `dockerizer rollback` on a project with `args`, against the fake Docker daemon.
+// Resolves with the output without colors.
+async function rollback(projectPath, ...args) {
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI_PATH, 'rollback', projectPath, ...args], {
+        cwd: process.cwd(),
+        env: { ...process.env, DOCKER_HOST: `unix://${docker.client.modem.socketPath}` }
+    });
+    return stripAnsi(stdout);
+}
+
+before(async () => {
+    await enterTempDirectory();
+    docker = await startFakeDocker({});
+});
+
+beforeEach(() => {
+    docker.requests.length = 0;
+});
+
+after(async () => {
+    await docker.close();
+});
+
+test('readState starts empty and rejects a file that is not a state file', async () => {
+    const projectPath = await writeProject({});
+    assert.deepEqual(await readState(projectPath), { deployments: [], pushes: [] });
+
+    await fs.outputJson(path.join(projectPath, STATE_FILE), { revisions: [] });
+    await assert.rejects(readState(projectPath), /is not a dockerizer state file: it has no "deployments" list/);
+
+    await fs.outputFile(path.join(projectPath, STATE_FILE), '{ not json');
+    await assert.rejects(readState(projectPath), /Could not read the deployment state in/);
+});
+
+test('recordDeployment numbers the revisions and recordPush keeps the pushes beside them', async () => {
+    const projectPath = await writeProject({});
+
+    const first = await recordDeployment(projectPath, { target: 'local', name: 'shop', image: 'shop:1.0.0' });
+    const second = await recordDeployment(projectPath, { target: 'k8s', name: 'shop', image: 'shop:2.0.0' });
+    await recordPush(projectPath, { image: 'registry.example.com/shop:2.0.0', digest: 'sha256:abc' });
+
+    assert.deepEqual([first.revision, second.revision], [1, 2]);
+    assert.ok(!Number.isNaN(Date.parse(second.timestamp)));
+    const state = await readState(projectPath);
+    assert.deepEqual(listDeployments(state).map(({ revision, target }) => [revision, target]), [[2, 'k8s'], [1, 'local']]);
+    assert.deepEqual(listDeployments(state, { target: 'local' }).map(({ revision }) => revision), [1]);
+    assert.deepEqual(state.pushes.map(({ image, digest }) => [image, digest]), [['registry.example.com/shop:2.0.0', 'sha256:abc']]);
+});
+
+test('findRollbackTarget returns to the last other version, and back again after a rollback', () => {
+    const state = {
+        deployments: [
+            deployment(1, 'local', 'shop:1.0.0'),
+            deployment(2, 'local', 'shop:2.0.0'),
+            // The same version deployed again is not a version to roll back to
+            deployment(3, 'local', 'shop:2.0.0'),
+            deployment(4, 'k8s', 'shop:2.0.0')
+        ]
+    };
+
+    const { current, previous } = findRollbackTarget(state, { target: 'local' });
+    assert.deepEqual([current.revision, previous.revision], [3, 1]);
+
+    state.deployments.push(deployment(5, 'local', 'shop:1.0.0', { rollbackOf: 1 }));
+    assert.equal(findRollbackTarget(state, { target: 'local' }).previous.revision, 3);
+
+    // Without a target the latest deployment decides
+    assert.equal(findRollbackTarget(state).current.revision, 5);
+    assert.throws(() => findRollbackTarget(state, { target: 'k8s' }), /Revision 4 is the only version of shop deployed to k8s, so there is nothing to roll back to/);
+});
+
+test('findRollbackTarget checks the revision of --to', () => {
+    const state = { deployments: [deployment(1, 'local', 'shop:1.0.0'), deployment(2, 'remote', 'shop:2.0.0')] };
+
+    assert.deepEqual(findRollbackTarget(state, { to: '1' }).previous.revision, 1);
+    assert.throws(() => findRollbackTarget(state, { to: 'latest' }), /Invalid revision: latest/);
+    assert.throws(() => findRollbackTarget(state, { to: 7 }), /Revision 7 is not recorded/);
+    assert.throws(() => findRollbackTarget(state, { to: 1, target: 'remote' }), /Revision 1 was deployed to local, not to remote/);
+    assert.throws(() => findRollbackTarget({ deployments: [] }), /No deployments are recorded/);
+    assert.throws(() => findRollbackTarget(state, { target: 'k8s' }), /No deployments to k8s are recorded/);
+});
+
+test('describeDeployment says where each target went', () => {
+    assert.equal(describeDeployment(deployment(1, 'local', 'shop:1.0.0', { containerId: 'c0ffee1234567890', container: 'shop', hostPort: 8080 })), 'container shop, port 8080->3000');
+    assert.equal(describeDeployment(deployment(2, 'remote', 'shop:1.0.0', { host: 'ssh://deploy@docker.example.com', containerId: 'c0ffee1234567890' })), 'on ssh://deploy@docker.example.com, container c0ffee123456, port 3000');
+    assert.equal(describeDeployment(deployment(3, 'k8s', 'shop:1.0.0', { format: 'helm', resources: [{ kind: 'Deployment', name: 'shop' }], namespace: 'prod', context: 'kind' })), 'helm, Deployment/shop, namespace prod, context kind');
+    assert.equal(stripAnsi(describeDeployment(deployment(4, 'nginx', null, { configFiles: ['nginx/shop.conf'], rollbackOf: 2 }))), 'nginx/shop.conf -> port 3000, rollback to revision 2');
+});
+
+test('a dry-run rollback does not ask the Docker daemon about the image', async () => {
+    const projectPath = await projectWithHistory([
+        deployment(1, 'local', 'shop:1.0.0', { imageId: 'sha256:one' }),
+        deployment(2, 'local', 'shop:2.0.0', { imageId: 'sha256:two' })
+    ]);
+
+    const output = await rollback(projectPath, '--dry-run');
+
+    assert.match(output, /Rolling back shop on local from revision 2 \(shop:2\.0\.0\) to revision 1 \(shop:1\.0\.0\)/);
+    assert.match(output, /\[dry-run\] docker run -d --name shop .*shop:1\.0\.0/);
+    assert.deepEqual(docker.requests, []);
+});
+
+test('a remote rollback goes to the recorded host, or to the one of --remote-host', async () => {
+    const projectPath = await projectWithHistory([
+        deployment(1, 'remote', 'shop:1.0.0', { host: 'ssh://deploy@old.example.com', remote: { host: 'ssh://deploy@old.example.com', context: null } }),
+        deployment(2, 'remote', 'shop:2.0.0', { host: 'ssh://deploy@old.example.com', remote: { host: 'ssh://deploy@old.example.com', context: null } })
+    ]);
+
+    assert.match(await rollback(projectPath, '--dry-run'), /\[dry-run\] docker -H ssh:\/\/deploy@old\.example\.com run -d --name shop .*shop:1\.0\.0/);
+
+    const moved = await rollback(projectPath, '--dry-run', '--remote-host', 'ssh://ops@new.example.com');
+    assert.match(moved, /\[dry-run\] docker -H ssh:\/\/ops@new\.example\.com run -d --name shop .*shop:1\.0\.0/);
+    assert.doesNotMatch(moved.split('Commands that would run:')[1], /old\.example\.com/);
+});
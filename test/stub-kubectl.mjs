@@ -0,0 +1,54 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { makeTempDirectory } from './helpers.mjs';
+
+// The stub answers each call with the first response whose `match` is part of its arguments.
+// A response with `outputs` answers the n-th matching call with the n-th output (the last one
+// once they run out), so a test can script how a rollout progresses. An output is printed as
+// JSON unless it is a string; `exitCode` and `stderr` make the call fail. What is piped to
+// `kubectl apply -f -` is recorded with the call.
+const STUB_SCRIPT = `
+const fs = require('fs');
+const statePath = process.env.KUBECTL_STUB_STATE;
+const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+const args = process.argv.slice(2).join(' ');
+state.calls.push(args);
+if (/-f -$/.test(args)) state.inputs.push(fs.readFileSync(0, 'utf-8'));
+
+const index = state.responses.findIndex(response => args.includes(response.match));
+const response = state.responses[index] || { exitCode: 1, stderr: 'kubectl stub: no response for ' + args };
+const count = state.calls.filter(call => call.includes(response.match)).length;
+fs.writeFileSync(statePath, JSON.stringify(state));
+
+const outputs = response.outputs || [response.output ?? ''];
+const output = outputs[Math.min(count, outputs.length) - 1];
+if (response.exitCode) {
+    process.stderr.write(response.stderr || '');
+    process.exit(response.exitCode);
+}
+process.stdout.write(typeof output === 'string' ? output : JSON.stringify(output));
+`;
+
+// Function to put a stub kubectl first on PATH for the rest of the test process, answering with
+// `responses` (see STUB_SCRIPT). Resolves with functions to replace the responses and to list
+// the arguments of every call made since, and what was piped to them.
+async function installStubKubectl(responses = []) {
+    const binDirectory = await makeTempDirectory('dockerizer-kubectl-');
+    const statePath = path.join(binDirectory, 'state.json');
+    const kubectlPath = path.join(binDirectory, 'kubectl');
+
+    await fs.writeFile(kubectlPath, `#!${process.execPath}\n${STUB_SCRIPT}`, { mode: 0o755 });
+    process.env.PATH = `${binDirectory}${path.delimiter}${process.env.PATH}`;
+    process.env.KUBECTL_STUB_STATE = statePath;
+
+    const respond = (next) => fs.writeJsonSync(statePath, { responses: next, calls: [], inputs: [] });
+    respond(responses);
+
+    return {
+        respond,
+        calls: () => fs.readJsonSync(statePath).calls,
+        inputs: () => fs.readJsonSync(statePath).inputs
+    };
+}
+
+export { installStubKubectl };